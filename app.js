@@ -22,7 +22,7 @@ function normalizeChemInput(s) {
     
         return s
         .replace(/[₀-₉]/g, c => subMap[c])        // subscripts → digits
-        .replace(/[⁰-⁹⁺⁻]/g, c => supMap[c])      // superscripts → digits/signs
+        .replace(/[⁰¹²³⁴-⁹⁺⁻]/g, c => supMap[c])  // superscripts → digits/signs
         .replace(/[·•]/g, '.')                    // hydrate dot(s)
         .replace(/[−–]/g, '-')                    // minus variants
         .replace(/\s+/g, ' ')                     // collapse whitespace
@@ -49,205 +49,53 @@ function validateEquationForMode(reactants, products, mode) {
     }
     
     return { valid: true };
-}// Fraction class for exact arithmetic
-class Fraction {
-    constructor(num, den = 1) {
-        if (den === 0) throw new Error('Division by zero');
-        
-        // Handle negative denominators
-        if (den < 0) {
-            num = -num;
-            den = -den;
-        }
-        
-        // Reduce to lowest terms
-        const g = this.gcd(Math.abs(num), Math.abs(den));
-        this.num = num / g;
-        this.den = den / g;
-    }
-    
-    gcd(a, b) {
-        return b === 0 ? a : this.gcd(b, a % b);
-    }
-    
-    add(other) {
-        return new Fraction(
-            this.num * other.den + other.num * this.den,
-            this.den * other.den
-        );
-    }
-    
-    subtract(other) {
-        return new Fraction(
-            this.num * other.den - other.num * this.den,
-            this.den * other.den
-        );
-    }
-    
-    multiply(other) {
-        return new Fraction(this.num * other.num, this.den * other.den);
-    }
-    
-    divide(other) {
-        return new Fraction(this.num * other.den, this.den * other.num);
-    }
-    
-    isZero() {
-        return this.num === 0;
-    }
-    
-    isNegative() {
-        return this.num < 0;
-    }
-    
-    abs() {
-        return new Fraction(Math.abs(this.num), this.den);
-    }
-    
-    toNumber() {
-        return this.num / this.den;
-    }
-    
-    toString() {
-        return this.den === 1 ? this.num.toString() : `${this.num}/${this.den}`;
-    }
 }
 
-// Parse chemical formula with proper element extraction and phase preservation
-function parseChemicalFormula(formula) {
-    // Extract coefficient and check for phase notation
-    const match = formula.match(/^(\d*)\s*(.+?)(\([slgaq]+\))?$/);
-    if (!match) return null;
-    const coefficient = match[1] ? parseInt(match[1]) : 1;
-    const compoundRaw = match[2];
-    const phaseMatch = match[3];
-    const phase = phaseMatch ? phaseMatch.slice(1, -1) : null; // Remove parentheses
-
-    // Split hydrate parts at '.' (already normalized from · / •)
-    const hydrateParts = compoundRaw.split('.');
-    const totalComposition = {};
-    let netCharge = 0;
-
-    for (const part of hydrateParts) {
-        if (!part) continue;
-        // Allow leading multiplier per part (e.g., 5H2O)
-        const partMatch = part.match(/^(\d+)?(.*)$/);
-        if (!partMatch) continue;
-        const partMultiplier = partMatch[1] ? parseInt(partMatch[1]) : 1;
-        const partFormula = partMatch[2];
-
-        // Parse one contiguous (possibly bracketed) complex formula segment
-        const { composition: segmentComp, charge: segmentCharge } = parseSingleCompoundCore(partFormula);
-        if (!segmentComp) continue;
-        for (const [el, cnt] of Object.entries(segmentComp)) {
-            totalComposition[el] = (totalComposition[el] || 0) + cnt * partMultiplier;
-        }
-        netCharge += segmentCharge * partMultiplier;
-    }
-
-    return {
-        formula: compoundRaw,
-        originalFormula: formula,
-        coefficient,
-        composition: totalComposition,
-        charge: netCharge,
-        phase
-    };
-}
-
-// Parse a single compound core (no hydrate splitting) allowing (), [] nesting
-function parseSingleCompoundCore(compound) {
-    const elementsAccumulator = {};
-    let charge = 0;
-    let index = 0;
-    
-    function parseGroup() {
-        const elements = {};
-        
-        while (index < compound.length) {
-            const char = compound[index];
-            
-            if (char === '(' || char === '[') {
-                index++; // skip '('
-                const groupElements = parseGroup();
-                if ((char === '(' && compound[index] === ')') || (char === '[' && compound[index] === ']')) {
-                    index++; // skip closing
-                    const multiplier = parseNumber() || 1;
-                    
-                    for (const [element, count] of Object.entries(groupElements)) {
-                        elements[element] = (elements[element] || 0) + count * multiplier;
-                    }
-                }
-            } else if (char === ')' || char === ']') {
-                break;
-            } else if (char >= 'A' && char <= 'Z') {
-                const element = parseElement();
-                const count = parseNumber() || 1;
-                elements[element] = (elements[element] || 0) + count;
-            } else if (char === '+' || char === '-') {
-                // Handle charges
-                const sign = char === '+' ? 1 : -1;
-                index++;
-                const chargeNum = parseNumber() || 1;
-                charge += sign * chargeNum;
-            } else {
-                index++;
-            }
-        }
-        
-        return elements;
-    }
-    
-    function parseElement() {
-        let element = compound[index++];
-        while (index < compound.length && compound[index] >= 'a' && compound[index] <= 'z') {
-            element += compound[index++];
-        }
-        return element;
-    }
-    
-    function parseNumber() {
-        let numStr = '';
-        while (index < compound.length && compound[index] >= '0' && compound[index] <= '9') {
-            numStr += compound[index++];
-        }
-        return numStr ? parseInt(numStr) : null;
-    }
-    
-    const parsed = parseGroup();
-    for (const [el, cnt] of Object.entries(parsed)) {
-        elementsAccumulator[el] = (elementsAccumulator[el] || 0) + cnt;
+// Resolve a compound name to its formula; text that is not a known name is parsed as a formula
+function resolveCompoundName(text) {
+    if (!NomenclatureEngine.isName(text)) return null;
+    try {
+        const { formula } = NomenclatureEngine.toFormula(text);
+        return { name: text, formula };
+    } catch (error) {
+        if (error instanceof NomenclatureError && error.code === 'UNKNOWN_NAME') return null;
+        throw error;
     }
-    return { composition: elementsAccumulator, charge };
 }
 
-// Strip leading stoichiometric coefficients and parse formula
+// Strip leading stoichiometric coefficients and parse formula with the chem/ parser
 function parseSpeciesWithLeadingCoeff(speciesString) {
     const trimmed = normalizeChemInput(speciesString.trim());
     
-    // Match optional leading coefficient followed by formula
-    const coeffMatch = trimmed.match(/^(\d+)?\s*(.+)$/);
+    // Match optional leading coefficient (integer or fraction such as 1/2) followed by formula
+    const coeffMatch = trimmed.match(/^(?:(\d+)(?:\/(\d+))?)?\s*(.+)$/);
     if (!coeffMatch) return null;
     
-    const userCoeff = coeffMatch[1] ? parseInt(coeffMatch[1]) : 1;
-    let formulaPart = coeffMatch[2];
+    const userCoeff = coeffMatch[1] ? parseInt(coeffMatch[1]) / (coeffMatch[2] ? parseInt(coeffMatch[2]) : 1) : 1;
     
-    // Robust charge extraction
-    const { core: formula, charge } = extractCharge(formulaPart);
+    // Names ("iron(III) oxide") are balanced as their formula; the name is kept for display
+    const name = resolveCompoundName(coeffMatch[3]);
+    const formulaPart = name ? name.formula : coeffMatch[3];
     
-    // Parse the neutral formula part
-    const parsed = parseChemicalFormula(formula);
-    if (parsed) {
-        // Add charge information
-        parsed.charge = charge;
-        
+    // Composition, charge and phase come from ChemicalParser (throws ParseError)
+    const parsed = parseFormula(formulaPart);
+    
+    // Display formula: the text without its charge and phase (MnO4^- → MnO4)
+    const { core } = extractCharge(formulaPart);
+    const formula = core.replace(/\s*\((?:s|l|g|aq)\)$/i, '').trim();
+    
+    return {
+        formula,
+        originalFormula: formulaPart,
+        coefficient: 1,
+        composition: parsed.elements,
+        charge: parsed.charge,
+        phase: parsed.phase,
+        name: name ? name.name : null,
         // Ignore user coefficient - let the balancer determine correct coefficients
         // Store the user's attempted coefficient for reference if needed
-        parsed.userInputCoefficient = userCoeff;
-        return parsed;
-    }
-    
-    return null;
+        userInputCoefficient: userCoeff
+    };
 }
 
 // Parse equation into reactants and products with charge-aware tokenization
@@ -255,32 +103,35 @@ function parseChemicalEquation(equation) {
     // Normalize Unicode before parsing
     equation = normalizeChemInput(equation);
     
-    // Comprehensive charge notation normalization
-    // Handle cases like: MnO4-, Fe+2, Cr2O7-2, SO4-2, etc.
-    equation = equation
-        // Pattern 1: Species ending with charge (MnO4-, SO4-2)
-        .replace(/([A-Za-z0-9)\]]+)([+-])([0-9]*)/g, (match, species, sign, charge) => {
-            const chargeNum = charge || '1';
-            return species + '^' + sign + chargeNum;
-        })
-        // Pattern 2: Already normalized charges (keep as-is)
-        .replace(/\^\^/g, '^')  // Remove double ^ if any
-        // Pattern 3: Handle edge cases with parentheses
-        .replace(/(\([^)]+\))([+-])([0-9]*)/g, (match, species, sign, charge) => {
-            const chargeNum = charge || '1';
-            return species + '^' + sign + chargeNum;
-        });
-    
-    // Split on equation arrows (→, =>, ->, =)
-    const arrowMatch = equation.match(/^(.*?)\s*(?:→|=>|->|=)\s*(.*)$/);
+    // Split on equation arrows (→, =>, ->, =). "=" is also a double bond (CH2=CH2), so without another
+    // arrow it is the arrow only when it stands alone with spaces around it, and only once
+    let arrowMatch = equation.match(/^(.*?)\s*(?:→|=>|->)\s*(.*)$/);
+    if (!arrowMatch && equation.includes('=')) {
+        const spaced = equation.match(/\s=\s/g) || [];
+        if (spaced.length !== 1) {
+            throw new ParseError(`Cannot tell the arrow from a double bond in "${equation}": write the arrow as -> or as " = " with spaces`, 0);
+        }
+        arrowMatch = equation.match(/^(.*?)\s=\s(.*)$/);
+    }
     if (!arrowMatch) return null;
     
     const [, left, right] = arrowMatch;
-    if (!left || !right) return null;
+    if (!left.trim()) {
+        throw new ParseError(`No reactants before the arrow in "${equation}"`, 0);
+    }
+    if (!right.trim()) {
+        throw new ParseError(`No products after the arrow in "${equation}"`, equation.trimEnd().length);
+    }
     
     // Parse each side using charge-aware tokenization
-    let reactants = parseEquationSide(left).filter(r => r);
-    let products = parseEquationSide(right).filter(p => p);
+    let reactants = parseEquationSide(left, 'reactants').filter(r => r);
+    let products = parseEquationSide(right, 'products', equation.length - right.length).filter(p => p);
+    
+    // Conflicting state symbols are checked before merging keeps them apart
+    const warnings = [
+        ...phaseConflictWarnings(reactants, 'reactants'),
+        ...phaseConflictWarnings(products, 'products')
+    ];
     
     // Merge duplicates and cancel spectators
     const simplified = cancelSpectatorsAndMergeDuplicates(reactants, products);
@@ -288,12 +139,26 @@ function parseChemicalEquation(equation) {
     return { 
         reactants: simplified.reactants, 
         products: simplified.products,
-        canceledSpectators: simplified.canceledSpectators
+        canceledSpectators: simplified.canceledSpectators,
+        warnings
     };
 }
 
-// Parse one side of equation with charge-aware tokenization
-function parseEquationSide(sideString) {
+// Warn when one side lists the same formula in different phases (NaCl(aq) + NaCl(s))
+function phaseConflictWarnings(species, sideName) {
+    return findPhaseConflicts(species).map(conflict =>
+        `${formatChargedFormula(conflict)} appears as ${conflict.phases.map(p => `(${p})`).join(' and ')} among the ${sideName}`
+    );
+}
+
+// Same phase, or at least one species without a state symbol
+function phasesCompatible(a, b) {
+    return !a.phase || !b.phase || a.phase === b.phase;
+}
+
+// Parse one side of equation with charge-aware tokenization; a "+" with nothing on one side is an
+// error (offset: where the side starts in the equation, for the error position)
+function parseEquationSide(sideString, sideName = 'reactants', offset = 0) {
     const species = [];
     
     // First attempt: split on + with spaces (clear separators)
@@ -306,7 +171,16 @@ function parseEquationSide(sideString) {
         tokens = protectedStr.split(/\+/).map(t => t.replace(/§PLUS§/g, '+'));
     }
     
+    let cursor = 0;
     for (const token of tokens) {
+        // "Fe + ->" leaves an empty term, "Fe + + O2" a term starting with a loose "+"
+        const start = sideString.indexOf(token, cursor);
+        const loose = token.trim() ? token.match(/^\s*\+(?=\s|$)|\s\+\s*$/) : null;
+        if (!token.trim() || loose) {
+            const plus = loose ? start + loose.index + loose[0].indexOf('+') : sideString.lastIndexOf('+', start);
+            throw new ParseError(`Missing a species next to "+" in the ${sideName}`, offset + Math.max(plus, 0));
+        }
+        cursor = start + token.length;
         const parsed = parseSpeciesWithLeadingCoeff(token.trim());
         if (parsed) {
             species.push(parsed);
@@ -316,11 +190,12 @@ function parseEquationSide(sideString) {
     return species;
 }
 
-// Cancel spectator species and merge duplicate entries
-function cancelSpectatorsAndMergeDuplicates(reactants, products) {
+// Cancel spectator species and merge duplicate entries.
+// Unlabelled species match labelled ones and take their phase; with ignorePhases, any phases match.
+function cancelSpectatorsAndMergeDuplicates(reactants, products, { ignorePhases = false } = {}) {
     // First merge duplicates on each side
-    const mergedReactants = mergeDuplicates(reactants);
-    const mergedProducts = mergeDuplicates(products);
+    const mergedReactants = mergeDuplicates(reactants, { ignorePhases });
+    const mergedProducts = mergeDuplicates(products, { ignorePhases });
     
     // Find spectators (species appearing on both sides)
     const canceledSpectators = [];
@@ -347,7 +222,7 @@ function cancelSpectatorsAndMergeDuplicates(reactants, products) {
             // Check if same formula (ignoring coefficients)
             if (reactant.formula === product.formula && 
                 reactant.charge === product.charge &&
-                reactant.phase === product.phase) {
+                (ignorePhases || phasesCompatible(reactant, product))) {
                 
                 const minCoeff = Math.min(reactant.coefficient, product.coefficient);
                 
@@ -355,7 +230,7 @@ function cancelSpectatorsAndMergeDuplicates(reactants, products) {
                     canceledSpectators.push({
                         formula: reactant.formula,
                         coefficient: minCoeff,
-                        phase: reactant.phase
+                        phase: reactant.phase || product.phase || null
                     });
                     
                     // Reduce coefficients
@@ -381,323 +256,52 @@ function cancelSpectatorsAndMergeDuplicates(reactants, products) {
     };
 }
 
-// Merge duplicate species by summing coefficients
-function mergeDuplicates(species) {
+// Merge duplicate species by summing coefficients; conflicting phases stay separate
+function mergeDuplicates(species, { ignorePhases = false } = {}) {
     const merged = [];
-    const formulaMap = new Map();
     
     for (const compound of species) {
-        const key = `${compound.formula}_${compound.charge || 0}_${compound.phase || ''}`;
+        const existing = merged.find(candidate =>
+            speciesKey(candidate) === speciesKey(compound) &&
+            (ignorePhases || phasesCompatible(candidate, compound)));
         
-        if (formulaMap.has(key)) {
-            // Add to existing
-            const existing = formulaMap.get(key);
+        if (existing) {
+            // Add to existing; an unlabelled entry takes the state symbol of a labelled duplicate
             existing.coefficient += compound.coefficient;
+            if (!existing.phase && compound.phase) {
+                existing.phase = compound.phase;
+                existing.originalFormula = compound.originalFormula;
+            }
         } else {
             // Create new entry
-            const newCompound = { ...compound };
-            formulaMap.set(key, newCompound);
-            merged.push(newCompound);
+            merged.push({ ...compound });
         }
     }
     
     return merged.filter(compound => compound.coefficient > 0);
 }
 
-// Build matrix A for balancing
-function buildBalanceMatrix(reactants, products, includeCharge = false) {
-    // Validate that every compound has a composition object
-    const allCompoundsRaw = [...reactants, ...products];
-    for (const c of allCompoundsRaw) {
-        if (!c || !c.composition || Object.keys(c.composition).length === 0) {
-            throw new Error(`Parse failure for species: ${c && c.originalFormula ? c.originalFormula : 'UNKNOWN'}`);
-        }
-    }
-    const allCompounds = [...reactants, ...products];
-    const elements = new Set();
-    let hasCharge = false;
-    
-    // Collect all elements and check for charges
-    allCompounds.forEach(compound => {
-        Object.keys(compound.composition).forEach(element => elements.add(element));
-        if (compound.charge !== 0) hasCharge = true;
-    });
-    
-    const elementList = Array.from(elements);
-    const numRows = elementList.length + (includeCharge || hasCharge ? 1 : 0);
-    const numCols = allCompounds.length;
-    
-    // Build matrix A where A*x = 0
-    const matrix = [];
-    
-    // Element balance rows
-    elementList.forEach(element => {
-        const row = [];
-        
-        // Reactants (negative coefficients)
-        reactants.forEach(compound => {
-            const count = compound.composition[element] || 0;
-            row.push(new Fraction(-count));
-        });
-        
-        // Products (positive coefficients)  
-        products.forEach(compound => {
-            const count = compound.composition[element] || 0;
-            row.push(new Fraction(count));
-        });
-        
-        matrix.push(row);
-    });
-    
-    // Charge balance row (if needed)
-    if (includeCharge || hasCharge) {
-        const row = [];
-        
-        reactants.forEach(compound => {
-            row.push(new Fraction(-compound.charge));
-        });
-        
-        products.forEach(compound => {
-            row.push(new Fraction(compound.charge));
-        });
-        
-        matrix.push(row);
-    }
-    
-    return { matrix, elements: elementList, compounds: allCompounds };
-}
-
-// Compute rational nullspace using Gaussian elimination
-function computeNullspace(matrix) {
-    const rows = matrix.length;
-    const cols = matrix[0].length;
-    
-    // Create augmented matrix for row reduction
-    const augmented = matrix.map(row => [...row]);
-    
-    // Gaussian elimination to reduced row echelon form
-    let pivot = 0;
-    const pivotCols = [];
-    
-    for (let col = 0; col < cols && pivot < rows; col++) {
-        // Find pivot row
-        let maxRow = pivot;
-        for (let row = pivot + 1; row < rows; row++) {
-            if (augmented[row][col].abs().toNumber() > augmented[maxRow][col].abs().toNumber()) {
-                maxRow = row;
-            }
-        }
-        
-        // Skip if column is zero
-        if (augmented[maxRow][col].isZero()) continue;
-        
-        // Swap rows
-        if (maxRow !== pivot) {
-            [augmented[pivot], augmented[maxRow]] = [augmented[maxRow], augmented[pivot]];
-        }
-        
-        pivotCols.push(col);
-        
-        // Make pivot = 1
-        const pivotVal = augmented[pivot][col];
-        for (let j = 0; j < cols; j++) {
-            augmented[pivot][j] = augmented[pivot][j].divide(pivotVal);
-        }
-        
-        // Eliminate column
-        for (let row = 0; row < rows; row++) {
-            if (row !== pivot && !augmented[row][col].isZero()) {
-                const factor = augmented[row][col];
-                for (let j = 0; j < cols; j++) {
-                    augmented[row][j] = augmented[row][j].subtract(augmented[pivot][j].multiply(factor));
-                }
-            }
-        }
-        
-        pivot++;
-    }
-    
-    // Find free variables (non-pivot columns)
-    const freeVars = [];
-    for (let col = 0; col < cols; col++) {
-        if (!pivotCols.includes(col)) {
-            freeVars.push(col);
-        }
-    }
-    
-    if (freeVars.length === 0) {
-        return null; // No non-trivial solution
-    }
-    
-    // Generate basis vectors for nullspace
-    const nullspaceBasis = [];
-    
-    freeVars.forEach(freeCol => {
-        const solution = new Array(cols).fill(null).map(() => new Fraction(0));
-        solution[freeCol] = new Fraction(1);
-        
-        // Back-substitute to find values of pivot variables
-        for (let i = pivotCols.length - 1; i >= 0; i--) {
-            const pivotCol = pivotCols[i];
-            let sum = new Fraction(0);
-            
-            for (let j = pivotCol + 1; j < cols; j++) {
-                sum = sum.add(augmented[i][j].multiply(solution[j]));
-            }
-            
-            solution[pivotCol] = sum.multiply(new Fraction(-1));
-        }
-        
-        nullspaceBasis.push(solution);
-    });
-    
-    return nullspaceBasis;
-}
-
-// Convert fractions to integers and find best solution with strict positivity
-function findBestIntegerSolution(nullspaceBasis, numReactants) {
-    if (!nullspaceBasis || nullspaceBasis.length === 0) return null;
-    
-    let bestSolution = null;
-    let bestScore = Infinity;
-    
-    // First try single basis vectors (original approach)
-    nullspaceBasis.forEach(originalBasis => {
-        // Try both the original vector and its negation
-        const candidateVectors = [originalBasis, originalBasis.map(f => f.multiply(new Fraction(-1)))];
-        
-        for (const basis of candidateVectors) {
-            const solution = evaluateNullspaceSolution(basis, numReactants);
-            if (solution && solution.score < bestScore) {
-                bestScore = solution.score;
-                bestSolution = solution.coefficients;
-            }
-        }
-    });
-    
-    // If no single vector works, try small integer combinations
-    if (!bestSolution && nullspaceBasis.length > 1) {
-        bestSolution = searchIntegerCombinations(nullspaceBasis, numReactants);
-    }
-    
-    return bestSolution;
-}
-
-// Evaluate a nullspace solution vector
-function evaluateNullspaceSolution(basis, numReactants) {
-    // Convert to integers first to check signs properly
-    const integers = convertToIntegers(basis);
-    if (!integers) return null;
-    
-    // Strict validation: ALL reactants must be > 0 AND ALL products must be > 0
-    let allReactantsPositive = true;
-    let allProductsPositive = true;
-    
-    // Check reactants (indices 0 to numReactants-1)
-    for (let i = 0; i < numReactants; i++) {
-        if (integers[i] <= 0) {
-            allReactantsPositive = false;
-            break;
-        }
-    }
-    
-    // Check products (indices numReactants to end)
-    for (let i = numReactants; i < integers.length; i++) {
-        if (integers[i] <= 0) {
-            allProductsPositive = false;
-            break;
-        }
-    }
-    
-    // Only accept candidates where all coefficients are positive on their respective sides
-    if (allReactantsPositive && allProductsPositive) {
-        const maxCoeff = Math.max(...integers);
-        const sumCoeff = integers.reduce((a, b) => a + b, 0);
-        const score = maxCoeff * 1000 + sumCoeff; // Prefer smaller max, then smaller sum
-        
-        return { coefficients: integers, score };
-    }
-    
-    return null;
+// ChemicalBalancer species for a parsed app.js compound
+function toBalancerSpecies(compound) {
+    return { elements: compound.composition, charge: compound.charge || 0 };
 }
 
-// Search for integer combinations of basis vectors
-function searchIntegerCombinations(nullspaceBasis, numReactants) {
-    let bestSolution = null;
-    let bestScore = Infinity;
-    
-    const maxWeight = 3; // Try weights from -3 to 3
-    const numBasis = Math.min(nullspaceBasis.length, 3); // Limit to first 3 basis vectors for performance
-    
-    // Generate all combinations of small integer weights
-    function generateWeights(depth, currentWeights) {
-        if (depth === numBasis) {
-            // Skip the all-zeros combination
-            if (currentWeights.every(w => w === 0)) return;
-            
-            // Compute linear combination
-            let combined = nullspaceBasis[0].map(() => new Fraction(0));
-            for (let i = 0; i < numBasis; i++) {
-                const weight = new Fraction(currentWeights[i]);
-                for (let j = 0; j < combined.length; j++) {
-                    combined[j] = combined[j].add(nullspaceBasis[i][j].multiply(weight));
-                }
-            }
-            
-            // Try both this combination and its negation
-            const candidates = [combined, combined.map(f => f.multiply(new Fraction(-1)))];
-            
-            for (const candidate of candidates) {
-                const solution = evaluateNullspaceSolution(candidate, numReactants);
-                if (solution && solution.score < bestScore) {
-                    bestScore = solution.score;
-                    bestSolution = solution.coefficients;
-                }
-            }
-            return;
-        }
-        
-        // Try all weights for current basis vector
-        for (let weight = -maxWeight; weight <= maxWeight; weight++) {
-            currentWeights[depth] = weight;
-            generateWeights(depth + 1, currentWeights);
+// Smallest positive integer coefficients (reactants then products) from ChemicalBalancer.
+// Throws BalanceError (NO_SOLUTION / NO_VALID_SOLUTION) when none exist.
+function solveCoefficients(reactants, products) {
+    for (const c of [...reactants, ...products]) {
+        if (!c || !c.composition || Object.keys(c.composition).length === 0) {
+            throw new Error(`Parse failure for species: ${c && c.originalFormula ? c.originalFormula : 'UNKNOWN'}`);
         }
     }
     
-    generateWeights(0, new Array(numBasis));
-    return bestSolution;
-}
-
-// Convert fraction vector to positive integers
-function convertToIntegers(fractions) {
-    // Find LCM of all denominators
-    let lcm = 1;
-    fractions.forEach(f => {
-        if (!f.isZero()) {
-            lcm = lcmTwo(lcm, f.den);
-        }
+    const result = ChemicalBalancer.balance({
+        reactants: reactants.map(toBalancerSpecies),
+        products: products.map(toBalancerSpecies),
+        mode: 'standard'
     });
     
-    // Scale to integers
-    const integers = fractions.map(f => Math.round(f.multiply(new Fraction(lcm)).toNumber()));
-    
-    // Make all positive
-    const minVal = Math.min(...integers);
-    if (minVal < 0) {
-        for (let i = 0; i < integers.length; i++) {
-            integers[i] = -integers[i];
-        }
-    }
-    
-    // Reduce by GCD
-    const gcdVal = integers.reduce((g, val) => val === 0 ? g : gcdTwo(g, Math.abs(val)), 0);
-    if (gcdVal > 1) {
-        for (let i = 0; i < integers.length; i++) {
-            integers[i] = integers[i] / gcdVal;
-        }
-    }
-    
-    return integers;
+    return { coefficients: result.details.integerCoefficients, elements: result.details.elements };
 }
 
 function gcdTwo(a, b) {
@@ -711,11 +315,9 @@ function lcmTwo(a, b) {
 // Heuristic diagnostic for charge imbalance with optional suggestions
 function attemptChargeMismatchDiagnostic(reactants, products, redoxAnalysis, reason) {
     try {
-        const elementOnly = buildBalanceMatrix(reactants, products, false);
-        const nullspaceElementOnly = computeNullspace(elementOnly.matrix);
-        if (!nullspaceElementOnly) return null; // even elements won't balance
-        const coeffsElementOnly = findBestIntegerSolution(nullspaceElementOnly, reactants.length);
-        if (!coeffsElementOnly) return null;
+        // Balance elements only by zeroing every charge (throws if even elements won't balance)
+        const neutral = compound => ({ ...compound, charge: 0 });
+        const { coefficients: coeffsElementOnly } = solveCoefficients(reactants.map(neutral), products.map(neutral));
         // Compute charges under that element-only balance
         const reactantCharge = reactants.reduce((sum, c, i) => sum + (c.charge || 0) * coeffsElementOnly[i], 0);
         const productCharge = products.reduce((sum, c, i) => sum + (c.charge || 0) * coeffsElementOnly[reactants.length + i], 0);
@@ -822,7 +424,7 @@ function detectCommonStoichiometryErrors(reactants, products) {
     }
     
     // ClO- + S2- missing H2O/OH-
-    if (allFormulas.includes('ClO') && allFormulas.includes('S2') &&
+    if (allFormulas.includes('ClO') && reactants.some(r => r.formula === 'S' && r.charge === -2) &&
         allFormulas.includes('Cl') && allFormulas.includes('S') &&
         !allFormulas.includes('H2O') && !allFormulas.includes('OH')) {
         hints.push('ClO^- + S^2- reaction occurs in basic conditions: ClO^- + S^2- + H2O → Cl^- + S + 2OH^-');
@@ -921,7 +523,7 @@ function suggestRedoxCompletion(reactants, products) {
     }
     
     // ClO- + S2- pattern (hypochlorite + sulfide)
-    if (rFormulas.includes('ClO') && rFormulas.includes('S2') && pFormulas.includes('Cl') && pFormulas.includes('S')) {
+    if (rFormulas.includes('ClO') && reactants.some(r => r.formula === 'S' && r.charge === -2) && pFormulas.includes('Cl') && pFormulas.includes('S')) {
         suggestions.push('ClO^- + S^2- + H2O → Cl^- + S + 2OH^-');
     }
     
@@ -934,7 +536,8 @@ function suggestRedoxCompletion(reactants, products) {
     return suggestions;
 }
 
-// Main balancing function with mode validation and auto-detection
+// Main balancing function with mode validation and auto-detection.
+// Formulas are parsed by ChemicalParser and solved by ChemicalBalancer (chem/).
 function balanceChemicalEquation(equation, mode = 'standard') {
     try {
         // Handle 'no reaction' cases gracefully
@@ -947,7 +550,7 @@ function balanceChemicalEquation(equation, mode = 'standard') {
             return { success: false, error: 'Invalid equation format. Use = or → to separate reactants and products.' };
         }
         
-        const { reactants, products } = parsed;
+        const { reactants, products, warnings } = parsed;
         
         // Auto-detect redox equations: if charges are present but mode is 'standard', upgrade to 'redox'
         const allSpecies = [...reactants, ...products];
@@ -977,17 +580,24 @@ function balanceChemicalEquation(equation, mode = 'standard') {
         }
         const isActuallyRedox = redoxAnalysis.isRedox;
         
-        // Use charge balance in Redox mode
+        // Charged species add a charge-balance row automatically
         const useChargeBalance = mode === 'redox';
-        const { matrix, elements, compounds } = buildBalanceMatrix(reactants, products, useChargeBalance);
-        
-        const nullspace = computeNullspace(matrix);
-        if (!nullspace) {
-            let fallbackResult = null;
+        let coefficients, elements;
+        try {
+            ({ coefficients, elements } = solveCoefficients(reactants, products));
+        } catch (error) {
+            if (!(error instanceof BalanceError)) throw error;
+            
+            const reason = error.code === 'NO_SOLUTION' ? 'NO_NULLSPACE' : 'NO_VALID_VECTOR';
             if (useChargeBalance) {
-                fallbackResult = attemptChargeMismatchDiagnostic(reactants, products, redoxAnalysis, 'NO_NULLSPACE');
+                const fallbackResult = attemptChargeMismatchDiagnostic(reactants, products, redoxAnalysis, reason);
                 if (fallbackResult) return fallbackResult;
             }
+            
+            if (reason === 'NO_VALID_VECTOR') {
+                return { success: false, error: 'Could not find integer solution.', redoxAnalysis };
+            }
+            
             // Enhanced error message with common chemistry hints
             let errorMsg = 'No solution exists. Check if the equation is chemically valid.';
             const commonHints = detectCommonStoichiometryErrors(reactants, products);
@@ -997,32 +607,47 @@ function balanceChemicalEquation(equation, mode = 'standard') {
             return { success: false, error: errorMsg, redoxAnalysis };
         }
         
-        const coefficients = findBestIntegerSolution(nullspace, reactants.length);
-        if (!coefficients) {
-            let fallbackResult = null;
-            if (useChargeBalance) {
-                fallbackResult = attemptChargeMismatchDiagnostic(reactants, products, redoxAnalysis, 'NO_VALID_VECTOR');
-                if (fallbackResult) return fallbackResult;
+        // Format result with preserved charges and phases
+        const reactantStrs = reactants.map((compound, i) => formatEquationTerm(compound, coefficients[i]));
+        const productStrs = products.map((compound, i) => formatEquationTerm(compound, coefficients[reactants.length + i]));
+        
+        const balanced = reactantStrs.join(' + ') + ' → ' + productStrs.join(' + ');
+        
+        // Textbook half-reaction breakdown for redox equations; molecular equations are split
+        // by their net ionic form, and the reason is kept when neither splits
+        let halfReactions = null;
+        let halfReactionsNote = null;
+        if (isActuallyRedox) {
+            try {
+                const hasHydroxide = allSpecies.some(s => speciesKey(s) === speciesKey(HALF_REACTION_SPECIES.hydroxide));
+                halfReactions = buildHalfReactionMethod(reactants, products, redoxAnalysis, hasHydroxide ? 'basic' : 'acidic') ||
+                    buildIonicHalfReactionMethod({ success: true, coefficients, reactants, products });
+            } catch (e) {
+                halfReactions = null;
+            }
+            if (!halfReactions) {
+                halfReactionsNote = 'The oxidation and reduction could not be separated into half-reactions that balance on their own ' +
+                    '(each half needs one species changing oxidation state on each side, plus H2O, H+ or OH-).';
             }
-            return { success: false, error: 'Could not find integer solution.', redoxAnalysis };
         }
         
-        // Format result with preserved phases
-        const reactantStrs = reactants.map((compound, i) => {
-            const coeff = coefficients[i];
-            const coeffStr = coeff > 1 ? coeff : '';
-            const phase = compound.phase ? `(${compound.phase})` : '';
-            return coeffStr + compound.formula + phase;
-        });
-        
-        const productStrs = products.map((compound, i) => {
-            const coeff = coefficients[reactants.length + i];
-            const coeffStr = coeff > 1 ? coeff : '';
-            const phase = compound.phase ? `(${compound.phase})` : '';
-            return coeffStr + compound.formula + phase;
-        });
+        // Electrochemistry from tabulated standard reduction potentials
+        let cellPotential = null;
+        if (isActuallyRedox) {
+            try {
+                cellPotential = analyzeCellPotential(reactants, products, coefficients, redoxAnalysis);
+            } catch (e) {
+                cellPotential = null;
+            }
+        }
         
-        const balanced = reactantStrs.join(' + ') + ' → ' + productStrs.join(' + ');
+        // Reaction type from compositions, oxidation states and solubility rules
+        let classification = null;
+        try {
+            classification = ReactionClassifier.classify({ success: true, reactants, products }, { redoxAnalysis });
+        } catch (e) {
+            classification = null;
+        }
         
         return {
             success: true,
@@ -1033,17 +658,29 @@ function balanceChemicalEquation(equation, mode = 'standard') {
             original: equation,
             redoxAnalysis: redoxAnalysis,
             isRedox: isActuallyRedox,
-            elements: elements
+            halfReactions: halfReactions,
+            halfReactionsNote: halfReactionsNote,
+            cellPotential: cellPotential,
+            classification: classification,
+            elements: elements,
+            warnings: warnings
         };
         
     } catch (error) {
+        if (error instanceof ParseError) {
+            return { success: false, error: error.message, position: error.position };
+        }
+        if (error instanceof NomenclatureError) {
+            return { success: false, error: error.message };
+        }
+
         // Try to provide redox completion suggestions for incomplete equations
         if (equation.includes('+') && equation.includes('→')) {
             try {
                 const parts = equation.split('→');
                 if (parts.length === 2) {
-                    const reactants = parseSpeciesList(parts[0]);
-                    const products = parseSpeciesList(parts[1]);
+                    const reactants = parseEquationSide(parts[0]);
+                    const products = parseEquationSide(parts[1]);
                     const suggestions = suggestRedoxCompletion(reactants, products);
                     
                     if (suggestions.length > 0) {
@@ -1064,633 +701,2623 @@ function balanceChemicalEquation(equation, mode = 'standard') {
     }
 }
 
-/**
- * Main Application Class
- */
-class StoichiometryCalculator {
-    constructor() {
-        this.currentEquation = null;
-        this.currentMode = 'standard';
-        
-        this.init();
-        this.setupEventListeners();
-        this.setupKeyboardShortcuts();
-        this.setupAccessibility();
-    }
+// Medium species added while balancing half-reactions
+const HALF_REACTION_SPECIES = {
+    water: { formula: 'H2O', composition: { H: 2, O: 1 }, charge: 0 },
+    proton: { formula: 'H', composition: { H: 1 }, charge: 1 },
+    hydroxide: { formula: 'OH', composition: { O: 1, H: 1 }, charge: -1 },
+    electron: { formula: 'e', composition: {}, charge: -1 }
+};
+
+// State symbols for the medium species when the equation uses them
+const HALF_REACTION_PHASES = { water: 'l', proton: 'aq', hydroxide: 'aq' };
+
+// Display a compound with its charge re-attached (e.g. Fe^2+, MnO4^-)
+function formatChargedFormula(compound) {
+    const charge = compound.charge || 0;
+    if (charge === 0) return compound.formula;
+    const magnitude = Math.abs(charge) === 1 ? '' : Math.abs(charge);
+    return `${compound.formula}^${magnitude}${charge > 0 ? '+' : '-'}`;
+}
 
-    /**
-     * Initialize the application
-     */
-    init() {
-        // Load saved preferences
-        this.loadPreferences();
-        
-        // Set initial focus
-        const equationInput = document.getElementById('equation-input');
-        if (equationInput) {
-            equationInput.focus();
-        }
+// Split a redox equation into oxidation and reduction halves, balance each by the
+// textbook method, equalize electrons and recombine. Returns null when no split is possible.
+function buildHalfReactionMethod(reactants, products, redoxAnalysis, medium = 'acidic') {
+    if (!redoxAnalysis || !redoxAnalysis.isRedox || !redoxAnalysis.osChanges) return null;
 
-        // Show example if no equation present
-        this.showExample();
-        
-        // Initialize FAQ interactions
-        this.initializeFAQ();
+    // Prefer elements other than H and O to decide the split (H2O2 → O2 is the exception)
+    let drivers = Object.keys(redoxAnalysis.osChanges).filter(el => el !== 'H' && el !== 'O');
+    if (drivers.length === 0) {
+        drivers = Object.keys(redoxAnalysis.osChanges);
     }
 
-    /**
-     * Setup event listeners for UI interactions
-     */
-    setupEventListeners() {
-        // Equation input
-        const equationInput = document.getElementById('equation-input');
-        if (equationInput) {
-            equationInput.addEventListener('input', this.handleEquationInput.bind(this));
-            equationInput.addEventListener('keydown', this.handleEquationKeydown.bind(this));
-        }
+    // H2O is the medium, except where O changes state: in 2H2O2 → 2H2O + O2 it is the reduced species
+    const isMediumSpecies = (compound, element) =>
+        [HALF_REACTION_SPECIES.proton, HALF_REACTION_SPECIES.hydroxide, ...(element === 'O' ? [] : [HALF_REACTION_SPECIES.water])]
+            .some(m => speciesKey(m) === speciesKey(compound));
 
-        // Mode selection
-        const modeInputs = document.querySelectorAll('input[name="calculation-mode"]');
-        modeInputs.forEach(input => {
-            input.addEventListener('change', this.handleModeChange.bind(this));
-        });
+    const halves = {
+        oxidation: { reactants: new Set(), products: new Set() },
+        reduction: { reactants: new Set(), products: new Set() }
+    };
 
-        // Balance button
-        const balanceBtn = document.getElementById('balance-btn');
-        if (balanceBtn) {
+    for (const element of drivers) {
+        reactants.forEach((reactant, i) => {
+            const before = redoxAnalysis.reactantOS[i]?.[element];
+            if (before === undefined || isMediumSpecies(reactant, element)) return;
+
+            products.forEach((product, j) => {
+                const after = redoxAnalysis.productOS[j]?.[element];
+                if (after === undefined || isMediumSpecies(product, element) || after === before) return;
+
+                const half = after > before ? halves.oxidation : halves.reduction;
+                half.reactants.add(i);
+                half.products.add(j);
+            });
+        });
+    }
+
+    if (halves.oxidation.reactants.size === 0 || halves.reduction.reactants.size === 0) return null;
+
+    const oxidation = balanceHalfReaction(
+        [...halves.oxidation.reactants].map(i => reactants[i]),
+        [...halves.oxidation.products].map(j => products[j]),
+        medium
+    );
+    const reduction = balanceHalfReaction(
+        [...halves.reduction.reactants].map(i => reactants[i]),
+        [...halves.reduction.products].map(j => products[j]),
+        medium
+    );
+    if (!oxidation || !reduction) return null;
+
+    // Equalize electrons lost and gained
+    const electrons = lcmTwo(oxidation.electrons, reduction.electrons);
+    const oxidationFactor = electrons / oxidation.electrons;
+    const reductionFactor = electrons / reduction.electrons;
+
+    // Combine: sum both halves and cancel anything on both sides (e-, H2O, H+, OH-)
+    const net = new Map();
+    const accumulate = (terms, factor, sign) => {
+        terms.forEach(term => {
+            const key = speciesKey(term.compound);
+            const entry = net.get(key) || { compound: term.compound, coeff: 0 };
+            entry.coeff += sign * term.coeff * factor;
+            net.set(key, entry);
+        });
+    };
+    accumulate(oxidation.left, oxidationFactor, -1);
+    accumulate(oxidation.right, oxidationFactor, 1);
+    accumulate(reduction.left, reductionFactor, -1);
+    accumulate(reduction.right, reductionFactor, 1);
+
+    const netTerms = [...net.values()].filter(entry => entry.coeff !== 0);
+    const netGcd = netTerms.reduce((g, entry) => gcdTwo(g, Math.abs(entry.coeff)), 0) || 1;
+    const combined = {
+        left: netTerms.filter(e => e.coeff < 0).map(e => ({ compound: e.compound, coeff: -e.coeff / netGcd })),
+        right: netTerms.filter(e => e.coeff > 0).map(e => ({ compound: e.compound, coeff: e.coeff / netGcd }))
+    };
+
+    return {
+        medium,
+        oxidation: { ...oxidation, equation: formatHalfReaction(oxidation) },
+        reduction: { ...reduction, equation: formatHalfReaction(reduction) },
+        electronsTransferred: electrons,
+        oxidationFactor,
+        reductionFactor,
+        combined: { ...combined, equation: formatHalfReaction(combined) }
+    };
+}
+
+// Half-reaction method on the net ionic equation of a molecular one: the spectator ions
+// (K+ and SO4^2- in KMnO4 + FeSO4 + H2SO4) are dropped before the split. Null when nothing dissociates.
+function buildIonicHalfReactionMethod(result) {
+    const ionic = buildNetIonicEquation(result);
+    if (!ionic || ionic.noReaction) return null;
+
+    const toCompound = term => ({
+        formula: term.formula,
+        composition: parseFormula(term.formula).elements,
+        charge: term.charge || 0,
+        phase: term.phase || null,
+        coefficient: 1
+    });
+    const reactants = ionic.netIonic.reactants.map(toCompound);
+    const products = ionic.netIonic.products.map(toCompound);
+    const hasHydroxide = [...reactants, ...products].some(s => speciesKey(s) === speciesKey(HALF_REACTION_SPECIES.hydroxide));
+    const redoxAnalysis = new OxidationStateEngine().analyzeRedoxReaction(reactants, products);
+    return buildHalfReactionMethod(reactants, products, redoxAnalysis, hasHydroxide ? 'basic' : 'acidic');
+}
+
+// Balance one half-reaction: atoms other than O/H, then O with H2O, H with H+ (or OH-), charge with e-
+function balanceHalfReaction(left, right, medium) {
+    const steps = [];
+    const terms = {
+        left: left.map(compound => ({ compound, coeff: 1 })),
+        right: right.map(compound => ({ compound, coeff: 1 }))
+    };
+
+    const labelled = [...left, ...right].some(compound => compound.phase);
+    const mediumSpecies = name => labelled && HALF_REACTION_PHASES[name]
+        ? { ...HALF_REACTION_SPECIES[name], phase: HALF_REACTION_PHASES[name] }
+        : HALF_REACTION_SPECIES[name];
+
+    // 1. Atoms other than O and H
+    const stripOH = compound => {
+        const composition = { ...compound.composition };
+        delete composition.O;
+        delete composition.H;
+        return { ...compound, composition, charge: 0 };
+    };
+    const coreLeft = terms.left.filter(t => Object.keys(stripOH(t.compound).composition).length > 0);
+    const coreRight = terms.right.filter(t => Object.keys(stripOH(t.compound).composition).length > 0);
+
+    if (coreLeft.length > 0 && coreRight.length > 0) {
+        let coefficients;
+        try {
+            ({ coefficients } = solveCoefficients(coreLeft.map(t => stripOH(t.compound)), coreRight.map(t => stripOH(t.compound))));
+        } catch (e) {
+            return null;
+        }
+        [...coreLeft, ...coreRight].forEach((term, i) => { term.coeff = coefficients[i]; });
+    }
+    steps.push({ label: 'Balance atoms other than O and H', equation: formatHalfReaction(terms) });
+
+    const count = (side, element) => side.reduce((sum, t) => sum + (t.compound.composition[element] || 0) * t.coeff, 0);
+    const charge = side => side.reduce((sum, t) => sum + (t.compound.charge || 0) * t.coeff, 0);
+    const addTerm = (side, compound, coeff) => {
+        if (coeff <= 0) return;
+        const existing = side.find(t => speciesKey(t.compound) === speciesKey(compound));
+        if (existing) {
+            existing.coeff += coeff;
+        } else {
+            side.push({ compound, coeff });
+        }
+    };
+
+    // 2. Oxygen with water
+    const oxygenDiff = count(terms.left, 'O') - count(terms.right, 'O');
+    addTerm(oxygenDiff > 0 ? terms.right : terms.left, mediumSpecies('water'), Math.abs(oxygenDiff));
+    steps.push({ label: 'Balance O with H2O', equation: formatHalfReaction(terms) });
+
+    // 3. Hydrogen with H+
+    const hydrogenDiff = count(terms.left, 'H') - count(terms.right, 'H');
+    addTerm(hydrogenDiff > 0 ? terms.right : terms.left, mediumSpecies('proton'), Math.abs(hydrogenDiff));
+    steps.push({ label: 'Balance H with H+', equation: formatHalfReaction(terms) });
+
+    // 3b. Basic medium: neutralize every H+ with OH- on both sides, then cancel water
+    if (medium === 'basic') {
+        for (const side of ['left', 'right']) {
+            const other = side === 'left' ? 'right' : 'left';
+            const protonIndex = terms[side].findIndex(t => speciesKey(t.compound) === speciesKey(HALF_REACTION_SPECIES.proton));
+            if (protonIndex === -1) continue;
+
+            const protons = terms[side][protonIndex].coeff;
+            terms[side].splice(protonIndex, 1);
+            addTerm(terms[side], mediumSpecies('water'), protons);
+            addTerm(terms[other], mediumSpecies('hydroxide'), protons);
+        }
+
+        const waterKey = speciesKey(HALF_REACTION_SPECIES.water);
+        const leftWater = terms.left.find(t => speciesKey(t.compound) === waterKey);
+        const rightWater = terms.right.find(t => speciesKey(t.compound) === waterKey);
+        if (leftWater && rightWater) {
+            const common = Math.min(leftWater.coeff, rightWater.coeff);
+            leftWater.coeff -= common;
+            rightWater.coeff -= common;
+        }
+        terms.left = terms.left.filter(t => t.coeff > 0);
+        terms.right = terms.right.filter(t => t.coeff > 0);
+        steps.push({ label: 'Convert H+ to OH- (basic medium)', equation: formatHalfReaction(terms) });
+    }
+
+    // 4. Charge with electrons on the more positive side
+    const chargeDiff = charge(terms.left) - charge(terms.right);
+    addTerm(chargeDiff > 0 ? terms.left : terms.right, mediumSpecies('electron'), Math.abs(chargeDiff));
+    steps.push({ label: 'Balance charge with e-', equation: formatHalfReaction(terms) });
+
+    if (chargeDiff === 0) return null; // Not a half-reaction: no electrons change hands
+
+    return { left: terms.left, right: terms.right, electrons: Math.abs(chargeDiff), steps };
+}
+
+// Format half-reaction terms as "2MnO4^- + 8H^+ + 5e^- → ..." (with any state symbols)
+function formatHalfReaction({ left, right }) {
+    const side = terms => terms
+        .filter(t => t.coeff > 0)
+        .map(t => formatEquationTerm(t.compound, t.coeff))
+        .join(' + ');
+    return `${side(left)} → ${side(right)}`;
+}
+
+// Key used to match the same species across steps (formula + charge)
+function speciesKey(compound) {
+    return `${compound.formula}_${compound.charge || 0}`;
+}
+
+// Format one "coefficient + formula + charge + phase" term of an equation
+function formatEquationTerm(compound, coeff) {
+    const phase = compound.phase ? `(${compound.phase})` : '';
+    return (coeff > 1 ? coeff : '') + formatChargedFormula(compound) + phase;
+}
+
+// Molar mass (g/mol) of a parsed app.js compound
+function compoundMolarMass(compound) {
+    return MolarMassCalculator.calculate({ elements: compound.composition, charge: compound.charge || 0 }).decimalMass;
+}
+
+// Slice colors for the composition chart, one per element in formula order
+const COMPOSITION_COLORS = ['#1d4ed8', '#b91c1c', '#047857', '#b45309', '#7c3aed', '#0e7490', '#be185d', '#4d7c0f', '#374151'];
+
+// Percent composition of a typed formula or a parsed app.js compound (MolarMassCalculator)
+function inspectFormula(formula) {
+    try {
+        if (typeof formula === 'string') {
+            if (!formula.trim()) {
+                return { success: false, error: 'Enter a formula to inspect, e.g. CuSO4·5H2O.' };
+            }
+            return { success: true, ...MolarMassCalculator.percentComposition(formula.trim()) };
+        }
+
+        const inspection = MolarMassCalculator.percentComposition({ elements: formula.composition, charge: formula.charge || 0 });
+        return {
+            success: true,
+            ...inspection,
+            formula: formatChargedFormula(formula),
+            hydrate: MolarMassCalculator.hydrateWater(formula.formula || '', inspection.molarMass)
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Exact masses and isotope pattern for the inspector (MolarMassCalculator)
+// charge: charge state for m/z, or null for the formula's own charge
+function isotopePattern(formula, charge = null) {
+    try {
+        return { success: true, ...MolarMassCalculator.isotopePattern(formula.trim(), { charge }) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// A calculated value rounded to its significant figures (SigFigs), "1.20e3" shown as 1.20 × 10³.
+// Exact values keep the usual four figures; fullPrecision shows every digit instead of rounding.
+function formatMeasured(value, precision, fullPrecision = false) {
+    if (value === null || value === undefined) return '—';
+    if (fullPrecision) return Number(value.toPrecision(12)).toString();
+    if (!precision || !Number.isFinite(precision.sigFigs)) return Number(value.toPrecision(4)).toString();
+
+    return SigFigs.format(value, precision.sigFigs).replace(/e(-?\d+)$/, (_, exponent) =>
+        ` × 10${exponent.replace(/-/, '⁻').replace(/\d/g, digit => '⁰¹²³⁴⁵⁶⁷⁸⁹'[digit])}`);
+}
+
+// Standard cell potential, ΔG° and K for a balanced redox equation.
+// n comes from the oxidation-state engine; couples from the standard potential table.
+function analyzeCellPotential(reactants, products, coefficients, redoxAnalysis) {
+    if (!redoxAnalysis || !redoxAnalysis.isRedox) return null;
+
+    const osEngine = new OxidationStateEngine();
+    const electrons = osEngine.calculateElectronTransfer(redoxAnalysis.osChanges, {
+        products,
+        productOS: redoxAnalysis.productOS,
+        productCoefficients: coefficients.slice(reactants.length)
+    });
+
+    const toSpecies = (compound, coeff) => ({
+        formula: formatChargedFormula(compound),
+        elements: compound.composition,
+        charge: compound.charge || 0,
+        phase: compound.phase || null,
+        coeff
+    });
+
+    const analysis = CellPotentialCalculator.analyze({
+        reactants: reactants.map((c, i) => toSpecies(c, coefficients[i])),
+        products: products.map((c, i) => toSpecies(c, coefficients[reactants.length + i])),
+        electrons
+    });
+
+    return {
+        ...analysis,
+        reactants: reactants.map((c, i) => toSpecies(c, coefficients[i])),
+        products: products.map((c, i) => toSpecies(c, coefficients[reactants.length + i]))
+    };
+}
+
+// Complete and net ionic equations for a balanced result (chem/ionic.js).
+// Returns null when no species splits into ions or the result cannot be read.
+function buildNetIonicEquation(result) {
+    if (!result || !result.success) return null;
+
+    try {
+        const ionic = NetIonicEngine.build(result);
+        return ionic.species.some(species => species.dissociated) ? ionic : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Names of a balanced equation's species ("iron + oxygen → iron(III) oxide"), or null
+// when none of them has one. Typed names are kept; formulas are named by chem/nomenclature.js.
+function speciesNames(result) {
+    if (!result || !result.success) return null;
+
+    let named = 0;
+    const nameOf = species => {
+        if (species.name) {
+            named++;
+            return species.name.replace(/\s*\((?:s|l|g|aq)\)$/i, '');
+        }
+        try {
+            const { name } = NomenclatureEngine.toName(species);
+            named++;
+            return name;
+        } catch (error) {
+            return species.formula;
+        }
+    };
+    const side = list => list.map(nameOf).join(' + ');
+    const text = `${side(result.reactants)} → ${side(result.products)}`;
+    return named > 0 ? text : null;
+}
+
+// Reactant text of a reactant-only equation ("C3H8 + O2 ->"), otherwise null
+function reactantsOnly(equation) {
+    const match = normalizeChemInput(equation).match(/^(.*?)\s*(?:→|=>|->|=)\s*$/);
+    return match && match[1].trim() ? match[1].trim() : null;
+}
+
+// Complete a reactant-only equation with predicted products (chem/predict.js).
+// Each candidate is balanced; the ones that balance are returned by confidence.
+function predictProducts(equation, mode = 'standard') {
+    const left = reactantsOnly(equation);
+    if (!left) {
+        return { success: false, error: 'Enter only reactants followed by an arrow, e.g. "C3H8 + O2 ->".' };
+    }
+
+    let candidates, notes;
+    try {
+        ({ candidates, notes } = ProductPredictor.predict(parseEquationSide(left)));
+    } catch (error) {
+        if (error instanceof ParseError) {
+            return { success: false, error: error.message, position: error.position };
+        }
+        return { success: false, error: `Prediction error: ${error.message}` };
+    }
+
+    const predictions = [];
+    for (const candidate of candidates) {
+        const equationText = `${left} → ${candidate.products.join(' + ')}`;
+        const result = balanceChemicalEquation(equationText, mode);
+        if (result.success) {
+            predictions.push({ ...candidate, equation: equationText, result });
+        }
+    }
+
+    if (predictions.length === 0) {
+        return { success: false, error: notes[0] || `No products could be predicted for ${left}.`, notes };
+    }
+    return { success: true, predictions, notes };
+}
+
+// Read "C 40.0, H 6.71" or "C=40.0 H=6.71" into {C: 40, H: 6.71}
+function parseElementAmounts(text) {
+    const amounts = {};
+    const pattern = /([A-Z][a-z]?)\s*[:=]?\s*(\d*\.?\d+(?:e[-+]?\d+)?)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        amounts[match[1]] = (amounts[match[1]] || 0) + parseFloat(match[2]);
+    }
+    return amounts;
+}
+
+// Empirical formula from mass %, grams or combustion analysis (MolarMassCalculator),
+// plus the molecular formula when the molar mass is given
+// input: { method: 'percentages'|'masses'|'combustion', amounts, combustion, molarMass }
+function findEmpiricalFormula({ method = 'percentages', amounts = {}, combustion = null, molarMass = null }) {
+    try {
+        let result;
+        if (method === 'combustion') {
+            result = MolarMassCalculator.combustionAnalysis(combustion || {});
+        } else {
+            if (Object.keys(amounts).length === 0) {
+                return { success: false, error: 'Enter each element and its amount, e.g. C 40.0, H 6.71, O 53.29.' };
+            }
+            result = method === 'masses'
+                ? MolarMassCalculator.empiricalFromMasses(amounts)
+                : MolarMassCalculator.empiricalFromPercentages(amounts);
+        }
+
+        const molecular = molarMass ? MolarMassCalculator.molecularFormula(result.empirical, molarMass) : null;
+        return { success: true, ...result, molecular };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Starting material (a reactant of the first step) or final product (a product of the last step).
+// A formula given by the user must be on that side; otherwise the candidates are the species no
+// other step consumes or produces, which skips recurring reagents (O2) and by-products (H2O, NO).
+// Returns { index } with index null when more than one candidate is left, or { error }.
+function sequenceEndpoint(balancedSteps, side, wanted) {
+    const stepIndex = side === 'reactants' ? 0 : balancedSteps.length - 1;
+    const species = balancedSteps[stepIndex].result[side];
+    const where = side === 'reactants' ? 'a reactant of the first step' : 'a product of the last step';
+
+    if (wanted) {
+        let key;
+        try {
+            key = speciesKey(parseSpeciesWithLeadingCoeff(wanted));
+        } catch (error) {
+            return { error: `${wanted}: ${error.message}` };
+        }
+        const index = species.findIndex(compound => speciesKey(compound) === key);
+        return index === -1 ? { error: `${wanted} is not ${where}.` } : { index };
+    }
+
+    const elsewhere = new Set();
+    balancedSteps.forEach(({ result }, i) => {
+        if (i === stepIndex) return;
+        [...result.reactants, ...result.products].forEach(compound => elsewhere.add(speciesKey(compound)));
+    });
+    const unique = species.map((compound, index) => index).filter(index => !elsewhere.has(speciesKey(species[index])));
+    const candidates = unique.length > 0 ? unique : species.map((compound, index) => index);
+
+    return {
+        index: candidates.length === 1 ? candidates[0] : null,
+        candidates: candidates.map(index => species[index].formula)
+    };
+}
+
+// Balance a multi-step synthesis, link intermediates and propagate yields
+// steps: [{ equation, yield }] with yield in percent (default 100)
+// options.targetGrams: desired mass of the final product (optional)
+// options.startingMaterial, options.finalProduct: formulas of the ends of the sequence, detected when
+// omitted (null in the report when several species qualify; a target mass then needs them given)
+function balanceReactionSequence(steps, options = {}) {
+    const { mode = 'standard', targetGrams = null } = options;
+
+    if (!steps || steps.length === 0) {
+        return { success: false, error: 'Enter at least one reaction step.' };
+    }
+
+    // 1. Balance every step on its own
+    const balancedSteps = [];
+    for (let i = 0; i < steps.length; i++) {
+        const stepYield = steps[i].yield === undefined || steps[i].yield === null ? 100 : Number(steps[i].yield);
+        if (!Number.isFinite(stepYield) || stepYield <= 0 || stepYield > 100) {
+            return { success: false, error: `Step ${i + 1}: yield must be between 0 and 100%.`, step: i };
+        }
+
+        const result = balanceChemicalEquation(steps[i].equation, mode);
+        if (!result.success) {
+            return { success: false, error: `Step ${i + 1}: ${result.error}`, step: i };
+        }
+
+        balancedSteps.push({ result, yield: stepYield, multiplier: 1, link: null });
+    }
+
+    // 2. Link a product of step n to a reactant of step n+1
+    for (let i = 0; i < balancedSteps.length - 1; i++) {
+        const current = balancedSteps[i].result;
+        const next = balancedSteps[i + 1].result;
+
+        let link = null;
+        current.products.forEach((product, p) => {
+            if (link) return;
+            const r = next.reactants.findIndex(reactant => speciesKey(reactant) === speciesKey(product));
+            if (r !== -1) {
+                link = {
+                    formula: product.formula,
+                    productIndex: p,
+                    reactantIndex: r,
+                    producedCoeff: current.coefficients[current.reactants.length + p],
+                    consumedCoeff: next.coefficients[r]
+                };
+            }
+        });
+
+        if (!link) {
+            return {
+                success: false,
+                error: `Step ${i + 2} does not use any product of step ${i + 1} as a reactant.`,
+                step: i + 1
+            };
+        }
+        balancedSteps[i + 1].link = link;
+    }
+
+    // 3. Integer multipliers so each intermediate is produced exactly as fast as it is consumed
+    for (let i = 1; i < balancedSteps.length; i++) {
+        const { producedCoeff, consumedCoeff } = balancedSteps[i].link;
+        const produced = balancedSteps[i - 1].multiplier * producedCoeff;
+        const l = lcmTwo(produced, consumedCoeff);
+        const scalePrevious = l / produced;
+        for (let j = 0; j < i; j++) {
+            balancedSteps[j].multiplier *= scalePrevious;
+        }
+        balancedSteps[i].multiplier = l / consumedCoeff;
+    }
+
+    // 4. Net equation: sum the scaled steps and cancel shared intermediates
+    const allReactants = [];
+    const allProducts = [];
+    balancedSteps.forEach(({ result, multiplier }) => {
+        result.reactants.forEach((compound, i) => {
+            allReactants.push({ ...compound, coefficient: result.coefficients[i] * multiplier });
+        });
+        result.products.forEach((compound, i) => {
+            allProducts.push({ ...compound, coefficient: result.coefficients[result.reactants.length + i] * multiplier });
+        });
+    });
+
+    // Intermediates are matched on formula and charge only; the remaining species keep their phases
+    const net = cancelSpectatorsAndMergeDuplicates(allReactants, allProducts, { ignorePhases: true });
+    const netGcd = [...net.reactants, ...net.products].reduce((g, c) => gcdTwo(g, c.coefficient), 0) || 1;
+    const netEquation = net.reactants.map(c => formatEquationTerm(c, c.coefficient / netGcd)).join(' + ') +
+        ' → ' + net.products.map(c => formatEquationTerm(c, c.coefficient / netGcd)).join(' + ');
+
+    // 5. Yield propagation
+    let cumulative = 1;
+    const stepReports = balancedSteps.map((step, i) => {
+        cumulative *= step.yield / 100;
+        return {
+            index: i,
+            equation: steps[i].equation,
+            balanced: step.result.balanced,
+            yield: step.yield,
+            cumulativeYield: cumulative * 100,
+            multiplier: step.multiplier,
+            link: step.link ? { formula: step.link.formula } : null
+        };
+    });
+
+    const first = balancedSteps[0].result;
+    const last = balancedSteps[balancedSteps.length - 1].result;
+    const start = sequenceEndpoint(balancedSteps, 'reactants', options.startingMaterial);
+    const end = sequenceEndpoint(balancedSteps, 'products', options.finalProduct);
+    const endpointError = start.error || end.error;
+    if (endpointError) {
+        return { success: false, error: endpointError };
+    }
+    const startingMaterial = start.index === null ? null : first.reactants[start.index];
+    const finalProduct = end.index === null ? null : last.products[end.index];
+
+    const report = {
+        success: true,
+        steps: stepReports,
+        overallYield: cumulative * 100,
+        netEquation,
+        canceledIntermediates: net.canceledSpectators,
+        startingMaterial: startingMaterial ? { formula: startingMaterial.formula } : null,
+        finalProduct: finalProduct ? { formula: finalProduct.formula } : null
+    };
+
+    // 6. Work backwards from the target amount of final product
+    if (targetGrams !== null && targetGrams !== undefined && targetGrams !== '') {
+        const target = Number(targetGrams);
+        if (!Number.isFinite(target) || target <= 0) {
+            return { success: false, error: 'Target mass must be a positive number.' };
+        }
+        if (!startingMaterial) {
+            return { success: false, error: `Choose the starting material: ${start.candidates.join(', ')} could each be it.` };
+        }
+        if (!finalProduct) {
+            return { success: false, error: `Choose the final product: ${end.candidates.join(', ')} could each be it.` };
+        }
+
+        let moles = target / compoundMolarMass(finalProduct);
+        let wantedCoeff = last.coefficients[last.reactants.length + end.index];
+
+        for (let i = balancedSteps.length - 1; i >= 0; i--) {
+            const { result, yield: stepYield, link } = balancedSteps[i];
+            // Moles of "reaction events" needed in this step at its yield
+            const extent = moles / wantedCoeff / (stepYield / 100);
+
+            if (i === 0) {
+                moles = extent * result.coefficients[start.index];
+            } else {
+                // Intermediate needed from the previous step
+                const previous = balancedSteps[i - 1].result;
+                moles = extent * result.coefficients[link.reactantIndex];
+                wantedCoeff = previous.coefficients[previous.reactants.length + link.productIndex];
+            }
+        }
+
+        report.target = { grams: target, moles: target / compoundMolarMass(finalProduct) };
+        report.startingMaterial.moles = moles;
+        report.startingMaterial.grams = moles * compoundMolarMass(startingMaterial);
+    }
+
+    return report;
+}
+
+// Quick-insert buttons of the periodic-table picker; ions are names in POLYATOMIC_IONS
+const PICKER_IONS = ['ammonium', 'hydroxide', 'nitrate', 'sulfate', 'carbonate', 'phosphate', 'acetate', 'permanganate', 'dichromate', 'chlorate'];
+const PICKER_STATES = ['(s)', '(l)', '(g)', '(aq)'];
+const PICKER_CHARGES = ['^+', '^-', '^2+', '^2-', '^3+', '^3-'];
+
+// Cell of an element in the picker grid: columns are groups, rows are periods.
+// La–Yb and Ac–No (no group) go in two rows under the table, starting below group 3.
+function periodicGridPosition(element) {
+    if (element.group !== null) return { row: element.period, column: element.group };
+    const first = element.period === 6 ? 57 : 89;
+    return { row: element.period + 3, column: element.atomicNumber - first + 3 };
+}
+
+// Hover details for the picker: atomic mass from the periodic-table dataset and common
+// oxidation states from the oxidation-state database, or from the dataset where it has no entry
+function pickerElementDetails(symbol) {
+    const element = PeriodicTable.get(symbol);
+    if (!element) return null;
+
+    const entry = COMPLETE_OXIDATION_DB[symbol];
+    const oxidationStates = entry
+        ? entry.commonStates
+        : element.oxidationStates.map(state => (state > 0 ? `+${state}` : String(state)));
+    const notes = entry
+        ? entry.commonStates.filter(state => entry.stateDetails[state]).map(state => `${state}: ${entry.stateDetails[state].description}`)
+        : [];
+
+    return {
+        symbol,
+        name: element.name,
+        atomicNumber: element.atomicNumber,
+        // Mass numbers of elements without a standard atomic weight are bracketed, as in printed tables
+        atomicMass: element.standardWeight ? String(element.atomicWeight) : `[${element.atomicWeight}]`,
+        oxidationStates,
+        notes,
+        category: element.category
+    };
+}
+
+// Plain-text tooltip for a picker element
+function pickerElementTooltip(symbol) {
+    const details = pickerElementDetails(symbol);
+    if (!details) return '';
+
+    const states = details.oxidationStates.length ? details.oxidationStates.join(', ') : 'none common';
+    return [
+        `${details.name} (${details.atomicNumber})`,
+        `Atomic mass: ${details.atomicMass} g/mol`,
+        `Oxidation states: ${states}`,
+        ...details.notes
+    ].join('\n');
+}
+
+// Expanded formula of an abbreviation macro (Ph -> C6H5)
+function macroExpansion(macro) {
+    return Object.entries(macro.elements).map(([element, count]) => (count === 1 ? element : `${element}${count}`)).join('');
+}
+
+// Register a user abbreviation (Tol = C7H7) with the lexer. The formula must be a neutral
+// fragment of known elements; it may itself use other macros (PhCH2).
+function defineFormulaMacro(symbol, formula) {
+    const abbreviation = String(symbol ?? '').trim();
+    const text = String(formula ?? '').trim();
+    if (!abbreviation || !text) {
+        return { success: false, error: 'Enter an abbreviation and the formula it stands for' };
+    }
+
+    try {
+        const parsed = parseFormula(text);
+        const unknown = Object.keys(parsed.elements).find(element => !PeriodicTable.get(element));
+        if (unknown) {
+            return { success: false, error: `Unknown element "${unknown}" in ${text}` };
+        }
+        if (parsed.charge !== 0 || parsed.phase) {
+            return { success: false, error: 'Abbreviations stand for neutral fragments: leave out charges and state symbols' };
+        }
+        ChemicalLexer.defineMacro(abbreviation, parsed.elements, text);
+        return { success: true, symbol: abbreviation, formula: text };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Main Application Class
+ */
+class StoichiometryCalculator {
+    constructor() {
+        this.currentEquation = null;
+        this.currentMode = 'standard';
+        this.fullPrecision = false;
+        // User abbreviation macros, symbol -> formula; saved with the preferences
+        this.macros = {};
+
+        this.init();
+        this.setupEventListeners();
+        this.setupKeyboardShortcuts();
+        this.setupAccessibility();
+    }
+
+    /**
+     * Initialize the application
+     */
+    init() {
+        // Load saved preferences
+        this.loadPreferences();
+        
+        // Set initial focus
+        const equationInput = document.getElementById('equation-input');
+        if (equationInput) {
+            equationInput.focus();
+        }
+
+        // Show example if no equation present
+        this.showExample();
+        
+        // Initialize FAQ interactions
+        this.initializeFAQ();
+    }
+
+    /**
+     * Setup event listeners for UI interactions
+     */
+    setupEventListeners() {
+        // Equation input
+        const equationInput = document.getElementById('equation-input');
+        if (equationInput) {
+            equationInput.addEventListener('input', this.handleEquationInput.bind(this));
+            equationInput.addEventListener('keydown', this.handleEquationKeydown.bind(this));
+        }
+
+        // Periodic-table picker
+        const pickerToggle = document.getElementById('periodic-toggle');
+        if (pickerToggle) {
+            pickerToggle.addEventListener('click', this.handlePickerToggle.bind(this));
+        }
+        const picker = document.getElementById('periodic-picker');
+        if (picker) {
+            this.renderPeriodicPicker(picker);
+            picker.addEventListener('click', this.handlePickerInsert.bind(this));
+            picker.addEventListener('mouseover', this.handlePickerHover.bind(this));
+            picker.addEventListener('focusin', this.handlePickerHover.bind(this));
+        }
+
+        // Abbreviation macros
+        this.renderMacroList();
+        const macroAddBtn = document.getElementById('macro-add-btn');
+        if (macroAddBtn) {
+            macroAddBtn.addEventListener('click', this.handleMacroAdd.bind(this));
+        }
+        const macroFormula = document.getElementById('macro-formula');
+        if (macroFormula) {
+            macroFormula.addEventListener('keydown', e => {
+                if (e.key === 'Enter') this.handleMacroAdd();
+            });
+        }
+        const macroList = document.getElementById('macro-list');
+        if (macroList) {
+            macroList.addEventListener('click', this.handleMacroRemove.bind(this));
+        }
+
+        // Mode selection
+        const modeInputs = document.querySelectorAll('input[name="calculation-mode"]');
+        modeInputs.forEach(input => {
+            input.addEventListener('change', this.handleModeChange.bind(this));
+        });
+
+        // Balance button
+        const balanceBtn = document.getElementById('balance-btn');
+        if (balanceBtn) {
             balanceBtn.addEventListener('click', this.handleBalance.bind(this));
         }
 
-        // Clear button
-        const clearBtn = document.getElementById('clear-btn');
-        if (clearBtn) {
-            clearBtn.addEventListener('click', this.handleClear.bind(this));
+        // Clear button
+        const clearBtn = document.getElementById('clear-btn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', this.handleClear.bind(this));
+        }
+
+        // Examples dropdown button
+        const examplesBtn = document.getElementById('examples-btn');
+        if (examplesBtn) {
+            examplesBtn.addEventListener('click', this.handleExamplesToggle.bind(this));
+        }
+
+        // Example menu items
+        const exampleItems = document.querySelectorAll('[data-example]');
+        exampleItems.forEach(item => {
+            item.addEventListener('click', this.handleExampleSelect.bind(this));
+        });
+
+        // Copy result button
+        const copyBtn = document.getElementById('copy-btn');
+        if (copyBtn) {
+            copyBtn.addEventListener('click', this.handleCopy.bind(this));
+        }
+
+        // Net ionic equation button
+        const netIonicBtn = document.getElementById('net-ionic-btn');
+        if (netIonicBtn) {
+            netIonicBtn.addEventListener('click', this.handleNetIonic.bind(this));
+        }
+
+        // Redox medium selection
+        const mediumSelect = document.getElementById('redox-medium');
+        if (mediumSelect) {
+            mediumSelect.addEventListener('change', this.handleMediumChange.bind(this));
+        }
+
+        // Stoichiometry calculate button
+        const calculateStoichBtn = document.getElementById('calculate-stoich');
+        if (calculateStoichBtn) {
+            calculateStoichBtn.addEventListener('click', this.calculateStoichiometry.bind(this));
+        }
+
+        // Yield panel
+        document.querySelectorAll('input[name="yield-direction"], #yield-product').forEach(field => {
+            field.addEventListener('change', this.handleYieldInput.bind(this));
+        });
+        ['yield-mass', 'yield-percent'].forEach(id => {
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener('input', this.handleYieldInput.bind(this));
+            }
+        });
+
+        // Dilution
+        document.querySelectorAll('#dilution input[data-dilution]').forEach(field => {
+            field.addEventListener('input', this.calculateDilution.bind(this));
+        });
+
+        // Formula inspector
+        const inspectBtn = document.getElementById('inspect-btn');
+        if (inspectBtn) {
+            inspectBtn.addEventListener('click', this.calculateMolarMasses.bind(this));
+        }
+        const inspectInput = document.getElementById('inspect-formula');
+        if (inspectInput) {
+            inspectInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.calculateMolarMasses();
+                }
+            });
+        }
+
+        // Empirical formula
+        const empiricalBtn = document.getElementById('empirical-btn');
+        if (empiricalBtn) {
+            empiricalBtn.addEventListener('click', this.calculateEmpiricalFormula.bind(this));
+        }
+        const empiricalMethod = document.getElementById('empirical-method');
+        if (empiricalMethod) {
+            empiricalMethod.addEventListener('change', this.handleEmpiricalMethodChange.bind(this));
+        }
+
+        // Reaction sequence
+        const sequenceBtn = document.getElementById('sequence-btn');
+        if (sequenceBtn) {
+            sequenceBtn.addEventListener('click', this.handleSequenceAnalyze.bind(this));
+        }
+        const sequenceTarget = document.getElementById('sequence-target');
+        if (sequenceTarget) {
+            sequenceTarget.addEventListener('input', this.calculateSequence.bind(this));
+        }
+
+        // Nernst condition inputs are re-rendered with the details panel
+        const detailsContent = document.querySelector('.details-content');
+        if (detailsContent) {
+            detailsContent.addEventListener('input', (e) => {
+                if (e.target.matches('[data-nernst-side], [data-nernst-ph], [data-nernst-temperature]')) {
+                    this.calculateNernst();
+                }
+            });
+        }
+
+        // Stoichiometry inputs
+        const stoichInputs = document.querySelectorAll('.stoich-input input[type="number"]');
+        stoichInputs.forEach(input => {
+            input.addEventListener('input', this.handleStoichInput.bind(this));
+        });
+
+        // Unit selects
+        const unitSelects = document.querySelectorAll('.stoich-input select');
+        unitSelects.forEach(select => {
+            select.addEventListener('change', this.handleStoichInput.bind(this));
+        });
+        const overWater = document.getElementById('gas-over-water');
+        if (overWater) {
+            overWater.addEventListener('change', this.handleStoichInput.bind(this));
+        }
+        document.querySelectorAll('input.full-precision-toggle').forEach(toggle => {
+            toggle.addEventListener('change', event => this.setFullPrecision(event.target.checked));
+        });
+
+        // Window events
+        window.addEventListener('resize', this.handleResize.bind(this));
+        window.addEventListener('beforeunload', this.savePreferences.bind(this));
+    }
+
+    /**
+     * Setup keyboard shortcuts
+     */
+    setupKeyboardShortcuts() {
+        document.addEventListener('keydown', (e) => {
+            // Ctrl+Enter: Balance equation
+            if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+                e.preventDefault();
+                this.handleBalance();
+            }
+            
+            // Ctrl+L: Clear
+            if ((e.ctrlKey || e.metaKey) && e.key === 'l') {
+                e.preventDefault();
+                this.handleClear();
+            }
+            
+            // Ctrl+E: Example
+            if ((e.ctrlKey || e.metaKey) && e.key === 'e') {
+                e.preventDefault();
+                this.handleExample();
+            }
+            
+            // Escape: Close the periodic-table picker and clear focus from inputs
+            if (e.key === 'Escape') {
+                this.closePeriodicPicker();
+                document.activeElement.blur();
+            }
+        });
+    }
+
+    /**
+     * Setup accessibility features
+     */
+    setupAccessibility() {
+        // Add role and aria-label to interactive elements
+        const buttons = document.querySelectorAll('button');
+        buttons.forEach(btn => {
+            if (!btn.hasAttribute('aria-label') && btn.textContent.trim()) {
+                btn.setAttribute('aria-label', btn.textContent.trim());
+            }
+        });
+
+        // Setup live regions for announcements
+        this.createLiveRegion();
+    }
+
+    /**
+     * Create ARIA live region for screen reader announcements
+     */
+    createLiveRegion() {
+        const liveRegion = document.createElement('div');
+        liveRegion.id = 'live-region';
+        liveRegion.setAttribute('aria-live', 'polite');
+        liveRegion.setAttribute('aria-atomic', 'true');
+        liveRegion.style.position = 'absolute';
+        liveRegion.style.left = '-10000px';
+        liveRegion.style.width = '1px';
+        liveRegion.style.height = '1px';
+        liveRegion.style.overflow = 'hidden';
+        document.body.appendChild(liveRegion);
+    }
+
+    /**
+     * Announce message to screen readers
+     * @param {string} message
+     */
+    announce(message) {
+        const liveRegion = document.getElementById('live-region');
+        if (liveRegion) {
+            liveRegion.textContent = message;
+        }
+    }
+
+    /**
+     * Handle equation input changes
+     * @param {Event} e
+     */
+    handleEquationInput(e) {
+        const equation = e.target.value.trim();
+        
+        // Clear previous results and messages
+        this.clearMessages();
+        this.clearResults();
+        
+        // Enable/disable balance button
+        const balanceBtn = document.getElementById('balance-btn');
+        if (balanceBtn) {
+            balanceBtn.disabled = !equation;
+        }
+        
+        // Show suggestions for common mistakes
+        this.showInputSuggestions(equation);
+        
+        // Auto-balance if preference is set (debounced)
+        if (this.preferences && this.preferences.autoBalance) {
+            clearTimeout(this.autoBalanceTimeout);
+            this.autoBalanceTimeout = setTimeout(() => {
+                if (equation && equation.includes('=')) {
+                    this.performBalance();
+                }
+            }, 1000);
+        }
+    }
+
+    /**
+     * Handle equation input keydown
+     * @param {Event} e
+     */
+    handleEquationKeydown(e) {
+        // Insert common symbols with shortcuts
+        if (e.altKey) {
+            switch (e.key) {
+                case '2':
+                    e.preventDefault();
+                    this.insertAtCursor('₂');
+                    break;
+                case '3':
+                    e.preventDefault();
+                    this.insertAtCursor('₃');
+                    break;
+                case '+':
+                    e.preventDefault();
+                    this.insertAtCursor('⁺');
+                    break;
+                case '-':
+                    e.preventDefault();
+                    this.insertAtCursor('⁻');
+                    break;
+                case '>':
+                    e.preventDefault();
+                    this.insertAtCursor('→');
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Insert text at cursor position
+     * @param {string} text
+     */
+    insertAtCursor(text) {
+        const input = document.getElementById('equation-input');
+        if (!input) return;
+        
+        const start = input.selectionStart;
+        const end = input.selectionEnd;
+        const value = input.value;
+        
+        input.value = value.substring(0, start) + text + value.substring(end);
+        input.selectionStart = input.selectionEnd = start + text.length;
+        
+        // Trigger input event
+        input.dispatchEvent(new Event('input'));
+    }
+
+    /**
+     * Fill the periodic-table picker: one button per element, placed by group and period,
+     * and quick buttons for polyatomic ions, state symbols and charges
+     * @param {HTMLElement} picker
+     */
+    renderPeriodicPicker(picker) {
+        const grid = picker.querySelector('.periodic-grid');
+        if (grid) {
+            grid.innerHTML = ELEMENTS.map(element => {
+                const { row, column } = periodicGridPosition(element);
+                const category = element.category.replace(/\s+/g, '-');
+                return `
+                    <button type="button" class="picker-element category-${category}" data-insert="${element.symbol}" data-element="${element.symbol}"
+                            style="grid-row: ${row}; grid-column: ${column}" title="${this.escapeHtml(pickerElementTooltip(element.symbol))}" aria-label="${element.name}">
+                        <small>${element.atomicNumber}</small>${element.symbol}
+                    </button>
+                `;
+            }).join('');
+        }
+
+        const ions = PICKER_IONS
+            .map(name => POLYATOMIC_IONS.find(ion => ion.name === name))
+            .filter(Boolean)
+            .map(ion => {
+                const charge = `^${Math.abs(ion.charge) === 1 ? '' : Math.abs(ion.charge)}${ion.charge > 0 ? '+' : '-'}`;
+                return `<button type="button" class="picker-quick-btn" data-insert="${ion.formula}" title="${ion.name} ion" aria-label="${ion.name}">${this.formatChemicalFormula(ion.formula + charge)}</button>`;
+            });
+        const quick = (selector, buttons) => {
+            const container = picker.querySelector(selector);
+            if (container) container.innerHTML = buttons.join('');
+        };
+        quick('[data-picker-group="ions"]', ions);
+        quick('[data-picker-group="states"]', PICKER_STATES.map(state =>
+            `<button type="button" class="picker-quick-btn" data-insert="${state}">${state}</button>`));
+        quick('[data-picker-group="charges"]', PICKER_CHARGES.map(charge =>
+            `<button type="button" class="picker-quick-btn" data-insert="${charge}" aria-label="charge ${charge.slice(1)}">${this.formatChemicalFormula(charge)}</button>`));
+        // Macros that only apply in context (Ac) would insert an element symbol on their own
+        quick('[data-picker-group="macros"]', Object.entries(ChemicalLexer.macros()).filter(([, macro]) => !macro.context).map(([symbol, macro]) =>
+            `<button type="button" class="picker-quick-btn" data-insert="${this.escapeHtml(symbol)}" title="${this.escapeHtml(`${macro.name}: ${macroExpansion(macro)}`)}">${this.escapeHtml(symbol)}</button>`));
+    }
+
+    /**
+     * List built-in and user abbreviation macros with their expansions; user ones can be removed
+     */
+    renderMacroList() {
+        const list = document.getElementById('macro-list');
+        if (!list) return;
+
+        list.innerHTML = Object.entries(ChemicalLexer.macros()).map(([symbol, macro]) => `
+            <li>
+                <code>${this.escapeHtml(symbol)}</code>
+                ${macro.builtIn ? this.escapeHtml(macro.name) + ',' : ''} ${this.formatChemicalFormula(macroExpansion(macro))}
+                ${macro.note ? `<small>(${this.escapeHtml(macro.note)})</small>` : ''}
+                ${macro.builtIn ? '' : `<button type="button" class="macro-remove" data-remove-macro="${this.escapeHtml(symbol)}" aria-label="Remove ${this.escapeHtml(symbol)}">Remove</button>`}
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Add the abbreviation typed in the macro form and save it with the preferences
+     */
+    handleMacroAdd() {
+        const symbolInput = document.getElementById('macro-symbol');
+        const formulaInput = document.getElementById('macro-formula');
+        const status = document.getElementById('macro-status');
+        if (!symbolInput || !formulaInput) return;
+
+        const result = defineFormulaMacro(symbolInput.value, formulaInput.value);
+        if (status) {
+            status.textContent = result.success ? `${result.symbol} now stands for ${result.formula}` : result.error;
+        }
+        if (!result.success) return;
+
+        this.macros[result.symbol] = result.formula;
+        this.savePreferences();
+        symbolInput.value = '';
+        formulaInput.value = '';
+        this.refreshMacros();
+    }
+
+    /**
+     * Remove a user abbreviation from the macro list
+     * @param {Event} e
+     */
+    handleMacroRemove(e) {
+        const button = e.target.closest('[data-remove-macro]');
+        if (!button) return;
+
+        const symbol = button.dataset.removeMacro;
+        ChemicalLexer.removeMacro(symbol);
+        delete this.macros[symbol];
+        this.savePreferences();
+        this.refreshMacros();
+    }
+
+    /**
+     * Redraw everything that lists macros
+     */
+    refreshMacros() {
+        this.renderMacroList();
+        const picker = document.getElementById('periodic-picker');
+        if (picker) this.renderPeriodicPicker(picker);
+    }
+
+    /**
+     * Show or hide the periodic-table picker
+     */
+    handlePickerToggle() {
+        const picker = document.getElementById('periodic-picker');
+        const toggle = document.getElementById('periodic-toggle');
+        if (!picker || !toggle) return;
+
+        const isOpen = picker.classList.contains('open');
+        picker.classList.toggle('open', !isOpen);
+        toggle.setAttribute('aria-expanded', String(!isOpen));
+    }
+
+    /**
+     * Hide the periodic-table picker
+     */
+    closePeriodicPicker() {
+        const picker = document.getElementById('periodic-picker');
+        const toggle = document.getElementById('periodic-toggle');
+        if (picker) picker.classList.remove('open');
+        if (toggle) toggle.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Insert the symbol, ion, state or charge of a picker button at the cursor
+     * @param {Event} e
+     */
+    handlePickerInsert(e) {
+        const button = e.target.closest('[data-insert]');
+        if (!button) return;
+
+        this.insertAtCursor(button.dataset.insert);
+        const input = document.getElementById('equation-input');
+        if (input) input.focus();
+    }
+
+    /**
+     * Show the atomic mass and common oxidation states of the element under the pointer
+     * @param {Event} e
+     */
+    handlePickerHover(e) {
+        const button = e.target.closest('[data-element]');
+        const detailsEl = document.getElementById('picker-details');
+        if (!button || !detailsEl) return;
+
+        const details = pickerElementDetails(button.dataset.element);
+        if (!details) return;
+
+        const states = details.oxidationStates.length ? details.oxidationStates.join(', ') : 'none common';
+        detailsEl.innerHTML = `
+            <strong>${details.symbol}</strong> ${this.escapeHtml(details.name)} · Z = ${details.atomicNumber} ·
+            ${details.atomicMass} g/mol · Oxidation states: ${this.escapeHtml(states)}
+        `;
+    }
+
+    /**
+     * Handle mode change
+     * @param {Event} e
+     */
+    handleModeChange(e) {
+        this.currentMode = e.target.value;
+        this.updateUIForMode();
+        this.clearResults();
+        this.savePreferences();
+    }
+
+    /**
+     * Update UI based on selected mode
+     */
+    updateUIForMode() {
+        // Currently only Standard and Redox modes are supported
+        // Additional UI elements can be shown/hidden based on mode if needed
+        
+        // Update input placeholder based on mode
+        const input = document.getElementById('equation-input');
+        if (input) {
+            if (this.currentMode === 'redox') {
+                input.placeholder = "Fe²⁺ + Cr₂O₇²⁻ + H⁺ → Fe³⁺ + Cr³⁺ + H₂O";
+            } else {
+                input.placeholder = "C₃H₈ + O₂ → CO₂ + H₂O";
+            }
+        }
+        
+        // Update examples based on mode
+        this.updateExamplesForMode();
+    }
+    
+    /**
+     * Update examples dropdown based on mode
+     */
+    updateExamplesForMode() {
+        const exampleItems = document.querySelectorAll('[data-example]');
+        exampleItems.forEach(item => {
+            const example = item.getAttribute('data-example');
+            const isRedox = ['redox-acidic', 'redox-basic'].includes(example);
+            
+            if (this.currentMode === 'standard' && isRedox) {
+                item.style.display = 'none';
+            } else if (this.currentMode === 'redox' && !isRedox && example !== 'combustion') {
+                item.style.display = 'none';
+            } else {
+                item.style.display = 'block';
+            }
+        });
+    }
+
+    /**
+     * Handle balance button click
+     */
+    handleBalance() {
+        this.performBalance();
+    }
+
+    /**
+     * Perform equation balancing
+     */
+    async performBalance() {
+        const equationInput = document.getElementById('equation-input');
+        if (!equationInput) return;
+        
+        const equation = equationInput.value.trim();
+        if (!equation) {
+            this.showError('Please enter a chemical equation to balance.');
+            return;
+        }
+
+        // Show loading state
+        this.setLoading(true);
+        
+        try {
+            // Reactants only: balance the most likely completion and list the others
+            const prediction = reactantsOnly(equation) ? predictProducts(equation, this.currentMode) : null;
+            const result = prediction
+                ? (prediction.success ? this.withDisplayCoefficients(prediction.predictions[0].result) : prediction)
+                : await this.balanceEquation(equation);
+            
+            if (result.success) {
+                this.displayResult(result);
+                this.currentEquation = result;
+                this.updateStoichiometry();
+                if (prediction) {
+                    this.displayPredictions(prediction);
+                    this.showSuccess(`Products predicted: ${prediction.predictions[0].reason}`);
+                } else {
+                    this.showSuccess('Equation balanced successfully!');
+                }
+                if (result.warnings && result.warnings.length > 0) {
+                    this.showWarning(result.warnings.join('\n'));
+                }
+                this.announce('Equation balanced successfully');
+            } else {
+                let errorMessage = result.error || 'Failed to balance equation.';
+                
+                // Display suggestions if available
+                if (result.suggestions && result.suggestions.length > 0) {
+                    errorMessage += '\n\n' + (result.hint || 'Suggestions:') + '\n' + 
+                                   result.suggestions.map((s, i) => `${i + 1}. ${s}`).join('\n');
+                }
+                
+                this.showError(errorMessage);
+                this.announce('Balancing failed: ' + (result.error || 'Unknown error'));
+            }
+        } catch (error) {
+            this.showError('An unexpected error occurred: ' + error.message);
+            this.announce('Balancing failed due to an error');
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    /**
+     * Balance chemical equation using matrix nullspace method
+     * @param {string} equation
+     * @returns {Promise<Object>}
+     */
+    /**
+     * Add coefficient information for display
+     * @param {Object} result - balanceChemicalEquation result
+     * @returns {Object} The same result
+     */
+    withDisplayCoefficients(result) {
+        if (result.success) {
+            result.coefficients = result.coefficients.map(c => ({ 
+                toNumber: () => c,
+                toString: () => c.toString()
+            }));
+        }
+        return result;
+    }
+
+    async balanceEquation(equation) {
+        try {
+            return this.withDisplayCoefficients(balanceChemicalEquation(equation, this.currentMode));
+        } catch (error) {
+            return { success: false, error: `Unexpected error: ${error.message}` };
+        }
+    }
+
+
+
+    /**
+     * Format balanced equation for display - simplified
+     */
+    formatBalancedEquation(coefficients, reactants, products) {
+        // Simplified placeholder
+        return 'Equation formatting will be available in full version';
+    }
+
+    /**
+     * Display balanced equation result
+     * @param {Object} result
+     */
+    displayResult(result) {
+        const resultDiv = document.getElementById('equation-result');
+        if (!resultDiv) return;
+
+        resultDiv.innerHTML = `
+            <div class="balanced-equation">
+                ${this.formatChemicalFormula(result.balanced)}
+            </div>
+        `;
+
+        const names = speciesNames(result);
+        if (names) {
+            resultDiv.insertAdjacentHTML('beforeend', `<div class="species-names">${this.escapeHtml(names)}</div>`);
         }
 
-        // Examples dropdown button
-        const examplesBtn = document.getElementById('examples-btn');
-        if (examplesBtn) {
-            examplesBtn.addEventListener('click', this.handleExamplesToggle.bind(this));
+        // Show copy button
+        const actions = document.getElementById('result-actions');
+        if (actions) {
+            actions.style.display = 'block';
         }
 
-        // Example menu items
-        const exampleItems = document.querySelectorAll('[data-example]');
-        exampleItems.forEach(item => {
-            item.addEventListener('click', this.handleExampleSelect.bind(this));
-        });
-
-        // Copy result button
         const copyBtn = document.getElementById('copy-btn');
         if (copyBtn) {
-            copyBtn.addEventListener('click', this.handleCopy.bind(this));
+            copyBtn.style.display = 'inline-flex';
         }
 
-        // Redox medium selection
-        const mediumSelect = document.getElementById('redox-medium');
-        if (mediumSelect) {
-            mediumSelect.addEventListener('change', this.handleMediumChange.bind(this));
+        // Offer the net ionic equation when strong electrolytes are present
+        const netIonicBtn = document.getElementById('net-ionic-btn');
+        if (netIonicBtn) {
+            netIonicBtn.style.display = buildNetIonicEquation(result) ? 'inline-flex' : 'none';
         }
 
-        // Stoichiometry inputs
-        const stoichInputs = document.querySelectorAll('.stoich-input input[type="number"]');
-        stoichInputs.forEach(input => {
-            input.addEventListener('input', this.handleStoichInput.bind(this));
-        });
+        // Show details if available
+        if (result.matrix || result.details || result.reactants) {
+            this.displayDetails(result);
+        }
+    }
 
-        // Unit selects
-        const unitSelects = document.querySelectorAll('.stoich-input select');
-        unitSelects.forEach(select => {
-            select.addEventListener('change', this.handleStoichInput.bind(this));
+    /**
+     * List predicted completions under the balanced equation; choosing one balances it
+     * @param {Object} prediction - Result of predictProducts
+     */
+    displayPredictions(prediction) {
+        const resultDiv = document.getElementById('equation-result');
+        if (!resultDiv) return;
+
+        const items = prediction.predictions.map((candidate, index) => `
+            <li class="prediction${index === 0 ? ' selected' : ''}">
+                <button type="button" class="prediction-option" data-prediction="${this.escapeHtml(candidate.equation)}">
+                    ${this.formatChemicalFormula(candidate.result.balanced)}
+                </button>
+                <small>${Math.round(candidate.confidence * 100)}% · ${this.escapeHtml(candidate.reason)}</small>
+            </li>
+        `).join('');
+        const notes = prediction.notes.map(note => `<li class="prediction-note">${this.escapeHtml(note)}</li>`).join('');
+
+        resultDiv.insertAdjacentHTML('beforeend', `
+            <div class="predictions">
+                <strong>Predicted products</strong>
+                <ol>${items}${notes}</ol>
+            </div>
+        `);
+
+        resultDiv.querySelectorAll('[data-prediction]').forEach(button => {
+            button.addEventListener('click', () => {
+                const equationInput = document.getElementById('equation-input');
+                if (!equationInput) return;
+                equationInput.value = button.getAttribute('data-prediction');
+                this.performBalance();
+            });
         });
+    }
 
-        // Window events
-        window.addEventListener('resize', this.handleResize.bind(this));
-        window.addEventListener('beforeunload', this.savePreferences.bind(this));
+    /**
+     * Format chemical formula with proper subscripts and superscripts
+     * @param {string} formula
+     * @returns {string}
+     */
+    formatChemicalFormula(formula) {
+        return formula
+            // First handle coefficients (numbers at start or after spaces/+) - keep as regular numbers
+            .replace(/(^|\s|\+\s*)(\d+)([A-Z])/g, '$1$2$3')
+            // Then handle subscripts (numbers after elements) - make subscript
+            .replace(/([A-Za-z)\]])(\d+)/g, '$1<sub>$2</sub>')
+            // Handle superscripts for charges
+            .replace(/\^(\d*[\+\-])/g, '<sup>$1</sup>')
+            // Style operators (a "+" not followed by a formula is a charge sign)
+            .replace(/\s*\+\s*(?=\d|[A-Z[]|\([A-Z])/g, ' + ')
+            .replace(/\s*→\s*/g, ' → ')
+            // State symbols
+            .replace(/\((s|l|g|aq)\)/g, '<span class="phase">($1)</span>');
     }
 
     /**
-     * Setup keyboard shortcuts
+     * Display calculation details
+     * @param {Object} result
      */
-    setupKeyboardShortcuts() {
-        document.addEventListener('keydown', (e) => {
-            // Ctrl+Enter: Balance equation
-            if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
-                e.preventDefault();
-                this.handleBalance();
-            }
+    displayDetails(result) {
+        const detailsContainer = document.querySelector('.details-content');
+        if (!detailsContainer) return;
+
+        let detailsHTML = '<div class="calculation-explanation">';
+        
+        // Basic balancing explanation
+        detailsHTML += `
+            <h4>🧮 Balancing Method</h4>
+            <p>This equation was balanced using <strong>matrix nullspace analysis</strong>:</p>
+            <ol>
+                <li><strong>Parse</strong>: Extract all elements from each compound</li>
+                <li><strong>Matrix</strong>: Build element balance equations (Ax = 0)</li>
+                <li><strong>Solve</strong>: Find rational nullspace using Gaussian elimination</li>
+                <li><strong>Scale</strong>: Convert to smallest positive integer coefficients</li>
+            </ol>
+        `;
+
+        // Show element analysis
+        if (result.reactants && result.products) {
+            const allCompounds = [...result.reactants, ...result.products];
+            const elements = new Set();
             
-            // Ctrl+L: Clear
-            if ((e.ctrlKey || e.metaKey) && e.key === 'l') {
-                e.preventDefault();
-                this.handleClear();
-            }
+            allCompounds.forEach(compound => {
+                Object.keys(compound.composition).forEach(element => {
+                    elements.add(element);
+                });
+            });
+
+            detailsHTML += `
+                <h4>🔬 Element Analysis</h4>
+                <p><strong>Elements present:</strong> ${Array.from(elements).join(', ')}</p>
+                <p><strong>Compounds:</strong> ${allCompounds.length} total (${result.reactants.length} reactants, ${result.products.length} products)</p>
+            `;
+        }
+
+        // Reaction type with the reason for each label
+        if (result.classification && result.classification.rationale.length > 0) {
+            detailsHTML += `
+                <h4>🏷️ Reaction Type</h4>
+                <ul class="reaction-types">
+                    ${result.classification.rationale.map(entry => `
+                        <li><strong>${entry.label}</strong>: ${this.escapeHtml(entry.reason)}</li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+
+        // Show coefficients breakdown
+        if (result.coefficients) {
+            detailsHTML += `
+                <h4>⚖️ Coefficient Breakdown</h4>
+                <div class="coefficients-grid">
+            `;
             
-            // Ctrl+E: Example
-            if ((e.ctrlKey || e.metaKey) && e.key === 'e') {
-                e.preventDefault();
-                this.handleExample();
+            const allCompounds = [...(result.reactants || []), ...(result.products || [])];
+            result.coefficients.forEach((coeff, index) => {
+                const compound = allCompounds[index];
+                const isReactant = index < (result.reactants?.length || 0);
+                detailsHTML += `
+                    <div class="coeff-item">
+                        <span class="coeff-number">${coeff}</span>
+                        <span class="coeff-formula">${compound ? this.formatChemicalFormula(formatEquationTerm(compound, 1)) : 'Unknown'}</span>
+                        <span class="coeff-role">${isReactant ? 'reactant' : 'product'}</span>
+                    </div>
+                `;
+            });
+            
+            detailsHTML += '</div>';
+        }
+
+        // Percent composition of each species
+        if (result.reactants && result.products) {
+            const species = [...result.reactants, ...result.products]
+                .map(compound => inspectFormula(compound))
+                .filter(inspection => inspection.success);
+
+            if (species.length > 0) {
+                detailsHTML += `
+                    <h4>📊 Composition</h4>
+                    ${species.map(inspection => `
+                        <details class="species-composition">
+                            <summary>${this.formatChemicalFormula(inspection.formula)} (${Number(inspection.molarMass.toPrecision(6))} g/mol)</summary>
+                            ${this.formatComposition(inspection)}
+                        </details>
+                    `).join('')}
+                `;
             }
+        }
+
+        // Ionic equations once the net ionic action has run
+        if (result.netIonic) {
+            detailsHTML += this.formatNetIonicDetails(result.netIonic);
+        }
+
+        // Redox analysis if available
+        if (result.redoxAnalysis) {
+            const redox = result.redoxAnalysis;
             
-            // Escape: Clear focus from inputs
-            if (e.key === 'Escape') {
-                document.activeElement.blur();
+            if (redox.isRedox) {
+                detailsHTML += `
+                    <h4>⚡ Redox Analysis</h4>
+                    <p><strong>This IS a redox reaction!</strong> Oxidation states change.</p>
+                `;
+                
+                // Show oxidation state changes
+                if (Object.keys(redox.osChanges).length > 0) {
+                    detailsHTML += '<div class="redox-changes">';
+                    for (const [element, change] of Object.entries(redox.osChanges)) {
+                        const direction = change.oxidized && change.reduced ? 'both oxidized & reduced' :
+                                        change.oxidized ? 'oxidized' : 'reduced';
+                        const color = change.oxidized && !change.reduced ? '#dc2626' : 
+                                    change.reduced && !change.oxidized ? '#059669' : '#7c3aed';
+                        
+                        detailsHTML += `
+                            <div class="os-change" style="border-left: 3px solid ${color};">
+                                <strong>${element}</strong>: ${direction}
+                                <br><small>OS: [${change.reactantRange.join(', ')}] → [${change.productRange.join(', ')}]</small>
+                            </div>
+                        `;
+                    }
+                    detailsHTML += '</div>';
+                }
+                
+                // Show electron transfer
+                if (redox.electronTransfer > 0) {
+                    detailsHTML += `<p><strong>Electrons transferred:</strong> ${redox.electronTransfer}</p>`;
+                }
+                
+                // Half-reaction method walkthrough
+                if (result.halfReactions) {
+                    detailsHTML += this.formatHalfReactionDetails(result.halfReactions);
+                } else if (result.halfReactionsNote) {
+                    detailsHTML += `<p class="stoich-warning"><strong>Half-reaction method:</strong> ${this.escapeHtml(result.halfReactionsNote)}</p>`;
+                }
+                
+                // Standard cell potential and Nernst conditions
+                if (result.cellPotential) {
+                    detailsHTML += this.formatCellPotentialDetails(result.cellPotential);
+                }
+                
+            } else {
+                detailsHTML += `
+                    <h4>⚖️ Not a Redox Reaction</h4>
+                    <p>No oxidation state changes detected - this is an acid-base, precipitation, or other non-redox reaction.</p>
+                `;
+            }
+        } else if (this.currentMode === 'redox') {
+            detailsHTML += `
+                <h4>⚡ Redox Mode</h4>
+                <p>Redox balancing mode includes charge balance constraints.</p>
+                <p>The algorithm automatically balances both mass and charge conservation.</p>
+            `;
+        }
+
+        detailsHTML += `
+            <div class="method-note">
+                <p><strong>Note:</strong> This uses exact rational arithmetic (no floating-point errors) 
+                and guaranteed mathematical correctness through linear algebra.</p>
+            </div>
+        `;
+        
+        detailsHTML += '</div>';
+        detailsContainer.innerHTML = detailsHTML;
+
+        if (result.cellPotential && result.cellPotential.available) {
+            this.calculateNernst(result.cellPotential);
+        }
+    }
+
+    /**
+     * Render the molecular → complete ionic → net ionic stages
+     * @param {Object} ionic - Result of buildNetIonicEquation
+     * @returns {string}
+     */
+    formatNetIonicDetails(ionic) {
+        const rows = ionic.species.map(species => `
+            <li>${this.formatChemicalFormula(species.formula)}: ${species.dissociated
+                ? `→ ${species.ions.map(ion => this.formatChemicalFormula(formatEquationTerm({ ...ion, phase: 'aq' }, ion.count))).join(' + ')}`
+                : 'kept whole'} <small>(${this.escapeHtml(species.rule)})</small></li>
+        `).join('');
+
+        const spectators = ionic.spectators.length > 0
+            ? ionic.spectators.map(ion => this.formatChemicalFormula(formatEquationTerm(ion, ion.coefficient))).join(', ')
+            : 'none';
+
+        return `
+            <h4>🧪 Net Ionic Equation</h4>
+            <div class="net-ionic-stages">
+                <p><strong>Molecular:</strong> ${this.formatChemicalFormula(ionic.molecular)}</p>
+                <ul>${rows}</ul>
+                <p><strong>Complete ionic:</strong> ${this.formatChemicalFormula(ionic.complete)}</p>
+                <p><strong>Spectator ions:</strong> ${spectators}</p>
+                <p><strong>Net ionic:</strong> ${ionic.noReaction
+                    ? 'No net reaction - every ion is a spectator'
+                    : this.formatChemicalFormula(ionic.net)}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the half-reaction method steps
+     * @param {Object} halfReactions - Result of buildHalfReactionMethod
+     * @returns {string}
+     */
+    formatHalfReactionDetails(halfReactions) {
+        const renderHalf = (title, half, factor) => `
+            <div class="half-reaction">
+                <strong>${title}</strong>
+                <ol>
+                    ${half.steps.map(step => `<li>${step.label}: ${this.formatChemicalFormula(step.equation)}</li>`).join('')}
+                </ol>
+                ${factor > 1 ? `<small>× ${factor} to transfer ${halfReactions.electronsTransferred} e⁻</small>` : ''}
+            </div>
+        `;
+
+        return `
+            <h4>🔀 Half-Reaction Method (${halfReactions.medium} medium)</h4>
+            <div class="half-reactions">
+                ${renderHalf('Oxidation', halfReactions.oxidation, halfReactions.oxidationFactor)}
+                ${renderHalf('Reduction', halfReactions.reduction, halfReactions.reductionFactor)}
+            </div>
+            <p><strong>Combined:</strong> ${this.formatChemicalFormula(halfReactions.combined.equation)}</p>
+        `;
+    }
+
+    /**
+     * Render E°cell, ΔG°, K and the Nernst condition inputs
+     * @param {Object} cell - Result of analyzeCellPotential
+     * @returns {string}
+     */
+    formatCellPotentialDetails(cell) {
+        if (!cell.available) {
+            return `
+                <h4>🔋 Cell Potential</h4>
+                <p>${cell.reason}.</p>
+            `;
+        }
+
+        const couple = c => `${this.formatChemicalFormula(c.oxidized)} / ${this.formatChemicalFormula(c.reduced)}`;
+        const source = c => c.convertedFrom ? ` <small>(from ${c.convertedFrom} value)</small>` : '';
+        const K = cell.log10K > 300 || cell.log10K < -300
+            ? `10^${cell.log10K.toFixed(1)}`
+            : cell.equilibriumConstant.toExponential(3);
+
+        const protonKey = CellPotentialCalculator.compositionKey({ elements: { H: 1 }, charge: 1 });
+        const hydroxideKey = CellPotentialCalculator.compositionKey({ elements: { H: 1, O: 1 }, charge: -1 });
+        const waterKey = CellPotentialCalculator.compositionKey({ elements: { H: 2, O: 1 }, charge: 0 });
+        let usesPH = false;
+
+        const activityInputs = ['reactants', 'products'].map(side => cell[side].map((species, index) => {
+            const key = CellPotentialCalculator.compositionKey(species);
+            if (key === protonKey || key === hydroxideKey) {
+                usesPH = true;
+                return '';
             }
+            if (key === waterKey || species.phase === 's' || species.phase === 'l') return '';
+
+            const unit = species.phase === 'g' ? 'atm' : 'M';
+            return `
+                <label class="nernst-field">
+                    ${this.formatChemicalFormula(species.formula)} (${unit})
+                    <input type="number" min="0" step="any" value="1" data-nernst-side="${side}" data-nernst-index="${index}">
+                </label>
+            `;
+        }).join('')).join('');
+
+        return `
+            <h4>🔋 Cell Potential</h4>
+            <div class="cell-potential">
+                <p><strong>Reduction (cathode):</strong> ${couple(cell.cathode)}, E° = ${cell.cathode.eº.toFixed(3)} V${source(cell.cathode)}</p>
+                <p><strong>Oxidation (anode):</strong> ${couple(cell.anode)}, E° = ${cell.anode.eº.toFixed(3)} V${source(cell.anode)}</p>
+                <p><strong>E°cell</strong> = ${cell.standardPotential.toFixed(3)} V &nbsp; <strong>n</strong> = ${cell.electrons}</p>
+                <p><strong>ΔG°</strong> = −nFE° = ${cell.deltaG.toFixed(1)} kJ/mol &nbsp; <strong>K</strong> = ${K}</p>
+                <p>${cell.spontaneous ? '✅ Spontaneous under standard conditions' : '⛔ Non-spontaneous under standard conditions'}</p>
+            </div>
+            <div class="nernst-conditions">
+                <strong>Nernst equation</strong>
+                <div class="nernst-fields">
+                    ${activityInputs}
+                    ${usesPH ? `
+                        <label class="nernst-field">
+                            pH
+                            <input type="number" step="any" value="${cell.medium === 'basic' ? 14 : 0}" id="nernst-ph" data-nernst-ph>
+                        </label>
+                    ` : ''}
+                    <label class="nernst-field">
+                        T (K)
+                        <input type="number" min="0" step="any" value="298.15" id="nernst-temperature" data-nernst-temperature>
+                    </label>
+                </div>
+                <div id="nernst-output" class="nernst-output"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Recalculate the cell potential from the Nernst condition inputs
+     * @param {Object} cell - Defaults to the current equation's cell potential
+     */
+    calculateNernst(cell = this.currentEquation && this.currentEquation.cellPotential) {
+        const output = document.getElementById('nernst-output');
+        if (!cell || !cell.available || !output) return;
+
+        const withActivities = side => cell[side].map((species, index) => {
+            const input = document.querySelector(`[data-nernst-side="${side}"][data-nernst-index="${index}"]`);
+            return { ...species, activity: input ? input.value : undefined };
         });
+
+        const pHInput = document.getElementById('nernst-ph');
+        const temperatureInput = document.getElementById('nernst-temperature');
+        const temperature = parseFloat(temperatureInput && temperatureInput.value);
+
+        try {
+            if (!(temperature > 0)) {
+                throw new Error('Temperature must be positive');
+            }
+
+            const result = CellPotentialCalculator.nernst(cell, {
+                reactants: withActivities('reactants'),
+                products: withActivities('products'),
+                pH: pHInput && pHInput.value !== '' ? parseFloat(pHInput.value) : null,
+                temperature
+            });
+
+            output.innerHTML = `
+                <p>Q = ${result.reactionQuotient.toExponential(3)} &nbsp; <strong>E</strong> = ${result.potential.toFixed(3)} V
+                &nbsp; ΔG = ${result.deltaG.toFixed(1)} kJ/mol</p>
+                <p>${result.spontaneous ? '✅ Spontaneous under these conditions' : '⛔ Non-spontaneous under these conditions'}</p>
+            `;
+        } catch (error) {
+            output.innerHTML = `<p class="stoich-error">${error.message}</p>`;
+        }
+    }
+
+    /**
+     * Format matrix for display - simplified
+     */
+    formatMatrix(matrix) {
+        return 'Matrix display will be available in full version';
     }
 
     /**
-     * Setup accessibility features
+     * Update stoichiometry calculations
      */
-    setupAccessibility() {
-        // Add role and aria-label to interactive elements
-        const buttons = document.querySelectorAll('button');
-        buttons.forEach(btn => {
-            if (!btn.hasAttribute('aria-label') && btn.textContent.trim()) {
-                btn.setAttribute('aria-label', btn.textContent.trim());
-            }
-        });
+    updateStoichiometry() {
+        if (!this.currentEquation) return;
 
-        // Setup live regions for announcements
-        this.createLiveRegion();
+        const section = document.getElementById('stoichiometry');
+        if (section) {
+            section.style.display = 'block';
+        }
+
+        this.renderAmountInputs();
+        this.renderYieldControls();
+        this.clearStoichiometryResults();
     }
 
     /**
-     * Create ARIA live region for screen reader announcements
+     * Generate one amount row (value, unit, optional concentration) per species
      */
-    createLiveRegion() {
-        const liveRegion = document.createElement('div');
-        liveRegion.id = 'live-region';
-        liveRegion.setAttribute('aria-live', 'polite');
-        liveRegion.setAttribute('aria-atomic', 'true');
-        liveRegion.style.position = 'absolute';
-        liveRegion.style.left = '-10000px';
-        liveRegion.style.width = '1px';
-        liveRegion.style.height = '1px';
-        liveRegion.style.overflow = 'hidden';
-        document.body.appendChild(liveRegion);
+    renderAmountInputs() {
+        const container = document.getElementById('amount-inputs');
+        if (!container || !this.currentEquation) return;
+
+        const reactants = this.currentEquation.reactants || [];
+        const products = this.currentEquation.products || [];
+        // "L gas" volumes use the temperature and pressure of the gas conditions panel
+        const unitOptions = Object.entries(AMOUNT_UNITS)
+            .map(([unit, info]) => `<option value="${unit}">${info.label}</option>`)
+            .join('') + '<option value="L-gas">L gas (T, P below)</option>';
+        const concentrationOptions = Object.entries(CONCENTRATION_UNITS)
+            .map(([unit, info]) => `<option value="${unit}">${info.label}</option>`)
+            .join('');
+
+        container.innerHTML = [...reactants, ...products].map((compound, index) => {
+            const formula = StoichiometryEngine.displayFormula(compound);
+            const role = index < reactants.length ? 'reactant' : 'product';
+            const inputId = `amount-${index}`;
+            return `
+                <div class="amount-input-group" data-species-index="${index}">
+                    <label for="${inputId}">
+                        ${this.formatChemicalFormula(formula)}
+                        <span class="amount-role">${role}</span>
+                    </label>
+                    <input type="number" id="${inputId}" min="0" step="any" inputmode="decimal"
+                           data-species-index="${index}" aria-label="Amount of ${this.escapeHtml(formula)}">
+                    <select data-species-index="${index}" aria-label="Unit for ${this.escapeHtml(formula)}">
+                        ${unitOptions}
+                    </select>
+                    <div class="solution-inputs" data-solution-index="${index}" style="display: none;">
+                        <input type="number" min="0" step="any" placeholder="Concentration"
+                               data-concentration-index="${index}" aria-label="Concentration of ${this.escapeHtml(formula)} solution">
+                        <select data-concentration-unit-index="${index}" aria-label="Concentration unit for ${this.escapeHtml(formula)}">
+                            ${concentrationOptions}
+                        </select>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('input, select').forEach(field => {
+            const eventName = field.tagName === 'SELECT' ? 'change' : 'input';
+            field.addEventListener(eventName, this.handleStoichInput.bind(this));
+        });
     }
 
     /**
-     * Announce message to screen readers
-     * @param {string} message
+     * Populate the product selector of the yield panel
      */
-    announce(message) {
-        const liveRegion = document.getElementById('live-region');
-        if (liveRegion) {
-            liveRegion.textContent = message;
+    renderYieldControls() {
+        const productSelect = document.getElementById('yield-product');
+        if (!productSelect || !this.currentEquation) return;
+
+        const reactantCount = this.currentEquation.reactants?.length || 0;
+        productSelect.innerHTML = (this.currentEquation.products || []).map((compound, i) => {
+            const formula = StoichiometryEngine.displayFormula(compound);
+            return `<option value="${reactantCount + i}">${this.escapeHtml(formula)}</option>`;
+        }).join('');
+
+        const yieldOutput = document.getElementById('yield-output');
+        if (yieldOutput) {
+            yieldOutput.innerHTML = '';
         }
     }
 
     /**
-     * Handle equation input changes
-     * @param {Event} e
+     * Handle yield direction or yield input changes
      */
-    handleEquationInput(e) {
-        const equation = e.target.value.trim();
-        
-        // Clear previous results and messages
-        this.clearMessages();
-        this.clearResults();
-        
-        // Enable/disable balance button
-        const balanceBtn = document.getElementById('balance-btn');
-        if (balanceBtn) {
-            balanceBtn.disabled = !equation;
+    handleYieldInput() {
+        const direction = document.querySelector('input[name="yield-direction"]:checked')?.value || 'forward';
+
+        const massLabel = document.getElementById('yield-mass-label');
+        if (massLabel) {
+            massLabel.textContent = direction === 'forward' ? 'Actual mass obtained (g)' : 'Target mass (g)';
         }
-        
-        // Show suggestions for common mistakes
-        this.showInputSuggestions(equation);
-        
-        // Auto-balance if preference is set (debounced)
-        if (this.preferences && this.preferences.autoBalance) {
-            clearTimeout(this.autoBalanceTimeout);
-            this.autoBalanceTimeout = setTimeout(() => {
-                if (equation && equation.includes('=')) {
-                    this.performBalance();
-                }
-            }, 1000);
+        const percentGroup = document.getElementById('yield-percent-group');
+        if (percentGroup) {
+            percentGroup.style.display = direction === 'backward' ? 'flex' : 'none';
         }
+
+        this.calculateYield(direction);
     }
 
     /**
-     * Handle equation input keydown
-     * @param {Event} e
+     * Solve percent yield (forward) or required reactants (backward)
+     * @param {string} direction - 'forward' or 'backward'
      */
-    handleEquationKeydown(e) {
-        // Insert common symbols with shortcuts
-        if (e.altKey) {
-            switch (e.key) {
-                case '2':
-                    e.preventDefault();
-                    this.insertAtCursor('₂');
-                    break;
-                case '3':
-                    e.preventDefault();
-                    this.insertAtCursor('₃');
-                    break;
-                case '+':
-                    e.preventDefault();
-                    this.insertAtCursor('⁺');
-                    break;
-                case '-':
-                    e.preventDefault();
-                    this.insertAtCursor('⁻');
-                    break;
-                case '>':
-                    e.preventDefault();
-                    this.insertAtCursor('→');
-                    break;
+    calculateYield(direction = 'forward') {
+        const output = document.getElementById('yield-output');
+        if (!output || !this.currentEquation || !this.currentEquation.success) return;
+
+        const productIndex = parseInt(document.getElementById('yield-product')?.value, 10);
+        const mass = document.getElementById('yield-mass')?.value.trim();
+        if (!mass || Number.isNaN(productIndex)) {
+            output.innerHTML = '';
+            return;
+        }
+
+        const fmt = value => Number(value.toPrecision(4)).toString();
+
+        try {
+            if (direction === 'forward') {
+                const amounts = GasCalculator.toAmounts(this.currentEquation, this.readStoichiometryAmounts());
+                const result = StoichiometryEngine.percentYield(
+                    this.currentEquation, amounts, productIndex, mass
+                );
+                const { precision } = result;
+                output.innerHTML = `
+                    <p><strong>Theoretical yield:</strong> ${this.formatMeasured(result.theoreticalGrams, precision.theoreticalGrams)} g ${this.formatChemicalFormula(result.product.formula)}
+                        (limited by ${this.formatChemicalFormula(result.limitingReagent.formula)})</p>
+                    <p><strong>Actual yield:</strong> ${fmt(result.actualGrams)} g</p>
+                    <p><strong>Percent yield:</strong> ${this.formatMeasured(result.percentYield, precision.percentYield)}%</p>
+                    ${this.formatPrecisionNote(precision.percentYield)}
+                `;
+            } else {
+                const percent = document.getElementById('yield-percent')?.value.trim() || '100';
+                const result = StoichiometryEngine.requiredForYield(
+                    this.currentEquation, productIndex, mass, percent
+                );
+                let html = `<p><strong>Theoretical product needed:</strong> ${this.formatMeasured(result.theoreticalGrams, result.precision.theoreticalGrams)} g
+                    ${this.formatChemicalFormula(result.product.formula)} at ${fmt(result.expectedYield)}% yield</p><ul>`;
+                result.reactants.forEach(reactant => {
+                    const amount = reactant.grams !== null
+                        ? `${this.formatMeasured(reactant.grams, reactant.precision.grams)} g`
+                        : `${this.formatMeasured(reactant.moles, reactant.precision.moles)} mol`;
+                    html += `<li>${this.formatChemicalFormula(reactant.formula)}: ${amount}</li>`;
+                });
+                output.innerHTML = html + '</ul>' + this.formatPrecisionNote(result.precision.extent);
             }
+        } catch (error) {
+            output.innerHTML = `<p class="stoich-error">${this.escapeHtml(error.message)}</p>`;
         }
     }
 
     /**
-     * Insert text at cursor position
-     * @param {string} text
+     * Solve C1V1 = C2V2 for the blank field
      */
-    insertAtCursor(text) {
-        const input = document.getElementById('equation-input');
-        if (!input) return;
-        
-        const start = input.selectionStart;
-        const end = input.selectionEnd;
-        const value = input.value;
-        
-        input.value = value.substring(0, start) + text + value.substring(end);
-        input.selectionStart = input.selectionEnd = start + text.length;
-        
-        // Trigger input event
-        input.dispatchEvent(new Event('input'));
+    calculateDilution() {
+        const output = document.getElementById('dilution-output');
+        if (!output) return;
+
+        const values = {};
+        document.querySelectorAll('#dilution input[data-dilution]').forEach(field => {
+            values[field.dataset.dilution] = field.value.trim() === '' ? null : field.value.trim();
+        });
+
+        const blanks = Object.values(values).filter(value => value === null).length;
+        if (blanks !== 1) {
+            output.innerHTML = '<p class="result-placeholder">Enter three of the four values</p>';
+            return;
+        }
+
+        const labels = { c1: 'Stock concentration (C₁)', v1: 'Stock volume (V₁)', c2: 'Final concentration (C₂)', v2: 'Final volume (V₂)' };
+
+        try {
+            const result = SolutionCalculator.dilution(values);
+            const { precision } = result;
+            output.innerHTML = `
+                <p><strong>${labels[result.solved]}:</strong> ${this.formatMeasured(result[result.solved], precision[result.solved])}</p>
+                <p><strong>Solvent to add:</strong> ${this.formatMeasured(result.solventAdded, precision.solventAdded)} (volume units)</p>
+                <p><strong>Dilution factor:</strong> ${this.formatMeasured(result.dilutionFactor, precision.dilutionFactor)}×</p>
+                ${this.formatPrecisionNote(precision[result.solved])}
+            `;
+        } catch (error) {
+            output.innerHTML = `<p class="stoich-error">${this.escapeHtml(error.message)}</p>`;
+        }
     }
 
     /**
-     * Handle mode change
-     * @param {Event} e
+     * Show the element list or the combustion inputs for the chosen data type
      */
-    handleModeChange(e) {
-        this.currentMode = e.target.value;
-        this.updateUIForMode();
-        this.clearResults();
-        this.savePreferences();
+    handleEmpiricalMethodChange() {
+        const method = document.getElementById('empirical-method')?.value;
+        const combustion = method === 'combustion';
+
+        const elementsGroup = document.getElementById('empirical-elements-group');
+        if (elementsGroup) {
+            elementsGroup.style.display = combustion ? 'none' : 'block';
+        }
+        const combustionInputs = document.getElementById('combustion-inputs');
+        if (combustionInputs) {
+            combustionInputs.style.display = combustion ? 'block' : 'none';
+        }
     }
 
     /**
-     * Update UI based on selected mode
+     * Read the composition data and show the empirical and molecular formula
      */
-    updateUIForMode() {
-        // Currently only Standard and Redox modes are supported
-        // Additional UI elements can be shown/hidden based on mode if needed
-        
-        // Update input placeholder based on mode
-        const input = document.getElementById('equation-input');
-        if (input) {
-            if (this.currentMode === 'redox') {
-                input.placeholder = "Fe²⁺ + Cr₂O₇²⁻ + H⁺ → Fe³⁺ + Cr³⁺ + H₂O";
-            } else {
-                input.placeholder = "C₃H₈ + O₂ → CO₂ + H₂O";
-            }
+    calculateEmpiricalFormula() {
+        const output = document.getElementById('empirical-output');
+        if (!output) return;
+
+        const value = id => {
+            const field = document.getElementById(id);
+            return field && field.value.trim() !== '' ? parseFloat(field.value) : undefined;
+        };
+        const method = document.getElementById('empirical-method')?.value || 'percentages';
+
+        const result = findEmpiricalFormula({
+            method,
+            amounts: parseElementAmounts(document.getElementById('empirical-elements')?.value || ''),
+            combustion: {
+                sampleMass: value('combustion-sample'),
+                co2Mass: value('combustion-co2') || 0,
+                h2oMass: value('combustion-h2o') || 0,
+                so2Mass: value('combustion-so2') || 0,
+                elements: parseElementAmounts(document.getElementById('combustion-other')?.value || ''),
+                elementUnit: document.getElementById('combustion-other-unit')?.value || 'g'
+            },
+            molarMass: value('empirical-molar-mass') || null
+        });
+
+        if (!result.success) {
+            output.innerHTML = `<p class="stoich-error">${this.escapeHtml(result.error)}</p>`;
+            return;
         }
-        
-        // Update examples based on mode
-        this.updateExamplesForMode();
+
+        const fmt = value => Number(value.toPrecision(4)).toString();
+        const rows = Object.keys(result.empirical).map(element => `
+            <tr>
+                <td>${element}${result.oxygenByDifference && element === 'O' ? ' <small>(by difference)</small>' : ''}</td>
+                ${result.masses ? `<td>${fmt(result.masses[element])}</td>` : ''}
+                <td>${fmt(result.moles[element])}</td>
+                <td>${fmt(result.ratios[element])}</td>
+                <td>${result.empirical[element]}</td>
+            </tr>
+        `).join('');
+
+        let html = `
+            <table class="stoich-table">
+                <thead>
+                    <tr><th>Element</th>${result.masses ? '<th>g</th>' : ''}<th>mol${method === 'percentages' ? ' per 100 g' : ''}</th><th>Ratio</th><th>× ${result.multiplier}</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p><strong>Empirical formula:</strong> ${this.formatChemicalFormula(result.formula)} (${fmt(result.empiricalMass)} g/mol)</p>
+        `;
+        if (!result.withinTolerance) {
+            html += `<p class="stoich-warning">No multiplier up to 12 gives whole numbers (largest deviation ${fmt(result.maxDeviation)}); check the data.</p>`;
+        }
+        if (result.molecular) {
+            html += `<p><strong>Molecular formula:</strong> ${this.formatChemicalFormula(result.molecular.formula)}
+                (${result.molecular.multiplier} × empirical, ${fmt(result.molecular.molecularMass)} g/mol)</p>`;
+        }
+
+        output.innerHTML = html;
     }
-    
+
     /**
-     * Update examples dropdown based on mode
+     * Read the sequence textarea and (re)build per-step yield inputs
      */
-    updateExamplesForMode() {
-        const exampleItems = document.querySelectorAll('[data-example]');
-        exampleItems.forEach(item => {
-            const example = item.getAttribute('data-example');
-            const isRedox = ['redox-acidic', 'redox-basic'].includes(example);
-            
-            if (this.currentMode === 'standard' && isRedox) {
-                item.style.display = 'none';
-            } else if (this.currentMode === 'redox' && !isRedox && example !== 'combustion') {
-                item.style.display = 'none';
-            } else {
-                item.style.display = 'block';
-            }
+    handleSequenceAnalyze() {
+        const input = document.getElementById('sequence-input');
+        const container = document.getElementById('sequence-steps');
+        if (!input || !container) return;
+
+        const equations = input.value.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+        // Keep yields the user already entered for steps that still exist
+        const previousYields = Array.from(container.querySelectorAll('input[data-step-index]')).map(field => field.value);
+
+        container.innerHTML = equations.map((equation, index) => `
+            <div class="amount-input-group">
+                <label for="step-yield-${index}">Step ${index + 1} yield (%)
+                    <span class="amount-role">${this.escapeHtml(equation)}</span>
+                </label>
+                <input type="number" id="step-yield-${index}" min="0" max="100" step="any"
+                       value="${previousYields[index] || 100}" data-step-index="${index}">
+            </div>
+        `).join('');
+
+        container.querySelectorAll('input[data-step-index]').forEach(field => {
+            field.addEventListener('input', this.calculateSequence.bind(this));
         });
+
+        this.calculateSequence();
     }
 
     /**
-     * Handle balance button click
+     * Balance and combine the reaction steps
      */
-    handleBalance() {
-        this.performBalance();
+    calculateSequence() {
+        const input = document.getElementById('sequence-input');
+        const output = document.getElementById('sequence-output');
+        if (!input || !output) return;
+
+        const equations = input.value.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        if (equations.length === 0) {
+            output.innerHTML = '<p class="result-placeholder">Enter reaction steps to see the overall yield</p>';
+            return;
+        }
+
+        const steps = equations.map((equation, index) => {
+            const yieldInput = document.querySelector(`#sequence-steps input[data-step-index="${index}"]`);
+            return { equation, yield: yieldInput && yieldInput.value !== '' ? parseFloat(yieldInput.value) : 100 };
+        });
+        const target = document.getElementById('sequence-target')?.value.trim();
+
+        const result = balanceReactionSequence(steps, {
+            mode: this.currentMode,
+            targetGrams: target ? parseFloat(target) : null,
+            startingMaterial: document.getElementById('sequence-start')?.value.trim() || null,
+            finalProduct: document.getElementById('sequence-product')?.value.trim() || null
+        });
+        this.displaySequenceResults(result);
     }
 
     /**
-     * Perform equation balancing
+     * Render the reaction-sequence report
+     * @param {Object} result
      */
-    async performBalance() {
-        const equationInput = document.getElementById('equation-input');
-        if (!equationInput) return;
-        
-        const equation = equationInput.value.trim();
-        if (!equation) {
-            this.showError('Please enter a chemical equation to balance.');
+    displaySequenceResults(result) {
+        const output = document.getElementById('sequence-output');
+        if (!output) return;
+
+        if (!result.success) {
+            output.innerHTML = `<p class="stoich-error">${this.escapeHtml(result.error)}</p>`;
             return;
         }
 
-        // Show loading state
-        this.setLoading(true);
-        
-        try {
-            const result = await this.balanceEquation(equation);
-            
-            if (result.success) {
-                this.displayResult(result);
-                this.currentEquation = result;
-                this.updateStoichiometry();
-                this.showSuccess('Equation balanced successfully!');
-                this.announce('Equation balanced successfully');
-            } else {
-                let errorMessage = result.error || 'Failed to balance equation.';
-                
-                // Display suggestions if available
-                if (result.suggestions && result.suggestions.length > 0) {
-                    errorMessage += '\n\n' + (result.hint || 'Suggestions:') + '\n' + 
-                                   result.suggestions.map((s, i) => `${i + 1}. ${s}`).join('\n');
-                }
-                
-                this.showError(errorMessage);
-                this.announce('Balancing failed: ' + (result.error || 'Unknown error'));
-            }
-        } catch (error) {
-            this.showError('An unexpected error occurred: ' + error.message);
-            this.announce('Balancing failed due to an error');
-        } finally {
-            this.setLoading(false);
+        const fmt = value => Number(value.toPrecision(4)).toString();
+        let html = '<ol>';
+        result.steps.forEach(step => {
+            const link = step.link ? ` <small>(uses ${this.formatChemicalFormula(step.link.formula)})</small>` : '';
+            html += `<li>${this.formatChemicalFormula(step.balanced)}${link}<br>
+                <small>${fmt(step.yield)}% yield, ${fmt(step.cumulativeYield)}% cumulative</small></li>`;
+        });
+        html += '</ol>';
+
+        html += `<p><strong>Overall yield:</strong> ${fmt(result.overallYield)}%</p>`;
+        html += `<p><strong>Net equation:</strong> ${this.formatChemicalFormula(result.netEquation)}</p>`;
+
+        if (result.target) {
+            html += `<p><strong>Starting material:</strong> ${fmt(result.startingMaterial.grams)} g
+                ${this.formatChemicalFormula(result.startingMaterial.formula)} (${fmt(result.startingMaterial.moles)} mol)
+                for ${fmt(result.target.grams)} g ${this.formatChemicalFormula(result.finalProduct.formula)}</p>`;
         }
+
+        output.innerHTML = html;
     }
 
     /**
-     * Balance chemical equation using matrix nullspace method
-     * @param {string} equation
-     * @returns {Promise<Object>}
+     * Inspect the formula typed in the formula inspector
      */
-    async balanceEquation(equation) {
-        try {
-            const result = balanceChemicalEquation(equation, this.currentMode);
-            
-            if (result.success) {
-                // Add coefficient information for display
-                result.coefficients = result.coefficients.map(c => ({ 
-                    toNumber: () => c,
-                    toString: () => c.toString()
-                }));
-            }
-            
-            return result;
-        } catch (error) {
-            return { success: false, error: `Unexpected error: ${error.message}` };
+    calculateMolarMasses() {
+        const output = document.getElementById('inspect-output');
+        if (!output) return;
+
+        const formula = document.getElementById('inspect-formula')?.value || '';
+        const inspection = inspectFormula(formula);
+        if (!inspection.success) {
+            output.innerHTML = `<p class="stoich-error">${this.escapeHtml(inspection.error)}</p>`;
+            return;
         }
-    }
 
+        const chargeText = document.getElementById('inspect-charge')?.value.trim() || '';
+        const pattern = isotopePattern(formula, chargeText === '' ? null : parseInt(chargeText, 10));
 
+        output.innerHTML = `
+            <p><strong>${this.formatChemicalFormula(inspection.formula)}</strong>: ${Number(inspection.molarMass.toPrecision(6))} g/mol</p>
+            ${this.formatComposition(inspection)}
+            ${pattern.success
+                ? this.formatIsotopePattern(pattern)
+                : `<p class="stoich-warning">Isotope pattern unavailable: ${this.escapeHtml(pattern.error)}</p>`}
+        `;
+    }
 
     /**
-     * Format balanced equation for display - simplified
+     * Render exact masses and the isotope distribution as a table and stick spectrum
+     * @param {Object} pattern - Successful result of isotopePattern
+     * @returns {string}
      */
-    formatBalancedEquation(coefficients, reactants, products) {
-        // Simplified placeholder
-        return 'Equation formatting will be available in full version';
+    formatIsotopePattern(pattern) {
+        const charged = pattern.charge !== 0;
+        const chargeLabel = charged ? `${Math.abs(pattern.charge) > 1 ? Math.abs(pattern.charge) : ''}${pattern.charge > 0 ? '+' : '−'}` : '';
+        const peaks = pattern.peaks.filter(peak => peak.relativeAbundance >= 0.1);
+
+        const low = peaks[0].mz;
+        const span = Math.max(peaks[peaks.length - 1].mz - low, 1);
+        const x = mz => (peaks.length === 1 ? 100 : 10 + (mz - low) / span * 180);
+        const sticks = peaks.map(peak => `
+            <line x1="${x(peak.mz).toFixed(2)}" y1="90" x2="${x(peak.mz).toFixed(2)}" y2="${(90 - peak.relativeAbundance * 0.8).toFixed(2)}">
+                <title>m/z ${peak.mz.toFixed(4)}: ${peak.relativeAbundance.toFixed(1)}%</title>
+            </line>
+        `).join('');
+
+        return `
+            <h4>Mass Spectrum${charged ? ` (z = ${chargeLabel})` : ''}</h4>
+            <p><strong>Monoisotopic mass:</strong> ${pattern.monoisotopicMass.toFixed(5)} u${charged ? `; m/z ${pattern.monoisotopicMz.toFixed(5)}` : ''}<br>
+                <strong>Nominal mass:</strong> ${pattern.nominalMass}; <strong>average:</strong> ${pattern.averageMass.toFixed(3)} g/mol</p>
+            <div class="composition-panel">
+                <svg class="isotope-spectrum" viewBox="0 0 200 100" role="img" aria-label="Isotope pattern: ${peaks.map(peak => `${peak.nominalMass} ${peak.relativeAbundance.toFixed(1)}%`).join(', ')}">
+                    <line class="spectrum-axis" x1="5" y1="90" x2="195" y2="90"></line>
+                    ${sticks}
+                </svg>
+                <table class="stoich-table">
+                    <thead><tr><th>${charged ? 'm/z' : 'Mass'}</th><th>Nominal</th><th>Relative %</th></tr></thead>
+                    <tbody>
+                        ${peaks.map(peak => `
+                            <tr><td>${peak.mz.toFixed(4)}</td><td>${charged && Math.abs(pattern.charge) > 1 ? `${peak.nominalMass}/${Math.abs(pattern.charge)}` : peak.nominalMass}</td><td>${peak.relativeAbundance.toFixed(2)}</td></tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
     }
 
     /**
-     * Display balanced equation result
-     * @param {Object} result
+     * Render a composition table, mass-percent chart, hydrate water and isotope labels
+     * @param {Object} inspection - Successful result of inspectFormula
+     * @returns {string}
      */
-    displayResult(result) {
-        const resultDiv = document.getElementById('equation-result');
-        if (!resultDiv) return;
-
-        resultDiv.innerHTML = `
-            <div class="balanced-equation">
-                ${this.formatChemicalFormula(result.balanced)}
+    formatComposition(inspection) {
+        const fmt = value => Number(value.toPrecision(4)).toString();
+        const rows = inspection.elements.map((entry, index) => `
+            <tr>
+                <td><span class="composition-swatch" style="background: ${COMPOSITION_COLORS[index % COMPOSITION_COLORS.length]};"></span>
+                    ${entry.massNumber ? `<sup>${entry.massNumber}</sup>${entry.symbol}` : entry.symbol} <small>${entry.name}</small></td>
+                <td>${entry.count}</td>
+                <td>${fmt(entry.contribution)}</td>
+                <td>${entry.massPercent.toFixed(2)}%</td>
+                <td>${entry.atomPercent.toFixed(1)}%</td>
+            </tr>
+        `).join('');
+
+        let html = `
+            <div class="composition-panel">
+                ${this.formatCompositionChart(inspection.elements)}
+                <table class="stoich-table">
+                    <thead><tr><th>Element</th><th>Atoms</th><th>g/mol</th><th>Mass %</th><th>Atom %</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
             </div>
+            <p><small>${inspection.totalAtoms} atoms per formula unit</small></p>
         `;
 
-        // Show copy button
-        const copyBtn = document.getElementById('copy-btn');
-        if (copyBtn) {
-            copyBtn.style.display = 'inline-flex';
+        if (inspection.hydrate) {
+            const { waterCount, waterMass, waterPercent, anhydrousMass } = inspection.hydrate;
+            html += `<p><strong>Water of hydration:</strong> ${waterCount} H₂O = ${fmt(waterMass)} g/mol
+                (${waterPercent.toFixed(2)}% by mass); anhydrous salt ${fmt(anhydrousMass)} g/mol</p>`;
+        }
+
+        if (inspection.isotopes.length > 0) {
+            html += `
+                <p><strong>Isotope labels:</strong></p>
+                <ul class="isotope-labels">
+                    ${inspection.isotopes.map(isotope => `
+                        <li><sup>${isotope.massNumber}</sup>${isotope.symbol}${isotope.count > 1 ? ` × ${isotope.count}` : ''}:
+                            ${isotope.isotopeMass.toFixed(5)} u vs. ${fmt(isotope.standardMass)} natural (+${isotope.shift.toFixed(4)} g/mol)</li>
+                    `).join('')}
+                </ul>
+                <p>Unlabelled formula: ${fmt(inspection.unlabelledMass)} g/mol</p>
+            `;
         }
 
-        // Show details if available
-        if (result.matrix || result.details) {
-            this.displayDetails(result);
-        }
+        return html;
     }
 
     /**
-     * Format chemical formula with proper subscripts and superscripts
-     * @param {string} formula
+     * Pie chart of mass percentages as inline SVG
+     * @param {Array} elements - Composition entries with massPercent
      * @returns {string}
      */
-    formatChemicalFormula(formula) {
-        return formula
-            // First handle coefficients (numbers at start or after spaces/+) - keep as regular numbers
-            .replace(/(^|\s|\+\s*)(\d+)([A-Z])/g, '$1$2$3')
-            // Then handle subscripts (numbers after elements) - make subscript
-            .replace(/([A-Za-z])(\d+)/g, '$1<sub>$2</sub>')
-            // Handle superscripts for charges
-            .replace(/\^(\d*[\+\-])/g, '<sup>$1</sup>')
-            // Style operators
-            .replace(/\+/g, ' + ')
-            .replace(/→/g, ' → ');
+    formatCompositionChart(elements) {
+        const label = elements.map(entry => `${entry.element} ${entry.massPercent.toFixed(1)}%`).join(', ');
+        const point = fraction => {
+            const angle = 2 * Math.PI * fraction - Math.PI / 2;
+            return `${(50 + 45 * Math.cos(angle)).toFixed(3)} ${(50 + 45 * Math.sin(angle)).toFixed(3)}`;
+        };
+
+        let start = 0;
+        const slices = elements.map((entry, index) => {
+            const color = COMPOSITION_COLORS[index % COMPOSITION_COLORS.length];
+            const fraction = entry.massPercent / 100;
+            if (fraction >= 0.9999) {
+                return `<circle cx="50" cy="50" r="45" fill="${color}"><title>${entry.element}: 100%</title></circle>`;
+            }
+
+            const path = `M 50 50 L ${point(start)} A 45 45 0 ${fraction > 0.5 ? 1 : 0} 1 ${point(start + fraction)} Z`;
+            start += fraction;
+            return `<path d="${path}" fill="${color}"><title>${entry.element}: ${entry.massPercent.toFixed(2)}%</title></path>`;
+        }).join('');
+
+        return `<svg class="composition-chart" viewBox="0 0 100 100" role="img" aria-label="Mass percent: ${label}">${slices}</svg>`;
     }
 
     /**
-     * Display calculation details
-     * @param {Object} result
+     * Handle stoichiometry input changes
      */
-    displayDetails(result) {
-        const detailsContainer = document.querySelector('.details-content');
-        if (!detailsContainer) return;
-
-        let detailsHTML = '<div class="calculation-explanation">';
-        
-        // Basic balancing explanation
-        detailsHTML += `
-            <h4>🧮 Balancing Method</h4>
-            <p>This equation was balanced using <strong>matrix nullspace analysis</strong>:</p>
-            <ol>
-                <li><strong>Parse</strong>: Extract all elements from each compound</li>
-                <li><strong>Matrix</strong>: Build element balance equations (Ax = 0)</li>
-                <li><strong>Solve</strong>: Find rational nullspace using Gaussian elimination</li>
-                <li><strong>Scale</strong>: Convert to smallest positive integer coefficients</li>
-            </ol>
-        `;
+    handleStoichInput(e) {
+        // Concentration is only relevant for solution volumes
+        if (e && e.target && e.target.tagName === 'SELECT' && e.target.dataset.speciesIndex !== undefined) {
+            const index = e.target.dataset.speciesIndex;
+            const solutionInputs = document.querySelector(`#amount-inputs [data-solution-index="${index}"]`);
+            if (solutionInputs) {
+                solutionInputs.style.display = AMOUNT_UNITS[e.target.value]?.kind === 'solution' ? 'flex' : 'none';
+            }
+        }
 
-        // Show element analysis
-        if (result.reactants && result.products) {
-            const allCompounds = [...result.reactants, ...result.products];
-            const elements = new Set();
-            
-            allCompounds.forEach(compound => {
-                Object.keys(compound.composition).forEach(element => {
-                    elements.add(element);
-                });
-            });
+        this.calculateStoichiometry();
+        this.handleYieldInput();
+    }
 
-            detailsHTML += `
-                <h4>🔬 Element Analysis</h4>
-                <p><strong>Elements present:</strong> ${Array.from(elements).join(', ')}</p>
-                <p><strong>Compounds:</strong> ${allCompounds.length} total (${result.reactants.length} reactants, ${result.products.length} products)</p>
-            `;
-        }
+    /**
+     * Switch between significant-figure rounding and full precision, re-rendering the results
+     * @param {boolean} enabled - Show every digit instead of rounding
+     */
+    setFullPrecision(enabled) {
+        this.fullPrecision = Boolean(enabled);
+        document.querySelectorAll('input.full-precision-toggle').forEach(toggle => {
+            toggle.checked = this.fullPrecision;
+        });
 
-        // Show coefficients breakdown
-        if (result.coefficients) {
-            detailsHTML += `
-                <h4>⚖️ Coefficient Breakdown</h4>
-                <div class="coefficients-grid">
-            `;
-            
-            const allCompounds = [...(result.reactants || []), ...(result.products || [])];
-            result.coefficients.forEach((coeff, index) => {
-                const compound = allCompounds[index];
-                const isReactant = index < (result.reactants?.length || 0);
-                detailsHTML += `
-                    <div class="coeff-item">
-                        <span class="coeff-number">${coeff}</span>
-                        <span class="coeff-formula">${compound?.formula || 'Unknown'}</span>
-                        <span class="coeff-role">${isReactant ? 'reactant' : 'product'}</span>
-                    </div>
-                `;
-            });
-            
-            detailsHTML += '</div>';
+        if (this.currentEquation && this.currentEquation.success) {
+            this.handleStoichInput();
         }
+        this.calculateDilution();
+        this.savePreferences();
+    }
 
-        // Redox analysis if available
-        if (result.redoxAnalysis) {
-            const redox = result.redoxAnalysis;
-            
-            if (redox.isRedox) {
-                detailsHTML += `
-                    <h4>⚡ Redox Analysis</h4>
-                    <p><strong>This IS a redox reaction!</strong> Oxidation states change.</p>
-                `;
-                
-                // Show oxidation state changes
-                if (Object.keys(redox.osChanges).length > 0) {
-                    detailsHTML += '<div class="redox-changes">';
-                    for (const [element, change] of Object.entries(redox.osChanges)) {
-                        const direction = change.oxidized && change.reduced ? 'both oxidized & reduced' :
-                                        change.oxidized ? 'oxidized' : 'reduced';
-                        const color = change.oxidized && !change.reduced ? '#dc2626' : 
-                                    change.reduced && !change.oxidized ? '#059669' : '#7c3aed';
-                        
-                        detailsHTML += `
-                            <div class="os-change" style="border-left: 3px solid ${color};">
-                                <strong>${element}</strong>: ${direction}
-                                <br><small>OS: [${change.reactantRange.join(', ')}] → [${change.productRange.join(', ')}]</small>
-                            </div>
-                        `;
-                    }
-                    detailsHTML += '</div>';
-                }
-                
-                // Show electron transfer
-                if (redox.electronTransfer > 0) {
-                    detailsHTML += `<p><strong>Electrons transferred:</strong> ${redox.electronTransfer}</p>`;
-                }
-                
-            } else {
-                detailsHTML += `
-                    <h4>⚖️ Not a Redox Reaction</h4>
-                    <p>No oxidation state changes detected - this is an acid-base, precipitation, or other non-redox reaction.</p>
-                `;
-            }
-        } else if (this.currentMode === 'redox') {
-            detailsHTML += `
-                <h4>⚡ Redox Mode</h4>
-                <p>Redox balancing mode includes charge balance constraints.</p>
-                <p>The algorithm automatically balances both mass and charge conservation.</p>
-            `;
+    /**
+     * Format a calculated value to its significant figures; the tooltip names the limiting input
+     * @param {number|null} value
+     * @param {Object} precision - SigFigs precision of the value
+     * @returns {string} HTML
+     */
+    formatMeasured(value, precision) {
+        const text = formatMeasured(value, precision, this.fullPrecision);
+        if (this.fullPrecision || value === null || value === undefined || !precision || !Number.isFinite(precision.sigFigs)) {
+            return text;
         }
-
-        detailsHTML += `
-            <div class="method-note">
-                <p><strong>Note:</strong> This uses exact rational arithmetic (no floating-point errors) 
-                and guaranteed mathematical correctness through linear algebra.</p>
-            </div>
-        `;
-        
-        detailsHTML += '</div>';
-        detailsContainer.innerHTML = detailsHTML;
+        return `<span class="sig-figs" title="${this.escapeHtml(SigFigs.explain(precision))}">${text}</span>`;
     }
 
     /**
-     * Format matrix for display - simplified
+     * Note explaining which input limited the precision of a set of results
+     * @param {Object} precision - SigFigs precision of the results
+     * @returns {string} HTML
      */
-    formatMatrix(matrix) {
-        return 'Matrix display will be available in full version';
+    formatPrecisionNote(precision) {
+        if (this.fullPrecision) {
+            return '<p class="sigfig-note">Full precision: values are not rounded to significant figures.</p>';
+        }
+        return `<p class="sigfig-note">${this.escapeHtml(SigFigs.explain(precision))}.</p>`;
     }
 
     /**
-     * Update stoichiometry calculations
+     * Calculate stoichiometry based on user inputs
      */
-    updateStoichiometry() {
-        if (!this.currentEquation) return;
-        
-        // Simplified - show placeholder for now
-        const results = document.getElementById('stoich-results');
-        if (results) {
-            results.innerHTML = '<p>Stoichiometry calculations will be available in the full version.</p>';
+    calculateStoichiometry() {
+        const output = document.getElementById('stoich-output');
+        if (!output) return;
+
+        if (!this.currentEquation || !this.currentEquation.success) {
+            output.innerHTML = '<p>Enter a balanced equation first to enable stoichiometry calculations.</p>';
+            return;
+        }
+
+        try {
+            const amounts = this.readStoichiometryAmounts();
+            if (amounts.every(amount => !amount)) {
+                this.clearStoichiometryResults();
+                return;
+            }
+
+            const result = this.calculateAllAmounts(amounts);
+            this.displayStoichiometryResults(result);
+        } catch (error) {
+            output.innerHTML = `<p class="stoich-error">${this.escapeHtml(error.message)}</p>`;
         }
     }
 
     /**
-     * Calculate molar masses for compounds - simplified
+     * Read given amounts from the stoichiometry inputs
+     * Solution volumes become {volume, concentration, concentrationUnit}; a concentration without
+     * a volume asks for the volume consumed or formed (titration endpoint). Gas volumes become
+     * {volume, volumeUnit, temperature, pressure, model, overWater} from the gas conditions panel.
+     * Values stay as typed so their significant figures (trailing zeros included) can be counted.
+     * @returns {Array<Object|null>} Amounts aligned with reactants then products
      */
-    calculateMolarMasses() {
-        // Simplified - placeholder for now
-        console.log('Molar mass calculations will be available in full version');
+    readStoichiometryAmounts() {
+        const count = (this.currentEquation.reactants?.length || 0) + (this.currentEquation.products?.length || 0);
+        const amounts = new Array(count).fill(null);
+
+        const inputs = document.querySelectorAll('#amount-inputs input[data-species-index]');
+        inputs.forEach(input => {
+            const index = parseInt(input.dataset.speciesIndex, 10);
+            if (Number.isNaN(index) || index >= count) return;
+
+            const value = input.value.trim();
+            const unitSelect = document.querySelector(`#amount-inputs select[data-species-index="${index}"]`);
+            const unit = unitSelect ? unitSelect.value : 'g';
+
+            if (AMOUNT_UNITS[unit]?.kind === 'solution') {
+                const concentration = document.querySelector(`#amount-inputs input[data-concentration-index="${index}"]`)?.value.trim();
+                if (!concentration) {
+                    if (value) throw new StoichiometryError('Enter the concentration of each solution', 'NO_MOLARITY');
+                    return;
+                }
+                amounts[index] = {
+                    volume: value || null,
+                    volumeUnit: 'mL',
+                    concentration,
+                    concentrationUnit: document.querySelector(`#amount-inputs select[data-concentration-unit-index="${index}"]`)?.value || 'M'
+                };
+                return;
+            }
+
+            if (!value) return;
+            if (unit === 'L-gas') {
+                amounts[index] = {
+                    volume: value,
+                    volumeUnit: 'L',
+                    ...this.readGasConditions(),
+                    overWater: Boolean(document.getElementById('gas-over-water')?.checked)
+                };
+                return;
+            }
+            amounts[index] = { value, unit };
+        });
+
+        return amounts;
     }
 
     /**
-     * Handle stoichiometry input changes
+     * Read the gas conditions panel; blank fields fall back to STP
+     * @returns {Object} {preset, temperature, temperatureUnit, pressure, pressureUnit, model}
      */
-    handleStoichInput() {
-        this.calculateStoichiometry();
+    readGasConditions() {
+        const field = id => document.getElementById(id)?.value.trim() || '';
+        const temperature = field('gas-temperature');
+        const pressure = field('gas-pressure');
+
+        return {
+            preset: 'STP',
+            temperature: temperature || null,
+            temperatureUnit: field('gas-temperature-unit') || 'C',
+            pressure: pressure || null,
+            pressureUnit: field('gas-pressure-unit') || 'atm',
+            model: field('gas-model') || 'ideal'
+        };
     }
 
     /**
-     * Calculate stoichiometry based on user inputs - simplified
+     * Convert amount to moles
+     * @param {number} value
+     * @param {string} unit
+     * @param {number} molarMass
+     * @returns {number}
      */
-    calculateStoichiometry() {
-        // Simplified - placeholder for now
-        const results = document.getElementById('stoich-results');
-        if (results) {
-            results.innerHTML = '<p>Enter a balanced equation first to enable stoichiometry calculations.</p>';
-        }
+    convertToMoles(value, unit, molarMass) {
+        return StoichiometryEngine.convertToMoles(value, unit, molarMass);
     }
 
     /**
-     * Convert amount to moles - simplified
+     * Calculate amounts for all compounds
+     * @param {Array<Object|null>} amounts
+     * @returns {Object}
      */
-    convertToMoles() {
-        console.log('Unit conversion will be available in full version');
-        return null;
+    calculateAllAmounts(amounts) {
+        return GasCalculator.calculate(this.currentEquation, amounts, this.readGasConditions());
     }
 
     /**
-     * Calculate amounts for all compounds - simplified  
+     * Render limiting reagent, yields and mole ratios
+     * @param {Object} result
      */
-    calculateAllAmounts() {
-        console.log('Stoichiometry calculations will be available in full version');
+    displayStoichiometryResults(result) {
+        const output = document.getElementById('stoich-output');
+        if (!output) return;
+
+        const fmt = (value, digits = 4) => value === null || value === undefined ? '—' : Number(value.toPrecision(digits)).toString();
+        let html = '';
+
+        if (result.limitingReagent) {
+            html += `<p><strong>Limiting reagent:</strong> ${this.formatChemicalFormula(result.limitingReagent.formula)}</p>`;
+        } else {
+            html += '<p><strong>Basis:</strong> amounts required for the given product</p>';
+        }
+        html += `<p><strong>Reaction extent:</strong> ${this.formatMeasured(result.extent, result.precision.extent)} mol</p>`;
+        html += this.formatPrecisionNote(result.precision.extent);
+
+        html += '<table class="stoich-table"><thead><tr><th>Species</th><th>Role</th><th>Ratio</th><th>Moles</th><th>Mass (g)</th><th>Excess (g)</th></tr></thead><tbody>';
+        result.species.forEach(entry => {
+            const role = entry.side === 'reactant'
+                ? (entry.isLimiting ? 'limiting' : 'reactant')
+                : 'product';
+            html += `
+                <tr>
+                    <td>${this.formatChemicalFormula(entry.formula)}</td>
+                    <td>${role}</td>
+                    <td>${entry.moleRatio || entry.coefficient}</td>
+                    <td>${this.formatMeasured(entry.moles, entry.precision.moles)}</td>
+                    <td>${this.formatMeasured(entry.grams, entry.precision.grams)}</td>
+                    <td>${this.formatMeasured(entry.excessGrams, entry.precision.excessGrams)}</td>
+                </tr>
+            `;
+        });
+        html += '</tbody></table>';
+
+        // Solution volumes: given ones, and the endpoint volume for concentration-only inputs
+        const solutions = result.species.filter(entry => entry.solution);
+        if (solutions.length > 0) {
+            html += '<h4>Solutions</h4><ul>';
+            solutions.forEach(entry => {
+                const { solution } = entry;
+                const label = `${fmt(solution.concentration)} ${this.escapeHtml(solution.concentrationUnit)} ${this.formatChemicalFormula(entry.formula)}`;
+                html += solution.givenVolume === null
+                    ? `<li><strong>${this.formatMeasured(solution.volume, entry.precision.volume)} ${solution.volumeUnit}</strong> of ${label} ${entry.side === 'reactant' ? 'needed' : 'formed'}</li>`
+                    : `<li>${fmt(solution.givenVolume)} ${solution.volumeUnit} of ${label} (${this.formatMeasured(entry.given.moles, entry.precision.given)} mol, ${this.formatMeasured(solution.volume, entry.precision.volume)} ${solution.volumeUnit} ${entry.side === 'reactant' ? 'consumed' : 'formed'})</li>`;
+            });
+            html += '</ul>';
+        }
+
+        // Gas volumes at the panel's conditions, and partial pressures of the gaseous products
+        const gases = result.species.filter(entry => entry.gas);
+        if (gases.length > 0) {
+            const pressureUnit = this.readGasConditions().pressureUnit;
+            const { temperature, pressure } = result.gasConditions;
+            html += `<h4>Gases at ${fmt(temperature)} K and ${fmt(GasCalculator.fromBar(pressure, pressureUnit))} ${this.escapeHtml(pressureUnit)}</h4><ul>`;
+            gases.forEach(entry => {
+                const model = entry.gas.model === 'vdw' ? ' (van der Waals)' : '';
+                const overWater = entry.given?.overWater ? ', collected over water' : '';
+                html += `<li>${this.formatChemicalFormula(entry.formula)}: ${this.formatMeasured(entry.gas.volume, entry.precision.gasVolume)} L${model}${overWater}</li>`;
+            });
+            html += '</ul>';
+
+            if (result.gasProducts.length > 0) {
+                html += '<h4>Partial Pressures of Gaseous Products</h4><ul>';
+                result.gasProducts.forEach(gas => {
+                    html += `<li>${this.formatChemicalFormula(gas.formula)}: χ = ${fmt(gas.moleFraction)}, p = ${fmt(GasCalculator.fromBar(gas.partialPressure, pressureUnit))} ${this.escapeHtml(pressureUnit)}</li>`;
+                });
+                html += '</ul>';
+            }
+        }
+
+        if (result.theoreticalYield.length > 0) {
+            html += '<h4>Theoretical Yield</h4><ul>';
+            result.theoreticalYield.forEach(product => {
+                html += `<li>${this.formatChemicalFormula(product.formula)}: ${this.formatMeasured(product.grams, product.precision.grams)} g (${this.formatMeasured(product.moles, product.precision.moles)} mol)</li>`;
+            });
+            html += '</ul>';
+        }
+
+        output.innerHTML = html;
+        this.announce(result.limitingReagent
+            ? `Limiting reagent is ${result.limitingReagent.formula}`
+            : 'Stoichiometry calculated');
     }
 
     /**
      * Clear stoichiometry results
      */
     clearStoichiometryResults() {
-        const results = document.getElementById('stoich-results');
+        const results = document.getElementById('stoich-output');
         if (results) {
             results.innerHTML = '<p class="result-placeholder">Enter amounts above to see calculations</p>';
         }
@@ -1732,10 +3359,15 @@ class StoichiometryCalculator {
      * Clear stoichiometry inputs
      */
     clearStoichiometryInputs() {
-        const inputs = document.querySelectorAll('.stoich-input input[type="number"]');
-        inputs.forEach(input => {
-            input.value = '';
-        });
+        const container = document.getElementById('amount-inputs');
+        if (container) {
+            container.innerHTML = '';
+        }
+
+        const section = document.getElementById('stoichiometry');
+        if (section) {
+            section.style.display = 'none';
+        }
         this.clearStoichiometryResults();
     }
 
@@ -1836,7 +3468,8 @@ class StoichiometryCalculator {
         const resultElement = document.querySelector('.balanced-equation');
         if (!resultElement) return;
 
-        const text = resultElement.textContent || resultElement.innerText;
+        // Plain equation text, charges and state symbols included
+        const text = this.currentEquation?.balanced || resultElement.textContent || resultElement.innerText;
         
         try {
             await navigator.clipboard.writeText(text);
@@ -1848,6 +3481,39 @@ class StoichiometryCalculator {
         }
     }
 
+    /**
+     * Handle net ionic button: show the net ionic equation and its stages in the details
+     */
+    handleNetIonic() {
+        const ionic = buildNetIonicEquation(this.currentEquation);
+        if (!ionic) {
+            this.showWarning('No strong electrolytes to split into ions in this equation');
+            return;
+        }
+
+        this.currentEquation.netIonic = ionic;
+
+        const resultDiv = document.getElementById('equation-result');
+        if (resultDiv) {
+            resultDiv.querySelector('.net-ionic-equation')?.remove();
+            resultDiv.insertAdjacentHTML('beforeend', `
+                <div class="net-ionic-equation">
+                    <strong>Net ionic:</strong> ${ionic.noReaction
+                        ? 'no net reaction (all ions are spectators)'
+                        : this.formatChemicalFormula(ionic.net)}
+                </div>
+            `);
+        }
+
+        this.displayDetails(this.currentEquation);
+        const details = document.getElementById('balance-details');
+        if (details) {
+            details.open = true;
+        }
+
+        this.announce(ionic.noReaction ? 'No net ionic reaction' : `Net ionic equation: ${ionic.net}`);
+    }
+
     /**
      * Fallback copy method
      * @param {string} text
@@ -2009,10 +3675,20 @@ class StoichiometryCalculator {
             resultDiv.innerHTML = '<p class="result-placeholder">Balanced equation will appear here</p>';
         }
         
+        const actions = document.getElementById('result-actions');
+        if (actions) {
+            actions.style.display = 'none';
+        }
+
         const copyBtn = document.getElementById('copy-btn');
         if (copyBtn) {
             copyBtn.style.display = 'none';
         }
+
+        const netIonicBtn = document.getElementById('net-ionic-btn');
+        if (netIonicBtn) {
+            netIonicBtn.style.display = 'none';
+        }
         
         const detailsContainer = document.querySelector('.details-content');
         if (detailsContainer) {
@@ -2135,6 +3811,8 @@ class StoichiometryCalculator {
             const preferences = {
                 mode: this.currentMode,
                 autoBalance: false, // Default to false for now
+                fullPrecision: this.fullPrecision,
+                macros: this.macros,
                 lastEquation: document.getElementById('equation-input')?.value || ''
             };
             
@@ -2168,6 +3846,23 @@ class StoichiometryCalculator {
             }
         }
 
+        // Significant figures or full precision
+        if (this.preferences.fullPrecision) {
+            this.fullPrecision = true;
+            document.querySelectorAll('input.full-precision-toggle').forEach(toggle => {
+                toggle.checked = true;
+            });
+        }
+
+        // User abbreviation macros; ones that no longer parse are dropped
+        if (this.preferences.macros) {
+            for (const [symbol, formula] of Object.entries(this.preferences.macros)) {
+                if (defineFormulaMacro(symbol, formula).success) {
+                    this.macros[symbol] = formula;
+                }
+            }
+        }
+
         // Restore last equation (optional)
         if (this.preferences.lastEquation) {
             const equationInput = document.getElementById('equation-input');
@@ -2219,75 +3914,46 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = { StoichiometryCalculator };
 }
 
-// Extract terminal charge token from a species string.
-// Recognizes patterns (after normalization):
-//   Fe3+, Fe+3, Fe^3+, Fe^+3, Fe2-, Fe^2-, Fe- , Fe+
-//   SO4^2-, SO4^2+, SO4--, SO4++, Cl-, Cl+
-// Rules:
-//   1. A charge token must end the string.
-//   2. Must contain at least one + or - sign (cannot be just trailing digits).
-//   3. Optional leading caret '^'.
-//   4. Digits may appear before or after the first sign, but not both sides (normalize to magnitude).
+// Extract the charge from a species string using the chem/ lexer, so the charge
+// removed here is exactly the one ChemicalParser counts. Recognized forms:
+//   Fe3+, Fe+3, Fe^3+, Fe^+3, Fe2-, Fe^2-, Fe-, Fe+
+//   SO4^2-, SO4--, SO4++, Cl-, NH4+, [Fe(CN)6]4-
+// Digits directly before a sign are a charge only after a single element or bracketed
+// complex (Fe2+, [Fe(CN)6]4-); otherwise they stay a subscript (NH4+ is NH4 with +1).
+// Returns the text with the charge removed (any phase is kept) and the net charge.
 function extractCharge(input) {
-    let core = input;
-    let charge = 0;
-    
-    // Quick reject: no + or - at end
-    if (!/[+-]$/.test(input)) {
-        return { core, charge };
+    const text = input.trim();
+    let tokens;
+    try {
+        tokens = ChemicalLexer.tokenize(text);
+    } catch (e) {
+        return { core: text, charge: 0 };
     }
     
-    // Possible charge segment after the last element/paren/closing bracket
-    // Capture optional caret, digits/sign order variations.
-    const chargeRegex = /(.*?)(?:\^)?((?:\d+[+-]|[+-]\d+|[+-]{1,2}|\d*[+-]))$/;
-    const m = input.match(chargeRegex);
-    if (!m) return { core, charge };
-    
-    const candidateCore = m[1];
-    const token = m[2];
-    
-    // Ensure core is not empty and still has a letter or bracket (avoid classifying whole string as charge)
-    if (!/[A-Za-z\]]/.test(candidateCore)) return { core, charge };
-    
-    // Token must contain at least one sign
-    if (!/[+-]/.test(token)) return { core, charge };
-    
-    // Normalize token forms
-    let magnitude = 1;
-    let sign = 0;
-    
-    // Patterns:
-    //  digits+sign  (e.g., 2+  -> +2)
-    //  sign+digits  (e.g., +2  -> +2)
-    //  sign(s) only (e.g., ++  -> +2, -  -> -1)
-    //  digits*sign (digits optional) handled above
-    if (/^\d+[+-]$/.test(token)) {
-        magnitude = parseInt(token.slice(0, -1));
-        sign = token.endsWith('+') ? 1 : -1;
-    } else if (/^[+-]\d+$/.test(token)) {
-        sign = token[0] === '+' ? 1 : -1;
-        magnitude = parseInt(token.slice(1));
-    } else if (/^[+-]{1,2}$/.test(token)) {
-        // Single or double signs like +, -, ++, --
-        sign = token[0] === '+' ? 1 : -1;
-        magnitude = token.length; // ++ -> 2, -- -> 2
-    } else if (/^\d*[+-]$/.test(token)) { // fallback digits optional then sign
-        const digits = token.slice(0, -1);
-        if (digits) magnitude = parseInt(digits);
-        sign = token.endsWith('+') ? 1 : -1;
-    } else {
-        return { core, charge };
+    const chargeIndices = tokens
+        .map((token, index) => token.type === TokenType.CHARGE ? index : -1)
+        .filter(index => index !== -1);
+    if (chargeIndices.length === 0) {
+        return { core: text, charge: 0 };
     }
     
-    charge = sign * magnitude;
-    core = candidateCore;
+    // Remove the charge tokens' text; each token ends where the next one starts
+    let core = '';
+    let cursor = 0;
+    for (const index of chargeIndices) {
+        core += text.slice(cursor, tokens[index].position);
+        cursor = tokens[index + 1].position;
+    }
+    core += text.slice(cursor);
     
+    const charge = chargeIndices.reduce((sum, index) => sum + tokens[index].value, 0);
     return { core: core.trim(), charge };
 }
 
 // Expose core balancer globally for external / batch usage
 if (typeof window !== 'undefined') {
     window.balanceChemicalEquation = balanceChemicalEquation;
+    window.balanceReactionSequence = balanceReactionSequence;
 }
 
 // Batch processing utility: run many equations with incremental yielding
@@ -2326,6 +3992,13 @@ function runBatchBalance(equations, options = {}) {
             if (includeDiagnostics && result && !result.success && result.diagnostic) {
                 entry.diagnostic = result.diagnostic;
             }
+            if (result.success && result.warnings && result.warnings.length > 0) {
+                entry.warnings = result.warnings;
+            }
+            if (result.success && result.classification) {
+                entry.reactionType = result.classification.primary;
+                entry.classification = result.classification.rationale;
+            }
             results.push(entry);
         }
         if (onProgress) {
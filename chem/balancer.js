@@ -3,7 +3,7 @@
  * Balances equations with exact integer coefficients
  */
 
-import { Fraction, FractionUtils } from './fractions.js';
+import { Fraction } from './fractions.js';
 import LinearAlgebra from './linear.js';
 import { parseFormula } from './parser.js';
 
@@ -44,8 +44,11 @@ export class ChemicalBalancer {
     this.species = [...this.reactants, ...this.products];
     this.addedSpecies = [];
     
-    // Parse all formulas
+    // Parse all formulas (species may also be given pre-parsed as {elements, charge})
     this.parsed = this.species.map(formula => {
+      if (typeof formula !== 'string') {
+        return formula;
+      }
       try {
         return parseFormula(formula);
       } catch (error) {
@@ -78,11 +81,13 @@ export class ChemicalBalancer {
     return Array.from(elementSet).sort();
   }
   
-  // Add H+, H2O, OH-, e- for redox balancing
+  // Add H+/OH- and H2O for redox balancing
+  // Electrons are not added: in a full equation they must cancel, so a free e- column
+  // only lets the solver pick a half-reaction vector
   addRedoxSpecies() {
     const redoxCandidates = {
-      acidic: ['H+', 'H2O', 'e-'],
-      basic: ['OH-', 'H2O', 'e-']
+      acidic: ['H+', 'H2O'],
+      basic: ['OH-', 'H2O']
     };
     
     const candidates = redoxCandidates[this.mode] || [];
@@ -167,40 +172,30 @@ export class ChemicalBalancer {
   }
   
   // Find best nullspace vector for balancing
+  // Every species the user wrote must get a positive coefficient; added H+/OH-/H2O may
+  // land on either side. Single basis vectors are tried first, then small combinations.
   findBestNullVector(nullBasis) {
     if (nullBasis.length === 0) {
       throw new BalanceError('No solution exists - equation cannot be balanced', 'NO_SOLUTION');
     }
     
-    const numProducts = this.products.length;
-    const productStart = this.reactants.length;
-    
     let bestVector = null;
     let bestScore = Infinity;
     
-    // Try different combinations of basis vectors
-    for (let i = 0; i < nullBasis.length; i++) {
-      const candidates = this.generateCandidates(nullBasis[i]);
-      
-      for (const candidate of candidates) {
-        // Check if at least one product has positive coefficient
-        const hasPositiveProduct = candidate.slice(productStart, productStart + numProducts)
-          .some(coeff => coeff.gt(0));
-        
-        if (!hasPositiveProduct) continue;
-        
-        // Score based on coefficient size and simplicity
-        const integers = LinearAlgebra.vectorToIntegers(candidate);
-        const maxCoeff = Math.max(...integers.map(Math.abs));
-        const sumCoeffs = integers.reduce((sum, c) => sum + Math.abs(c), 0);
-        
-        const score = maxCoeff * 1000 + sumCoeffs;
-        
+    const consider = (candidate) => {
+      for (const vector of [candidate, candidate.map(x => x.neg())]) {
+        const score = this.scoreCandidate(vector);
         if (score < bestScore) {
           bestScore = score;
-          bestVector = candidate;
+          bestVector = vector;
         }
       }
+    };
+    
+    nullBasis.forEach(consider);
+    
+    if (!bestVector && nullBasis.length > 1) {
+      this.forEachCombination(nullBasis, consider);
     }
     
     if (!bestVector) {
@@ -210,24 +205,45 @@ export class ChemicalBalancer {
     return bestVector;
   }
   
-  // Generate candidate vectors from a basis vector
-  generateCandidates(basisVector) {
-    const candidates = [];
-    
-    // Try the vector as-is and its negation
-    candidates.push(basisVector);
-    candidates.push(basisVector.map(x => x.neg()));
-    
-    // Try scaling to make different components positive
-    for (let i = 0; i < basisVector.length; i++) {
-      if (!basisVector[i].isZero()) {
-        const scale = basisVector[i].lt(0) ? new Fraction(-1, 1) : new Fraction(1, 1);
-        const scaled = basisVector.map(x => x.mul(scale));
-        candidates.push(scaled);
-      }
+  // Score a candidate vector (lower is better), Infinity if any user species is not positive
+  scoreCandidate(vector) {
+    const integers = LinearAlgebra.vectorToIntegers(vector);
+    const userSpecies = this.reactants.length + this.products.length;
+    
+    if (integers.slice(0, userSpecies).some(coeff => coeff <= 0)) {
+      return Infinity;
     }
     
-    return candidates;
+    // Prefer smaller max coefficient, then smaller sum
+    const maxCoeff = Math.max(...integers.map(Math.abs));
+    const sumCoeffs = integers.reduce((sum, c) => sum + Math.abs(c), 0);
+    return maxCoeff * 1000 + sumCoeffs;
+  }
+  
+  // Visit integer combinations (weights -3..3) of the first three basis vectors
+  forEachCombination(nullBasis, visit, maxWeight = 3) {
+    const basis = nullBasis.slice(0, 3);
+    const weights = new Array(basis.length).fill(0);
+    
+    const recurse = (depth) => {
+      if (depth === basis.length) {
+        if (weights.every(w => w === 0)) return;
+        
+        const combined = basis[0].map((_, j) => basis.reduce(
+          (sum, vector, i) => sum.add(vector[j].mul(new Fraction(weights[i], 1))),
+          new Fraction(0, 1)
+        ));
+        visit(combined);
+        return;
+      }
+      
+      for (let weight = -maxWeight; weight <= maxWeight; weight++) {
+        weights[depth] = weight;
+        recurse(depth + 1);
+      }
+    };
+    
+    recurse(0);
   }
   
   // Main solving method
@@ -266,7 +282,8 @@ export class ChemicalBalancer {
         matrixA: matrix,
         nullVector: nullVector,
         integerCoefficients: intCoeffs,
-        elements: this.elements
+        elements: this.elements,
+        nullity: nullBasis.length
       }
     };
   }
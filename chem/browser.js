@@ -0,0 +1,55 @@
+/**
+ * Browser bridge for the chemistry modules
+ * app.js is a classic script, so the classes it needs are exposed as window globals
+ */
+
+import { ChemicalLexer, TokenType } from './lexer.js';
+import { ChemicalParser, ParseError, parseFormula, findPhaseConflicts } from './parser.js';
+import { ChemicalBalancer, BalanceError } from './balancer.js';
+import { MolarMassCalculator } from './mass.js';
+import { PeriodicTable, ELEMENTS } from './elements.js';
+import { StoichiometryEngine, StoichiometryError, AMOUNT_UNITS } from './stoichiometry.js';
+import { CellPotentialCalculator } from './electrochemistry.js';
+import { OxidationStateEngine } from './oxidation-states.js';
+import { SolutionCalculator, CONCENTRATION_UNITS } from './solutions.js';
+import { GasCalculator, PRESSURE_UNITS, TEMPERATURE_UNITS } from './gases.js';
+import { NetIonicEngine } from './ionic.js';
+import { ReactionClassifier } from './classify.js';
+import { ProductPredictor } from './predict.js';
+import { SigFigs } from './sigfigs.js';
+import { NomenclatureEngine, NomenclatureError, POLYATOMIC_IONS } from './nomenclature.js';
+import { COMPLETE_OXIDATION_DB } from '../oxidation-states-db.js';
+
+if (typeof window !== 'undefined') {
+  Object.assign(window, {
+    ChemicalLexer,
+    TokenType,
+    ChemicalParser,
+    ParseError,
+    parseFormula,
+    findPhaseConflicts,
+    ChemicalBalancer,
+    BalanceError,
+    MolarMassCalculator,
+    PeriodicTable,
+    ELEMENTS,
+    StoichiometryEngine,
+    StoichiometryError,
+    AMOUNT_UNITS,
+    CellPotentialCalculator,
+    OxidationStateEngine,
+    SolutionCalculator,
+    CONCENTRATION_UNITS,
+    GasCalculator,
+    PRESSURE_UNITS,
+    TEMPERATURE_UNITS,
+    NetIonicEngine,
+    ReactionClassifier,
+    ProductPredictor,
+    SigFigs,
+    NomenclatureEngine,
+    NomenclatureError,
+    POLYATOMIC_IONS,
+    COMPLETE_OXIDATION_DB
+  });
+}
@@ -0,0 +1,261 @@
+/**
+ * Reaction-type classification
+ * Labels a balanced equation from its species compositions, the oxidation-state
+ * analysis and the solubility, acid and base rules of the net ionic engine.
+ */
+
+import { OxidationStateEngine } from './oxidation-states.js';
+import { NetIonicEngine } from './ionic.js';
+import { parseFormula, compositionKey } from './parser.js';
+import { StoichiometryEngine, StoichiometryError } from './stoichiometry.js';
+
+// Reaction types in the order the primary type is chosen
+export const REACTION_TYPES = {
+  combustion: 'Combustion',
+  disproportionation: 'Disproportionation',
+  comproportionation: 'Comproportionation',
+  neutralization: 'Acid–base neutralization',
+  precipitation: 'Precipitation',
+  'single-displacement': 'Single displacement',
+  'double-displacement': 'Double displacement',
+  synthesis: 'Synthesis',
+  decomposition: 'Decomposition',
+  redox: 'Redox'
+};
+
+// Products of complete or incomplete combustion of C/H/O/N/S fuels
+const COMBUSTION_PRODUCTS = ['C1|O2', 'C1|O1', 'H2|O1', 'O2|S1', 'N2', 'N1|O2', 'C1'];
+const FUEL_ELEMENTS = ['C', 'H', 'O', 'N', 'S'];
+
+const ACID_KINDS = ['strong-acid', 'weak-acid'];
+const SALT_KINDS = ['soluble-salt', 'insoluble-salt'];
+
+export class ReactionClassifier {
+
+  /**
+   * Classify a balanced equation
+   * More than one type can apply (a precipitation is also a double displacement);
+   * the first in REACTION_TYPES order is the primary type.
+   * @param {Object} balanced - Successful balance result (library or app.js shape)
+   * @param {Object} options
+   * @param {Object} options.redoxAnalysis - OxidationStateEngine.analyzeRedoxReaction result, computed when absent
+   *   or when a salt holds one element in two ions (its averaged states would hide the change)
+   * @returns {Object} {primary, types, rationale: [{type, label, reason}]}; primary is null when no type applies
+   * @throws {StoichiometryError} When the equation is not balanced
+   */
+  static classify(balanced, { redoxAnalysis = null } = {}) {
+    if (!balanced || !balanced.success) {
+      throw new StoichiometryError('Balance the equation before classifying it', 'NOT_BALANCED');
+    }
+
+    const reactants = (balanced.reactants || []).map(compound => this.describe(compound));
+    const products = (balanced.products || []).map(compound => this.describe(compound));
+    const averaged = [...reactants, ...products].some(species => this.sharesElementAcrossIons(species));
+    const redox = redoxAnalysis && redoxAnalysis.osChanges && !averaged
+      ? redoxAnalysis
+      : this.analyzeRedox(reactants, products);
+
+    const reasons = {
+      combustion: this.combustion(reactants, products),
+      disproportionation: this.disproportionation(redox),
+      comproportionation: this.comproportionation(redox),
+      neutralization: this.neutralization(reactants, products),
+      precipitation: this.precipitation(reactants, products),
+      'single-displacement': this.singleDisplacement(reactants, products),
+      'double-displacement': this.doubleDisplacement(reactants, products),
+      synthesis: reactants.length >= 2 && products.length === 1
+        ? `${reactants.length} reactants combine into a single product, ${products[0].label}`
+        : null,
+      decomposition: reactants.length === 1 && products.length >= 2
+        ? `A single reactant, ${reactants[0].label}, breaks into ${products.length} products`
+        : null,
+      redox: redox.isRedox ? this.redoxReason(redox) : null
+    };
+
+    const rationale = Object.keys(REACTION_TYPES)
+      .filter(type => reasons[type])
+      .map(type => ({ type, label: REACTION_TYPES[type], reason: reasons[type] }));
+
+    return {
+      primary: rationale.length > 0 ? rationale[0].type : null,
+      types: rationale.map(entry => entry.type),
+      rationale
+    };
+  }
+
+  // Species with its ionic classification and a display label
+  static describe(compound) {
+    const composition = compound.composition || compound.elements;
+    let ionic;
+    try {
+      ionic = NetIonicEngine.classify({ ...compound, composition });
+    } catch (error) {
+      ionic = { kind: 'molecular', ions: [], phase: compound.phase || null, rule: 'Molecular compound' };
+    }
+
+    return {
+      composition,
+      charge: compound.charge || 0,
+      phase: compound.phase || null,
+      label: StoichiometryEngine.displayFormula(compound),
+      key: compositionKey(composition),
+      isElement: Object.keys(composition).length === 1 && !compound.charge,
+      ionic
+    };
+  }
+
+  // Oxidation states per ion, so NH4NO3 holds N at -3 and +5 rather than the +1 average
+  static analyzeRedox(reactants, products) {
+    const ions = side => side.flatMap(species => species.ionic.ions.length > 1
+      ? species.ionic.ions.map(ion => ({ composition: parseFormula(ion.formula).elements, charge: ion.charge }))
+      : [{ composition: species.composition, charge: species.charge }]);
+    try {
+      return new OxidationStateEngine().analyzeRedoxReaction(ions(reactants), ions(products));
+    } catch (error) {
+      return { isRedox: false, osChanges: {} };
+    }
+  }
+
+  static sharesElementAcrossIons(species) {
+    const elements = species.ionic.ions.flatMap(ion => Object.keys(parseFormula(ion.formula).elements));
+    return new Set(elements).size < elements.length;
+  }
+
+  // O2 burns a C/H/O/N/S fuel to oxides, water and nitrogen
+  static combustion(reactants, products) {
+    const oxygen = reactants.find(species => species.key === 'O2' && species.charge === 0);
+    const fuels = reactants.filter(species => species !== oxygen);
+    if (!oxygen || fuels.length === 0) return null;
+
+    const burnable = fuels.every(fuel =>
+      Object.keys(fuel.composition).every(element => FUEL_ELEMENTS.includes(element)) &&
+      (fuel.composition.C || fuel.composition.H)
+    );
+    const oxides = products.every(species => COMBUSTION_PRODUCTS.includes(species.key));
+    if (!burnable || !oxides) return null;
+
+    return `${fuels.map(fuel => fuel.label).join(' + ')} burns in O2 to ${products.map(species => species.label).join(' + ')}`;
+  }
+
+  // One element goes both up and down from a single starting oxidation state
+  static disproportionation(redox) {
+    for (const [element, change] of Object.entries(redox.osChanges || {})) {
+      const [low, high] = change.reactantRange;
+      const [productLow, productHigh] = change.productRange;
+      if (low === high && productLow < low && productHigh > low) {
+        return `${element} starts at ${signed(low)} and ends at both ${signed(productLow)} and ${signed(productHigh)}`;
+      }
+    }
+    return null;
+  }
+
+  // Two oxidation states of one element meet at a single intermediate state
+  static comproportionation(redox) {
+    for (const [element, change] of Object.entries(redox.osChanges || {})) {
+      const [low, high] = change.reactantRange;
+      const [productLow, productHigh] = change.productRange;
+      if (productLow === productHigh && low < productLow && high > productLow) {
+        return `${element} at ${signed(low)} and ${signed(high)} both end at ${signed(productLow)}`;
+      }
+    }
+    return null;
+  }
+
+  // An acid and a base give water (or, with ammonia, an ammonium salt)
+  static neutralization(reactants, products) {
+    const acid = reactants.find(species => ACID_KINDS.includes(species.ionic.kind));
+    const base = reactants.find(species => this.isBase(species));
+    if (!acid || !base) return null;
+
+    const water = products.some(species => species.ionic.kind === 'water');
+    const ammonium = base.ionic.kind === 'weak-base' && products.some(species => species.ionic.ions.some(ion => ion.formula === 'NH4'));
+    if (!water && !ammonium) return null;
+
+    const strength = species => species.ionic.kind.startsWith('strong') ? 'strong' : 'weak';
+    return `${acid.label} (${strength(acid)} acid) neutralizes ${base.label} (${strength(base)} base)${water ? ' to form water' : ''}`;
+  }
+
+  static isBase(species) {
+    const { kind, ions } = species.ionic;
+    return kind === 'strong-base' || kind === 'weak-base' ||
+      (SALT_KINDS.includes(kind) && ions.some(ion => ion.formula === 'OH'));
+  }
+
+  // Dissolved reactants give an insoluble salt
+  static precipitation(reactants, products) {
+    const dissolved = reactants.every(species => species.phase === null || species.phase === 'aq') &&
+      reactants.some(species => species.ionic.dissociated);
+    if (!dissolved) return null;
+
+    const precipitate = products.find(species => species.ionic.kind === 'insoluble-salt' && species.phase !== 'aq');
+    if (!precipitate) return null;
+
+    return `${precipitate.label} precipitates: ${precipitate.ionic.rule}`;
+  }
+
+  // A + BC → AC + B: a free element replaces another in a compound
+  static singleDisplacement(reactants, products) {
+    if (reactants.length !== 2 || products.length !== 2) return null;
+
+    const element = reactants.find(species => species.isElement);
+    const compound = reactants.find(species => !species.isElement);
+    const freed = products.find(species => species.isElement);
+    const formed = products.find(species => !species.isElement);
+    if (!element || !compound || !freed || !formed || element.key === freed.key) return null;
+
+    return `${element.label} replaces ${freed.label} in ${compound.label}, forming ${formed.label}`;
+  }
+
+  // AB + CD → AD + CB: two compounds exchange ions
+  static doubleDisplacement(reactants, products) {
+    if (reactants.length !== 2 || products.length !== 2) return null;
+
+    const pairs = [...reactants, ...products].map(species => this.ionPair(species));
+    if (pairs.some(pair => !pair)) return null;
+
+    const [ab, cd, first, second] = pairs;
+    const same = (pair, cation, anion) => pair.cation === cation && pair.anion === anion;
+    const exchanged =
+      (same(first, ab.cation, cd.anion) && same(second, cd.cation, ab.anion)) ||
+      (same(second, ab.cation, cd.anion) && same(first, cd.cation, ab.anion));
+    if (!exchanged || ab.cation === cd.cation) return null;
+
+    return `${reactants[0].label} and ${reactants[1].label} exchange partners: ${ab.cation} pairs with ${cd.anion} and ${cd.cation} with ${ab.anion}`;
+  }
+
+  // Cation and anion of an acid, base, salt or water
+  static ionPair(species) {
+    const { kind, ions } = species.ionic;
+    if (kind === 'water') return { cation: 'H^+', anion: 'OH^-' };
+    if (ions.length !== 2) return null;
+
+    const cation = ions.find(ion => ion.charge > 0);
+    const anion = ions.find(ion => ion.charge < 0);
+    return cation && anion
+      ? { cation: StoichiometryEngine.displayFormula(cation), anion: StoichiometryEngine.displayFormula(anion) }
+      : null;
+  }
+
+  static redoxReason(redox) {
+    const changes = Object.entries(redox.osChanges).map(([element, change]) => {
+      const direction = change.oxidized ? 'oxidized' : change.reduced ? 'reduced' : 'oxidized and reduced';
+      return `${element} ${direction} (${range(change.reactantRange)} → ${range(change.productRange)})`;
+    });
+    return `Oxidation states change: ${changes.join(', ')}`;
+  }
+}
+
+function signed(value) {
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+function range([low, high]) {
+  return low === high ? signed(low) : `${signed(low)}…${signed(high)}`;
+}
+
+// Convenience function
+export function classifyReaction(balanced, options) {
+  return ReactionClassifier.classify(balanced, options);
+}
+
+export default ReactionClassifier;
@@ -0,0 +1,530 @@
+/**
+ * Electrochemistry: standard reduction potentials, cell potentials and the Nernst equation
+ * Potentials are E° (V vs. SHE) at 298.15 K, taken from the CRC electrochemical series
+ */
+
+import { parseFormula, compositionKey } from './parser.js';
+
+export const FARADAY = 96485.33212;   // C/mol
+export const GAS_CONSTANT = 8.314462618; // J/(mol·K)
+export const STANDARD_TEMPERATURE = 298.15; // K
+export const PKW = 14.0;              // -log10 Kw at 298.15 K
+
+// Keys of the species whose activity follows the medium rather than the user's input
+const PROTON_KEY = compositionKey({ H: 1 }, 1);
+const HYDROXIDE_KEY = compositionKey({ O: 1, H: 1 }, -1);
+const WATER_KEY = compositionKey({ H: 2, O: 1 }, 0);
+
+// Standard reduction potentials: oxidized + n e- → reduced, n for the smallest whole-number half-reaction
+// medium: 'acidic' (H+/H2O balance the couple), 'basic' (OH-/H2O) or 'any'
+export const STANDARD_REDUCTION_POTENTIALS = [
+  // Alkali and alkaline-earth metals
+  { oxidized: 'Li+', reduced: 'Li', electrons: 1, medium: 'any', eº: -3.0401 },
+  { oxidized: 'Cs+', reduced: 'Cs', electrons: 1, medium: 'any', eº: -3.026 },
+  { oxidized: 'Rb+', reduced: 'Rb', electrons: 1, medium: 'any', eº: -2.98 },
+  { oxidized: 'K+', reduced: 'K', electrons: 1, medium: 'any', eº: -2.931 },
+  { oxidized: 'Ba^2+', reduced: 'Ba', electrons: 2, medium: 'any', eº: -2.912 },
+  { oxidized: 'Sr^2+', reduced: 'Sr', electrons: 2, medium: 'any', eº: -2.89 },
+  { oxidized: 'Ca^2+', reduced: 'Ca', electrons: 2, medium: 'any', eº: -2.868 },
+  { oxidized: 'Ra^2+', reduced: 'Ra', electrons: 2, medium: 'any', eº: -2.8 },
+  { oxidized: 'Na+', reduced: 'Na', electrons: 1, medium: 'any', eº: -2.71 },
+  { oxidized: 'Mg^2+', reduced: 'Mg', electrons: 2, medium: 'any', eº: -2.372 },
+  { oxidized: 'Be^2+', reduced: 'Be', electrons: 2, medium: 'any', eº: -1.847 },
+  { oxidized: 'Ca(OH)2', reduced: 'Ca', electrons: 2, medium: 'basic', eº: -3.02 },
+  { oxidized: 'Mg(OH)2', reduced: 'Mg', electrons: 2, medium: 'basic', eº: -2.69 },
+
+  // Lanthanides and actinides
+  { oxidized: 'La^3+', reduced: 'La', electrons: 3, medium: 'any', eº: -2.379 },
+  { oxidized: 'Ce^3+', reduced: 'Ce', electrons: 3, medium: 'any', eº: -2.336 },
+  { oxidized: 'Pr^3+', reduced: 'Pr', electrons: 3, medium: 'any', eº: -2.353 },
+  { oxidized: 'Nd^3+', reduced: 'Nd', electrons: 3, medium: 'any', eº: -2.323 },
+  { oxidized: 'Gd^3+', reduced: 'Gd', electrons: 3, medium: 'any', eº: -2.279 },
+  { oxidized: 'Lu^3+', reduced: 'Lu', electrons: 3, medium: 'any', eº: -2.28 },
+  { oxidized: 'Eu^2+', reduced: 'Eu', electrons: 2, medium: 'any', eº: -2.812 },
+  { oxidized: 'Eu^3+', reduced: 'Eu^2+', electrons: 1, medium: 'any', eº: -0.36 },
+  { oxidized: 'Sm^3+', reduced: 'Sm^2+', electrons: 1, medium: 'any', eº: -1.55 },
+  { oxidized: 'Yb^3+', reduced: 'Yb^2+', electrons: 1, medium: 'any', eº: -1.05 },
+  { oxidized: 'Ce^4+', reduced: 'Ce^3+', electrons: 1, medium: 'any', eº: 1.72 },
+  { oxidized: 'Th^4+', reduced: 'Th', electrons: 4, medium: 'any', eº: -1.899 },
+  { oxidized: 'U^3+', reduced: 'U', electrons: 3, medium: 'any', eº: -1.798 },
+  { oxidized: 'U^4+', reduced: 'U^3+', electrons: 1, medium: 'any', eº: -0.607 },
+  { oxidized: 'UO2^2+', reduced: 'U^4+', electrons: 2, medium: 'acidic', eº: 0.327 },
+  { oxidized: 'UO2^2+', reduced: 'UO2^+', electrons: 1, medium: 'any', eº: 0.062 },
+  { oxidized: 'Pu^4+', reduced: 'Pu^3+', electrons: 1, medium: 'any', eº: 1.006 },
+
+  // Early transition metals
+  { oxidized: 'Sc^3+', reduced: 'Sc', electrons: 3, medium: 'any', eº: -2.077 },
+  { oxidized: 'Y^3+', reduced: 'Y', electrons: 3, medium: 'any', eº: -2.372 },
+  { oxidized: 'Ti^2+', reduced: 'Ti', electrons: 2, medium: 'any', eº: -1.63 },
+  { oxidized: 'Ti^3+', reduced: 'Ti', electrons: 3, medium: 'any', eº: -1.37 },
+  { oxidized: 'TiO2', reduced: 'Ti^2+', electrons: 2, medium: 'acidic', eº: -0.502 },
+  { oxidized: 'TiO^2+', reduced: 'Ti^3+', electrons: 1, medium: 'acidic', eº: 0.1 },
+  { oxidized: 'Zr^4+', reduced: 'Zr', electrons: 4, medium: 'any', eº: -1.45 },
+  { oxidized: 'Hf^4+', reduced: 'Hf', electrons: 4, medium: 'any', eº: -1.55 },
+  { oxidized: 'V^2+', reduced: 'V', electrons: 2, medium: 'any', eº: -1.175 },
+  { oxidized: 'V^3+', reduced: 'V^2+', electrons: 1, medium: 'any', eº: -0.255 },
+  { oxidized: 'VO^2+', reduced: 'V^3+', electrons: 1, medium: 'acidic', eº: 0.337 },
+  { oxidized: 'VO2^+', reduced: 'VO^2+', electrons: 1, medium: 'acidic', eº: 0.991 },
+  { oxidized: 'Nb^3+', reduced: 'Nb', electrons: 3, medium: 'any', eº: -1.099 },
+  { oxidized: 'Ta^3+', reduced: 'Ta', electrons: 3, medium: 'any', eº: -0.6 },
+
+  // Chromium
+  { oxidized: 'Cr^2+', reduced: 'Cr', electrons: 2, medium: 'any', eº: -0.913 },
+  { oxidized: 'Cr^3+', reduced: 'Cr', electrons: 3, medium: 'any', eº: -0.744 },
+  { oxidized: 'Cr^3+', reduced: 'Cr^2+', electrons: 1, medium: 'any', eº: -0.407 },
+  { oxidized: 'Cr2O7^2-', reduced: 'Cr^3+', electrons: 6, medium: 'acidic', eº: 1.232 },
+  { oxidized: 'HCrO4-', reduced: 'Cr^3+', electrons: 3, medium: 'acidic', eº: 1.35 },
+  { oxidized: 'CrO4^2-', reduced: 'Cr(OH)3', electrons: 3, medium: 'basic', eº: -0.13 },
+  { oxidized: 'Cr(OH)3', reduced: 'Cr', electrons: 3, medium: 'basic', eº: -1.48 },
+
+  // Molybdenum, tungsten and the platinum-group metals
+  { oxidized: 'Mo^3+', reduced: 'Mo', electrons: 3, medium: 'any', eº: -0.2 },
+  { oxidized: 'WO3', reduced: 'W', electrons: 6, medium: 'acidic', eº: -0.09 },
+  { oxidized: 'Re^3+', reduced: 'Re', electrons: 3, medium: 'any', eº: 0.3 },
+  { oxidized: 'Ru^2+', reduced: 'Ru', electrons: 2, medium: 'any', eº: 0.455 },
+  { oxidized: 'Rh^3+', reduced: 'Rh', electrons: 3, medium: 'any', eº: 0.758 },
+  { oxidized: 'Pd^2+', reduced: 'Pd', electrons: 2, medium: 'any', eº: 0.951 },
+  { oxidized: 'PdCl4^2-', reduced: 'Pd', electrons: 2, medium: 'any', eº: 0.591 },
+  { oxidized: 'OsO4', reduced: 'Os', electrons: 8, medium: 'acidic', eº: 0.838 },
+  { oxidized: 'Ir^3+', reduced: 'Ir', electrons: 3, medium: 'any', eº: 1.156 },
+  { oxidized: 'Pt^2+', reduced: 'Pt', electrons: 2, medium: 'any', eº: 1.18 },
+  { oxidized: 'PtCl4^2-', reduced: 'Pt', electrons: 2, medium: 'any', eº: 0.755 },
+
+  // Manganese
+  { oxidized: 'Mn^2+', reduced: 'Mn', electrons: 2, medium: 'any', eº: -1.185 },
+  { oxidized: 'Mn^3+', reduced: 'Mn^2+', electrons: 1, medium: 'any', eº: 1.5415 },
+  { oxidized: 'MnO2', reduced: 'Mn^2+', electrons: 2, medium: 'acidic', eº: 1.224 },
+  { oxidized: 'MnO2', reduced: 'Mn^3+', electrons: 1, medium: 'acidic', eº: 0.95 },
+  { oxidized: 'MnO4-', reduced: 'Mn^2+', electrons: 5, medium: 'acidic', eº: 1.507 },
+  { oxidized: 'MnO4-', reduced: 'MnO2', electrons: 3, medium: 'acidic', eº: 1.679 },
+  { oxidized: 'MnO4-', reduced: 'MnO2', electrons: 3, medium: 'basic', eº: 0.595 },
+  { oxidized: 'MnO4-', reduced: 'MnO4^2-', electrons: 1, medium: 'any', eº: 0.558 },
+  { oxidized: 'MnO4^2-', reduced: 'MnO2', electrons: 2, medium: 'basic', eº: 0.6 },
+  { oxidized: 'Mn(OH)2', reduced: 'Mn', electrons: 2, medium: 'basic', eº: -1.56 },
+  { oxidized: 'MnO2', reduced: 'Mn(OH)2', electrons: 2, medium: 'basic', eº: -0.05 },
+
+  // Iron
+  { oxidized: 'Fe^2+', reduced: 'Fe', electrons: 2, medium: 'any', eº: -0.447 },
+  { oxidized: 'Fe^3+', reduced: 'Fe', electrons: 3, medium: 'any', eº: -0.037 },
+  { oxidized: 'Fe^3+', reduced: 'Fe^2+', electrons: 1, medium: 'any', eº: 0.771 },
+  { oxidized: 'Fe(CN)6^3-', reduced: 'Fe(CN)6^4-', electrons: 1, medium: 'any', eº: 0.358 },
+  { oxidized: 'FeO4^2-', reduced: 'Fe^3+', electrons: 3, medium: 'acidic', eº: 2.2 },
+  { oxidized: 'Fe(OH)3', reduced: 'Fe(OH)2', electrons: 1, medium: 'basic', eº: -0.56 },
+  { oxidized: 'Fe(OH)2', reduced: 'Fe', electrons: 2, medium: 'basic', eº: -0.877 },
+
+  // Cobalt and nickel
+  { oxidized: 'Co^2+', reduced: 'Co', electrons: 2, medium: 'any', eº: -0.28 },
+  { oxidized: 'Co^3+', reduced: 'Co^2+', electrons: 1, medium: 'any', eº: 1.92 },
+  { oxidized: 'Co(NH3)6^3+', reduced: 'Co(NH3)6^2+', electrons: 1, medium: 'any', eº: 0.108 },
+  { oxidized: 'Co(OH)2', reduced: 'Co', electrons: 2, medium: 'basic', eº: -0.73 },
+  { oxidized: 'Co(OH)3', reduced: 'Co(OH)2', electrons: 1, medium: 'basic', eº: 0.17 },
+  { oxidized: 'Ni^2+', reduced: 'Ni', electrons: 2, medium: 'any', eº: -0.257 },
+  { oxidized: 'Ni(OH)2', reduced: 'Ni', electrons: 2, medium: 'basic', eº: -0.72 },
+  { oxidized: 'NiO2', reduced: 'Ni^2+', electrons: 2, medium: 'acidic', eº: 1.678 },
+  { oxidized: 'NiO2', reduced: 'Ni(OH)2', electrons: 2, medium: 'basic', eº: -0.49 },
+
+  // Copper, silver and gold
+  { oxidized: 'Cu^2+', reduced: 'Cu', electrons: 2, medium: 'any', eº: 0.3419 },
+  { oxidized: 'Cu+', reduced: 'Cu', electrons: 1, medium: 'any', eº: 0.521 },
+  { oxidized: 'Cu^2+', reduced: 'Cu+', electrons: 1, medium: 'any', eº: 0.153 },
+  { oxidized: 'Cu(OH)2', reduced: 'Cu', electrons: 2, medium: 'basic', eº: -0.222 },
+  { oxidized: 'Cu2O', reduced: 'Cu', electrons: 2, medium: 'basic', eº: -0.36 },
+  { oxidized: 'Ag+', reduced: 'Ag', electrons: 1, medium: 'any', eº: 0.7996 },
+  { oxidized: 'Ag^2+', reduced: 'Ag+', electrons: 1, medium: 'any', eº: 1.98 },
+  { oxidized: 'AgCl', reduced: 'Ag', electrons: 1, medium: 'any', eº: 0.22233 },
+  { oxidized: 'AgBr', reduced: 'Ag', electrons: 1, medium: 'any', eº: 0.07133 },
+  { oxidized: 'AgI', reduced: 'Ag', electrons: 1, medium: 'any', eº: -0.15224 },
+  { oxidized: 'Ag2S', reduced: 'Ag', electrons: 2, medium: 'any', eº: -0.691 },
+  { oxidized: 'Ag2O', reduced: 'Ag', electrons: 2, medium: 'basic', eº: 0.342 },
+  { oxidized: 'Ag(NH3)2+', reduced: 'Ag', electrons: 1, medium: 'any', eº: 0.373 },
+  { oxidized: 'Ag(CN)2-', reduced: 'Ag', electrons: 1, medium: 'any', eº: -0.31 },
+  { oxidized: 'Au+', reduced: 'Au', electrons: 1, medium: 'any', eº: 1.692 },
+  { oxidized: 'Au^3+', reduced: 'Au', electrons: 3, medium: 'any', eº: 1.498 },
+  { oxidized: 'Au^3+', reduced: 'Au+', electrons: 2, medium: 'any', eº: 1.401 },
+  { oxidized: 'AuCl4-', reduced: 'Au', electrons: 3, medium: 'any', eº: 1.002 },
+  { oxidized: 'Au(CN)2-', reduced: 'Au', electrons: 1, medium: 'any', eº: -0.6 },
+
+  // Zinc, cadmium and mercury
+  { oxidized: 'Zn^2+', reduced: 'Zn', electrons: 2, medium: 'any', eº: -0.7618 },
+  { oxidized: 'Zn(OH)2', reduced: 'Zn', electrons: 2, medium: 'basic', eº: -1.249 },
+  { oxidized: 'ZnO2^2-', reduced: 'Zn', electrons: 2, medium: 'basic', eº: -1.215 },
+  { oxidized: 'Cd^2+', reduced: 'Cd', electrons: 2, medium: 'any', eº: -0.403 },
+  { oxidized: 'Cd(OH)2', reduced: 'Cd', electrons: 2, medium: 'basic', eº: -0.809 },
+  { oxidized: 'Hg^2+', reduced: 'Hg', electrons: 2, medium: 'any', eº: 0.851 },
+  { oxidized: 'Hg2^2+', reduced: 'Hg', electrons: 2, medium: 'any', eº: 0.7973 },
+  { oxidized: 'Hg^2+', reduced: 'Hg2^2+', electrons: 2, medium: 'any', eº: 0.92 },
+  { oxidized: 'Hg2Cl2', reduced: 'Hg', electrons: 2, medium: 'any', eº: 0.26808 },
+  { oxidized: 'Hg2SO4', reduced: 'Hg', electrons: 2, medium: 'any', eº: 0.6125 },
+  { oxidized: 'HgO', reduced: 'Hg', electrons: 2, medium: 'basic', eº: 0.0977 },
+
+  // Boron group
+  { oxidized: 'H3BO3', reduced: 'B', electrons: 3, medium: 'acidic', eº: -0.8698 },
+  { oxidized: 'Al^3+', reduced: 'Al', electrons: 3, medium: 'any', eº: -1.662 },
+  { oxidized: 'Al(OH)3', reduced: 'Al', electrons: 3, medium: 'basic', eº: -2.31 },
+  { oxidized: 'Al(OH)4-', reduced: 'Al', electrons: 3, medium: 'basic', eº: -2.33 },
+  { oxidized: 'Ga^3+', reduced: 'Ga', electrons: 3, medium: 'any', eº: -0.549 },
+  { oxidized: 'In^3+', reduced: 'In', electrons: 3, medium: 'any', eº: -0.3382 },
+  { oxidized: 'In+', reduced: 'In', electrons: 1, medium: 'any', eº: -0.14 },
+  { oxidized: 'Tl+', reduced: 'Tl', electrons: 1, medium: 'any', eº: -0.336 },
+  { oxidized: 'Tl^3+', reduced: 'Tl', electrons: 3, medium: 'any', eº: 0.741 },
+  { oxidized: 'Tl^3+', reduced: 'Tl+', electrons: 2, medium: 'any', eº: 1.252 },
+
+  // Carbon group
+  { oxidized: 'CO2', reduced: 'CO', electrons: 2, medium: 'acidic', eº: -0.12 },
+  { oxidized: 'CO2', reduced: 'HCOOH', electrons: 2, medium: 'acidic', eº: -0.199 },
+  { oxidized: 'CO2', reduced: 'H2C2O4', electrons: 2, medium: 'acidic', eº: -0.49 },
+  { oxidized: 'HCHO', reduced: 'CH3OH', electrons: 2, medium: 'acidic', eº: 0.232 },
+  { oxidized: 'C', reduced: 'CH4', electrons: 4, medium: 'acidic', eº: 0.1316 },
+  { oxidized: '(CN)2', reduced: 'HCN', electrons: 2, medium: 'acidic', eº: 0.373 },
+  { oxidized: 'SiO2', reduced: 'Si', electrons: 4, medium: 'acidic', eº: -0.857 },
+  { oxidized: 'Si', reduced: 'SiH4', electrons: 4, medium: 'acidic', eº: 0.102 },
+  { oxidized: 'Ge^2+', reduced: 'Ge', electrons: 2, medium: 'any', eº: 0.24 },
+  { oxidized: 'Sn^2+', reduced: 'Sn', electrons: 2, medium: 'any', eº: -0.1375 },
+  { oxidized: 'Sn^4+', reduced: 'Sn^2+', electrons: 2, medium: 'any', eº: 0.151 },
+  { oxidized: 'HSnO2-', reduced: 'Sn', electrons: 2, medium: 'basic', eº: -0.909 },
+  { oxidized: 'Sn(OH)6^2-', reduced: 'HSnO2-', electrons: 2, medium: 'basic', eº: -0.93 },
+  { oxidized: 'Pb^2+', reduced: 'Pb', electrons: 2, medium: 'any', eº: -0.1262 },
+  { oxidized: 'PbO2', reduced: 'Pb^2+', electrons: 2, medium: 'acidic', eº: 1.455 },
+  { oxidized: 'PbO2', reduced: 'PbSO4', electrons: 2, medium: 'acidic', eº: 1.6913 },
+  { oxidized: 'PbSO4', reduced: 'Pb', electrons: 2, medium: 'any', eº: -0.3588 },
+  { oxidized: 'PbO2', reduced: 'PbO', electrons: 2, medium: 'basic', eº: 0.247 },
+  { oxidized: 'PbO', reduced: 'Pb', electrons: 2, medium: 'basic', eº: -0.58 },
+
+  // Nitrogen
+  { oxidized: 'NO3-', reduced: 'NO', electrons: 3, medium: 'acidic', eº: 0.957 },
+  { oxidized: 'NO3-', reduced: 'NO2', electrons: 1, medium: 'acidic', eº: 0.803 },
+  { oxidized: 'NO3-', reduced: 'N2O4', electrons: 2, medium: 'acidic', eº: 0.803 },
+  { oxidized: 'NO3-', reduced: 'HNO2', electrons: 2, medium: 'acidic', eº: 0.934 },
+  { oxidized: 'NO3-', reduced: 'N2O', electrons: 8, medium: 'acidic', eº: 1.116 },
+  { oxidized: 'NO3-', reduced: 'N2', electrons: 10, medium: 'acidic', eº: 1.246 },
+  { oxidized: 'NO3-', reduced: 'NH4+', electrons: 8, medium: 'acidic', eº: 0.875 },
+  { oxidized: 'NO3-', reduced: 'NO2-', electrons: 2, medium: 'basic', eº: 0.01 },
+  { oxidized: 'HNO2', reduced: 'NO', electrons: 1, medium: 'acidic', eº: 0.983 },
+  { oxidized: 'HNO2', reduced: 'N2O', electrons: 4, medium: 'acidic', eº: 1.297 },
+  { oxidized: 'NO2', reduced: 'HNO2', electrons: 1, medium: 'acidic', eº: 1.065 },
+  { oxidized: 'N2O4', reduced: 'HNO2', electrons: 2, medium: 'acidic', eº: 1.065 },
+  { oxidized: 'N2O4', reduced: 'NO', electrons: 4, medium: 'acidic', eº: 1.035 },
+  { oxidized: 'NO2-', reduced: 'NO', electrons: 1, medium: 'basic', eº: -0.46 },
+  { oxidized: 'NO', reduced: 'N2O', electrons: 2, medium: 'acidic', eº: 1.591 },
+  { oxidized: 'N2O', reduced: 'N2', electrons: 2, medium: 'acidic', eº: 1.766 },
+  { oxidized: 'N2', reduced: 'NH4+', electrons: 6, medium: 'acidic', eº: 0.274 },
+  { oxidized: 'N2', reduced: 'NH3', electrons: 6, medium: 'basic', eº: -0.736 },
+
+  // Phosphorus, arsenic, antimony and bismuth
+  { oxidized: 'H3PO4', reduced: 'H3PO3', electrons: 2, medium: 'acidic', eº: -0.276 },
+  { oxidized: 'H3PO3', reduced: 'H3PO2', electrons: 2, medium: 'acidic', eº: -0.499 },
+  { oxidized: 'P', reduced: 'PH3', electrons: 3, medium: 'acidic', eº: -0.063 },
+  { oxidized: 'PO4^3-', reduced: 'HPO3^2-', electrons: 2, medium: 'basic', eº: -1.05 },
+  { oxidized: 'H3AsO4', reduced: 'HAsO2', electrons: 2, medium: 'acidic', eº: 0.56 },
+  { oxidized: 'HAsO2', reduced: 'As', electrons: 3, medium: 'acidic', eº: 0.248 },
+  { oxidized: 'As', reduced: 'AsH3', electrons: 3, medium: 'acidic', eº: -0.608 },
+  { oxidized: 'AsO4^3-', reduced: 'AsO2-', electrons: 2, medium: 'basic', eº: -0.71 },
+  { oxidized: 'Sb2O3', reduced: 'Sb', electrons: 6, medium: 'acidic', eº: 0.152 },
+  { oxidized: 'SbO+', reduced: 'Sb', electrons: 3, medium: 'acidic', eº: 0.212 },
+  { oxidized: 'Sb2O5', reduced: 'SbO+', electrons: 4, medium: 'acidic', eº: 0.581 },
+  { oxidized: 'Bi^3+', reduced: 'Bi', electrons: 3, medium: 'any', eº: 0.308 },
+  { oxidized: 'BiO+', reduced: 'Bi', electrons: 3, medium: 'acidic', eº: 0.32 },
+
+  // Hydrogen and oxygen
+  { oxidized: 'H+', reduced: 'H2', electrons: 2, medium: 'acidic', eº: 0.0 },
+  { oxidized: 'H2O', reduced: 'H2', electrons: 2, medium: 'basic', eº: -0.8277 },
+  { oxidized: 'H2', reduced: 'H-', electrons: 2, medium: 'any', eº: -2.23 },
+  { oxidized: 'O2', reduced: 'H2O', electrons: 4, medium: 'acidic', eº: 1.229 },
+  { oxidized: 'O2', reduced: 'OH-', electrons: 4, medium: 'basic', eº: 0.401 },
+  { oxidized: 'O2', reduced: 'H2O2', electrons: 2, medium: 'acidic', eº: 0.695 },
+  { oxidized: 'O2', reduced: 'HO2-', electrons: 2, medium: 'basic', eº: -0.076 },
+  { oxidized: 'H2O2', reduced: 'H2O', electrons: 2, medium: 'acidic', eº: 1.776 },
+  { oxidized: 'HO2-', reduced: 'OH-', electrons: 2, medium: 'basic', eº: 0.878 },
+  { oxidized: 'O3', reduced: 'O2', electrons: 2, medium: 'acidic', eº: 2.076 },
+  { oxidized: 'O3', reduced: 'O2', electrons: 2, medium: 'basic', eº: 1.24 },
+
+  // Sulfur, selenium and tellurium
+  { oxidized: 'S2O8^2-', reduced: 'SO4^2-', electrons: 2, medium: 'any', eº: 2.01 },
+  { oxidized: 'SO4^2-', reduced: 'H2SO3', electrons: 2, medium: 'acidic', eº: 0.172 },
+  { oxidized: 'SO4^2-', reduced: 'SO2', electrons: 2, medium: 'acidic', eº: 0.17 },
+  { oxidized: 'SO4^2-', reduced: 'S', electrons: 6, medium: 'acidic', eº: 0.357 },
+  { oxidized: 'SO4^2-', reduced: 'H2S', electrons: 8, medium: 'acidic', eº: 0.303 },
+  { oxidized: 'SO4^2-', reduced: 'SO3^2-', electrons: 2, medium: 'basic', eº: -0.93 },
+  { oxidized: 'H2SO3', reduced: 'S', electrons: 4, medium: 'acidic', eº: 0.449 },
+  { oxidized: 'SO3^2-', reduced: 'S2O3^2-', electrons: 4, medium: 'basic', eº: -0.571 },
+  { oxidized: 'S4O6^2-', reduced: 'S2O3^2-', electrons: 2, medium: 'any', eº: 0.08 },
+  { oxidized: 'S', reduced: 'H2S', electrons: 2, medium: 'acidic', eº: 0.142 },
+  { oxidized: 'S', reduced: 'S^2-', electrons: 2, medium: 'any', eº: -0.47627 },
+  { oxidized: 'SeO4^2-', reduced: 'H2SeO3', electrons: 2, medium: 'acidic', eº: 1.151 },
+  { oxidized: 'H2SeO3', reduced: 'Se', electrons: 4, medium: 'acidic', eº: 0.74 },
+  { oxidized: 'Se', reduced: 'H2Se', electrons: 2, medium: 'acidic', eº: -0.399 },
+  { oxidized: 'Se', reduced: 'Se^2-', electrons: 2, medium: 'any', eº: -0.924 },
+  { oxidized: 'TeO2', reduced: 'Te', electrons: 4, medium: 'acidic', eº: 0.593 },
+  { oxidized: 'Te', reduced: 'H2Te', electrons: 2, medium: 'acidic', eº: -0.793 },
+
+  // Halogens
+  { oxidized: 'F2', reduced: 'F-', electrons: 2, medium: 'any', eº: 2.866 },
+  { oxidized: 'F2', reduced: 'HF', electrons: 2, medium: 'acidic', eº: 3.053 },
+  { oxidized: 'Cl2', reduced: 'Cl-', electrons: 2, medium: 'any', eº: 1.35827 },
+  { oxidized: 'HClO', reduced: 'Cl-', electrons: 2, medium: 'acidic', eº: 1.482 },
+  { oxidized: 'HClO', reduced: 'Cl2', electrons: 2, medium: 'acidic', eº: 1.611 },
+  { oxidized: 'ClO-', reduced: 'Cl-', electrons: 2, medium: 'basic', eº: 0.81 },
+  { oxidized: 'HClO2', reduced: 'HClO', electrons: 2, medium: 'acidic', eº: 1.645 },
+  { oxidized: 'ClO2', reduced: 'HClO2', electrons: 1, medium: 'acidic', eº: 1.277 },
+  { oxidized: 'ClO2', reduced: 'ClO2-', electrons: 1, medium: 'any', eº: 0.954 },
+  { oxidized: 'ClO2-', reduced: 'ClO-', electrons: 2, medium: 'basic', eº: 0.66 },
+  { oxidized: 'ClO2-', reduced: 'Cl-', electrons: 4, medium: 'basic', eº: 0.76 },
+  { oxidized: 'ClO3-', reduced: 'ClO2', electrons: 1, medium: 'acidic', eº: 1.152 },
+  { oxidized: 'ClO3-', reduced: 'HClO2', electrons: 2, medium: 'acidic', eº: 1.214 },
+  { oxidized: 'ClO3-', reduced: 'Cl2', electrons: 10, medium: 'acidic', eº: 1.47 },
+  { oxidized: 'ClO3-', reduced: 'Cl-', electrons: 6, medium: 'acidic', eº: 1.451 },
+  { oxidized: 'ClO3-', reduced: 'ClO2-', electrons: 2, medium: 'basic', eº: 0.33 },
+  { oxidized: 'ClO3-', reduced: 'Cl-', electrons: 6, medium: 'basic', eº: 0.62 },
+  { oxidized: 'ClO4-', reduced: 'ClO3-', electrons: 2, medium: 'acidic', eº: 1.189 },
+  { oxidized: 'ClO4-', reduced: 'Cl2', electrons: 14, medium: 'acidic', eº: 1.39 },
+  { oxidized: 'ClO4-', reduced: 'Cl-', electrons: 8, medium: 'acidic', eº: 1.389 },
+  { oxidized: 'ClO4-', reduced: 'ClO3-', electrons: 2, medium: 'basic', eº: 0.36 },
+  { oxidized: 'Br2', reduced: 'Br-', electrons: 2, medium: 'any', eº: 1.066 },
+  { oxidized: 'HBrO', reduced: 'Br-', electrons: 2, medium: 'acidic', eº: 1.331 },
+  { oxidized: 'HBrO', reduced: 'Br2', electrons: 2, medium: 'acidic', eº: 1.596 },
+  { oxidized: 'BrO-', reduced: 'Br-', electrons: 2, medium: 'basic', eº: 0.761 },
+  { oxidized: 'BrO3-', reduced: 'HBrO', electrons: 4, medium: 'acidic', eº: 1.447 },
+  { oxidized: 'BrO3-', reduced: 'Br2', electrons: 10, medium: 'acidic', eº: 1.482 },
+  { oxidized: 'BrO3-', reduced: 'Br-', electrons: 6, medium: 'acidic', eº: 1.423 },
+  { oxidized: 'BrO3-', reduced: 'Br-', electrons: 6, medium: 'basic', eº: 0.61 },
+  { oxidized: 'I2', reduced: 'I-', electrons: 2, medium: 'any', eº: 0.5355 },
+  { oxidized: 'I3-', reduced: 'I-', electrons: 2, medium: 'any', eº: 0.536 },
+  { oxidized: 'HIO', reduced: 'I-', electrons: 2, medium: 'acidic', eº: 0.987 },
+  { oxidized: 'HIO', reduced: 'I2', electrons: 2, medium: 'acidic', eº: 1.439 },
+  { oxidized: 'IO-', reduced: 'I-', electrons: 2, medium: 'basic', eº: 0.485 },
+  { oxidized: 'IO3-', reduced: 'I2', electrons: 10, medium: 'acidic', eº: 1.195 },
+  { oxidized: 'IO3-', reduced: 'I-', electrons: 6, medium: 'acidic', eº: 1.085 },
+  { oxidized: 'IO3-', reduced: 'I-', electrons: 6, medium: 'basic', eº: 0.26 },
+  { oxidized: 'H5IO6', reduced: 'IO3-', electrons: 2, medium: 'acidic', eº: 1.601 },
+
+  // Noble gases
+  { oxidized: 'H4XeO6', reduced: 'XeO3', electrons: 2, medium: 'acidic', eº: 2.42 }
+];
+
+export class CellPotentialCalculator {
+
+  /**
+   * Composition key used to match species regardless of how the formula was written
+   * @param {Object} composition - {elements, charge}
+   * @returns {string} Canonical key such as "Mn1|O4|-1"
+   */
+  static compositionKey(composition) {
+    return compositionKey(composition.elements, composition.charge || 0);
+  }
+
+  /**
+   * Standard reduction potential table with parsed composition keys
+   * @returns {Array} Table entries with oxidizedKey/reducedKey
+   */
+  static getTable() {
+    if (!this.table) {
+      this.table = STANDARD_REDUCTION_POTENTIALS.map(couple => ({
+        ...couple,
+        oxidizedKey: this.compositionKey(parseFormula(couple.oxidized)),
+        reducedKey: this.compositionKey(parseFormula(couple.reduced))
+      }));
+    }
+    return this.table;
+  }
+
+  /**
+   * Infer the reaction medium from H+ / OH- in the equation
+   * @param {Array} species - [{elements, charge}]
+   * @returns {string} 'acidic', 'basic' or 'any'
+   */
+  static detectMedium(species) {
+    const keys = species.map(s => this.compositionKey(s));
+    if (keys.includes(HYDROXIDE_KEY)) return 'basic';
+    if (keys.includes(PROTON_KEY)) return 'acidic';
+    return 'any';
+  }
+
+  /**
+   * Find the reduction (cathode) and oxidation (anode) couples of an equation
+   * @param {Array} reactants - [{elements, charge}]
+   * @param {Array} products - [{elements, charge}]
+   * @returns {Object} {cathode, anode, medium}; couples are null when not tabulated
+   */
+  static identifyCouples(reactants, products) {
+    const reactantKeys = new Set(reactants.map(s => this.compositionKey(s)));
+    const productKeys = new Set(products.map(s => this.compositionKey(s)));
+    const medium = this.detectMedium([...reactants, ...products]);
+
+    const score = couple => couple.medium === medium ? 2 : couple.medium === 'any' ? 1 : 0;
+    const best = candidates => candidates.reduce(
+      (top, couple) => (!top || score(couple) > score(top) ? couple : top),
+      null
+    );
+
+    const table = this.getTable();
+    const cathode = best(table.filter(c => reactantKeys.has(c.oxidizedKey) && productKeys.has(c.reducedKey)));
+    const anode = best(table.filter(c => reactantKeys.has(c.reducedKey) && productKeys.has(c.oxidizedKey)));
+
+    return {
+      cathode: cathode && this.convertMedium(cathode, medium),
+      anode: anode && this.convertMedium(anode, medium),
+      medium
+    };
+  }
+
+  /**
+   * Re-express an acidic couple in basic solution (or vice versa) when only the other is tabulated
+   * E°(basic) = E°(acidic) - (RT ln10 / F) · pKw · h / n, with h protons consumed per n electrons
+   * @param {Object} couple - Table entry
+   * @param {string} medium - Medium of the equation
+   * @returns {Object} The couple, or a converted copy flagged with convertedFrom
+   */
+  static convertMedium(couple, medium) {
+    if (medium === 'any' || couple.medium === 'any' || couple.medium === medium) return couple;
+
+    const ox = parseFormula(couple.oxidized);
+    const red = parseFormula(couple.reduced);
+    const shared = Object.keys(ox.elements).filter(el => red.elements[el]);
+    const main = shared.find(el => el !== 'H' && el !== 'O') || shared.find(el => el === 'O') || shared[0];
+    if (!main) return couple;
+
+    // a·ox + h H+ + n e- → b·red + w H2O, balanced on the main element, O and H
+    const divisor = this.gcd(ox.elements[main], red.elements[main]);
+    const a = red.elements[main] / divisor;
+    const b = ox.elements[main] / divisor;
+    const water = a * (ox.elements.O || 0) - b * (red.elements.O || 0);
+    const protons = 2 * water + b * (red.elements.H || 0) - a * (ox.elements.H || 0);
+    const n = a * (ox.charge || 0) + protons - b * (red.charge || 0);
+    if (n <= 0) return couple;
+
+    const slope = GAS_CONSTANT * STANDARD_TEMPERATURE * Math.LN10 / FARADAY;
+    const shift = slope * PKW * protons / n;
+
+    return {
+      ...couple,
+      medium,
+      eº: couple.medium === 'acidic' ? couple.eº - shift : couple.eº + shift,
+      convertedFrom: couple.medium
+    };
+  }
+
+  /**
+   * Standard cell potential, free energy and equilibrium constant for an equation
+   * @param {Object} options
+   * @param {Array} options.reactants - [{elements, charge, coeff}]
+   * @param {Array} options.products - [{elements, charge, coeff}]
+   * @param {number} options.electrons - Electrons transferred in the balanced equation (n)
+   * @returns {Object} E°cell, ΔG°, K and the couples used
+   */
+  static analyze({ reactants, products, electrons = null }) {
+    const { cathode, anode, medium } = this.identifyCouples(reactants, products);
+
+    if (!cathode || !anode) {
+      return {
+        available: false,
+        medium,
+        cathode,
+        anode,
+        reason: !cathode && !anode
+          ? 'No tabulated couples match this equation'
+          : `No tabulated ${!cathode ? 'reduction' : 'oxidation'} couple matches this equation`
+      };
+    }
+
+    // Fall back to the smallest electron count both couples share
+    const n = Number.isInteger(electrons) && electrons > 0
+      ? electrons
+      : this.lcm(cathode.electrons, anode.electrons);
+
+    const standardPotential = cathode.eº - anode.eº;
+    const deltaG = -n * FARADAY * standardPotential / 1000; // kJ/mol
+    const log10K = (n * FARADAY * standardPotential) / (GAS_CONSTANT * STANDARD_TEMPERATURE * Math.LN10);
+
+    return {
+      available: true,
+      medium,
+      cathode,
+      anode,
+      electrons: n,
+      standardPotential,
+      deltaG,
+      log10K,
+      equilibriumConstant: Math.pow(10, log10K),
+      spontaneous: standardPotential > 0
+    };
+  }
+
+  /**
+   * Nernst equation: E = E° - (RT/nF) ln Q
+   * @param {Object} analysis - Result of analyze()
+   * @param {Object} conditions
+   * @param {Array} conditions.reactants - [{elements, charge, coeff, phase, activity}]
+   * @param {Array} conditions.products - [{elements, charge, coeff, phase, activity}]
+   * @param {number} conditions.pH - Sets H+ / OH- activities when given
+   * @param {number} conditions.temperature - Kelvin (default 298.15)
+   * @returns {Object} Cell potential under the given conditions
+   */
+  static nernst(analysis, { reactants, products, pH = null, temperature = STANDARD_TEMPERATURE }) {
+    if (!analysis || !analysis.available) {
+      throw new Error('Standard cell potential is not available for this equation');
+    }
+
+    const lnQ = this.logReactionQuotient(products, pH) - this.logReactionQuotient(reactants, pH);
+    const potential = analysis.standardPotential - (GAS_CONSTANT * temperature / (analysis.electrons * FARADAY)) * lnQ;
+
+    return {
+      potential,
+      reactionQuotient: Math.exp(lnQ),
+      lnQ,
+      temperature,
+      deltaG: -analysis.electrons * FARADAY * potential / 1000,
+      spontaneous: potential > 0
+    };
+  }
+
+  // Σ coeff · ln(activity) for one side of the equation
+  static logReactionQuotient(species, pH) {
+    return species.reduce((sum, s) => {
+      const activity = this.activityOf(s, pH);
+      return sum + (s.coeff || 1) * Math.log(activity);
+    }, 0);
+  }
+
+  /**
+   * Activity used in Q: pure solids/liquids and water are 1, H+/OH- follow pH
+   * @param {Object} species - {elements, charge, phase, activity}
+   * @param {number|null} pH
+   * @returns {number}
+   */
+  static activityOf(species, pH) {
+    const key = this.compositionKey(species);
+
+    if (species.phase === 's' || species.phase === 'l' || key === WATER_KEY) return 1;
+    if (pH !== null && pH !== undefined && pH !== '') {
+      if (key === PROTON_KEY) return Math.pow(10, -pH);
+      if (key === HYDROXIDE_KEY) return Math.pow(10, pH - PKW);
+    }
+
+    const activity = Number(species.activity);
+    if (species.activity === undefined || species.activity === null || species.activity === '') return 1;
+    if (!Number.isFinite(activity) || activity <= 0) {
+      throw new Error('Concentrations and pressures must be positive');
+    }
+    return activity;
+  }
+
+  static gcd(a, b) {
+    let x = Math.abs(a);
+    let y = Math.abs(b);
+    while (y) {
+      [x, y] = [y, x % y];
+    }
+    return x;
+  }
+
+  static lcm(a, b) {
+    return (a * b) / this.gcd(a, b);
+  }
+}
+
+// Convenience function
+export function cellPotential(options) {
+  return CellPotentialCalculator.analyze(options);
+}
+
+export default CellPotentialCalculator;
@@ -0,0 +1,320 @@
+/**
+ * Element data for the whole periodic table
+ * Atomic numbers, names, positions, electronegativities, common oxidation states,
+ * ground-state electron configurations and IUPAC standard atomic weights.
+ * Group 3 is Sc, Y, Lu, Lr (IUPAC 2021); La–Yb and Ac–No form the f-block and have no group.
+ */
+
+// [symbol, name, atomic weight, Pauling electronegativity, common oxidation states], in order of Z.
+// Elements without a standard atomic weight list the mass number of their longest-lived isotope.
+const ROWS = [
+  ['H', 'Hydrogen', 1.008, 2.20, [-1, 1]],
+  ['He', 'Helium', 4.002602, null, []],
+  ['Li', 'Lithium', 6.94, 0.98, [1]],
+  ['Be', 'Beryllium', 9.0121831, 1.57, [2]],
+  ['B', 'Boron', 10.81, 2.04, [3]],
+  ['C', 'Carbon', 12.011, 2.55, [-4, 2, 4]],
+  ['N', 'Nitrogen', 14.007, 3.04, [-3, 3, 5]],
+  ['O', 'Oxygen', 15.999, 3.44, [-2]],
+  ['F', 'Fluorine', 18.998403163, 3.98, [-1]],
+  ['Ne', 'Neon', 20.1797, null, []],
+  ['Na', 'Sodium', 22.98976928, 0.93, [1]],
+  ['Mg', 'Magnesium', 24.305, 1.31, [2]],
+  ['Al', 'Aluminum', 26.9815384, 1.61, [3]],
+  ['Si', 'Silicon', 28.085, 1.90, [-4, 4]],
+  ['P', 'Phosphorus', 30.973761998, 2.19, [-3, 3, 5]],
+  ['S', 'Sulfur', 32.06, 2.58, [-2, 2, 4, 6]],
+  ['Cl', 'Chlorine', 35.45, 3.16, [-1, 1, 3, 5, 7]],
+  ['Ar', 'Argon', 39.948, null, []],
+  ['K', 'Potassium', 39.0983, 0.82, [1]],
+  ['Ca', 'Calcium', 40.078, 1.00, [2]],
+  ['Sc', 'Scandium', 44.955908, 1.36, [3]],
+  ['Ti', 'Titanium', 47.867, 1.54, [2, 3, 4]],
+  ['V', 'Vanadium', 50.9415, 1.63, [2, 3, 4, 5]],
+  ['Cr', 'Chromium', 51.9961, 1.66, [2, 3, 6]],
+  ['Mn', 'Manganese', 54.938043, 1.55, [2, 3, 4, 6, 7]],
+  ['Fe', 'Iron', 55.845, 1.83, [2, 3]],
+  ['Co', 'Cobalt', 58.933194, 1.88, [2, 3]],
+  ['Ni', 'Nickel', 58.6934, 1.91, [2]],
+  ['Cu', 'Copper', 63.546, 1.90, [1, 2]],
+  ['Zn', 'Zinc', 65.38, 1.65, [2]],
+  ['Ga', 'Gallium', 69.723, 1.81, [3]],
+  ['Ge', 'Germanium', 72.630, 2.01, [-4, 2, 4]],
+  ['As', 'Arsenic', 74.921595, 2.18, [-3, 3, 5]],
+  ['Se', 'Selenium', 78.971, 2.55, [-2, 2, 4, 6]],
+  ['Br', 'Bromine', 79.904, 2.96, [-1, 1, 3, 5]],
+  ['Kr', 'Krypton', 83.798, 3.00, [2]],
+  ['Rb', 'Rubidium', 85.4678, 0.82, [1]],
+  ['Sr', 'Strontium', 87.62, 0.95, [2]],
+  ['Y', 'Yttrium', 88.90584, 1.22, [3]],
+  ['Zr', 'Zirconium', 91.224, 1.33, [4]],
+  ['Nb', 'Niobium', 92.90637, 1.6, [5]],
+  ['Mo', 'Molybdenum', 95.95, 2.16, [4, 6]],
+  ['Tc', 'Technetium', 98, 1.9, [4, 7]],
+  ['Ru', 'Ruthenium', 101.07, 2.2, [3, 4]],
+  ['Rh', 'Rhodium', 102.90549, 2.28, [3]],
+  ['Pd', 'Palladium', 106.42, 2.20, [2, 4]],
+  ['Ag', 'Silver', 107.8682, 1.93, [1]],
+  ['Cd', 'Cadmium', 112.414, 1.69, [2]],
+  ['In', 'Indium', 114.818, 1.78, [1, 3]],
+  ['Sn', 'Tin', 118.710, 1.96, [-4, 2, 4]],
+  ['Sb', 'Antimony', 121.760, 2.05, [-3, 3, 5]],
+  ['Te', 'Tellurium', 127.60, 2.1, [-2, 2, 4, 6]],
+  ['I', 'Iodine', 126.90447, 2.66, [-1, 1, 3, 5, 7]],
+  ['Xe', 'Xenon', 131.293, 2.6, [2, 4, 6, 8]],
+  ['Cs', 'Cesium', 132.90545196, 0.79, [1]],
+  ['Ba', 'Barium', 137.327, 0.89, [2]],
+  ['La', 'Lanthanum', 138.90547, 1.10, [3]],
+  ['Ce', 'Cerium', 140.116, 1.12, [3, 4]],
+  ['Pr', 'Praseodymium', 140.90766, 1.13, [3]],
+  ['Nd', 'Neodymium', 144.242, 1.14, [3]],
+  ['Pm', 'Promethium', 145, 1.13, [3]],
+  ['Sm', 'Samarium', 150.36, 1.17, [2, 3]],
+  ['Eu', 'Europium', 151.964, 1.2, [2, 3]],
+  ['Gd', 'Gadolinium', 157.25, 1.20, [3]],
+  ['Tb', 'Terbium', 158.92535, 1.1, [3, 4]],
+  ['Dy', 'Dysprosium', 162.500, 1.22, [3]],
+  ['Ho', 'Holmium', 164.93033, 1.23, [3]],
+  ['Er', 'Erbium', 167.259, 1.24, [3]],
+  ['Tm', 'Thulium', 168.93422, 1.25, [3]],
+  ['Yb', 'Ytterbium', 173.045, 1.1, [2, 3]],
+  ['Lu', 'Lutetium', 174.9668, 1.27, [3]],
+  ['Hf', 'Hafnium', 178.49, 1.3, [4]],
+  ['Ta', 'Tantalum', 180.94788, 1.5, [5]],
+  ['W', 'Tungsten', 183.84, 2.36, [4, 6]],
+  ['Re', 'Rhenium', 186.207, 1.9, [4, 7]],
+  ['Os', 'Osmium', 190.23, 2.2, [4, 8]],
+  ['Ir', 'Iridium', 192.217, 2.20, [3, 4]],
+  ['Pt', 'Platinum', 195.084, 2.28, [2, 4]],
+  ['Au', 'Gold', 196.966570, 2.54, [1, 3]],
+  ['Hg', 'Mercury', 200.592, 2.00, [1, 2]],
+  ['Tl', 'Thallium', 204.38, 1.62, [1, 3]],
+  ['Pb', 'Lead', 207.2, 2.33, [2, 4]],
+  ['Bi', 'Bismuth', 208.98040, 2.02, [3, 5]],
+  ['Po', 'Polonium', 209, 2.0, [-2, 2, 4]],
+  ['At', 'Astatine', 210, 2.2, [-1, 1]],
+  ['Rn', 'Radon', 222, 2.2, [2]],
+  ['Fr', 'Francium', 223, 0.7, [1]],
+  ['Ra', 'Radium', 226, 0.9, [2]],
+  ['Ac', 'Actinium', 227, 1.1, [3]],
+  ['Th', 'Thorium', 232.0377, 1.3, [4]],
+  ['Pa', 'Protactinium', 231.03588, 1.5, [5]],
+  ['U', 'Uranium', 238.02891, 1.38, [3, 4, 5, 6]],
+  ['Np', 'Neptunium', 237, 1.36, [5]],
+  ['Pu', 'Plutonium', 244, 1.28, [3, 4]],
+  ['Am', 'Americium', 243, 1.13, [3]],
+  ['Cm', 'Curium', 247, 1.28, [3]],
+  ['Bk', 'Berkelium', 247, 1.3, [3]],
+  ['Cf', 'Californium', 251, 1.3, [3]],
+  ['Es', 'Einsteinium', 252, 1.3, [3]],
+  ['Fm', 'Fermium', 257, 1.3, [3]],
+  ['Md', 'Mendelevium', 258, 1.3, [3]],
+  ['No', 'Nobelium', 259, 1.3, [2]],
+  ['Lr', 'Lawrencium', 262, 1.3, [3]],
+  ['Rf', 'Rutherfordium', 267, null, [4]],
+  ['Db', 'Dubnium', 270, null, [5]],
+  ['Sg', 'Seaborgium', 271, null, [6]],
+  ['Bh', 'Bohrium', 270, null, [7]],
+  ['Hs', 'Hassium', 277, null, [8]],
+  ['Mt', 'Meitnerium', 276, null, []],
+  ['Ds', 'Darmstadtium', 281, null, []],
+  ['Rg', 'Roentgenium', 280, null, []],
+  ['Cn', 'Copernicium', 285, null, []],
+  ['Nh', 'Nihonium', 284, null, []],
+  ['Fl', 'Flerovium', 289, null, []],
+  ['Mc', 'Moscovium', 288, null, []],
+  ['Lv', 'Livermorium', 293, null, []],
+  ['Ts', 'Tennessine', 292, null, []],
+  ['Og', 'Oganesson', 294, null, []]
+];
+
+// IUPAC intervals for elements whose atomic weight varies with the source of the sample;
+// the atomic weight in ROWS is the conventional value used in calculations
+const ATOMIC_WEIGHT_INTERVALS = {
+  H: [1.00784, 1.00811],
+  Li: [6.938, 6.997],
+  B: [10.806, 10.821],
+  C: [12.0096, 12.0116],
+  N: [14.00643, 14.00728],
+  O: [15.99903, 15.99977],
+  Mg: [24.304, 24.307],
+  Si: [28.084, 28.086],
+  S: [32.059, 32.076],
+  Cl: [35.446, 35.457],
+  Ar: [39.792, 39.963],
+  Br: [79.901, 79.907],
+  Tl: [204.382, 204.385],
+  Pb: [206.14, 207.94]
+};
+
+// Elements with a standard atomic weight beyond bismuth (the rest of Z > 83, Tc and Pm have none)
+const HEAVY_STANDARD_WEIGHTS = ['Th', 'Pa', 'U'];
+
+// Ground states that differ from the Madelung (aufbau) filling order
+const CONFIGURATION_EXCEPTIONS = {
+  Cr: '[Ar] 3d5 4s1',
+  Cu: '[Ar] 3d10 4s1',
+  Nb: '[Kr] 4d4 5s1',
+  Mo: '[Kr] 4d5 5s1',
+  Ru: '[Kr] 4d7 5s1',
+  Rh: '[Kr] 4d8 5s1',
+  Pd: '[Kr] 4d10',
+  Ag: '[Kr] 4d10 5s1',
+  La: '[Xe] 5d1 6s2',
+  Ce: '[Xe] 4f1 5d1 6s2',
+  Gd: '[Xe] 4f7 5d1 6s2',
+  Pt: '[Xe] 4f14 5d9 6s1',
+  Au: '[Xe] 4f14 5d10 6s1',
+  Ac: '[Rn] 6d1 7s2',
+  Th: '[Rn] 6d2 7s2',
+  Pa: '[Rn] 5f2 6d1 7s2',
+  U: '[Rn] 5f3 6d1 7s2',
+  Np: '[Rn] 5f4 6d1 7s2',
+  Cm: '[Rn] 5f7 6d1 7s2',
+  Lr: '[Rn] 5f14 7s2 7p1'
+};
+
+const SUBSHELL_ORDER = ['1s', '2s', '2p', '3s', '3p', '4s', '3d', '4p', '5s', '4d', '5p', '6s', '4f', '5d', '6p', '7s', '5f', '6d', '7p'];
+const SUBSHELL_CAPACITY = { s: 2, p: 6, d: 10, f: 14 };
+const NOBLE_GAS_CORES = [['He', 2], ['Ne', 10], ['Ar', 18], ['Kr', 36], ['Xe', 54], ['Rn', 86]];
+const PERIOD_ENDS = [2, 10, 18, 36, 54, 86, 118];
+
+const METALLOIDS = ['B', 'Si', 'Ge', 'As', 'Sb', 'Te'];
+const REACTIVE_NONMETALS = ['H', 'C', 'N', 'O', 'P', 'S', 'Se'];
+
+export const ELEMENTS = Object.freeze(ROWS.map(([symbol, name, atomicWeight, electronegativity, oxidationStates], index) => {
+  const atomicNumber = index + 1;
+  const period = PERIOD_ENDS.findIndex(end => atomicNumber <= end) + 1;
+  const group = groupOf(atomicNumber, period);
+
+  return Object.freeze({
+    atomicNumber,
+    symbol,
+    name,
+    atomicWeight,
+    atomicWeightInterval: ATOMIC_WEIGHT_INTERVALS[symbol] ? Object.freeze(ATOMIC_WEIGHT_INTERVALS[symbol]) : null,
+    standardWeight: atomicNumber <= 83 ? !['Tc', 'Pm'].includes(symbol) : HEAVY_STANDARD_WEIGHTS.includes(symbol),
+    group,
+    period,
+    block: blockOf(atomicNumber, group),
+    category: categoryOf(symbol, atomicNumber, group),
+    electronegativity,
+    oxidationStates: Object.freeze(oxidationStates),
+    electronConfiguration: CONFIGURATION_EXCEPTIONS[symbol] || configurationOf(atomicNumber)
+  });
+}));
+
+const BY_SYMBOL = new Map(ELEMENTS.map(element => [element.symbol, element]));
+
+export class PeriodicTable {
+
+  /**
+   * Element data by symbol
+   * @param {string} symbol - Element symbol ("Fe")
+   * @returns {Object|null} Element record, or null for an unknown symbol
+   */
+  static get(symbol) {
+    return BY_SYMBOL.get(symbol) || null;
+  }
+
+  /**
+   * Element data by atomic number
+   * @param {number} atomicNumber - 1 to 118
+   * @returns {Object|null}
+   */
+  static byAtomicNumber(atomicNumber) {
+    return ELEMENTS[atomicNumber - 1] || null;
+  }
+
+  /**
+   * Atomic number of an element
+   * @param {string} symbol
+   * @returns {number|null}
+   */
+  static atomicNumber(symbol) {
+    const element = this.get(symbol);
+    return element ? element.atomicNumber : null;
+  }
+
+  /**
+   * Symbols of a group (1–18), in order of atomic number
+   * @param {number} group
+   * @returns {string[]}
+   */
+  static groupSymbols(group) {
+    return ELEMENTS.filter(element => element.group === group).map(element => element.symbol);
+  }
+
+  /**
+   * Symbols of a category ("alkali metal", "transition metal", "halogen", ...)
+   * @param {string} category
+   * @returns {string[]}
+   */
+  static categorySymbols(category) {
+    return ELEMENTS.filter(element => element.category === category).map(element => element.symbol);
+  }
+}
+
+// Group 1–18, or null for the f-block
+function groupOf(atomicNumber, period) {
+  if (period === 1) return atomicNumber === 1 ? 1 : 18;
+
+  const offset = atomicNumber - PERIOD_ENDS[period - 2] - 1;
+  if (period <= 3) return offset < 2 ? offset + 1 : offset + 11;
+  if (period <= 5) return offset + 1;
+
+  // Periods 6 and 7: two s-block elements, fourteen f-block elements, then groups 3–18
+  if (offset < 2) return offset + 1;
+  if (offset < 16) return null;
+  return offset - 13;
+}
+
+function blockOf(atomicNumber, group) {
+  if (group === null) return 'f';
+  if (group <= 2 || atomicNumber === 2) return 's';
+  return group <= 12 ? 'd' : 'p';
+}
+
+function categoryOf(symbol, atomicNumber, group) {
+  if (atomicNumber >= 57 && atomicNumber <= 71) return 'lanthanoid';
+  if (atomicNumber >= 89 && atomicNumber <= 103) return 'actinoid';
+  if (group === 18) return 'noble gas';
+  if (group === 17) return 'halogen';
+  if (METALLOIDS.includes(symbol)) return 'metalloid';
+  if (REACTIVE_NONMETALS.includes(symbol)) return 'nonmetal';
+  if (group === 1) return 'alkali metal';
+  if (group === 2) return 'alkaline earth metal';
+  if (group <= 12) return 'transition metal';
+  return 'post-transition metal';
+}
+
+// Madelung filling written with the noble-gas core, subshells ordered by n then l ("[Ar] 3d6 4s2")
+function configurationOf(atomicNumber) {
+  const occupancy = subshells => {
+    const filled = [];
+    let remaining = subshells;
+    for (const subshell of SUBSHELL_ORDER) {
+      if (remaining <= 0) break;
+      const electrons = Math.min(remaining, SUBSHELL_CAPACITY[subshell[1]]);
+      filled.push([subshell, electrons]);
+      remaining -= electrons;
+    }
+    return filled;
+  };
+
+  const core = [...NOBLE_GAS_CORES].reverse().find(([, z]) => z < atomicNumber);
+  const coreSubshells = core ? occupancy(core[1]).length : 0;
+  const lOrder = 'spdf';
+  const valence = occupancy(atomicNumber).slice(coreSubshells)
+    .sort(([a], [b]) => a[0] - b[0] || lOrder.indexOf(a[1]) - lOrder.indexOf(b[1]))
+    .map(([subshell, electrons]) => `${subshell}${electrons}`);
+
+  return core ? `[${core[0]}] ${valence.join(' ')}` : valence.join(' ');
+}
+
+// Convenience function
+export function getElement(symbol) {
+  return PeriodicTable.get(symbol);
+}
+
+export default PeriodicTable;
@@ -0,0 +1,433 @@
+/**
+ * Gas stoichiometry
+ * Gas volumes at any temperature and pressure (ideal gas law or van der Waals),
+ * STP/SATP presets, partial pressures and collection over water.
+ * Gas amounts are converted to moles and passed on to the stoichiometry engine.
+ */
+
+import { parseFormula, compositionKey } from './parser.js';
+import { StoichiometryEngine, StoichiometryError } from './stoichiometry.js';
+import { SolutionCalculator, VOLUME_UNITS } from './solutions.js';
+import { SigFigs, EXACT } from './sigfigs.js';
+
+export const GAS_CONSTANT_BAR = 0.0831446261815324; // L·bar/(mol·K)
+
+// Pressure units, in bar
+export const PRESSURE_UNITS = {
+  bar: { factor: 1, label: 'bar' },
+  atm: { factor: 1.01325, label: 'atm' },
+  kPa: { factor: 0.01, label: 'kPa' },
+  Pa: { factor: 1e-5, label: 'Pa' },
+  mmHg: { factor: 1.01325 / 760, label: 'mmHg' },
+  torr: { factor: 1.01325 / 760, label: 'torr' },
+  psi: { factor: 0.0689475729, label: 'psi' }
+};
+
+// Temperature units, converted to kelvin
+export const TEMPERATURE_UNITS = {
+  K: { label: 'K', toKelvin: t => t },
+  C: { label: '°C', toKelvin: t => t + 273.15 },
+  F: { label: '°F', toKelvin: t => (t - 32) * 5 / 9 + 273.15 }
+};
+
+// Standard conditions (IUPAC STP and SATP use 1 bar; the older STP used 1 atm)
+export const GAS_PRESETS = {
+  STP: { temperature: 273.15, pressure: 1, label: 'STP (0 °C, 1 bar)' },
+  SATP: { temperature: 298.15, pressure: 1, label: 'SATP (25 °C, 1 bar)' },
+  'STP-atm': { temperature: 273.15, pressure: 1.01325, label: 'STP (0 °C, 1 atm)' }
+};
+
+// Van der Waals constants: a in L²·bar/mol², b in L/mol (CRC Handbook)
+export const VAN_DER_WAALS_CONSTANTS = {
+  H2: { a: 0.2476, b: 0.02661 },
+  He: { a: 0.0346, b: 0.0238 },
+  Ne: { a: 0.208, b: 0.01672 },
+  Ar: { a: 1.355, b: 0.03201 },
+  Kr: { a: 2.325, b: 0.0396 },
+  Xe: { a: 4.192, b: 0.05156 },
+  N2: { a: 1.37, b: 0.0387 },
+  O2: { a: 1.382, b: 0.03186 },
+  O3: { a: 3.57, b: 0.0487 },
+  F2: { a: 1.171, b: 0.029 },
+  Cl2: { a: 6.343, b: 0.05422 },
+  CO: { a: 1.472, b: 0.03948 },
+  CO2: { a: 3.64, b: 0.04267 },
+  H2O: { a: 5.536, b: 0.03049 },
+  H2S: { a: 4.49, b: 0.04287 },
+  NH3: { a: 4.225, b: 0.03707 },
+  NO: { a: 1.358, b: 0.02789 },
+  NO2: { a: 5.354, b: 0.04424 },
+  N2O: { a: 3.832, b: 0.04415 },
+  SO2: { a: 6.803, b: 0.05636 },
+  HCl: { a: 3.716, b: 0.04081 },
+  HBr: { a: 4.51, b: 0.04431 },
+  CH4: { a: 2.283, b: 0.04278 },
+  C2H2: { a: 4.516, b: 0.0522 },
+  C2H4: { a: 4.612, b: 0.0582 },
+  C2H6: { a: 5.562, b: 0.0638 },
+  C3H8: { a: 8.779, b: 0.08445 },
+  C4H10: { a: 14.66, b: 0.1226 }
+};
+
+// Antoine constants for water (mmHg, °C), valid 1-100 °C
+const WATER_ANTOINE = { A: 8.07131, B: 1730.63, C: 233.426 };
+
+export class GasCalculator {
+
+  /**
+   * Resolve gas conditions to kelvin and bar
+   * @param {Object} conditions
+   * @param {string} conditions.preset - Key of GAS_PRESETS; explicit values override it
+   * @param {number} conditions.temperature
+   * @param {string} conditions.temperatureUnit - Key of TEMPERATURE_UNITS (default 'K')
+   * @param {number} conditions.pressure
+   * @param {string} conditions.pressureUnit - Key of PRESSURE_UNITS (default 'bar')
+   * @returns {Object} {temperature (K), pressure (bar)}
+   */
+  static conditions({ preset = null, temperature = null, temperatureUnit = 'K', pressure = null, pressureUnit = 'bar' } = {}) {
+    let base = null;
+    if (preset) {
+      base = GAS_PRESETS[preset];
+      if (!base) throw new StoichiometryError(`Unknown gas preset: ${preset}`, 'UNKNOWN_UNIT');
+    }
+
+    const kelvin = SolutionCalculator.isBlank(temperature)
+      ? base?.temperature
+      : this.toKelvin(temperature, temperatureUnit);
+    const bar = SolutionCalculator.isBlank(pressure)
+      ? base?.pressure
+      : this.toBar(pressure, pressureUnit);
+
+    if (kelvin === undefined || bar === undefined) {
+      throw new StoichiometryError('Gas amounts need a temperature and pressure (or STP/SATP)', 'NO_CONDITIONS');
+    }
+    return { temperature: kelvin, pressure: bar };
+  }
+
+  /**
+   * Convert a temperature to kelvin
+   * @param {number} value
+   * @param {string} unit - Key of TEMPERATURE_UNITS
+   * @returns {number}
+   */
+  static toKelvin(value, unit = 'K') {
+    const info = TEMPERATURE_UNITS[unit];
+    if (!info) throw new StoichiometryError(`Unknown temperature unit: ${unit}`, 'UNKNOWN_UNIT');
+
+    const kelvin = info.toKelvin(Number(value));
+    if (SolutionCalculator.isBlank(value) || !Number.isFinite(kelvin) || kelvin <= 0) {
+      throw new StoichiometryError(`Invalid temperature: ${value} ${info.label}`, 'INVALID_TEMPERATURE');
+    }
+    return kelvin;
+  }
+
+  /**
+   * Convert a pressure to bar
+   * @param {number} value
+   * @param {string} unit - Key of PRESSURE_UNITS
+   * @returns {number}
+   */
+  static toBar(value, unit = 'bar') {
+    const info = PRESSURE_UNITS[unit];
+    if (!info) throw new StoichiometryError(`Unknown pressure unit: ${unit}`, 'UNKNOWN_UNIT');
+    return SolutionCalculator.positive(value, 'pressure', 'INVALID_PRESSURE') * info.factor;
+  }
+
+  /**
+   * Convert a pressure from bar
+   * @param {number} bar
+   * @param {string} unit - Key of PRESSURE_UNITS
+   * @returns {number}
+   */
+  static fromBar(bar, unit = 'bar') {
+    const info = PRESSURE_UNITS[unit];
+    if (!info) throw new StoichiometryError(`Unknown pressure unit: ${unit}`, 'UNKNOWN_UNIT');
+    return bar / info.factor;
+  }
+
+  /**
+   * Molar volume at a temperature and pressure
+   * @param {Object} conditions - {temperature (K), pressure (bar)} from conditions()
+   * @param {Object} options
+   * @param {string} options.model - 'ideal' (default) or 'vdw'
+   * @param {Object} options.constants - {a, b} for 'vdw' (see vanDerWaalsConstants)
+   * @returns {number} L/mol
+   */
+  static molarVolume({ temperature, pressure }, { model = 'ideal', constants = null } = {}) {
+    const ideal = (GAS_CONSTANT_BAR * temperature) / pressure;
+    if (model === 'ideal') return ideal;
+    if (model !== 'vdw') throw new StoichiometryError(`Unknown gas model: ${model}`, 'UNKNOWN_MODEL');
+    if (!constants) throw new StoichiometryError('Van der Waals constants are not tabulated for this gas', 'NO_VDW_CONSTANTS');
+
+    // Newton's method on (P + a/Vm²)(Vm - b) = RT, starting from the ideal-gas root
+    const { a, b } = constants;
+    const RT = GAS_CONSTANT_BAR * temperature;
+    let vm = ideal;
+    for (let i = 0; i < 100; i++) {
+      const f = (pressure + a / (vm * vm)) * (vm - b) - RT;
+      const df = pressure - a / (vm * vm) + (2 * a * b) / (vm * vm * vm);
+      const next = vm - f / df;
+      if (!Number.isFinite(next) || next <= b) break;
+      if (Math.abs(next - vm) < 1e-12 * vm) return next;
+      vm = next;
+    }
+
+    throw new StoichiometryError('No gas-phase van der Waals solution at these conditions', 'NO_GAS_ROOT');
+  }
+
+  /**
+   * Moles of gas in a volume
+   * @param {Object} gas
+   * @param {number} gas.volume
+   * @param {string} gas.volumeUnit - Key of VOLUME_UNITS (default 'L')
+   * @param {boolean} gas.overWater - Collected over water: subtract water's vapor pressure
+   * @param {string} gas.model - 'ideal' or 'vdw'
+   * @param {Object} gas.constants - {a, b} for 'vdw'
+   * @param {...Object} gas.conditions - preset/temperature/pressure fields, see conditions()
+   * @returns {number} Moles
+   */
+  static moles(gas) {
+    const litres = SolutionCalculator.toLitres(gas.volume, gas.volumeUnit || 'L');
+    return litres / this.molarVolume(this.gasConditions(gas), gas);
+  }
+
+  /**
+   * Volume occupied by an amount of gas
+   * @param {number} moles
+   * @param {Object} conditions - preset/temperature/pressure fields, see conditions()
+   * @param {Object} options - {model, constants, volumeUnit (default 'L')}
+   * @returns {number} Volume in volumeUnit
+   */
+  static volume(moles, conditions, { model = 'ideal', constants = null, volumeUnit = 'L' } = {}) {
+    const unit = VOLUME_UNITS[volumeUnit];
+    if (!unit) throw new StoichiometryError(`Unknown volume unit: ${volumeUnit}`, 'UNKNOWN_UNIT');
+    return (moles * this.molarVolume(this.conditions(conditions), { model, constants })) / unit.factor;
+  }
+
+  /**
+   * Vapor pressure of water (Antoine equation)
+   * @param {number} temperature - In kelvin
+   * @returns {number} Pressure in bar
+   */
+  static waterVaporPressure(temperature) {
+    const celsius = temperature - 273.15;
+    if (celsius < 0 || celsius > 100) {
+      throw new StoichiometryError('Water vapor pressure is tabulated from 0 to 100 °C', 'INVALID_TEMPERATURE');
+    }
+    const { A, B, C } = WATER_ANTOINE;
+    const mmHg = Math.pow(10, A - B / (C + celsius));
+    return mmHg * PRESSURE_UNITS.mmHg.factor;
+  }
+
+  /**
+   * Gas collected over water: the dry-gas pressure is the total pressure minus water's vapor pressure
+   * @param {Object} gas - As for moles(); pressure is the barometric (total) pressure
+   * @returns {Object} {temperature, totalPressure, waterVaporPressure, dryPressure (bar), moles}
+   */
+  static collectedOverWater(gas) {
+    const { temperature, pressure } = this.conditions(gas);
+    const waterVaporPressure = this.waterVaporPressure(temperature);
+    const dryPressure = pressure - waterVaporPressure;
+    if (!(dryPressure > 0)) {
+      throw new StoichiometryError('Total pressure must exceed the vapor pressure of water', 'VAPOR_PRESSURE_EXCEEDS');
+    }
+
+    return {
+      temperature,
+      totalPressure: pressure,
+      waterVaporPressure,
+      dryPressure,
+      moles: this.moles({ ...gas, overWater: true })
+    };
+  }
+
+  /**
+   * Partial pressures of a gas mixture (Dalton's law, ideal behaviour)
+   * Give either the total pressure (mole fractions) or the vessel volume (pᵢ = nᵢRT/V).
+   * @param {Array<Object>} gases - [{formula, moles}]
+   * @param {Object} options
+   * @param {number} options.temperature - In kelvin (needed with volume)
+   * @param {number} options.pressure - Total pressure in bar
+   * @param {number} options.volume - Vessel volume in litres
+   * @returns {Array<Object>} [{formula, moles, moleFraction, partialPressure (bar)}]
+   */
+  static partialPressures(gases, { temperature = null, pressure = null, volume = null } = {}) {
+    const total = gases.reduce((sum, gas) => sum + gas.moles, 0);
+    if (!(total > 0)) return gases.map(gas => ({ ...gas, moleFraction: 0, partialPressure: 0 }));
+
+    return gases.map(gas => {
+      const moleFraction = gas.moles / total;
+      const partialPressure = volume !== null
+        ? (gas.moles * GAS_CONSTANT_BAR * temperature) / volume
+        : moleFraction * pressure;
+      return { formula: gas.formula, moles: gas.moles, moleFraction, partialPressure };
+    });
+  }
+
+  /**
+   * Van der Waals constants for a formula, matched on composition ("CO2(g)" finds CO2)
+   * @param {string|Object} formula - Formula string or {composition|elements}
+   * @returns {Object|null} {a, b} or null when not tabulated
+   */
+  static vanDerWaalsConstants(formula) {
+    const key = this.compositionKey(formula);
+    if (!key) return null;
+
+    if (!this.vdwIndex) {
+      this.vdwIndex = new Map(Object.entries(VAN_DER_WAALS_CONSTANTS)
+        .map(([gas, constants]) => [this.compositionKey(gas), { formula: gas, ...constants }]));
+    }
+    return this.vdwIndex.get(key) || null;
+  }
+
+  /**
+   * Stoichiometry with gas inputs
+   * Entries of amounts may be any input accepted by SolutionCalculator.calculate, or gases
+   * {volume, volumeUnit, preset | temperature/pressure, model, overWater}. Gaseous species
+   * (phase (g) or given as gas) report their volume at the reporting conditions, and gaseous
+   * products their partial pressures at the reporting pressure.
+   * @param {Object} balanced - Successful balance result
+   * @param {Array<Object|null>} amounts - Aligned with [...reactants, ...products]
+   * @param {Object} conditions - Reporting conditions (preset/temperature/pressure, model); default STP
+   * @returns {Object} Stoichiometry result; gaseous species gain a `gas` record and the result `gasProducts`
+   */
+  static calculate(balanced, amounts = [], conditions = {}) {
+    const model = conditions.model || 'ideal';
+    if (!['ideal', 'vdw'].includes(model)) throw new StoichiometryError(`Unknown gas model: ${model}`, 'UNKNOWN_MODEL');
+
+    const compounds = [...(balanced?.reactants || []), ...(balanced?.products || [])];
+    const reporting = this.conditions({ preset: 'STP', ...conditions });
+    const result = SolutionCalculator.calculate(balanced, this.convertAmounts(balanced, amounts));
+
+    result.species.forEach(entry => {
+      const compound = compounds[entry.index];
+      const given = this.isGas(amounts[entry.index]) ? amounts[entry.index] : null;
+      if (!given && compound.phase !== 'g') return;
+
+      if (given) {
+        entry.given = { ...entry.given, value: Number(given.volume), unit: given.volumeUnit || 'L', overWater: Boolean(given.overWater) };
+      }
+
+      // Gases without tabulated constants fall back to the ideal gas law
+      const constants = model === 'vdw' ? this.vanDerWaalsConstants(compound) : null;
+      const used = constants ? 'vdw' : 'ideal';
+      entry.gas = {
+        temperature: reporting.temperature,
+        pressure: reporting.pressure,
+        model: used,
+        volume: entry.moles * this.molarVolume(reporting, { model: used, constants })
+      };
+      entry.precision.gasVolume = SigFigs.product(entry.precision.moles, this.conditionsPrecision({ preset: 'STP', ...conditions }));
+    });
+
+    const gasProducts = result.species.filter(entry => entry.side === 'product' && entry.gas);
+    result.gasProducts = this.partialPressures(
+      gasProducts.map(entry => ({ formula: entry.formula, moles: entry.moles })),
+      { pressure: reporting.pressure }
+    ).map((gas, i) => ({ index: gasProducts[i].index, ...gas }));
+    result.gasConditions = reporting;
+
+    return result;
+  }
+
+  /**
+   * Replace gas entries by their moles so other calls (SolutionCalculator.toAmounts,
+   * StoichiometryEngine.percentYield) accept the same amounts as calculate
+   * @param {Object} balanced - Successful balance result
+   * @param {Array<Object|null>} amounts - As for calculate
+   * @returns {Array<Object|null>} Amounts without gas or solution entries
+   */
+  static toAmounts(balanced, amounts = []) {
+    return SolutionCalculator.toAmounts(balanced, this.convertAmounts(balanced, amounts));
+  }
+
+  // Gas entries → {value, unit: 'mol'}; van der Waals constants come from each species' composition
+  static convertAmounts(balanced, amounts) {
+    const compounds = [...(balanced?.reactants || []), ...(balanced?.products || [])];
+
+    return compounds.map((compound, index) => {
+      const given = amounts[index];
+      if (!this.isGas(given)) return given || null;
+
+      const constants = given.model === 'vdw' ? this.vanDerWaalsConstants(compound) : null;
+      const label = StoichiometryEngine.displayFormula(compound);
+      return {
+        value: this.moles({ ...given, constants }),
+        unit: 'mol',
+        precision: SigFigs.product(
+          SigFigs.measured(given.volume, `${label} volume`, given.volumeUnit || 'L'),
+          this.conditionsPrecision(given)
+        )
+      };
+    });
+  }
+
+  /**
+   * Significant figures carried by a temperature and pressure; presets are exact
+   * Celsius and Fahrenheit temperatures keep their decimal places when shifted to kelvin,
+   * and a pressure collected over water keeps its decimal places when the vapor pressure is removed.
+   * @param {Object} gas - preset/temperature/pressure fields, see conditions(); overWater
+   * @returns {Object} SigFigs precision
+   */
+  static conditionsPrecision(gas) {
+    const { temperature, temperatureUnit = 'K', pressure, pressureUnit = 'bar' } = gas;
+    const precisions = [];
+
+    if (!SolutionCalculator.isBlank(temperature)) {
+      const measured = SigFigs.measured(temperature, 'temperature', TEMPERATURE_UNITS[temperatureUnit]?.label);
+      const shifted = temperatureUnit === 'F' ? (Number(temperature) - 32) * 5 / 9 : Number(temperature);
+      precisions.push(temperatureUnit === 'K'
+        ? measured
+        : SigFigs.sum([{ value: shifted, precision: measured }, { value: 273.15, precision: EXACT }], this.toKelvin(temperature, temperatureUnit)));
+    }
+
+    if (!SolutionCalculator.isBlank(pressure)) {
+      const measured = SigFigs.measured(pressure, 'pressure', pressureUnit);
+      if (gas.overWater) {
+        const { temperature: kelvin, pressure: bar } = this.conditions(gas);
+        const vapor = this.waterVaporPressure(kelvin);
+        precisions.push(SigFigs.sum([{ value: bar, precision: measured }, { value: vapor, precision: EXACT }], bar - vapor));
+      } else {
+        precisions.push(measured);
+      }
+    }
+
+    return SigFigs.product(...precisions);
+  }
+
+  // Conditions for a gas input; over water, the dry-gas pressure
+  static gasConditions(gas) {
+    const conditions = this.conditions(gas);
+    if (!gas.overWater) return conditions;
+
+    const dryPressure = conditions.pressure - this.waterVaporPressure(conditions.temperature);
+    if (!(dryPressure > 0)) {
+      throw new StoichiometryError('Total pressure must exceed the vapor pressure of water', 'VAPOR_PRESSURE_EXCEEDS');
+    }
+    return { ...conditions, pressure: dryPressure };
+  }
+
+  static isGas(given) {
+    return Boolean(given) && given.value === undefined && SolutionCalculator.isBlank(given.concentration) &&
+      !SolutionCalculator.isBlank(given.volume);
+  }
+
+  // compositionKey of a formula string or {composition|elements}; null when it does not parse
+  static compositionKey(formula) {
+    let elements;
+    try {
+      if (typeof formula === 'string') {
+        elements = parseFormula(formula).elements;
+      } else {
+        elements = formula?.composition || formula?.elements;
+      }
+    } catch (error) {
+      return null;
+    }
+    if (!elements) return null;
+
+    return compositionKey(elements);
+  }
+}
+
+export default GasCalculator;
@@ -0,0 +1,1112 @@
+/**
+ * Type declarations for the library entry point (chem/index.js)
+ */
+
+export type BalanceMode = 'standard' | 'acidic' | 'basic';
+export type Phase = 's' | 'l' | 'g' | 'aq';
+
+/** Element symbol (or isotope key such as "C-13") → atom count */
+export type ElementCounts = Record<string, number>;
+
+export interface Composition {
+  elements: ElementCounts;
+  charge: number;
+  phase?: Phase | null;
+  /** Formula as written when it uses abbreviation macros (Ph3P, Cu(en)2); formatComposition keeps it */
+  abbreviated?: string;
+  /** Grouping of a condensed structural formula (CH3(CH2)4COOH); formatComposition keeps it */
+  structure?: StructuralUnit[];
+}
+
+/** One top-level group of a condensed structural formula: CH3, (CH2)4, =CH2 */
+export interface StructuralUnit {
+  /** Text of the group without brackets, multiplier or bond */
+  formula: string;
+  count: number;
+  /** Composition of one group */
+  elements: ElementCounts;
+  bracket: '(' | '[' | null;
+  /** Bond mark written before the group: '-', '=' or '≡' */
+  bond: string | null;
+}
+
+export declare class ParseError extends Error {
+  name: 'ParseError';
+  /** Character offset of the offending token in the formula */
+  position: number;
+  constructor(message: string, position?: number);
+}
+
+export type BalanceErrorCode =
+  | 'BALANCE_ERROR'
+  | 'NO_SOLUTION'
+  | 'NO_VALID_SOLUTION'
+  | 'NO_SPECIES'
+  | 'TOO_MANY_SPECIES'
+  | 'ELECTRON_IMBALANCE'
+  | 'INVALID_MODE';
+
+export declare class BalanceError extends Error {
+  name: 'BalanceError';
+  code: BalanceErrorCode;
+  constructor(message: string, code?: BalanceErrorCode);
+}
+
+export type StoichiometryErrorCode =
+  | 'STOICHIOMETRY_ERROR'
+  | 'NOT_BALANCED'
+  | 'NO_AMOUNTS'
+  | 'NO_REACTANTS'
+  | 'NO_MOLARITY'
+  | 'NO_MOLAR_MASS'
+  | 'NOT_A_PRODUCT'
+  | 'INVALID_AMOUNT'
+  | 'INVALID_COEFFICIENT'
+  | 'INVALID_YIELD'
+  | 'UNKNOWN_UNIT'
+  | 'MOLAR_MASS'
+  | 'ZERO_YIELD'
+  | 'INVALID_CONCENTRATION'
+  | 'INVALID_VOLUME'
+  | 'INVALID_EQUIVALENTS'
+  | 'INVALID_DENSITY'
+  | 'NO_DENSITY'
+  | 'DILUTION_UNKNOWNS'
+  | 'NOT_A_DILUTION'
+  | 'TITRATION_UNKNOWNS'
+  | 'SAME_SPECIES'
+  | 'UNKNOWN_SPECIES'
+  | 'INVALID_TEMPERATURE'
+  | 'INVALID_PRESSURE'
+  | 'NO_CONDITIONS'
+  | 'UNKNOWN_MODEL'
+  | 'NO_VDW_CONSTANTS'
+  | 'NO_GAS_ROOT'
+  | 'VAPOR_PRESSURE_EXCEEDS';
+
+export declare class StoichiometryError extends Error {
+  name: 'StoichiometryError';
+  code: StoichiometryErrorCode;
+  constructor(message: string, code?: StoichiometryErrorCode);
+}
+
+export declare class Fraction {
+  n: number;
+  d: number;
+  constructor(numerator?: number, denominator?: number);
+  static fromInt(n: number): Fraction;
+  static fromDecimal(decimal: number, maxDenominator?: number): Fraction;
+  add(other: Fraction | number): Fraction;
+  sub(other: Fraction | number): Fraction;
+  mul(other: Fraction | number): Fraction;
+  div(other: Fraction | number): Fraction;
+  neg(): Fraction;
+  abs(): Fraction;
+  eq(other: Fraction | number): boolean;
+  isZero(): boolean;
+  isInteger(): boolean;
+  toNumber(): number;
+  toString(): string;
+}
+
+/** One species of a balanced equation, in [...reactants, ...products] order */
+export interface BalancedSpecies {
+  /** Formula without charge or phase, e.g. "MnO4" */
+  formula: string;
+  /** Formula as written, e.g. "MnO4^-" */
+  originalFormula: string;
+  composition: ElementCounts;
+  charge: number;
+  phase: Phase | null;
+  /** Grouping of a condensed structural formula, otherwise null */
+  structure: StructuralUnit[] | null;
+  coefficient: number;
+}
+
+export interface BalanceDiagnostics {
+  /** Elements balanced, sorted */
+  elements: string[];
+  /** H+/OH-/H2O added in acidic or basic mode (only those with a non-zero coefficient) */
+  addedSpecies: string[];
+  /** Whether a charge-balance row was part of the system */
+  chargeBalanced: boolean;
+  /** Dimension of the nullspace; above 1 the equation has independent balanced forms */
+  nullity: number;
+}
+
+export interface BalanceResult {
+  success: true;
+  mode: BalanceMode;
+  /** e.g. "4Fe + 3O2 → 2Fe2O3" */
+  balanced: string;
+  reactants: BalancedSpecies[];
+  products: BalancedSpecies[];
+  /** Integer coefficients aligned with [...reactants, ...products] */
+  coefficients: number[];
+  diagnostics: BalanceDiagnostics;
+  /** e.g. "NaCl appears as (aq) and (s) among the reactants" */
+  warnings: string[];
+}
+
+export interface EquationSpecies {
+  reactants: string[];
+  products: string[];
+}
+
+export interface BalanceOptions {
+  mode?: BalanceMode;
+}
+
+export interface MassBreakdownEntry {
+  element: string;
+  count: number;
+  atomicMass: number;
+  contribution: number;
+}
+
+export interface MolarMassResult {
+  exactMass: Fraction;
+  decimalMass: number;
+  formula: string;
+  breakdown: MassBreakdownEntry[];
+  unit: 'g/mol';
+}
+
+export interface CompositionEntry extends MassBreakdownEntry {
+  /** Element symbol without the isotope label */
+  symbol: string;
+  /** Mass number of an isotope label ([13C] → 13), otherwise null */
+  massNumber: number | null;
+  name: string;
+  massPercent: number;
+  atomPercent: number;
+}
+
+export interface IsotopeLabel {
+  /** Element key, e.g. "C-13" */
+  label: string;
+  symbol: string;
+  massNumber: number;
+  count: number;
+  isotopeMass: number;
+  standardMass: number;
+  /** Mass added over the natural-abundance element, all atoms of this label */
+  shift: number;
+}
+
+export interface HydrateWater {
+  waterCount: number;
+  waterMass: number;
+  waterPercent: number;
+  anhydrousMass: number;
+}
+
+export interface PercentCompositionResult {
+  formula: string;
+  molarMass: number;
+  totalAtoms: number;
+  elements: CompositionEntry[];
+  /** Null unless a formula string has H2O parts after a dot */
+  hydrate: HydrateWater | null;
+  isotopes: IsotopeLabel[];
+  /** Molar mass with every isotope label replaced by the natural element */
+  unlabelledMass: number;
+}
+
+export interface IsotopePeak {
+  /** Mass over charge; equals mass for a neutral formula */
+  mz: number;
+  /** Abundance-weighted exact mass of the peak */
+  mass: number;
+  nominalMass: number;
+  /** Probability of the peak (all peaks sum to at most 1) */
+  abundance: number;
+  /** Percent of the base peak */
+  relativeAbundance: number;
+}
+
+export interface IsotopePatternOptions {
+  /** Charge state z (default: the formula's charge) */
+  charge?: number | null;
+  /** Smallest peak kept relative to the base peak (default 0.001) */
+  threshold?: number;
+}
+
+export interface IsotopePatternResult {
+  formula: string;
+  charge: number;
+  monoisotopicMass: number;
+  monoisotopicMz: number;
+  nominalMass: number;
+  averageMass: number;
+  peaks: IsotopePeak[];
+}
+
+export interface OxidationStatesResult {
+  formula: string;
+  charge: number;
+  /** Element → oxidation state */
+  oxidationStates: Record<string, number>;
+}
+
+export interface OxidationStateChange {
+  reactantRange: [number, number];
+  productRange: [number, number];
+  oxidized: boolean;
+  reduced: boolean;
+}
+
+export interface ChangedSpecies {
+  formula: string;
+  index: number;
+  type: 'oxidized' | 'reduced';
+}
+
+export interface RedoxCouple {
+  oxidized: string;
+  reduced: string;
+  electrons: number;
+  medium: 'acidic' | 'basic' | 'any';
+  /** Standard reduction potential in volts */
+  eº: number;
+  /** Set when the potential was converted from the other medium */
+  convertedFrom?: 'acidic' | 'basic';
+}
+
+export interface CellPotentialUnavailable {
+  available: false;
+  medium: 'acidic' | 'basic' | null;
+  cathode: RedoxCouple | null;
+  anode: RedoxCouple | null;
+  reason: string;
+}
+
+export interface CellPotential {
+  available: true;
+  medium: 'acidic' | 'basic' | null;
+  cathode: RedoxCouple;
+  anode: RedoxCouple;
+  electrons: number;
+  /** E°cell in volts */
+  standardPotential: number;
+  /** ΔG° in kJ/mol */
+  deltaG: number;
+  log10K: number;
+  equilibriumConstant: number;
+  spontaneous: boolean;
+}
+
+export interface RedoxAnalysis {
+  isRedox: boolean;
+  osChanges: Record<string, OxidationStateChange>;
+  oxidizedSpecies: ChangedSpecies[];
+  reducedSpecies: ChangedSpecies[];
+  /** Per-atom electron change (not scaled by coefficients) */
+  electronTransfer: number;
+  reactantOS: Record<string, number>[];
+  productOS: Record<string, number>[];
+  /** n for the balanced equation as written; 0 when not redox */
+  electronsTransferred: number;
+  cellPotential: CellPotential | CellPotentialUnavailable | null;
+}
+
+export type AmountUnit = 'g' | 'mg' | 'kg' | 'mol' | 'mmol' | 'L-STP' | 'L-SATP' | 'mL-solution' | 'particles';
+
+export interface Amount {
+  /** Strings keep trailing zeros for significant figures ("10.0") */
+  value: number | string;
+  unit?: AmountUnit;
+  /** mol/L, required for 'mL-solution' */
+  molarity?: number | string;
+  /** Stated significant figures, overriding the count from value */
+  sigFigs?: number;
+  /** Ready precision of an amount converted elsewhere */
+  precision?: Precision;
+}
+
+/** Significant figures of a value and the input that limited them */
+export interface Precision {
+  /** Infinity for exact values */
+  sigFigs: number;
+  /** 'product': fewest figures of the factors; 'sum': fewest decimal places of the terms */
+  rule: 'measured' | 'product' | 'sum' | 'exact';
+  limitedBy: { label: string; value: string; sigFigs: number } | null;
+}
+
+export type ConcentrationUnit = 'M' | 'mM' | 'm' | 'N' | '%w/v' | 'ppm';
+export type VolumeUnit = 'L' | 'mL' | 'µL';
+
+export interface SolutionOptions {
+  /** Equivalents per mole for normality; inferred from the formula when omitted */
+  equivalents?: number;
+  /** Solution density in g/mL, required for molality */
+  density?: number;
+}
+
+/** A species given as a solution; without a volume, the volume consumed or formed is reported */
+export interface SolutionAmount extends SolutionOptions {
+  volume?: number | string | null;
+  volumeUnit?: VolumeUnit;
+  concentration: number | string;
+  concentrationUnit?: ConcentrationUnit;
+}
+
+export type PressureUnit = 'bar' | 'atm' | 'kPa' | 'Pa' | 'mmHg' | 'torr' | 'psi';
+export type TemperatureUnit = 'K' | 'C' | 'F';
+export type GasPreset = 'STP' | 'SATP' | 'STP-atm';
+export type GasModel = 'ideal' | 'vdw';
+
+/** Temperature and pressure; explicit values override the preset */
+export interface GasConditions {
+  preset?: GasPreset;
+  temperature?: number | string | null;
+  temperatureUnit?: TemperatureUnit;
+  pressure?: number | string | null;
+  pressureUnit?: PressureUnit;
+}
+
+/** Van der Waals constants: a in L²·bar/mol², b in L/mol */
+export interface VanDerWaalsConstants {
+  a: number;
+  b: number;
+}
+
+/** A species given as a gas volume; over water, pressure is the barometric pressure */
+export interface GasAmount extends GasConditions {
+  volume: number | string;
+  volumeUnit?: VolumeUnit;
+  model?: GasModel;
+  overWater?: boolean;
+}
+
+export interface StoichiometrySpecies {
+  index: number;
+  formula: string;
+  side: 'reactant' | 'product';
+  coefficient: number;
+  molarMass: number;
+  given: { value: number; unit: AmountUnit | VolumeUnit; moles: number; molarity?: number; overWater?: boolean } | null;
+  moles: number;
+  grams: number | null;
+  isLimiting: boolean;
+  excessMoles: number | null;
+  excessGrams: number | null;
+  /** Coefficient ratio to the limiting reagent, e.g. "3/2" */
+  moleRatio?: string;
+  molarMassPrecision: Precision;
+  precision: {
+    /** Given amount converted to moles */
+    given?: Precision;
+    moles: Precision;
+    grams: Precision;
+    excessMoles?: Precision;
+    excessGrams?: Precision;
+    /** Solution volume consumed or formed */
+    volume?: Precision;
+    gasVolume?: Precision;
+  };
+  /** Present for species given as a SolutionAmount */
+  solution?: {
+    concentration: number;
+    concentrationUnit: ConcentrationUnit;
+    molarity: number;
+    volumeUnit: VolumeUnit;
+    givenVolume: number | null;
+    /** Volume consumed (reactants) or formed (products) at this concentration */
+    volume: number;
+    /** Concentration as molarity, with the molar mass or density it needed */
+    precision: Precision;
+  };
+  /** Present for gaseous species (phase (g) or given as a GasAmount) */
+  gas?: {
+    /** Reporting conditions in K and bar */
+    temperature: number;
+    pressure: number;
+    /** 'ideal' when van der Waals constants are not tabulated for the species */
+    model: GasModel;
+    /** Litres at the reporting conditions */
+    volume: number;
+  };
+}
+
+export interface PartialPressure {
+  formula: string;
+  moles: number;
+  moleFraction: number;
+  /** bar */
+  partialPressure: number;
+}
+
+export interface SpeciesAmount {
+  index: number;
+  formula: string;
+  moles: number;
+  grams: number | null;
+  precision: { moles: Precision; grams: Precision };
+}
+
+export interface StoichiometryResult {
+  success: true;
+  /** Moles of reaction events */
+  extent: number;
+  limitingReagent: { index: number; formula: string } | null;
+  basis: 'limiting-reagent' | 'target-product';
+  species: StoichiometrySpecies[];
+  theoreticalYield: SpeciesAmount[];
+  excess: SpeciesAmount[];
+  precision: { extent: Precision };
+  /** Gaseous products at the reporting pressure (stoichiometry() only) */
+  gasProducts?: Array<PartialPressure & { index: number }>;
+  gasConditions?: { temperature: number; pressure: number };
+}
+
+/** Parse a formula such as "CuSO4·5H2O", "[Fe(CN)6]4-" or "Fe^3+(aq)" */
+export declare function parseFormula(formula: string): Composition & { phase: Phase | null };
+
+export declare function validateFormula(formula: string): { valid: true } | { valid: false; error: string; position: number };
+
+export declare function formatComposition(composition: Composition): string;
+
+/** Formula text without its charge and phase ("MnO4^-(aq)" → "MnO4") */
+export declare function formulaCore(formula: string): string;
+
+/** Sorted element counts ("C1|O2"), with the charge appended when given ("Mn1|O4|-1") */
+export declare function compositionKey(elements: ElementCounts, charge?: number | null): string;
+
+/** Formulas listed with more than one phase; unlabelled species never conflict */
+export declare function findPhaseConflicts(
+  species: Array<{ formula: string; charge?: number; phase?: Phase | null }>
+): Array<{ formula: string; charge: number; phases: Phase[] }>;
+
+/** Split "A + B -> C + D" into formula lists, dropping leading coefficients */
+export declare function splitEquation(equation: string): EquationSpecies;
+
+/** Balance an equation; throws ParseError or BalanceError */
+export declare function balance(equation: string | EquationSpecies, options?: BalanceOptions): BalanceResult;
+
+export declare function molarMass(formula: string | Composition): MolarMassResult;
+
+/** Exact masses and isotope distribution; labelled positions keep their isotope */
+export declare function isotopePattern(formula: string | Composition, options?: IsotopePatternOptions): IsotopePatternResult;
+
+/** Mass and atom percentages, hydrate water and isotope-label shifts */
+export declare function percentComposition(formula: string | Composition): PercentCompositionResult;
+
+export type ElementBlock = 's' | 'p' | 'd' | 'f';
+
+export type ElementCategory =
+  | 'alkali metal'
+  | 'alkaline earth metal'
+  | 'transition metal'
+  | 'post-transition metal'
+  | 'metalloid'
+  | 'nonmetal'
+  | 'halogen'
+  | 'noble gas'
+  | 'lanthanoid'
+  | 'actinoid';
+
+export interface ElementData {
+  atomicNumber: number;
+  symbol: string;
+  name: string;
+  /** Standard (conventional) atomic weight; mass number of the longest-lived isotope when standardWeight is false */
+  atomicWeight: number;
+  /** IUPAC [lower, upper] bounds for elements whose weight varies in nature, otherwise null */
+  atomicWeightInterval: readonly [number, number] | null;
+  standardWeight: boolean;
+  /** 1–18, null for La–Yb and Ac–No */
+  group: number | null;
+  period: number;
+  block: ElementBlock;
+  category: ElementCategory;
+  /** Pauling scale, null where none is established */
+  electronegativity: number | null;
+  oxidationStates: readonly number[];
+  /** Ground state with a noble-gas core: "[Ar] 3d6 4s2" */
+  electronConfiguration: string;
+}
+
+/** Periodic-table data by symbol or atomic number; null when unknown */
+export declare function elementInfo(element: string | number): (ElementData & { available: true }) | null;
+export declare function defineMacro(symbol: string, formula: string | ElementCounts, name?: string | null): FormulaMacro & { builtIn: false };
+
+export declare function oxidationStates(formula: string): OxidationStatesResult;
+
+/** Oxidation-state changes, electrons transferred and tabulated cell potential */
+export declare function analyzeRedox(equation: string | EquationSpecies | BalanceResult, options?: BalanceOptions): RedoxAnalysis;
+
+/** Limiting reagent and theoretical yield; amounts align with [...reactants, ...products] */
+export declare function stoichiometry(
+  equation: string | EquationSpecies | BalanceResult,
+  amounts?: Array<Amount | SolutionAmount | GasAmount | null>,
+  options?: BalanceOptions & { conditions?: GasConditions & { model?: GasModel } }
+): StoichiometryResult;
+
+export interface TitrationSide extends SolutionOptions {
+  /** Species index in [...reactants, ...products] */
+  index: number;
+  volume?: number | null;
+  volumeUnit?: VolumeUnit;
+  concentration?: number | null;
+  concentrationUnit?: ConcentrationUnit;
+  /** Weighed sample instead of a solution (e.g. a primary standard) */
+  amount?: Amount;
+}
+
+export interface TitrationSpecies {
+  index: number;
+  formula: string;
+  coefficient: number;
+  moles: number;
+  grams: number | null;
+  volume: number | null;
+  volumeUnit: VolumeUnit;
+  concentration: number | null;
+  concentrationUnit: ConcentrationUnit;
+  precision: { moles: Precision; grams: Precision; volume?: Precision; concentration?: Precision };
+}
+
+export interface TitrationResult {
+  extent: number;
+  solved: 'titrant.volume' | 'titrant.concentration' | 'analyte.volume' | 'analyte.concentration';
+  /** titrant:analyte coefficients, e.g. "2:1" */
+  moleRatio: string;
+  titrant: TitrationSpecies;
+  analyte: TitrationSpecies;
+}
+
+export interface DilutionValues {
+  c1?: number | string | null;
+  v1?: number | string | null;
+  c2?: number | string | null;
+  v2?: number | string | null;
+}
+
+export interface DilutionResult {
+  c1: number;
+  v1: number;
+  c2: number;
+  v2: number;
+  solved: 'c1' | 'v1' | 'c2' | 'v2';
+  solventAdded: number;
+  dilutionFactor: number;
+  precision: Record<'c1' | 'v1' | 'c2' | 'v2' | 'solventAdded' | 'dilutionFactor', Precision>;
+}
+
+/** Titration endpoint: the missing volume or concentration on one side */
+export declare function titration(
+  equation: string | EquationSpecies | BalanceResult,
+  setup: { titrant: TitrationSide; analyte: TitrationSide },
+  options?: BalanceOptions
+): TitrationResult;
+
+/** C1V1 = C2V2 with exactly one value left out */
+export declare function dilution(values: DilutionValues): DilutionResult;
+
+/** Moles of gas in a volume; with model 'vdw', give the formula or the constants */
+export declare function gasMoles(gas: GasAmount & { formula?: string; constants?: VanDerWaalsConstants | null }): number;
+
+/** Volume (default L) occupied by an amount of gas */
+export declare function gasVolume(
+  moles: number,
+  conditions?: GasConditions & { model?: GasModel; formula?: string; volumeUnit?: VolumeUnit }
+): number;
+
+export type IonicKind =
+  | 'ion'
+  | 'strong-acid'
+  | 'strong-base'
+  | 'soluble-salt'
+  | 'insoluble-salt'
+  | 'weak-acid'
+  | 'weak-base'
+  | 'water'
+  | 'molecular';
+
+export interface Ion {
+  formula: string;
+  charge: number;
+}
+
+export interface IonicTerm extends Ion {
+  phase: Phase | null;
+  coefficient: number;
+}
+
+export interface IonicClassification {
+  kind: IonicKind;
+  /** Written as ions in the complete ionic equation */
+  dissociated: boolean;
+  ions: Array<Ion & { count: number }>;
+  /** Phase label used when the input had none: (aq) for electrolytes, (s) for precipitates */
+  phase: Phase | null;
+  /** The rule that decided, e.g. "Group 1 and ammonium salts are soluble" */
+  rule: string;
+}
+
+export interface NetIonicResult {
+  molecular: string;
+  complete: string;
+  /** null when every ion is a spectator */
+  net: string | null;
+  completeIonic: { reactants: IonicTerm[]; products: IonicTerm[] };
+  netIonic: { reactants: IonicTerm[]; products: IonicTerm[] };
+  spectators: Array<Ion & { coefficient: number }>;
+  species: Array<IonicClassification & { index: number; formula: string; side: 'reactant' | 'product' }>;
+  noReaction: boolean;
+}
+
+/** Complete and net ionic equations; spectator ions are removed from the net equation */
+export declare function netIonic(equation: string | EquationSpecies | BalanceResult, options?: BalanceOptions): NetIonicResult;
+
+export type ReactionType =
+  | 'combustion'
+  | 'disproportionation'
+  | 'comproportionation'
+  | 'neutralization'
+  | 'precipitation'
+  | 'single-displacement'
+  | 'double-displacement'
+  | 'synthesis'
+  | 'decomposition'
+  | 'redox';
+
+export interface ReactionClassification {
+  /** First matching type in REACTION_TYPES order, null when none applies */
+  primary: ReactionType | null;
+  types: ReactionType[];
+  rationale: Array<{ type: ReactionType; label: string; reason: string }>;
+}
+
+/** Reaction type with the reason for each label that applies */
+export declare function classifyReaction(equation: string | EquationSpecies | BalanceResult, options?: BalanceOptions): ReactionClassification;
+
+export type PredictionType =
+  | 'combustion'
+  | 'metal-oxygen'
+  | 'single-displacement'
+  | 'neutralization'
+  | 'precipitation'
+  | 'decomposition';
+
+export interface ProductCandidate {
+  /** Unbalanced product formulas, with predicted phases for precipitations */
+  products: string[];
+  type: PredictionType;
+  /** 0-1 */
+  confidence: number;
+  reason: string;
+}
+
+export interface ProductPrediction extends ProductCandidate {
+  equation: string;
+  result: BalanceResult;
+}
+
+/** Predicted, balanced completions of a reactant-only equation, most confident first */
+export declare function predictProducts(
+  reactants: string | string[],
+  options?: BalanceOptions
+): { predictions: ProductPrediction[]; notes: string[] };
+
+export interface RatioOptions {
+  /** Distance from a whole number accepted for each mole ratio (default 0.1) */
+  tolerance?: number;
+  /** Largest multiplier tried on the mole ratios (default 12) */
+  maxMultiplier?: number;
+}
+
+export interface PercentOptions extends RatioOptions {
+  /** Percentage points the percentages may add up to away from 100 (default 1) */
+  sumTolerance?: number;
+}
+
+export interface CombustionData {
+  sampleMass: number;
+  co2Mass?: number;
+  h2oMass?: number;
+  so2Mass?: number;
+  /** Elements determined separately, e.g. { N: 0.140 } */
+  elements?: ElementCounts;
+  elementUnit?: 'g' | '%';
+}
+
+export interface EmpiricalResult {
+  /** Element counts in Hill order */
+  empirical: ElementCounts;
+  formula: string;
+  empiricalMass: number;
+  ratios: Record<string, number>;
+  moles: Record<string, number>;
+  multiplier: number;
+  maxDeviation: number;
+  /** false when no multiplier up to maxMultiplier brought every ratio within tolerance */
+  withinTolerance: boolean;
+  /** Combustion analysis only */
+  masses?: Record<string, number>;
+  oxygenByDifference?: boolean;
+}
+
+export interface MolecularResult {
+  formula: string;
+  molecular: ElementCounts;
+  multiplier: number;
+  empiricalMass: number;
+  molecularMass: number;
+  deviation: number;
+}
+
+/** Empirical formula, and the molecular formula when options.molarMass is given */
+export declare function empiricalFormula(
+  data: { percentages?: Record<string, number>; masses?: Record<string, number>; combustion?: CombustionData },
+  options?: PercentOptions & { molarMass?: number | null; molarMassTolerance?: number }
+): EmpiricalResult & { molecular: MolecularResult | null };
+
+export type CompoundType = 'element' | 'ionic' | 'molecular' | 'acid' | 'ion' | 'common';
+
+export interface NameToFormulaResult {
+  name: string;
+  /** Accepted by parseFormula: "Fe2(SO4)3", "CuSO4.5H2O", "SO4^2-" */
+  formula: string;
+  type: CompoundType;
+  charge: number;
+  /** Waters of hydration, null for anhydrous names */
+  hydrate: number | null;
+}
+
+export interface FormulaToNameResult {
+  formula: string;
+  name: string;
+  type: CompoundType;
+  /** "ferric chloride" for iron(III) chloride, null without an -ous/-ic name */
+  classicalName: string | null;
+  /** Oxidation state of the metal cation, null when the name has none */
+  oxidationState: number | null;
+  hydrate: number | null;
+}
+
+/** Formula for an inorganic name (Stock or classical salts, prefixed molecular compounds, acids, hydrates, ions) */
+export declare function nameToFormula(name: string): NameToFormulaResult;
+
+/** Systematic name of a formula */
+export declare function formulaToName(formula: string): FormulaToNameResult;
+
+export declare const AMOUNT_UNITS: Record<AmountUnit, { kind: string; label: string; factor?: number; molarVolume?: number }>;
+export declare const CONCENTRATION_UNITS: Record<ConcentrationUnit, { kind: 'molarity' | 'molality' | 'normality' | 'mass-volume'; factor: number; label: string }>;
+export declare const VOLUME_UNITS: Record<VolumeUnit, { factor: number; label: string }>;
+export declare const GAS_CONSTANT_BAR: number;
+export declare const PRESSURE_UNITS: Record<PressureUnit, { factor: number; label: string }>;
+export declare const TEMPERATURE_UNITS: Record<TemperatureUnit, { label: string; toKelvin(value: number): number }>;
+export declare const GAS_PRESETS: Record<GasPreset, { temperature: number; pressure: number; label: string }>;
+export declare const VAN_DER_WAALS_CONSTANTS: Record<string, VanDerWaalsConstants>;
+export declare const ELEMENTS: readonly ElementData[];
+export declare const ATOMIC_WEIGHTS: Record<string, number>;
+export declare const ISOTOPE_MASSES: Record<string, number>;
+/** Element → {mass number: natural abundance (mole fraction)} */
+export declare const ISOTOPE_ABUNDANCES: Record<string, Record<number, number>>;
+export declare const ELECTRON_MASS: number;
+export declare const STANDARD_REDUCTION_POTENTIALS: RedoxCouple[];
+
+export declare const TokenType: {
+  ELEMENT: 'ELEMENT';
+  MACRO: 'MACRO';
+  NUMBER: 'NUMBER';
+  LPAREN: 'LPAREN';
+  RPAREN: 'RPAREN';
+  LBRACKET: 'LBRACKET';
+  RBRACKET: 'RBRACKET';
+  CHARGE: 'CHARGE';
+  DOT: 'DOT';
+  BOND: 'BOND';
+  PHASE: 'PHASE';
+  EOF: 'EOF';
+};
+
+export interface Token {
+  type: keyof typeof TokenType;
+  value: string | number | null;
+  position: number;
+  /** Expansion of a MACRO token */
+  elements?: ElementCounts;
+}
+
+export interface FormulaMacro {
+  name: string;
+  elements: ElementCounts;
+  /** Sticky pattern that must match at the macro's position (acetyl only in AcOH, AcONa, Ac2O, OAc) */
+  context?: RegExp;
+  /** Where the macro applies, when it is restricted */
+  note?: string;
+}
+
+/** Built-in abbreviations: Me, Et, nPr, iPr, Bu, tBu, Ph, Bn, Bz, Ac (acetyl, in AcOH/Ac2O/OAc only), Cy, Cp, Ms, Tf, Boc, en, py, bpy, phen, acac */
+export declare const FORMULA_MACROS: Readonly<Record<string, FormulaMacro>>;
+
+export declare class ChemicalLexer {
+  constructor(formula: string);
+  tokenize(): Token[];
+  static tokenize(formula: string): Token[];
+  static macros(): Record<string, FormulaMacro & { builtIn: boolean }>;
+  static getMacro(symbol: string): (FormulaMacro & { builtIn: boolean }) | null;
+  static defineMacro(symbol: string, elements: ElementCounts, name?: string | null): FormulaMacro & { builtIn: false };
+  static removeMacro(symbol: string): boolean;
+  static clearMacros(): void;
+}
+
+export declare class ChemicalParser {
+  constructor(tokens: Token[]);
+  parse(): Composition & { phase: Phase | null };
+  static parse(formula: string): Composition & { phase: Phase | null };
+}
+
+export interface BalancerCoefficient {
+  side: 'reactant' | 'product';
+  /** Formula string, or the species object when pre-parsed compositions were passed */
+  species: string | Composition;
+  coeff: number;
+}
+
+export declare class ChemicalBalancer {
+  constructor(reactants: Array<string | Composition>, products: Array<string | Composition>, mode?: BalanceMode);
+  solve(): ChemicalBalancerResult;
+  static balance(options: {
+    reactants: Array<string | Composition>;
+    products: Array<string | Composition>;
+    mode?: BalanceMode;
+  }): ChemicalBalancerResult;
+  static formatEquation(coefficients: BalancerCoefficient[]): string;
+}
+
+export interface ChemicalBalancerResult {
+  coefficients: BalancerCoefficient[];
+  addedSpecies: string[];
+  details: {
+    matrixA: Fraction[][];
+    nullVector: Fraction[];
+    /** Signed integers aligned with [...reactants, ...products, ...added species] */
+    integerCoefficients: number[];
+    elements: string[];
+    nullity: number;
+  };
+}
+
+export declare class PeriodicTable {
+  static get(symbol: string): ElementData | null;
+  static byAtomicNumber(atomicNumber: number): ElementData | null;
+  static atomicNumber(symbol: string): number | null;
+  static groupSymbols(group: number): string[];
+  static categorySymbols(category: ElementCategory): string[];
+}
+
+export declare class MolarMassCalculator {
+  static calculate(formula: string | Composition): MolarMassResult;
+  static percentComposition(formula: string | Composition): PercentCompositionResult;
+  static hydrateWater(formula: string, molarMass: number): HydrateWater | null;
+  static isotopePattern(formula: string | Composition, options?: IsotopePatternOptions): IsotopePatternResult;
+  static isotopesOf(elementKey: string): Array<{ massNumber: number; mass: number; abundance: number }>;
+  static getAtomicMass(elementKey: string): Fraction;
+  static formatFormula(composition: Composition): string;
+  static empiricalFromPercentages(percentages: Record<string, number>, options?: PercentOptions): EmpiricalResult;
+  static empiricalFromMasses(masses: Record<string, number>, options?: RatioOptions): EmpiricalResult;
+  static empiricalFromMoles(moles: Record<string, number>, options?: RatioOptions): EmpiricalResult;
+  static combustionAnalysis(data: CombustionData, options?: RatioOptions): EmpiricalResult & { masses: Record<string, number>; oxygenByDifference: boolean };
+  static molecularFormula(empirical: string | ElementCounts, molarMass: number, options?: { tolerance?: number }): MolecularResult;
+  static ratiesToIntegers(ratios: Record<string, number>, options?: RatioOptions): ElementCounts;
+  static integerRatios(ratios: Record<string, number>, options?: RatioOptions): {
+    counts: ElementCounts;
+    multiplier: number;
+    maxDeviation: number;
+    withinTolerance: boolean;
+  };
+  static getElementInfo(symbol: string): (ElementData & { available: true }) | null;
+  static getElementName(symbol: string): string;
+}
+
+export declare class OxidationStateEngine {
+  computeOxidationStates(composition: ElementCounts, charge?: number): Record<string, number>;
+  analyzeRedoxReaction(
+    reactants: Array<{ composition: ElementCounts; charge?: number; formula?: string }>,
+    products: Array<{ composition: ElementCounts; charge?: number; formula?: string }>
+  ): Omit<RedoxAnalysis, 'electronsTransferred' | 'cellPotential'>;
+}
+
+export declare const EXACT: Precision;
+
+export declare class SigFigs {
+  static count(input: string | number): number;
+  static measured(input: string | number, label: string, unit?: string, sigFigs?: number | null): Precision;
+  static product(...precisions: Precision[]): Precision;
+  static sum(terms: Array<{ value: number; precision: Precision }>, result: number): Precision;
+  static molarMass(elements: ElementCounts, formula: string): Precision;
+  static round(value: number, sigFigs: number): number;
+  /** Keeps trailing zeros: format(2.5, 3) → "2.50", format(10, 2) → "10." */
+  static format(value: number, sigFigs: number): string;
+  /** "3 significant figures: limited by Fe (10.0 g, 3 significant figures)" */
+  static explain(precision: Precision | null | undefined): string;
+}
+
+/** Significant figures of an entered number ("1200" → 2, "1200." → 4, "0.00120" → 3) */
+export declare function countSigFigs(input: string | number): number;
+
+export declare class StoichiometryEngine {
+  static calculate(balanced: BalanceResult, amounts?: Array<Amount | null>): StoichiometryResult;
+  static givenPrecision(entry: { formula: string; molarMassPrecision: Precision }, given: Amount, unit: AmountUnit): Precision;
+  static convertToMoles(value: number | string, unit: AmountUnit, molarMass: number, options?: { molarity?: number }): number;
+  static convertFromMoles(moles: number, unit: AmountUnit, molarMass: number, options?: { molarity?: number }): number;
+}
+
+export declare class SolutionCalculator {
+  static toMolarity(value: number | string, unit?: ConcentrationUnit, options?: SolutionOptions & { molarMass?: number }): number;
+  static fromMolarity(molarity: number, unit?: ConcentrationUnit, options?: SolutionOptions & { molarMass?: number }): number;
+  static convert(value: number | string, from: ConcentrationUnit, to: ConcentrationUnit, options?: SolutionOptions & { molarMass?: number }): number;
+  static moles(solution: SolutionAmount, options?: SolutionOptions & { molarMass?: number }): number;
+  static volumeFor(moles: number, concentration: number, concentrationUnit?: ConcentrationUnit, volumeUnit?: VolumeUnit, options?: SolutionOptions & { molarMass?: number }): number;
+  static dilution(values: DilutionValues): DilutionResult;
+  static titration(balanced: BalanceResult, setup: { titrant: TitrationSide; analyte: TitrationSide }): TitrationResult;
+  static calculate(balanced: BalanceResult, amounts?: Array<Amount | SolutionAmount | null>): StoichiometryResult;
+  static toAmounts(balanced: BalanceResult, amounts?: Array<Amount | SolutionAmount | null>): Array<Amount | null>;
+  static inferEquivalents(compound: { formula?: string; composition?: ElementCounts; charge?: number }): number;
+}
+
+export declare class GasCalculator {
+  static conditions(conditions?: GasConditions): { temperature: number; pressure: number };
+  static toKelvin(value: number | string, unit?: TemperatureUnit): number;
+  static toBar(value: number | string, unit?: PressureUnit): number;
+  static fromBar(bar: number, unit?: PressureUnit): number;
+  static molarVolume(
+    conditions: { temperature: number; pressure: number },
+    options?: { model?: GasModel; constants?: VanDerWaalsConstants | null }
+  ): number;
+  static moles(gas: GasAmount & { constants?: VanDerWaalsConstants | null }): number;
+  static volume(
+    moles: number,
+    conditions: GasConditions,
+    options?: { model?: GasModel; constants?: VanDerWaalsConstants | null; volumeUnit?: VolumeUnit }
+  ): number;
+  /** Water vapor pressure in bar at a temperature in K (0-100 °C) */
+  static waterVaporPressure(temperature: number): number;
+  /** Significant figures carried by a temperature and pressure; presets are exact */
+  static conditionsPrecision(gas: GasConditions & { overWater?: boolean }): Precision;
+  static collectedOverWater(gas: GasAmount): {
+    temperature: number;
+    totalPressure: number;
+    waterVaporPressure: number;
+    dryPressure: number;
+    moles: number;
+  };
+  static partialPressures(
+    gases: Array<{ formula: string; moles: number }>,
+    options: { temperature?: number; pressure?: number; volume?: number }
+  ): PartialPressure[];
+  static vanDerWaalsConstants(formula: string | { composition?: ElementCounts; elements?: ElementCounts }): (VanDerWaalsConstants & { formula: string }) | null;
+  static calculate(
+    balanced: BalanceResult,
+    amounts?: Array<Amount | SolutionAmount | GasAmount | null>,
+    conditions?: GasConditions & { model?: GasModel }
+  ): StoichiometryResult;
+  static toAmounts(balanced: BalanceResult, amounts?: Array<Amount | SolutionAmount | GasAmount | null>): Array<Amount | null>;
+}
+
+export declare class NetIonicEngine {
+  static build(balanced: BalanceResult): NetIonicResult;
+  static classify(compound: { formula: string; composition?: ElementCounts; charge?: number; phase?: Phase | null }): IonicClassification;
+  static solubility(cation: Ion, anion: Ion): { soluble: boolean; rule: string };
+}
+
+export declare const CATIONS: Ion[];
+export declare const ANIONS: Ion[];
+export declare const STRONG_ACID_ANIONS: string[];
+export declare const STRONG_BASE_CATIONS: string[];
+export declare const SOLUBILITY_RULES: Array<{
+  test(cation: Ion, anion: Ion): boolean;
+  soluble: boolean | ((cation: Ion, anion: Ion) => boolean);
+  rule: string;
+}>;
+
+export declare class ReactionClassifier {
+  static classify(balanced: BalanceResult, options?: { redoxAnalysis?: RedoxAnalysis | null }): ReactionClassification;
+}
+
+export declare const REACTION_TYPES: Record<ReactionType, string>;
+
+export declare class ProductPredictor {
+  static predict(reactants: Array<string | { formula: string; composition: ElementCounts; charge?: number }>): {
+    candidates: ProductCandidate[];
+    notes: string[];
+  };
+  static saltFormula(cation: Ion, anion: Ion): string;
+}
+
+export declare class NomenclatureError extends Error {
+  constructor(message: string, code?: string);
+  /** 'UNKNOWN_NAME', 'AMBIGUOUS_CHARGE', 'UNKNOWN_FORMULA' or 'EMPTY_NAME' */
+  code: string;
+}
+
+export declare class NomenclatureEngine {
+  static toFormula(name: string): NameToFormulaResult;
+  static toName(formula: string | { formula: string; composition: ElementCounts; charge?: number; phase?: Phase | null }): FormulaToNameResult;
+  /** Names hold three lowercase letters in a row; formulas never do */
+  static isName(text: string): boolean;
+}
+
+export interface NamedIon {
+  name: string;
+  formula: string;
+  charge: number;
+  aliases?: string[];
+  /** Formula of the acid when it is not H + anion (acetic acid: CH3COOH) */
+  acid?: string;
+  /** Only named with these cations (peroxide) */
+  cations?: string[];
+}
+
+export declare const POLYATOMIC_IONS: NamedIon[];
+export declare const MONATOMIC_ANIONS: NamedIon[];
+export declare const CLASSICAL_NAMES: Record<string, { symbol: string; charge: number }>;
+export declare const COMMON_NAMES: Record<string, string>;
+export declare const METAL_CHARGES: Record<string, number[]>;
+export declare const ACTIVITY_SERIES: string[];
+
+export declare class CellPotentialCalculator {
+  static analyze(options: {
+    reactants: Array<{ elements: ElementCounts; charge: number; coeff: number; formula?: string; phase?: Phase | null }>;
+    products: Array<{ elements: ElementCounts; charge: number; coeff: number; formula?: string; phase?: Phase | null }>;
+    electrons?: number | null;
+  }): CellPotential | CellPotentialUnavailable;
+}
+
+export declare class RedoxHelper {
+  static suggestMedium(species: string[]): {
+    suggestion: BalanceMode;
+    confidence: number;
+    reason: string;
+    indicators: { acidic: number; basic: number; hasTransitionMetal: boolean; hasOxyacid: boolean };
+  };
+}
+
+declare const _default: {
+  parseFormula: typeof parseFormula;
+  balance: typeof balance;
+  molarMass: typeof molarMass;
+  percentComposition: typeof percentComposition;
+  isotopePattern: typeof isotopePattern;
+  elementInfo: typeof elementInfo;
+  defineMacro: typeof defineMacro;
+  oxidationStates: typeof oxidationStates;
+  analyzeRedox: typeof analyzeRedox;
+  stoichiometry: typeof stoichiometry;
+  titration: typeof titration;
+  dilution: typeof dilution;
+  gasMoles: typeof gasMoles;
+  gasVolume: typeof gasVolume;
+  netIonic: typeof netIonic;
+  classifyReaction: typeof classifyReaction;
+  predictProducts: typeof predictProducts;
+  empiricalFormula: typeof empiricalFormula;
+  nameToFormula: typeof nameToFormula;
+  formulaToName: typeof formulaToName;
+};
+
+export default _default;
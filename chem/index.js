@@ -0,0 +1,481 @@
+/**
+ * Library entry point
+ * Functional API over the chemistry modules for use outside the web app.
+ * Nothing here touches window or document, so it runs unchanged in Node.
+ *
+ *   import { balance, molarMass, stoichiometry } from 'stoichiometry-calculator';
+ *   const result = balance('Fe + O2 -> Fe2O3');
+ *   stoichiometry(result, [{ value: 10, unit: 'g' }]);
+ */
+
+import { ChemicalLexer } from './lexer.js';
+import { parseFormula, formulaCore, findPhaseConflicts, ParseError } from './parser.js';
+import { ChemicalBalancer, BalanceError } from './balancer.js';
+import { MolarMassCalculator } from './mass.js';
+import { PeriodicTable } from './elements.js';
+import { OxidationStateEngine } from './oxidation-states.js';
+import { StoichiometryEngine } from './stoichiometry.js';
+import { CellPotentialCalculator } from './electrochemistry.js';
+import { SolutionCalculator } from './solutions.js';
+import { GasCalculator } from './gases.js';
+import { NetIonicEngine } from './ionic.js';
+import { ReactionClassifier } from './classify.js';
+import { ProductPredictor } from './predict.js';
+import { NomenclatureEngine } from './nomenclature.js';
+
+export { ChemicalLexer, TokenType, FORMULA_MACROS } from './lexer.js';
+export { ChemicalParser, ParseError, parseFormula, validateFormula, formatComposition, formulaCore, compositionKey, findPhaseConflicts } from './parser.js';
+export { ChemicalBalancer, BalanceError } from './balancer.js';
+export { Fraction } from './fractions.js';
+export { PeriodicTable, ELEMENTS } from './elements.js';
+export { MolarMassCalculator, ATOMIC_WEIGHTS, ISOTOPE_MASSES, ISOTOPE_ABUNDANCES, ELECTRON_MASS } from './mass.js';
+export { OxidationStateEngine } from './oxidation-states.js';
+export { SigFigs, EXACT, countSigFigs } from './sigfigs.js';
+export { RedoxHelper } from './redox.js';
+export { StoichiometryEngine, StoichiometryError, AMOUNT_UNITS } from './stoichiometry.js';
+export { CellPotentialCalculator, STANDARD_REDUCTION_POTENTIALS } from './electrochemistry.js';
+export { SolutionCalculator, CONCENTRATION_UNITS, VOLUME_UNITS } from './solutions.js';
+export {
+  GasCalculator,
+  GAS_CONSTANT_BAR,
+  PRESSURE_UNITS,
+  TEMPERATURE_UNITS,
+  GAS_PRESETS,
+  VAN_DER_WAALS_CONSTANTS
+} from './gases.js';
+export { NetIonicEngine, CATIONS, ANIONS, STRONG_ACID_ANIONS, STRONG_BASE_CATIONS, SOLUBILITY_RULES } from './ionic.js';
+export { ReactionClassifier, REACTION_TYPES } from './classify.js';
+export { ProductPredictor, METAL_CHARGES, ACTIVITY_SERIES } from './predict.js';
+export {
+  NomenclatureEngine,
+  NomenclatureError,
+  POLYATOMIC_IONS,
+  MONATOMIC_ANIONS,
+  CLASSICAL_NAMES,
+  COMMON_NAMES
+} from './nomenclature.js';
+
+const MODES = ['standard', 'acidic', 'basic'];
+
+/**
+ * Split "A + B -> C + D" into formula lists, dropping any leading coefficients
+ * @param {string} equation - Accepts ->, →, => or = as the arrow; = only when there is no other arrow (CH2=CH2 + H2 -> C2H6)
+ * @returns {Object} {reactants, products}
+ */
+export function splitEquation(equation) {
+  const sides = equation.split(/->|→|=>/.test(equation) ? /\s*(?:->|→|=>)\s*/ : /\s*=\s*/);
+  if (sides.length !== 2) {
+    throw new ParseError(`Expected one arrow (->) separating reactants and products in "${equation}"`, 0);
+  }
+  if (!sides[0].trim()) {
+    throw new ParseError(`No reactants before the arrow in "${equation}"`, 0);
+  }
+  if (!sides[1].trim()) {
+    throw new ParseError(`No products after the arrow in "${equation}"`, equation.trimEnd().length);
+  }
+
+  return {
+    reactants: speciesList(sides[0], 'reactants', equation),
+    products: speciesList(sides[1], 'products', equation)
+  };
+}
+
+// Formulas of one equation side, leading coefficients dropped; a "+" with nothing on one side is
+// an error (a charge such as Na+ is written against its formula)
+function speciesList(side, label, equation) {
+  const dangling = side.trim().match(/^\+(?=\s|$)|\s\+$/);
+  if (dangling) {
+    throw new ParseError(`Missing a species next to "+" in the ${label} of "${equation}"`,
+      equation.indexOf(side) + side.indexOf(side.trim()) + dangling.index + dangling[0].indexOf('+'));
+  }
+
+  return side
+    .split(/\s+\+\s+/)
+    .map(term => term.trim().replace(/^\d+\s*(?=[A-Z([])/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Balance an equation
+ * @param {string|Object} equation - "A + B -> C" or {reactants: string[], products: string[]}
+ * @param {Object} options
+ * @param {string} options.mode - 'standard', 'acidic' (adds H+/H2O) or 'basic' (adds OH-/H2O)
+ * @returns {Object} Species, integer coefficients aligned with [...reactants, ...products],
+ *   the balanced equation text, solver diagnostics and warnings (conflicting phases)
+ * @throws {ParseError|BalanceError}
+ */
+export function balance(equation, { mode = 'standard' } = {}) {
+  if (!MODES.includes(mode)) {
+    throw new BalanceError(`Unknown mode "${mode}"`, 'INVALID_MODE');
+  }
+
+  const { reactants, products } = typeof equation === 'string' ? splitEquation(equation) : equation;
+
+  // Parse up front so malformed formulas surface as ParseError with a position
+  const parsed = new Map([...reactants, ...products].map(formula => [formula, parseFormula(formula)]));
+
+  const result = ChemicalBalancer.balance({ reactants, products, mode });
+  const species = side => result.coefficients
+    .filter(item => item.side === side)
+    .map(item => {
+      const composition = parsed.get(item.species) || parseFormula(item.species);
+      return {
+        formula: formulaCore(item.species),
+        originalFormula: item.species,
+        composition: composition.elements,
+        charge: composition.charge,
+        phase: composition.phase || null,
+        structure: composition.structure || null,
+        coefficient: item.coeff
+      };
+    });
+
+  const balancedReactants = species('reactant');
+  const balancedProducts = species('product');
+  const format = list => list
+    .map(s => `${s.coefficient === 1 ? '' : s.coefficient}${s.originalFormula}`)
+    .join(' + ');
+
+  return {
+    success: true,
+    mode,
+    balanced: `${format(balancedReactants)} → ${format(balancedProducts)}`,
+    reactants: balancedReactants,
+    products: balancedProducts,
+    coefficients: [...balancedReactants, ...balancedProducts].map(s => s.coefficient),
+    diagnostics: {
+      elements: result.details.elements,
+      addedSpecies: result.addedSpecies,
+      chargeBalanced: result.details.matrixA.length > result.details.elements.length,
+      nullity: result.details.nullity
+    },
+    warnings: [
+      ...phaseWarnings(balancedReactants, 'reactants'),
+      ...phaseWarnings(balancedProducts, 'products')
+    ]
+  };
+}
+
+// The same formula with different state symbols on one side, e.g. NaCl(aq) + NaCl(s)
+function phaseWarnings(species, sideName) {
+  return findPhaseConflicts(species).map(conflict =>
+    `${StoichiometryEngine.displayFormula(conflict)} appears as ${conflict.phases.map(p => `(${p})`).join(' and ')} among the ${sideName}`
+  );
+}
+
+/**
+ * Molar mass of a formula
+ * @param {string|Object} formula - Formula string or parsed composition
+ * @returns {Object} {exactMass, decimalMass, formula, breakdown, unit}
+ */
+export function molarMass(formula) {
+  return MolarMassCalculator.calculate(formula);
+}
+
+/**
+ * Percent composition of a formula
+ * @param {string|Object} formula - Formula string or parsed composition
+ * @returns {Object} {formula, molarMass, totalAtoms, elements, hydrate, isotopes, unlabelledMass}
+ */
+export function percentComposition(formula) {
+  return MolarMassCalculator.percentComposition(formula);
+}
+
+/**
+ * Monoisotopic, nominal and average mass with the isotope distribution
+ * @param {string|Object} formula - Formula string or parsed composition; [13C] labels stay fixed
+ * @param {Object} options - {charge, threshold}, see MolarMassCalculator.isotopePattern
+ * @returns {Object} {formula, charge, monoisotopicMass, monoisotopicMz, nominalMass, averageMass, peaks}
+ */
+export function isotopePattern(formula, options = {}) {
+  return MolarMassCalculator.isotopePattern(formula, options);
+}
+
+/**
+ * Periodic-table data for one element
+ * @param {string|number} element - Symbol ("Fe") or atomic number (26)
+ * @returns {Object|null} {atomicNumber, symbol, name, atomicWeight, atomicWeightInterval, group, period,
+ *   block, category, electronegativity, oxidationStates, electronConfiguration, ...}, or null when unknown
+ */
+export function elementInfo(element) {
+  const symbol = typeof element === 'number' ? PeriodicTable.byAtomicNumber(element)?.symbol : element;
+  return symbol ? MolarMassCalculator.getElementInfo(symbol) : null;
+}
+
+/**
+ * Register an abbreviation for use in formulas (Tol -> C7H7); the built-in ones are in FORMULA_MACROS
+ * @param {string} symbol - Letters only; element symbols and built-in macros cannot be redefined
+ * @param {string|Object} formula - Neutral formula of known elements (may use other macros) or element counts
+ * @param {string} [name] - Description of the macro, defaults to the formula
+ * @returns {Object} {name, elements, builtIn: false}
+ */
+export function defineMacro(symbol, formula, name = null) {
+  const parsed = typeof formula === 'string' ? parseFormula(formula) : { elements: formula, charge: 0 };
+  const unknown = Object.keys(parsed.elements || {}).find(element => !PeriodicTable.get(element));
+  if (unknown) {
+    throw new Error(`Unknown element "${unknown}" in macro ${symbol}`);
+  }
+  if (parsed.charge !== 0) {
+    throw new Error(`Macro ${symbol} must be a neutral fragment`);
+  }
+  return ChemicalLexer.defineMacro(symbol, parsed.elements, name ?? (typeof formula === 'string' ? formula.trim() : null));
+}
+
+/**
+ * Oxidation state of every element in a formula
+ * @param {string} formula
+ * @returns {Object} {formula, charge, oxidationStates}
+ */
+export function oxidationStates(formula) {
+  const composition = parseFormula(formula);
+  const engine = new OxidationStateEngine();
+
+  return {
+    formula,
+    charge: composition.charge,
+    oxidationStates: engine.computeOxidationStates(composition.elements, composition.charge)
+  };
+}
+
+/**
+ * Redox analysis of a balanced equation: oxidation-state changes, electrons transferred
+ * and, when the couples are tabulated, E°cell, ΔG° and K
+ * @param {string|Object} equation - Equation (balanced first) or a result from balance()
+ * @param {Object} options - Passed to balance() when an equation is given
+ * @returns {Object} Oxidation-state analysis plus electronsTransferred and cellPotential
+ */
+export function analyzeRedox(equation, options = {}) {
+  const balanced = toBalanced(equation, options);
+  const { reactants, products } = balanced;
+
+  const engine = new OxidationStateEngine();
+  const analysis = engine.analyzeRedoxReaction(reactants, products);
+
+  if (!analysis.isRedox) {
+    return { ...analysis, electronsTransferred: 0, cellPotential: null };
+  }
+
+  const electronsTransferred = engine.calculateElectronTransfer(analysis.osChanges, {
+    products,
+    productOS: analysis.productOS,
+    productCoefficients: products.map(s => s.coefficient)
+  });
+
+  const toSpecies = s => ({
+    formula: s.originalFormula,
+    elements: s.composition,
+    charge: s.charge,
+    phase: s.phase,
+    coeff: s.coefficient
+  });
+
+  return {
+    ...analysis,
+    electronsTransferred,
+    cellPotential: CellPotentialCalculator.analyze({
+      reactants: reactants.map(toSpecies),
+      products: products.map(toSpecies),
+      electrons: electronsTransferred
+    })
+  };
+}
+
+/**
+ * Limiting reagent, theoretical yield and excess for given amounts
+ * @param {string|Object} equation - Equation (balanced first) or a result from balance()
+ * @param {Array<Object|null>} amounts - Per species in [...reactants, ...products] order: {value, unit},
+ *   a solution {volume, volumeUnit, concentration, concentrationUnit} or a gas
+ *   {volume, volumeUnit, preset | temperature/pressure, model, overWater}
+ * @param {Object} options - Passed to balance() when an equation is given
+ * @param {Object} options.conditions - Conditions for reporting gas volumes and partial pressures (default STP)
+ * @returns {Object} StoichiometryEngine.calculate result; solution species carry a `solution` record
+ *   and gaseous species a `gas` record
+ * @throws {StoichiometryError}
+ */
+export function stoichiometry(equation, amounts = [], options = {}) {
+  return GasCalculator.calculate(toBalanced(equation, options), amounts, options.conditions);
+}
+
+/**
+ * Titration endpoint: the missing volume or concentration of titrant or analyte
+ * @param {string|Object} equation - Equation (balanced first) or a result from balance()
+ * @param {Object} setup - {titrant, analyte}, see SolutionCalculator.titration
+ * @param {Object} options - Passed to balance() when an equation is given
+ * @returns {Object} Moles, volumes and concentrations at the equivalence point
+ * @throws {StoichiometryError}
+ */
+export function titration(equation, setup, options = {}) {
+  return SolutionCalculator.titration(toBalanced(equation, options), setup);
+}
+
+/**
+ * Dilution (C1V1 = C2V2) for whichever of the four values is missing
+ * @param {Object} values - {c1, v1, c2, v2}
+ * @returns {Object} All four values plus the solvent volume to add
+ * @throws {StoichiometryError}
+ */
+export function dilution(values) {
+  return SolutionCalculator.dilution(values);
+}
+
+/**
+ * Moles of gas in a volume (ideal gas law or van der Waals)
+ * @param {Object} gas - {volume, volumeUnit, preset | temperature/pressure, model, overWater};
+ *   with model 'vdw', give `formula` to look up the constants or `constants` directly
+ * @returns {number} Moles
+ * @throws {StoichiometryError}
+ */
+export function gasMoles({ formula = null, ...gas }) {
+  const constants = gas.constants || (formula ? GasCalculator.vanDerWaalsConstants(formula) : null);
+  return GasCalculator.moles({ ...gas, constants });
+}
+
+/**
+ * Volume occupied by an amount of gas
+ * @param {number} moles
+ * @param {Object} conditions - {preset | temperature/pressure, model, formula, volumeUnit}
+ * @returns {number} Volume in volumeUnit (default L)
+ * @throws {StoichiometryError}
+ */
+export function gasVolume(moles, { formula = null, model = 'ideal', volumeUnit = 'L', ...conditions } = {}) {
+  const constants = formula ? GasCalculator.vanDerWaalsConstants(formula) : null;
+  return GasCalculator.volume(moles, conditions, { model, constants, volumeUnit });
+}
+
+/**
+ * Complete and net ionic equations: strong electrolytes split into ions by the
+ * solubility, strong-acid and strong-base rules, spectator ions removed
+ * @param {string|Object} equation - Equation (balanced first) or a result from balance()
+ * @param {Object} options - Passed to balance() when an equation is given
+ * @returns {Object} {molecular, complete, net, completeIonic, netIonic, spectators, species, noReaction}
+ * @throws {ParseError|BalanceError}
+ */
+export function netIonic(equation, options = {}) {
+  return NetIonicEngine.build(toBalanced(equation, options));
+}
+
+/**
+ * Reaction type of a balanced equation (combustion, synthesis, decomposition, single or
+ * double displacement, neutralization, precipitation, redox, dis- or comproportionation)
+ * @param {string|Object} equation - Equation (balanced first) or a result from balance()
+ * @param {Object} options - Passed to balance() when an equation is given
+ * @returns {Object} {primary, types, rationale: [{type, label, reason}]}
+ * @throws {ParseError|BalanceError}
+ */
+export function classifyReaction(equation, options = {}) {
+  return ReactionClassifier.classify(toBalanced(equation, options));
+}
+
+/**
+ * Products for reactants alone ("C3H8 + O2 ->"): combustion, neutralization, metal + acid,
+ * metal + oxygen, double displacement with solubility and simple decompositions
+ * @param {string|string[]} reactants - "A + B", "A + B ->" or a list of formulas
+ * @param {Object} options - Passed to balance() for each candidate
+ * @returns {Object} {predictions: [{products, type, confidence, reason, equation, result}], notes};
+ *   only candidates that balance are kept, most confident first
+ * @throws {ParseError}
+ */
+export function predictProducts(reactants, options = {}) {
+  const formulas = Array.isArray(reactants)
+    ? reactants
+    : speciesList(reactants.replace(/\s*(?:->|→|=>|=)\s*$/, ''));
+  const { candidates, notes } = ProductPredictor.predict(formulas);
+
+  const predictions = [];
+  for (const candidate of candidates) {
+    try {
+      const result = balance({ reactants: formulas, products: candidate.products }, options);
+      predictions.push({ ...candidate, equation: result.balanced, result });
+    } catch (error) {
+      if (!(error instanceof BalanceError)) throw error;
+    }
+  }
+
+  return { predictions, notes };
+}
+
+/**
+ * Empirical formula from mass percentages, grams per element or combustion analysis,
+ * and the molecular formula when the molar mass is known
+ * @param {Object} data - {percentages}, {masses} or {combustion}, see MolarMassCalculator.combustionAnalysis
+ * @param {Object} options
+ * @param {number} options.molarMass - Measured molar mass (g/mol) for the molecular formula
+ * @param {number} options.tolerance - Distance from a whole number accepted for each mole ratio (default 0.1)
+ * @param {number} options.maxMultiplier - Largest multiplier tried on the mole ratios (default 12)
+ * @param {number} options.sumTolerance - Percentage points the percentages may add up to away from 100 (default 1)
+ * @param {number} options.molarMassTolerance - Relative distance of M/M(empirical) from a whole number accepted (default 0.05)
+ * @returns {Object} MolarMassCalculator empirical result plus `molecular` (null without molarMass)
+ */
+export function empiricalFormula({ percentages, masses, combustion } = {}, options = {}) {
+  const { molarMass: measured = null, molarMassTolerance, ...ratioOptions } = options;
+
+  let result;
+  if (combustion) {
+    result = MolarMassCalculator.combustionAnalysis(combustion, ratioOptions);
+  } else if (masses) {
+    result = MolarMassCalculator.empiricalFromMasses(masses, ratioOptions);
+  } else if (percentages) {
+    result = MolarMassCalculator.empiricalFromPercentages(percentages, ratioOptions);
+  } else {
+    throw new Error('Give percentages, masses or combustion data');
+  }
+
+  return {
+    ...result,
+    molecular: measured
+      ? MolarMassCalculator.molecularFormula(result.empirical, measured, { tolerance: molarMassTolerance })
+      : null
+  };
+}
+
+/**
+ * Formula for an inorganic name: elements, Stock and classical salt names, binary molecular
+ * compounds with Greek prefixes, acids, hydrates and ions
+ * @param {string} name - e.g. "iron(III) sulfate", "ferric chloride", "sulfuric acid"
+ * @returns {Object} {name, formula, type, charge, hydrate}
+ * @throws {NomenclatureError}
+ */
+export function nameToFormula(name) {
+  return NomenclatureEngine.toFormula(name);
+}
+
+/**
+ * Systematic name of a formula, with the classical name of the metal cation where there is one
+ * @param {string} formula - e.g. "Fe2(SO4)3", "CuSO4·5H2O", "SO4^2-"
+ * @returns {Object} {formula, name, type, classicalName, oxidationState, hydrate}
+ * @throws {NomenclatureError|ParseError}
+ */
+export function formulaToName(formula) {
+  return NomenclatureEngine.toName(formula);
+}
+
+// Accept either an equation or an existing balance() result
+function toBalanced(equation, options) {
+  if (equation && typeof equation === 'object' && equation.success && Array.isArray(equation.coefficients)) {
+    return equation;
+  }
+  return balance(equation, options);
+}
+
+export default {
+  parseFormula,
+  balance,
+  molarMass,
+  percentComposition,
+  isotopePattern,
+  elementInfo,
+  defineMacro,
+  oxidationStates,
+  analyzeRedox,
+  stoichiometry,
+  titration,
+  dilution,
+  gasMoles,
+  gasVolume,
+  netIonic,
+  classifyReaction,
+  predictProducts,
+  empiricalFormula,
+  nameToFormula,
+  formulaToName
+};
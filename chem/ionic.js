@@ -0,0 +1,376 @@
+/**
+ * Net ionic equations
+ * Splits the strong electrolytes of a balanced molecular equation into ions with
+ * solubility, strong-acid and strong-base rules, then removes the spectator ions.
+ */
+
+import { parseFormula, compositionKey } from './parser.js';
+import { StoichiometryEngine, StoichiometryError } from './stoichiometry.js';
+
+// Cations recognised in salts and bases (H+ only comes from acids)
+export const CATIONS = [
+  { formula: 'Li', charge: 1 },
+  { formula: 'Na', charge: 1 },
+  { formula: 'K', charge: 1 },
+  { formula: 'Rb', charge: 1 },
+  { formula: 'Cs', charge: 1 },
+  { formula: 'NH4', charge: 1 },
+  { formula: 'Ag', charge: 1 },
+  { formula: 'Cu', charge: 1 },
+  { formula: 'Hg2', charge: 2 },
+  { formula: 'Mg', charge: 2 },
+  { formula: 'Ca', charge: 2 },
+  { formula: 'Sr', charge: 2 },
+  { formula: 'Ba', charge: 2 },
+  { formula: 'Zn', charge: 2 },
+  { formula: 'Cd', charge: 2 },
+  { formula: 'Cu', charge: 2 },
+  { formula: 'Fe', charge: 2 },
+  { formula: 'Fe', charge: 3 },
+  { formula: 'Co', charge: 2 },
+  { formula: 'Ni', charge: 2 },
+  { formula: 'Mn', charge: 2 },
+  { formula: 'Pb', charge: 2 },
+  { formula: 'Sn', charge: 2 },
+  { formula: 'Hg', charge: 2 },
+  { formula: 'Cr', charge: 3 },
+  { formula: 'Al', charge: 3 }
+];
+
+// Anions recognised in acids, bases and salts
+export const ANIONS = [
+  { formula: 'F', charge: -1 },
+  { formula: 'Cl', charge: -1 },
+  { formula: 'Br', charge: -1 },
+  { formula: 'I', charge: -1 },
+  { formula: 'OH', charge: -1 },
+  { formula: 'NO3', charge: -1 },
+  { formula: 'NO2', charge: -1 },
+  { formula: 'ClO', charge: -1 },
+  { formula: 'ClO2', charge: -1 },
+  { formula: 'ClO3', charge: -1 },
+  { formula: 'ClO4', charge: -1 },
+  { formula: 'CH3COO', charge: -1 },
+  { formula: 'CN', charge: -1 },
+  { formula: 'SCN', charge: -1 },
+  { formula: 'MnO4', charge: -1 },
+  { formula: 'HCO3', charge: -1 },
+  { formula: 'HSO4', charge: -1 },
+  { formula: 'H2PO4', charge: -1 },
+  { formula: 'SO4', charge: -2 },
+  { formula: 'SO3', charge: -2 },
+  { formula: 'CO3', charge: -2 },
+  { formula: 'C2O4', charge: -2 },
+  { formula: 'CrO4', charge: -2 },
+  { formula: 'Cr2O7', charge: -2 },
+  { formula: 'HPO4', charge: -2 },
+  { formula: 'S', charge: -2 },
+  { formula: 'PO4', charge: -3 }
+];
+
+// Anions of the strong acids (HCl, HBr, HI, HNO3, HClO3, HClO4, H2SO4)
+export const STRONG_ACID_ANIONS = ['Cl', 'Br', 'I', 'NO3', 'ClO3', 'ClO4', 'SO4'];
+
+// Hydroxides that are strong bases
+export const STRONG_BASE_CATIONS = ['Li', 'Na', 'K', 'Rb', 'Cs', 'Ca', 'Sr', 'Ba'];
+
+const ALKALI_AMMONIUM = ['Li', 'Na', 'K', 'Rb', 'Cs', 'NH4'];
+const HALIDE_EXCEPTIONS = ['Ag', 'Pb', 'Hg2', 'Cu+'];
+
+// Solubility rules in priority order; the first rule whose test matches decides
+export const SOLUBILITY_RULES = [
+  {
+    test: (cation) => ALKALI_AMMONIUM.includes(cation.formula),
+    soluble: true,
+    rule: 'Group 1 and ammonium salts are soluble'
+  },
+  {
+    test: (cation, anion) => ['NO3', 'CH3COO', 'ClO3', 'ClO4', 'MnO4', 'HCO3', 'HSO4', 'H2PO4'].includes(anion.formula),
+    soluble: true,
+    rule: 'Nitrates, acetates, chlorates, perchlorates, permanganates and hydrogen salts are soluble'
+  },
+  {
+    test: (cation, anion) => ['Cl', 'Br', 'I'].includes(anion.formula),
+    soluble: (cation) => !HALIDE_EXCEPTIONS.includes(ionKey(cation)),
+    rule: 'Chlorides, bromides and iodides are soluble except with Ag⁺, Pb²⁺, Hg₂²⁺ and Cu⁺'
+  },
+  {
+    test: (cation, anion) => anion.formula === 'F',
+    soluble: (cation) => !['Mg', 'Ca', 'Sr', 'Ba', 'Pb'].includes(cation.formula),
+    rule: 'Fluorides are soluble except with Mg²⁺, Ca²⁺, Sr²⁺, Ba²⁺ and Pb²⁺'
+  },
+  {
+    test: (cation, anion) => anion.formula === 'SO4',
+    soluble: (cation) => !['Ca', 'Sr', 'Ba', 'Pb', 'Ag', 'Hg2'].includes(cation.formula),
+    rule: 'Sulfates are soluble except with Ca²⁺, Sr²⁺, Ba²⁺, Pb²⁺, Ag⁺ and Hg₂²⁺'
+  },
+  {
+    test: (cation, anion) => anion.formula === 'OH',
+    soluble: (cation) => ['Ca', 'Sr', 'Ba'].includes(cation.formula),
+    rule: 'Hydroxides are insoluble except with Group 1, Ca²⁺, Sr²⁺ and Ba²⁺'
+  },
+  {
+    test: (cation, anion) => ['CO3', 'PO4', 'HPO4', 'SO3', 'CrO4', 'C2O4', 'S'].includes(anion.formula),
+    soluble: false,
+    rule: 'Carbonates, phosphates, sulfites, chromates, oxalates and sulfides are insoluble except with Group 1 and NH₄⁺'
+  }
+];
+
+export class NetIonicEngine {
+
+  /**
+   * Molecular, complete ionic and net ionic equations for a balanced equation
+   * Species labelled (s), (l) or (g) stay as written; unlabelled species follow the rules.
+   * @param {Object} balanced - Successful balance result (library or app.js shape)
+   * @returns {Object} {molecular, complete, net, completeIonic, netIonic, spectators, species, noReaction}
+   * @throws {StoichiometryError} When the equation is not balanced
+   */
+  static build(balanced) {
+    if (!balanced || !balanced.success || !Array.isArray(balanced.coefficients)) {
+      throw new StoichiometryError('Balance the equation before writing its ionic form', 'NOT_BALANCED');
+    }
+
+    const reactants = balanced.reactants || [];
+    const products = balanced.products || [];
+    const compounds = [...reactants, ...products];
+    const coefficients = compounds.map((compound, i) => StoichiometryEngine.coefficientValue(balanced.coefficients[i]));
+
+    const species = compounds.map((compound, index) => {
+      const classification = this.classify(compound);
+      return {
+        index,
+        formula: StoichiometryEngine.displayFormula(compound),
+        side: index < reactants.length ? 'reactant' : 'product',
+        ...classification
+      };
+    });
+
+    // Complete ionic equation: strong electrolytes as their ions
+    const expand = (side, offset) => this.mergeTerms(side.flatMap((compound, i) => {
+      const entry = species[offset + i];
+      const coefficient = coefficients[offset + i];
+      if (entry.dissociated) {
+        return entry.ions.map(ion => ({ ...this.ionTerm(ion), coefficient: coefficient * ion.count }));
+      }
+      return [{
+        formula: compound.formula,
+        charge: compound.charge || 0,
+        phase: compound.phase || entry.phase,
+        coefficient
+      }];
+    }));
+
+    const completeIonic = { reactants: expand(reactants, 0), products: expand(products, reactants.length) };
+
+    // Spectators: the same ion on both sides
+    const spectators = [];
+    const net = {
+      reactants: completeIonic.reactants.map(term => ({ ...term })),
+      products: completeIonic.products.map(term => ({ ...term }))
+    };
+    for (const reactant of net.reactants) {
+      if (!reactant.charge) continue;
+      const product = net.products.find(term => this.sameSpecies(term, reactant));
+      if (!product) continue;
+
+      const common = Math.min(reactant.coefficient, product.coefficient);
+      spectators.push({ formula: reactant.formula, charge: reactant.charge, coefficient: common });
+      reactant.coefficient -= common;
+      product.coefficient -= common;
+    }
+
+    const remaining = list => list.filter(term => term.coefficient > 0);
+    const netIonic = { reactants: remaining(net.reactants), products: remaining(net.products) };
+    const noReaction = netIonic.reactants.length === 0 || netIonic.products.length === 0;
+
+    if (!noReaction) {
+      const divisor = [...netIonic.reactants, ...netIonic.products].reduce((g, term) => gcd(g, term.coefficient), 0);
+      [...netIonic.reactants, ...netIonic.products].forEach(term => { term.coefficient /= divisor; });
+    }
+
+    const molecular = {
+      reactants: reactants.map((compound, i) => ({ ...compound, phase: compound.phase || species[i].phase, coefficient: coefficients[i] })),
+      products: products.map((compound, i) => ({
+        ...compound,
+        phase: compound.phase || species[reactants.length + i].phase,
+        coefficient: coefficients[reactants.length + i]
+      }))
+    };
+
+    return {
+      molecular: this.formatEquation(molecular),
+      complete: this.formatEquation(completeIonic),
+      net: noReaction ? null : this.formatEquation(netIonic),
+      completeIonic,
+      netIonic,
+      spectators,
+      species,
+      noReaction
+    };
+  }
+
+  /**
+   * How a species is written in the ionic equation
+   * @param {Object} compound - {formula, composition|elements, charge, phase}
+   * @returns {Object} {kind, dissociated, ions, phase, rule}; kind is one of ion, strong-acid,
+   *   strong-base, soluble-salt, insoluble-salt, weak-acid, weak-base, water or molecular
+   */
+  static classify(compound) {
+    const elements = compound.composition || compound.elements || parseFormula(compound.formula).elements;
+    const charge = compound.charge || 0;
+    const phase = compound.phase || null;
+
+    if (charge !== 0) {
+      return { kind: 'ion', dissociated: false, ions: [], phase: phase || 'aq', rule: 'Already an ion' };
+    }
+
+    const key = compositionKey(elements);
+    if (key === compositionKey({ H: 2, O: 1 })) {
+      return { kind: 'water', dissociated: false, ions: [], phase: phase || 'l', rule: 'Water is a weak electrolyte' };
+    }
+    if (key === compositionKey({ N: 1, H: 3 }) || key === compositionKey({ N: 1, H: 5, O: 1 })) {
+      return { kind: 'weak-base', dissociated: false, ions: [], phase, rule: 'Ammonia is a weak base' };
+    }
+
+    const classification = this.acid(elements) || this.salt(elements) || {
+      kind: 'molecular', ions: [], rule: 'Molecular compound'
+    };
+    const strong = ['strong-acid', 'strong-base', 'soluble-salt'].includes(classification.kind);
+
+    // State symbols typed by the user take precedence over the rules
+    if (phase && phase !== 'aq') {
+      return { ...classification, dissociated: false, phase, rule: `${classification.rule}; written as (${phase})` };
+    }
+    if (phase === 'aq' && classification.kind === 'insoluble-salt') {
+      return { ...classification, dissociated: true, phase, rule: `${classification.rule}; labelled (aq), so written as ions` };
+    }
+
+    return {
+      ...classification,
+      dissociated: strong,
+      phase: phase || (strong ? 'aq' : classification.kind === 'insoluble-salt' ? 's' : null)
+    };
+  }
+
+  /**
+   * Solubility of the salt of a cation and an anion
+   * @param {Object} cation - {formula, charge}
+   * @param {Object} anion - {formula, charge}
+   * @returns {Object} {soluble, rule}
+   */
+  static solubility(cation, anion) {
+    const match = SOLUBILITY_RULES.find(entry => entry.test(cation, anion));
+    if (!match) return { soluble: false, rule: 'No solubility rule applies; treated as insoluble' };
+
+    const soluble = typeof match.soluble === 'function' ? match.soluble(cation, anion) : match.soluble;
+    return { soluble, rule: match.rule };
+  }
+
+  // Strong or weak acid: n H+ and a tabulated anion of charge -n, fully deprotonated first
+  static acid(elements) {
+    if (!elements.H) return null;
+
+    const anions = [...ANIONS].sort((a, b) => a.charge - b.charge);
+    for (const anion of anions) {
+      const protons = -anion.charge;
+      if (elements.H < protons) continue;
+      const rest = { ...elements, H: elements.H - protons };
+      if (rest.H === 0) delete rest.H;
+      if (compositionKey(rest) !== compositionKey(this.ionElements(anion))) continue;
+
+      const ions = [{ formula: 'H', charge: 1, count: protons }, { ...anion, count: 1 }];
+      return STRONG_ACID_ANIONS.includes(anion.formula)
+        ? { kind: 'strong-acid', ions, rule: `H${protons > 1 ? protons : ''}${anion.formula} is a strong acid` }
+        : { kind: 'weak-acid', ions, rule: `H${protons > 1 ? protons : ''}${anion.formula} is a weak acid and stays molecular` };
+    }
+    return null;
+  }
+
+  // Salt or base: m cations and n anions with m·q+ = n·|q-|
+  static salt(elements) {
+    const key = compositionKey(elements);
+
+    for (const cation of CATIONS) {
+      for (const anion of ANIONS) {
+        const divisor = gcd(cation.charge, -anion.charge);
+        const cations = -anion.charge / divisor;
+        const anions = cation.charge / divisor;
+        const combined = addElements(this.ionElements(cation), cations, this.ionElements(anion), anions);
+        if (compositionKey(combined) !== key) continue;
+
+        const ions = [{ ...cation, count: cations }, { ...anion, count: anions }];
+        if (anion.formula === 'OH' && STRONG_BASE_CATIONS.includes(cation.formula)) {
+          return { kind: 'strong-base', ions, rule: `${StoichiometryEngine.displayFormula(cation)} hydroxide is a strong base` };
+        }
+
+        const { soluble, rule } = this.solubility(cation, anion);
+        return { kind: soluble ? 'soluble-salt' : 'insoluble-salt', ions, rule };
+      }
+    }
+    return null;
+  }
+
+  static ionElements(ion) {
+    if (!this.elementCache) this.elementCache = new Map();
+    if (!this.elementCache.has(ion.formula)) {
+      this.elementCache.set(ion.formula, parseFormula(ion.formula).elements);
+    }
+    return this.elementCache.get(ion.formula);
+  }
+
+  static ionTerm(ion) {
+    return { formula: ion.formula, charge: ion.charge, phase: 'aq' };
+  }
+
+  // Sum identical terms on one side
+  static mergeTerms(terms) {
+    const merged = [];
+    for (const term of terms) {
+      const existing = merged.find(candidate => this.sameSpecies(candidate, term) && candidate.phase === term.phase);
+      if (existing) {
+        existing.coefficient += term.coefficient;
+      } else {
+        merged.push({ ...term });
+      }
+    }
+    return merged;
+  }
+
+  static sameSpecies(a, b) {
+    return a.formula === b.formula && (a.charge || 0) === (b.charge || 0);
+  }
+
+  // "2Ag^+(aq) + 2Cl^-(aq) → 2AgCl(s)"
+  static formatEquation({ reactants, products }) {
+    const side = terms => terms
+      .map(term => {
+        const coefficient = term.coefficient === 1 ? '' : term.coefficient;
+        const phase = term.phase ? `(${term.phase})` : '';
+        return `${coefficient}${StoichiometryEngine.displayFormula(term)}${phase}`;
+      })
+      .join(' + ');
+    return `${side(reactants)} → ${side(products)}`;
+  }
+}
+
+function ionKey(ion) {
+  return ion.formula === 'Cu' && ion.charge === 1 ? 'Cu+' : ion.formula;
+}
+
+function addElements(a, aCount, b, bCount) {
+  const total = {};
+  for (const [element, count] of Object.entries(a)) total[element] = (total[element] || 0) + count * aCount;
+  for (const [element, count] of Object.entries(b)) total[element] = (total[element] || 0) + count * bCount;
+  return total;
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+// Convenience function
+export function netIonic(balanced) {
+  return NetIonicEngine.build(balanced);
+}
+
+export default NetIonicEngine;
@@ -3,8 +3,11 @@
  * Converts formula strings into tokens for parsing
  */
 
+import { PeriodicTable } from './elements.js';
+
 export const TokenType = {
   ELEMENT: 'ELEMENT',
+  MACRO: 'MACRO',
   NUMBER: 'NUMBER', 
   LPAREN: 'LPAREN',
   RPAREN: 'RPAREN',
@@ -12,6 +15,7 @@ export const TokenType = {
   RBRACKET: 'RBRACKET',
   CHARGE: 'CHARGE',
   DOT: 'DOT',
+  BOND: 'BOND',
   PHASE: 'PHASE',
   EOF: 'EOF'
 };
@@ -28,6 +32,42 @@ export class Token {
   }
 }
 
+// Organic abbreviations and ligand shorthands, expanded into their compositions by the lexer.
+// Ac is also the symbol of actinium, so acetyl is read only where its `context` matches at the
+// macro's position: before an O with no count (AcOH, AcONa, AcOEt), in Ac2O and after O (OAc);
+// Ac2O3, AcCl3 and Ac(OH)3 stay actinium.
+// Compositions are neutral fragments; ligand charges (acac⁻) belong on the written species.
+export const FORMULA_MACROS = Object.freeze({
+  Me: { name: 'methyl', elements: { C: 1, H: 3 } },
+  Et: { name: 'ethyl', elements: { C: 2, H: 5 } },
+  nPr: { name: 'propyl', elements: { C: 3, H: 7 } },
+  iPr: { name: 'isopropyl', elements: { C: 3, H: 7 } },
+  Bu: { name: 'butyl', elements: { C: 4, H: 9 } },
+  tBu: { name: 'tert-butyl', elements: { C: 4, H: 9 } },
+  Ph: { name: 'phenyl', elements: { C: 6, H: 5 } },
+  Bn: { name: 'benzyl', elements: { C: 7, H: 7 } },
+  Bz: { name: 'benzoyl', elements: { C: 7, H: 5, O: 1 } },
+  Ac: {
+    name: 'acetyl',
+    elements: { C: 2, H: 3, O: 1 },
+    context: /(?<=O)Ac|Ac(?=2?O(?!\d))/y,
+    note: 'only before O (AcOH, AcONa), in Ac2O and in OAc; otherwise actinium'
+  },
+  Cy: { name: 'cyclohexyl', elements: { C: 6, H: 11 } },
+  Cp: { name: 'cyclopentadienyl', elements: { C: 5, H: 5 } },
+  Ms: { name: 'mesyl', elements: { C: 1, H: 3, S: 1, O: 2 } },
+  Tf: { name: 'triflyl', elements: { C: 1, F: 3, S: 1, O: 2 } },
+  Boc: { name: 'tert-butoxycarbonyl', elements: { C: 5, H: 9, O: 2 } },
+  en: { name: 'ethylenediamine', elements: { C: 2, H: 8, N: 2 } },
+  py: { name: 'pyridine', elements: { C: 5, H: 5, N: 1 } },
+  bpy: { name: '2,2′-bipyridine', elements: { C: 10, H: 8, N: 2 } },
+  phen: { name: '1,10-phenanthroline', elements: { C: 12, H: 8, N: 2 } },
+  acac: { name: 'acetylacetonate', elements: { C: 5, H: 7, O: 2 } }
+});
+
+// User-defined macros, checked after the built-in table
+const userMacros = new Map();
+
 export class ChemicalLexer {
   constructor(formula) {
     this.formula = formula.trim();
@@ -73,8 +113,11 @@ export class ChemicalLexer {
     return new Token(TokenType.NUMBER, parseInt(number, 10), start);
   }
   
-  // Read element symbol
+  // Read element symbol, or a macro (Ph, Me, en, bpy) expanded into its composition
   readElement() {
+    const macro = this.readMacro();
+    if (macro) return macro;
+    
     const start = this.position;
     let element = '';
     
@@ -100,6 +143,35 @@ export class ChemicalLexer {
     return new Token(TokenType.ELEMENT, element, start);
   }
   
+  // Longest macro spelled at the current position; a lowercase letter straight after means it is part of a longer word
+  readMacro() {
+    const start = this.position;
+    let symbol = null;
+    
+    for (const [candidate, macro] of Object.entries(ChemicalLexer.macros())) {
+      if (this.formula.startsWith(candidate, start) &&
+          !/[a-z]/.test(this.formula[start + candidate.length] || '') &&
+          this.inMacroContext(macro, start) &&
+          (!symbol || candidate.length > symbol.length)) {
+        symbol = candidate;
+      }
+    }
+    
+    if (!symbol) return null;
+    
+    this.position += symbol.length;
+    const token = new Token(TokenType.MACRO, symbol, start);
+    token.elements = { ...ChemicalLexer.getMacro(symbol).elements };
+    return token;
+  }
+  
+  // Macros that share a symbol with an element (Ac) only expand where their context matches
+  inMacroContext(macro, start) {
+    if (!macro.context) return true;
+    macro.context.lastIndex = start;
+    return macro.context.test(this.formula);
+  }
+  
   // Read charge (e.g., 2+, 3-, ^2+, ^3-)
   readCharge() {
     const start = this.position;
@@ -141,6 +213,39 @@ export class ChemicalLexer {
     return null;
   }
   
+  // Bond marks between groups of a condensed structural formula (CH3-CH2-OH, CH2=CH2, HC≡CH).
+  // A "-" is a bond only between an atom or bracket and the next atom or bracket, so Cl-, SO4^2- and NO3-(aq) stay charges.
+  readBond() {
+    const start = this.position;
+    const before = this.formula[start - 1] || '';
+    const after = this.formula.slice(start + 1);
+    
+    if (!/[A-Za-z0-9)\]]/.test(before) || !/^[A-Z([]/.test(after) || /^\((?:s|l|g|aq)\)/i.test(after)) {
+      return null;
+    }
+    
+    this.advance();
+    return new Token(TokenType.BOND, this.formula[start], start);
+  }
+  
+  // Ions written without a caret (Fe2+, S2-, [Fe(CN)6]4-): the digits are the charge, not a subscript.
+  // Only applies after a single element symbol or one bracketed complex, with nothing but a phase after.
+  // So O2- is always oxide O^2-; superoxide is O2^- and peroxide O2^2-, where the caret marks the charge.
+  readMonatomicCharge() {
+    const prefix = this.formula.slice(0, this.position);
+    const match = this.formula.slice(this.position).match(/^(\d+)([+-])(?=\s*(?:\((?:s|l|g|aq)\))?\s*$)/i);
+    
+    if (!match || !/^(?:(?:\[\d+)?[A-Z][a-z]{0,2}\]?|\[[^\[\]]*\])$/.test(prefix)) {
+      return null;
+    }
+    
+    const start = this.position;
+    this.position += match[0].length;
+    
+    const magnitude = parseInt(match[1], 10);
+    return new Token(TokenType.CHARGE, match[2] === '+' ? magnitude : -magnitude, start);
+  }
+  
   // Read phase notation (s), (l), (g), (aq) with lookahead only
   readPhase() {
     const start = this.position;
@@ -185,6 +290,8 @@ export class ChemicalLexer {
     
     // Numbers
     if (/\d/.test(char)) {
+      const ionCharge = this.readMonatomicCharge();
+      if (ionCharge) return ionCharge;
       return this.readNumber();
     }
     
@@ -193,6 +300,18 @@ export class ChemicalLexer {
       return this.readElement();
     }
     
+    // Lowercase macros (en, py, bpy)
+    if (/[a-z]/.test(char)) {
+      const macroToken = this.readMacro();
+      if (macroToken) return macroToken;
+    }
+    
+    // Bonds (-, =, ≡) between groups
+    if (char === '-' || char === '=' || char === '≡') {
+      const bondToken = this.readBond();
+      if (bondToken) return bondToken;
+    }
+    
     // Charges (+ or - or ^ followed by charge)
     if (char === '+' || char === '-' || char === '^') {
       const chargeToken = this.readCharge();
@@ -255,6 +374,54 @@ export class ChemicalLexer {
     const lexer = new ChemicalLexer(formula);
     return lexer.tokenize();
   }
+  
+  // All macros by symbol: {name, elements, builtIn}
+  static macros() {
+    const table = {};
+    for (const [symbol, macro] of Object.entries(FORMULA_MACROS)) {
+      table[symbol] = { ...macro, builtIn: true };
+    }
+    for (const [symbol, macro] of userMacros) {
+      table[symbol] = { ...macro, builtIn: false };
+    }
+    return table;
+  }
+  
+  // One macro by symbol, or null
+  static getMacro(symbol) {
+    return ChemicalLexer.macros()[symbol] || null;
+  }
+  
+  // Register a user macro; element symbols and built-in macros cannot be redefined
+  static defineMacro(symbol, elements, name = null) {
+    if (typeof symbol !== 'string' || !/^[A-Za-z][A-Za-z]*$/.test(symbol)) {
+      throw new Error(`Macro symbol "${symbol}" must be letters only`);
+    }
+    if (PeriodicTable.get(symbol)) {
+      throw new Error(`"${symbol}" is an element symbol`);
+    }
+    if (FORMULA_MACROS[symbol]) {
+      throw new Error(`"${symbol}" is a built-in macro`);
+    }
+    
+    const counts = Object.entries(elements || {});
+    if (counts.length === 0 || counts.some(([, count]) => !Number.isInteger(count) || count <= 0)) {
+      throw new Error(`Macro "${symbol}" needs positive whole-number element counts`);
+    }
+    
+    userMacros.set(symbol, { name: name || symbol, elements: Object.fromEntries(counts) });
+    return ChemicalLexer.getMacro(symbol);
+  }
+  
+  // Remove a user macro; returns whether it existed
+  static removeMacro(symbol) {
+    return userMacros.delete(symbol);
+  }
+  
+  // Remove every user macro
+  static clearMacros() {
+    userMacros.clear();
+  }
 }
 
 // Export for testing
@@ -1,132 +1,14 @@
 /**
- * Periodic table data and molar mass calculations
- * Uses IUPAC standard atomic weights and supports isotopes
+ * Molar mass calculations
+ * Uses IUPAC standard atomic weights from the element dataset (elements.js) and supports isotopes
  */
 
 import { Fraction } from './fractions.js';
 import { parseFormula } from './parser.js';
+import { ELEMENTS, PeriodicTable } from './elements.js';
 
-// IUPAC Standard Atomic Weights (2021) - abridged for common elements
-export const ATOMIC_WEIGHTS = {
-  'H': 1.008,
-  'He': 4.002602,
-  'Li': 6.94,
-  'Be': 9.0121831,
-  'B': 10.81,
-  'C': 12.011,
-  'N': 14.007,
-  'O': 15.999,
-  'F': 18.998403163,
-  'Ne': 20.1797,
-  'Na': 22.98976928,
-  'Mg': 24.305,
-  'Al': 26.9815384,
-  'Si': 28.085,
-  'P': 30.973761998,
-  'S': 32.06,
-  'Cl': 35.45,
-  'Ar': 39.948,
-  'K': 39.0983,
-  'Ca': 40.078,
-  'Sc': 44.955908,
-  'Ti': 47.867,
-  'V': 50.9415,
-  'Cr': 51.9961,
-  'Mn': 54.938043,
-  'Fe': 55.845,
-  'Co': 58.933194,
-  'Ni': 58.6934,
-  'Cu': 63.546,
-  'Zn': 65.38,
-  'Ga': 69.723,
-  'Ge': 72.630,
-  'As': 74.921595,
-  'Se': 78.971,
-  'Br': 79.904,
-  'Kr': 83.798,
-  'Rb': 85.4678,
-  'Sr': 87.62,
-  'Y': 88.90584,
-  'Zr': 91.224,
-  'Nb': 92.90637,
-  'Mo': 95.95,
-  'Tc': 98,
-  'Ru': 101.07,
-  'Rh': 102.90549,
-  'Pd': 106.42,
-  'Ag': 107.8682,
-  'Cd': 112.414,
-  'In': 114.818,
-  'Sn': 118.710,
-  'Sb': 121.760,
-  'Te': 127.60,
-  'I': 126.90447,
-  'Xe': 131.293,
-  'Cs': 132.90545196,
-  'Ba': 137.327,
-  'La': 138.90547,
-  'Ce': 140.116,
-  'Pr': 140.90766,
-  'Nd': 144.242,
-  'Pm': 145,
-  'Sm': 150.36,
-  'Eu': 151.964,
-  'Gd': 157.25,
-  'Tb': 158.92535,
-  'Dy': 162.500,
-  'Ho': 164.93033,
-  'Er': 167.259,
-  'Tm': 168.93422,
-  'Yb': 173.045,
-  'Lu': 174.9668,
-  'Hf': 178.49,
-  'Ta': 180.94788,
-  'W': 183.84,
-  'Re': 186.207,
-  'Os': 190.23,
-  'Ir': 192.217,
-  'Pt': 195.084,
-  'Au': 196.966570,
-  'Hg': 200.592,
-  'Tl': 204.38,
-  'Pb': 207.2,
-  'Bi': 208.98040,
-  'Po': 209,
-  'At': 210,
-  'Rn': 222,
-  'Fr': 223,
-  'Ra': 226,
-  'Ac': 227,
-  'Th': 232.0377,
-  'Pa': 231.03588,
-  'U': 238.02891,
-  'Np': 237,
-  'Pu': 244,
-  'Am': 243,
-  'Cm': 247,
-  'Bk': 247,
-  'Cf': 251,
-  'Es': 252,
-  'Fm': 257,
-  'Md': 258,
-  'No': 259,
-  'Lr': 262,
-  'Rf': 267,
-  'Db': 270,
-  'Sg': 271,
-  'Bh': 270,
-  'Hs': 277,
-  'Mt': 276,
-  'Ds': 281,
-  'Rg': 280,
-  'Cn': 285,
-  'Nh': 284,
-  'Fl': 289,
-  'Mc': 288,
-  'Lv': 293,
-  'Ts': 292,
-  'Og': 294
-};
+// IUPAC standard atomic weights by symbol, from the element dataset
+export const ATOMIC_WEIGHTS = Object.fromEntries(ELEMENTS.map(element => [element.symbol, element.atomicWeight]));
 
 // Common isotope masses (exact masses for precision calculations)
 export const ISOTOPE_MASSES = {
@@ -181,9 +63,63 @@ export const ISOTOPE_MASSES = {
   'Br-81': 80.9162906,
   'I-127': 126.9044719,
   'U-235': 235.0439299,
-  'U-238': 238.0507882
+  'U-238': 238.0507882,
+  'Li-6': 6.0151228874,
+  'Li-7': 7.0160034366,
+  'B-10': 10.01293695,
+  'B-11': 11.00930536,
+  'Cr-50': 49.9460442,
+  'Cr-52': 51.9405075,
+  'Cr-53': 52.9406494,
+  'Cr-54': 53.9388804,
+  'Mn-55': 54.9380439,
+  'Co-59': 58.9331944,
+  'Ni-58': 57.9353429,
+  'Ni-60': 59.9307864,
+  'Ni-61': 60.9310560,
+  'Ni-62': 61.9283451,
+  'Ni-64': 63.9279660,
+  'As-75': 74.9215946,
+  'Ag-107': 106.9050916,
+  'Ag-109': 108.9047553
+};
+
+// Natural isotopic abundances (IUPAC representative composition, mole fraction)
+// for the elements with exact masses above: element -> {mass number: abundance}
+export const ISOTOPE_ABUNDANCES = {
+  'H': { 1: 0.999885, 2: 0.000115 },
+  'Li': { 6: 0.0759, 7: 0.9241 },
+  'B': { 10: 0.199, 11: 0.801 },
+  'C': { 12: 0.9893, 13: 0.0107 },
+  'N': { 14: 0.99636, 15: 0.00364 },
+  'O': { 16: 0.99757, 17: 0.00038, 18: 0.00205 },
+  'F': { 19: 1 },
+  'Na': { 23: 1 },
+  'Mg': { 24: 0.7899, 25: 0.1000, 26: 0.1101 },
+  'Al': { 27: 1 },
+  'Si': { 28: 0.92223, 29: 0.04685, 30: 0.03092 },
+  'P': { 31: 1 },
+  'S': { 32: 0.9499, 33: 0.0075, 34: 0.0425, 36: 0.0001 },
+  'Cl': { 35: 0.7576, 37: 0.2424 },
+  'K': { 39: 0.932581, 40: 0.000117, 41: 0.067302 },
+  'Ca': { 40: 0.96941, 42: 0.00647, 43: 0.00135, 44: 0.02086, 46: 0.00004, 48: 0.00187 },
+  'Cr': { 50: 0.04345, 52: 0.83789, 53: 0.09501, 54: 0.02365 },
+  'Mn': { 55: 1 },
+  'Fe': { 54: 0.05845, 56: 0.91754, 57: 0.02119, 58: 0.00282 },
+  'Co': { 59: 1 },
+  'Ni': { 58: 0.68077, 60: 0.26223, 61: 0.011399, 62: 0.036346, 64: 0.009255 },
+  'Cu': { 63: 0.6915, 65: 0.3085 },
+  'Zn': { 64: 0.4917, 66: 0.2773, 67: 0.0404, 68: 0.1845, 70: 0.0061 },
+  'As': { 75: 1 },
+  'Br': { 79: 0.5069, 81: 0.4931 },
+  'Ag': { 107: 0.51839, 109: 0.48161 },
+  'I': { 127: 1 },
+  'U': { 235: 0.007204, 238: 0.992742 }
 };
 
+// Electron rest mass (u), removed per positive charge for m/z
+export const ELECTRON_MASS = 0.000548579909;
+
 export class MolarMassCalculator {
   
   /**
@@ -229,6 +165,175 @@ export class MolarMassCalculator {
     };
   }
   
+  /**
+   * Percent composition of a formula
+   * Mass and atom percentages per element, the water share of a hydrate and the
+   * mass shift of isotope labels ([13C], [2H]) against the natural-abundance formula.
+   * @param {string|Object} formula - Chemical formula string or parsed composition
+   * @returns {Object} {formula, molarMass, totalAtoms, elements, hydrate, isotopes, unlabelledMass}
+   */
+  static percentComposition(formula) {
+    const { decimalMass, breakdown, formula: label } = this.calculate(formula);
+    const totalAtoms = breakdown.reduce((sum, entry) => sum + entry.count, 0);
+
+    const elements = breakdown.map(entry => {
+      const [symbol, massNumber] = entry.element.split('-');
+      return {
+        ...entry,
+        symbol,
+        massNumber: massNumber ? Number(massNumber) : null,
+        name: this.getElementName(symbol),
+        massPercent: entry.contribution / decimalMass * 100,
+        atomPercent: entry.count / totalAtoms * 100
+      };
+    });
+
+    const isotopes = elements
+      .filter(entry => entry.massNumber !== null)
+      .map(entry => {
+        const standardMass = ATOMIC_WEIGHTS[entry.symbol];
+        return {
+          label: entry.element,
+          symbol: entry.symbol,
+          massNumber: entry.massNumber,
+          count: entry.count,
+          isotopeMass: entry.atomicMass,
+          standardMass,
+          shift: (entry.atomicMass - standardMass) * entry.count
+        };
+      });
+
+    return {
+      formula: label,
+      molarMass: decimalMass,
+      totalAtoms,
+      elements,
+      hydrate: typeof formula === 'string' ? this.hydrateWater(formula, decimalMass) : null,
+      isotopes,
+      unlabelledMass: decimalMass - isotopes.reduce((sum, isotope) => sum + isotope.shift, 0)
+    };
+  }
+
+  /**
+   * Water of crystallization in a dotted formula (CuSO4·5H2O)
+   * @param {string} formula - Formula string with dot-separated parts
+   * @param {number} molarMass - Molar mass of the whole formula
+   * @returns {Object|null} {waterCount, waterMass, waterPercent, anhydrousMass}; null without water parts
+   */
+  static hydrateWater(formula, molarMass) {
+    const [, ...parts] = formula.split(/[.·]/);
+    let waterCount = 0;
+
+    for (const part of parts) {
+      const [, count, rest] = part.trim().match(/^(\d*)(.*)$/);
+      const { elements } = parseFormula(rest);
+      if (Object.keys(elements).length === 2 && elements.H === 2 && elements.O === 1) {
+        waterCount += count ? Number(count) : 1;
+      }
+    }
+    if (waterCount === 0) return null;
+
+    const waterMass = waterCount * (2 * ATOMIC_WEIGHTS.H + ATOMIC_WEIGHTS.O);
+    return {
+      waterCount,
+      waterMass,
+      waterPercent: waterMass / molarMass * 100,
+      anhydrousMass: molarMass - waterMass
+    };
+  }
+
+  /**
+   * Exact masses and isotope distribution of a formula, for mass spectrometry
+   * Labelled positions ([13C] → 'C-13') are fixed to their isotope; every other atom
+   * takes the natural abundances. Peaks are binned by nominal mass (unit resolution).
+   * @param {string|Object} formula - Chemical formula string or parsed composition
+   * @param {Object} options
+   * @param {number} options.charge - Charge state z for m/z (default: the formula's own charge)
+   * @param {number} options.threshold - Smallest peak kept, relative to the base peak (default 0.001)
+   * @returns {Object} {formula, charge, monoisotopicMass, monoisotopicMz, nominalMass, averageMass, peaks}
+   * @throws {Error} When an element has no isotope data
+   */
+  static isotopePattern(formula, { charge = null, threshold = 0.001 } = {}) {
+    let composition;
+    if (typeof formula === 'string') {
+      try {
+        composition = parseFormula(formula);
+      } catch (error) {
+        throw new Error(`Cannot parse formula "${formula}": ${error.message}`);
+      }
+    } else {
+      composition = formula;
+    }
+
+    const z = charge ?? composition.charge ?? 0;
+    if (!Number.isInteger(z)) {
+      throw new Error(`Charge state must be a whole number, got ${charge}`);
+    }
+
+    let pattern = [{ nominal: 0, mass: 0, abundance: 1 }];
+    let monoisotopicMass = 0;
+    let nominalMass = 0;
+
+    for (const [elementKey, count] of Object.entries(composition.elements)) {
+      const isotopes = this.isotopesOf(elementKey);
+      const main = isotopes.reduce((best, isotope) => (isotope.abundance > best.abundance ? isotope : best));
+      monoisotopicMass += main.mass * count;
+      nominalMass += main.massNumber * count;
+
+      const peaks = isotopes.map(isotope => ({ nominal: isotope.massNumber, mass: isotope.mass, abundance: isotope.abundance }));
+      pattern = convolvePeaks(pattern, powerPeaks(peaks, count));
+    }
+
+    const toMz = mass => (z === 0 ? mass : (mass - z * ELECTRON_MASS) / Math.abs(z));
+    const base = Math.max(...pattern.map(peak => peak.abundance));
+
+    return {
+      formula: typeof formula === 'string' ? formula : this.formatFormula(composition),
+      charge: z,
+      monoisotopicMass,
+      monoisotopicMz: toMz(monoisotopicMass),
+      nominalMass,
+      averageMass: this.calculate(composition).decimalMass,
+      peaks: pattern
+        .filter(peak => peak.abundance / base >= threshold)
+        .map(peak => ({
+          mz: toMz(peak.mass),
+          mass: peak.mass,
+          nominalMass: peak.nominal,
+          abundance: peak.abundance,
+          relativeAbundance: peak.abundance / base * 100
+        }))
+    };
+  }
+
+  /**
+   * Isotopes an atom can be: one fixed isotope for a label, natural abundances otherwise
+   * @param {string} elementKey - Element symbol or isotope notation ('C' or 'C-13')
+   * @returns {Array} [{massNumber, mass, abundance}]
+   */
+  static isotopesOf(elementKey) {
+    if (elementKey.includes('-')) {
+      const mass = ISOTOPE_MASSES[elementKey];
+      if (!mass) {
+        throw new Error(`No exact mass for isotope ${elementKey}`);
+      }
+      return [{ massNumber: Number(elementKey.split('-')[1]), mass, abundance: 1 }];
+    }
+
+    const abundances = ISOTOPE_ABUNDANCES[elementKey];
+    if (!abundances) {
+      throw new Error(ATOMIC_WEIGHTS[elementKey]
+        ? `No isotope abundances for ${elementKey}`
+        : `Unknown element or isotope: ${elementKey}`);
+    }
+
+    return Object.entries(abundances).map(([massNumber, abundance]) => ({
+      massNumber: Number(massNumber),
+      mass: ISOTOPE_MASSES[`${elementKey}-${massNumber}`],
+      abundance
+    }));
+  }
+
   /**
    * Get atomic mass for element (handles isotopes)
    * @param {string} elementKey - Element symbol or isotope notation (e.g., 'C' or 'C-13')
@@ -295,122 +400,249 @@ export class MolarMassCalculator {
   /**
    * Calculate empirical formula from percentage composition
    * @param {Object} percentages - Element percentages {element: percentage}
+   * @param {Object} options - See integerRatios
+   * @param {number} options.sumTolerance - Percentage points the total may differ from 100 (default 1)
+   * @returns {Object} Empirical formula result
+   * @throws {Error} When the percentages do not add up to 100 within sumTolerance
+   */
+  static empiricalFromPercentages(percentages, { sumTolerance = 1, ...options } = {}) {
+    // A missing element or a typo would otherwise still give whole-number ratios
+    const total = Object.values(percentages).reduce((sum, percentage) => sum + percentage, 0);
+    if (Math.abs(total - 100) > sumTolerance) {
+      throw new Error(`Percentages add up to ${Number(total.toFixed(2))}%, not 100%; check the values and that every element is listed`);
+    }
+
+    // 100 g of sample holds each percentage in grams
+    return this.empiricalFromMasses(percentages, options);
+  }
+
+  /**
+   * Calculate empirical formula from grams of each element
+   * @param {Object} masses - Element masses {element: grams}
+   * @param {Object} options - See integerRatios
    * @returns {Object} Empirical formula result
    */
-  static empiricalFromPercentages(percentages) {
+  static empiricalFromMasses(masses, options = {}) {
     const moles = {};
-    let minMoles = Infinity;
-    
-    // Convert percentages to moles
-    for (const [element, percentage] of Object.entries(percentages)) {
+
+    for (const [element, mass] of Object.entries(masses)) {
       const atomicWeight = ATOMIC_WEIGHTS[element];
       if (!atomicWeight) {
         throw new Error(`Unknown element: ${element}`);
       }
-      
-      const moleCount = percentage / atomicWeight;
-      moles[element] = moleCount;
-      minMoles = Math.min(minMoles, moleCount);
+      if (!(mass > 0)) {
+        throw new Error(`Amount of ${element} must be a positive number`);
+      }
+
+      moles[element] = mass / atomicWeight;
     }
-    
+
+    return this.empiricalFromMoles(moles, options);
+  }
+
+  /**
+   * Calculate empirical formula from moles of each element
+   * @param {Object} moles - Element moles {element: moles}
+   * @param {Object} options - See integerRatios
+   * @returns {Object} {empirical, formula, empiricalMass, ratios, moles, multiplier, maxDeviation, withinTolerance}
+   */
+  static empiricalFromMoles(moles, options = {}) {
+    if (Object.keys(moles).length === 0) {
+      throw new Error('Enter the amount of at least one element');
+    }
+
     // Divide by smallest to get ratios
+    const minMoles = Math.min(...Object.values(moles));
     const ratios = {};
     for (const [element, moleCount] of Object.entries(moles)) {
       ratios[element] = moleCount / minMoles;
     }
-    
-    // Convert to simple integer ratios
-    const empirical = this.ratiesToIntegers(ratios);
-    
+
+    const { counts, multiplier, maxDeviation, withinTolerance } = this.integerRatios(ratios, options);
+    const empirical = hillOrder(counts);
+
     return {
-      empirical: empirical,
-      ratios: ratios,
-      moles: moles
+      empirical,
+      formula: this.formatFormula({ elements: empirical }),
+      empiricalMass: this.calculate({ elements: empirical, charge: 0 }).decimalMass,
+      ratios,
+      moles,
+      multiplier,
+      maxDeviation,
+      withinTolerance
     };
   }
-  
+
+  /**
+   * Empirical formula from combustion analysis
+   * C comes from CO2, H from H2O and S from SO2; other elements (N, halogens) are
+   * determined separately and given in grams or percent. O is the mass left over.
+   * @param {Object} data
+   * @param {number} data.sampleMass - Grams of sample burned
+   * @param {number} data.co2Mass - Grams of CO2 collected
+   * @param {number} data.h2oMass - Grams of H2O collected
+   * @param {number} data.so2Mass - Grams of SO2 collected (optional)
+   * @param {Object} data.elements - Other elements, e.g. {N: 0.140} (optional)
+   * @param {string} data.elementUnit - 'g' (default) or '%' of the sample for data.elements
+   * @param {Object} options - See integerRatios
+   * @returns {Object} Empirical formula result plus masses per element and oxygenByDifference
+   */
+  static combustionAnalysis({ sampleMass, co2Mass = 0, h2oMass = 0, so2Mass = 0, elements = {}, elementUnit = 'g' }, options = {}) {
+    if (!(sampleMass > 0)) {
+      throw new Error('Sample mass must be a positive number');
+    }
+    if ([co2Mass, h2oMass, so2Mass].some(mass => !(mass >= 0))) {
+      throw new Error('Product masses must be zero or positive');
+    }
+    // Without any product the whole sample would be read as oxygen
+    if (!(co2Mass > 0 || h2oMass > 0 || so2Mass > 0)) {
+      throw new Error('Give at least one combustion product mass (CO2, H2O or SO2)');
+    }
+    if (!['g', '%'].includes(elementUnit)) {
+      throw new Error(`Unknown unit: ${elementUnit}`);
+    }
+
+    const weight = formula => this.calculate(formula).decimalMass;
+    const masses = {};
+    if (co2Mass > 0) masses.C = co2Mass * ATOMIC_WEIGHTS.C / weight('CO2');
+    if (h2oMass > 0) masses.H = h2oMass * 2 * ATOMIC_WEIGHTS.H / weight('H2O');
+    if (so2Mass > 0) masses.S = so2Mass * ATOMIC_WEIGHTS.S / weight('SO2');
+    for (const [element, amount] of Object.entries(elements)) {
+      if (!amount) continue;
+      masses[element] = (masses[element] || 0) + (elementUnit === '%' ? amount * sampleMass / 100 : amount);
+    }
+
+    // Oxygen by difference; anything under 0.5% of the sample is measurement noise
+    const accounted = Object.values(masses).reduce((sum, mass) => sum + mass, 0);
+    const remainder = sampleMass - accounted;
+    if (remainder < -0.005 * sampleMass) {
+      throw new Error(`The elements found (${accounted.toFixed(4)} g) exceed the sample mass (${sampleMass} g)`);
+    }
+    const oxygenByDifference = remainder > 0.005 * sampleMass && !masses.O;
+    if (oxygenByDifference) {
+      masses.O = remainder;
+    }
+
+    return {
+      ...this.empiricalFromMasses(masses, options),
+      masses,
+      oxygenByDifference
+    };
+  }
+
+  /**
+   * Molecular formula from an empirical formula and the measured molar mass
+   * @param {string|Object} empirical - Formula string or element counts
+   * @param {number} molarMass - Measured molar mass in g/mol
+   * @param {Object} options
+   * @param {number} options.tolerance - Largest accepted relative distance of M/M(empirical) from a whole number (default 0.05)
+   * @returns {Object} {formula, molecular, multiplier, empiricalMass, molecularMass, deviation}
+   */
+  static molecularFormula(empirical, molarMass, { tolerance = 0.05 } = {}) {
+    const counts = typeof empirical === 'string' ? parseFormula(empirical).elements : empirical;
+    if (!(molarMass > 0)) {
+      throw new Error('Molar mass must be a positive number');
+    }
+
+    const empiricalMass = this.calculate({ elements: counts, charge: 0 }).decimalMass;
+    const ratio = molarMass / empiricalMass;
+    const multiplier = Math.max(1, Math.round(ratio));
+    const deviation = Math.abs(ratio - multiplier) / multiplier;
+    if (deviation > tolerance) {
+      throw new Error(
+        `Molar mass ${molarMass} g/mol is ${ratio.toFixed(2)} × the empirical formula mass (${empiricalMass.toFixed(2)} g/mol), not a whole multiple`
+      );
+    }
+
+    const molecular = {};
+    for (const [element, count] of Object.entries(hillOrder(counts))) {
+      molecular[element] = count * multiplier;
+    }
+
+    return {
+      formula: this.formatFormula({ elements: molecular }),
+      molecular,
+      multiplier,
+      empiricalMass,
+      molecularMass: empiricalMass * multiplier,
+      deviation
+    };
+  }
+
   /**
    * Convert decimal ratios to simple integers
    * @param {Object} ratios - Decimal ratios
+   * @param {Object} options - See integerRatios
    * @returns {Object} Integer ratios
    */
-  static ratiesToIntegers(ratios) {
-    const values = Object.values(ratios);
-    const tolerance = 0.1;
-    
-    // Try multipliers up to 12 (common denominators)
-    for (let multiplier = 1; multiplier <= 12; multiplier++) {
-      const scaled = values.map(v => v * multiplier);
-      const rounded = scaled.map(v => Math.round(v));
-      
-      // Check if all values are close to integers
-      const allClose = scaled.every((v, i) => Math.abs(v - rounded[i]) < tolerance);
-      
-      if (allClose) {
-        const result = {};
-        let i = 0;
-        for (const element of Object.keys(ratios)) {
-          result[element] = rounded[i++];
-        }
-        return result;
+  static ratiesToIntegers(ratios, options = {}) {
+    return this.integerRatios(ratios, options).counts;
+  }
+
+  /**
+   * Smallest multiplier that brings every ratio within tolerance of a whole number
+   * When none does, the multiplier with the smallest worst-case deviation is used.
+   * @param {Object} ratios - Decimal ratios {element: ratio}
+   * @param {Object} options
+   * @param {number} options.tolerance - Largest accepted distance from a whole number (default 0.1)
+   * @param {number} options.maxMultiplier - Largest multiplier tried (default 12)
+   * @returns {Object} {counts, multiplier, maxDeviation, withinTolerance}
+   */
+  static integerRatios(ratios, { tolerance = 0.1, maxMultiplier = 12 } = {}) {
+    const elements = Object.keys(ratios);
+    let best = null;
+
+    for (let multiplier = 1; multiplier <= maxMultiplier; multiplier++) {
+      const scaled = elements.map(element => ratios[element] * multiplier);
+      const rounded = scaled.map(v => Math.max(1, Math.round(v)));
+      const maxDeviation = Math.max(...scaled.map((v, i) => Math.abs(v - rounded[i])));
+
+      if (!best || maxDeviation < best.maxDeviation - 1e-9) {
+        best = { rounded, multiplier, maxDeviation };
+      }
+      if (maxDeviation < tolerance) {
+        best = { rounded, multiplier, maxDeviation };
+        break;
       }
     }
-    
-    // Fall back to rounding original ratios
-    const result = {};
-    for (const [element, ratio] of Object.entries(ratios)) {
-      result[element] = Math.round(ratio);
-    }
-    return result;
+
+    const counts = {};
+    elements.forEach((element, i) => {
+      counts[element] = best.rounded[i];
+    });
+
+    return {
+      counts,
+      multiplier: best.multiplier,
+      maxDeviation: best.maxDeviation,
+      withinTolerance: best.maxDeviation < tolerance
+    };
   }
   
   /**
    * Get element information
+   * Atomic number, position, electronegativity, common oxidation states, electron
+   * configuration and atomic weight (with the IUPAC interval where one applies)
    * @param {string} symbol - Element symbol
-   * @returns {Object} Element data
+   * @returns {Object|null} Element data, or null for an unknown symbol
    */
   static getElementInfo(symbol) {
-    const atomicWeight = ATOMIC_WEIGHTS[symbol];
-    
-    if (!atomicWeight) {
+    const element = PeriodicTable.get(symbol);
+    if (!element) {
       return null;
     }
-    
-    // Basic element data (expand as needed)
-    const elementData = {
-      symbol: symbol,
-      atomicWeight: atomicWeight,
-      name: this.getElementName(symbol),
-      available: true
-    };
-    
-    return elementData;
+
+    return { ...element, available: true };
   }
   
   /**
    * Get element name from symbol
    * @param {string} symbol - Element symbol
-   * @returns {string} Element name
+   * @returns {string} Element name (the symbol itself when unknown)
    */
   static getElementName(symbol) {
-    const names = {
-      'H': 'Hydrogen', 'He': 'Helium', 'Li': 'Lithium', 'Be': 'Beryllium',
-      'B': 'Boron', 'C': 'Carbon', 'N': 'Nitrogen', 'O': 'Oxygen',
-      'F': 'Fluorine', 'Ne': 'Neon', 'Na': 'Sodium', 'Mg': 'Magnesium',
-      'Al': 'Aluminum', 'Si': 'Silicon', 'P': 'Phosphorus', 'S': 'Sulfur',
-      'Cl': 'Chlorine', 'Ar': 'Argon', 'K': 'Potassium', 'Ca': 'Calcium',
-      'Sc': 'Scandium', 'Ti': 'Titanium', 'V': 'Vanadium', 'Cr': 'Chromium',
-      'Mn': 'Manganese', 'Fe': 'Iron', 'Co': 'Cobalt', 'Ni': 'Nickel',
-      'Cu': 'Copper', 'Zn': 'Zinc', 'Ga': 'Gallium', 'Ge': 'Germanium',
-      'As': 'Arsenic', 'Se': 'Selenium', 'Br': 'Bromine', 'Kr': 'Krypton',
-      'Rb': 'Rubidium', 'Sr': 'Strontium', 'Y': 'Yttrium', 'Zr': 'Zirconium',
-      'Nb': 'Niobium', 'Mo': 'Molybdenum', 'Tc': 'Technetium', 'Ru': 'Ruthenium',
-      'Rh': 'Rhodium', 'Pd': 'Palladium', 'Ag': 'Silver', 'Cd': 'Cadmium',
-      'In': 'Indium', 'Sn': 'Tin', 'Sb': 'Antimony', 'Te': 'Tellurium',
-      'I': 'Iodine', 'Xe': 'Xenon', 'Cs': 'Cesium', 'Ba': 'Barium'
-    };
-    
-    return names[symbol] || symbol;
+    const element = PeriodicTable.get(symbol);
+    return element ? element.name : symbol;
   }
   
   /**
@@ -443,9 +675,66 @@ export class MolarMassCalculator {
   }
 }
 
+// Peaks below this fraction of the largest are dropped while convolving
+const PEAK_PRUNE = 1e-9;
+
+// Distribution of the sum of two independent masses, binned by nominal mass
+function convolvePeaks(first, second) {
+  const bins = new Map();
+  for (const a of first) {
+    for (const b of second) {
+      const nominal = a.nominal + b.nominal;
+      const abundance = a.abundance * b.abundance;
+      const bin = bins.get(nominal) || { nominal, massSum: 0, abundance: 0 };
+      bin.massSum += (a.mass + b.mass) * abundance;
+      bin.abundance += abundance;
+      bins.set(nominal, bin);
+    }
+  }
+
+  const peaks = [...bins.values()].sort((a, b) => a.nominal - b.nominal);
+  const largest = Math.max(...peaks.map(peak => peak.abundance));
+  return peaks
+    .filter(peak => peak.abundance >= largest * PEAK_PRUNE)
+    .map(({ nominal, massSum, abundance }) => ({ nominal, mass: massSum / abundance, abundance }));
+}
+
+// Distribution of n atoms of one element, by repeated squaring
+function powerPeaks(peaks, count) {
+  let result = [{ nominal: 0, mass: 0, abundance: 1 }];
+  let square = peaks;
+  for (let n = count; n > 0; n = Math.floor(n / 2)) {
+    if (n % 2 === 1) result = convolvePeaks(result, square);
+    if (n > 1) square = convolvePeaks(square, square);
+  }
+  return result;
+}
+
+// Hill order: C, then H, then the rest alphabetically (alphabetical when there is no C)
+function hillOrder(counts) {
+  const elements = Object.keys(counts);
+  const ordered = elements.includes('C')
+    ? ['C', ...(elements.includes('H') ? ['H'] : []), ...elements.filter(e => e !== 'C' && e !== 'H').sort()]
+    : [...elements].sort();
+
+  const result = {};
+  for (const element of ordered) {
+    result[element] = counts[element];
+  }
+  return result;
+}
+
 // Convenience function
 export function molarMass(formula) {
   return MolarMassCalculator.calculate(formula);
 }
 
+export function percentComposition(formula) {
+  return MolarMassCalculator.percentComposition(formula);
+}
+
+export function isotopePattern(formula, options) {
+  return MolarMassCalculator.isotopePattern(formula, options);
+}
+
 export default MolarMassCalculator;
\ No newline at end of file
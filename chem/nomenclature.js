@@ -0,0 +1,637 @@
+/**
+ * Inorganic nomenclature
+ * Turns common names ("iron(III) sulfate", "potassium permanganate", "sulfuric acid",
+ * "copper(II) sulfate pentahydrate", "ferric chloride") into formulas parseFormula accepts,
+ * and names parsed formulas: salts are split into a cation and an anion, and the metal's
+ * oxidation state in its ion (OxidationStateEngine) gives the Stock numeral.
+ */
+
+import { parseFormula } from './parser.js';
+import { ATOMIC_WEIGHTS, MolarMassCalculator } from './mass.js';
+import { OxidationStateEngine } from './oxidation-states.js';
+import { PeriodicTable } from './elements.js';
+
+export class NomenclatureError extends Error {
+  constructor(message, code = 'NOMENCLATURE_ERROR') {
+    super(message);
+    this.name = 'NomenclatureError';
+    this.code = code;
+  }
+}
+
+// Polyatomic ions; aliases are accepted in names, the first name is the one generated
+export const POLYATOMIC_IONS = [
+  { name: 'ammonium', formula: 'NH4', charge: 1 },
+  { name: 'hydronium', formula: 'H3O', charge: 1 },
+  { name: 'hydroxide', formula: 'OH', charge: -1 },
+  { name: 'cyanide', formula: 'CN', charge: -1 },
+  { name: 'cyanate', formula: 'OCN', charge: -1 },
+  { name: 'thiocyanate', formula: 'SCN', charge: -1 },
+  { name: 'nitrate', formula: 'NO3', charge: -1 },
+  { name: 'nitrite', formula: 'NO2', charge: -1 },
+  { name: 'perchlorate', formula: 'ClO4', charge: -1 },
+  { name: 'chlorate', formula: 'ClO3', charge: -1 },
+  { name: 'chlorite', formula: 'ClO2', charge: -1 },
+  { name: 'hypochlorite', formula: 'ClO', charge: -1 },
+  { name: 'perbromate', formula: 'BrO4', charge: -1 },
+  { name: 'bromate', formula: 'BrO3', charge: -1 },
+  { name: 'bromite', formula: 'BrO2', charge: -1 },
+  { name: 'hypobromite', formula: 'BrO', charge: -1 },
+  { name: 'periodate', formula: 'IO4', charge: -1 },
+  { name: 'iodate', formula: 'IO3', charge: -1 },
+  { name: 'iodite', formula: 'IO2', charge: -1 },
+  { name: 'hypoiodite', formula: 'IO', charge: -1 },
+  { name: 'acetate', formula: 'CH3COO', charge: -1, acid: 'CH3COOH' },
+  { name: 'formate', formula: 'HCOO', charge: -1, acid: 'HCOOH' },
+  { name: 'permanganate', formula: 'MnO4', charge: -1 },
+  { name: 'hydrogen carbonate', formula: 'HCO3', charge: -1, aliases: ['bicarbonate'] },
+  { name: 'hydrogen sulfate', formula: 'HSO4', charge: -1, aliases: ['bisulfate'] },
+  { name: 'hydrogen sulfite', formula: 'HSO3', charge: -1, aliases: ['bisulfite'] },
+  { name: 'dihydrogen phosphate', formula: 'H2PO4', charge: -1 },
+  { name: 'hydrogen phosphate', formula: 'HPO4', charge: -2 },
+  { name: 'sulfate', formula: 'SO4', charge: -2 },
+  { name: 'sulfite', formula: 'SO3', charge: -2 },
+  { name: 'thiosulfate', formula: 'S2O3', charge: -2 },
+  { name: 'carbonate', formula: 'CO3', charge: -2 },
+  { name: 'oxalate', formula: 'C2O4', charge: -2 },
+  { name: 'chromate', formula: 'CrO4', charge: -2 },
+  { name: 'dichromate', formula: 'Cr2O7', charge: -2 },
+  { name: 'manganate', formula: 'MnO4', charge: -2 },
+  { name: 'silicate', formula: 'SiO3', charge: -2 },
+  // Only with Group 1 and 2 metals; otherwise O2 is two oxides (TiO2 is titanium(IV) oxide).
+  // One O2 per alkali metal is superoxide (KO2), two metals per O2 peroxide (Na2O2)
+  { name: 'superoxide', formula: 'O2', charge: -1, cations: ['Li', 'Na', 'K', 'Rb', 'Cs'] },
+  { name: 'peroxide', formula: 'O2', charge: -2, cations: ['H', 'Li', 'Na', 'K', 'Rb', 'Cs', 'Mg', 'Ca', 'Sr', 'Ba'] },
+  { name: 'phosphate', formula: 'PO4', charge: -3 },
+  { name: 'phosphite', formula: 'PO3', charge: -3 },
+  { name: 'arsenate', formula: 'AsO4', charge: -3 },
+  { name: 'borate', formula: 'BO3', charge: -3 }
+];
+
+// Monatomic anions ("-ide" names)
+export const MONATOMIC_ANIONS = [
+  { name: 'hydride', formula: 'H', charge: -1 },
+  { name: 'fluoride', formula: 'F', charge: -1 },
+  { name: 'chloride', formula: 'Cl', charge: -1 },
+  { name: 'bromide', formula: 'Br', charge: -1 },
+  { name: 'iodide', formula: 'I', charge: -1 },
+  { name: 'oxide', formula: 'O', charge: -2 },
+  { name: 'sulfide', formula: 'S', charge: -2 },
+  { name: 'selenide', formula: 'Se', charge: -2 },
+  { name: 'telluride', formula: 'Te', charge: -2 },
+  { name: 'nitride', formula: 'N', charge: -3 },
+  { name: 'phosphide', formula: 'P', charge: -3 },
+  { name: 'arsenide', formula: 'As', charge: -3 },
+  { name: 'carbide', formula: 'C', charge: -4 }
+];
+
+// Classical (-ous/-ic) names of metal cations
+export const CLASSICAL_NAMES = {
+  ferrous: { symbol: 'Fe', charge: 2 }, ferric: { symbol: 'Fe', charge: 3 },
+  cuprous: { symbol: 'Cu', charge: 1 }, cupric: { symbol: 'Cu', charge: 2 },
+  stannous: { symbol: 'Sn', charge: 2 }, stannic: { symbol: 'Sn', charge: 4 },
+  plumbous: { symbol: 'Pb', charge: 2 }, plumbic: { symbol: 'Pb', charge: 4 },
+  mercurous: { symbol: 'Hg', charge: 1 }, mercuric: { symbol: 'Hg', charge: 2 },
+  cobaltous: { symbol: 'Co', charge: 2 }, cobaltic: { symbol: 'Co', charge: 3 },
+  chromous: { symbol: 'Cr', charge: 2 }, chromic: { symbol: 'Cr', charge: 3 },
+  manganous: { symbol: 'Mn', charge: 2 }, manganic: { symbol: 'Mn', charge: 3 },
+  nickelous: { symbol: 'Ni', charge: 2 }, nickelic: { symbol: 'Ni', charge: 3 },
+  aurous: { symbol: 'Au', charge: 1 }, auric: { symbol: 'Au', charge: 3 }
+};
+
+// Compounds known by a common name rather than a systematic one
+export const COMMON_NAMES = {
+  water: 'H2O',
+  'hydrogen peroxide': 'H2O2',
+  ammonia: 'NH3',
+  hydrazine: 'N2H4',
+  ozone: 'O3',
+  methane: 'CH4',
+  ethane: 'C2H6',
+  propane: 'C3H8',
+  butane: 'C4H10',
+  methanol: 'CH3OH',
+  ethanol: 'C2H5OH',
+  glucose: 'C6H12O6',
+  sucrose: 'C12H22O11'
+};
+
+// Metals named without a Stock numeral: their only common charge
+const FIXED_CHARGES = {
+  Li: 1, Na: 1, K: 1, Rb: 1, Cs: 1, Fr: 1,
+  Be: 2, Mg: 2, Ca: 2, Sr: 2, Ba: 2, Ra: 2,
+  Al: 3, Ga: 3, Sc: 3, Zn: 2, Cd: 2, Ag: 1
+};
+
+const NONMETALS = ['H', 'He', 'B', 'C', 'N', 'O', 'F', 'Ne', 'Si', 'P', 'S', 'Cl', 'Ar', 'As', 'Se', 'Br', 'Kr', 'Te', 'I', 'Xe', 'At', 'Rn'];
+const DIATOMIC = ['H', 'N', 'O', 'F', 'Cl', 'Br', 'I'];
+const PREFIXES = ['mono', 'di', 'tri', 'tetra', 'penta', 'hexa', 'hepta', 'octa', 'nona', 'deca'];
+const ROMAN = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII'];
+const SPELLINGS = [[/sulph/g, 'sulf'], [/aluminium/g, 'aluminum'], [/caesium/g, 'cesium']];
+
+const oxidationEngine = new OxidationStateEngine();
+
+export class NomenclatureEngine {
+
+  /**
+   * Formula for a compound or ion name
+   * Accepts element names, ionic compounds with Stock ("iron(III) chloride") or classical
+   * ("ferric chloride") cation names, binary molecular compounds with Greek prefixes
+   * ("dinitrogen tetroxide"), acids ("sulfuric acid", "hydrochloric acid"), hydrates
+   * ("copper(II) sulfate pentahydrate"), ions ("sulfate ion") and the COMMON_NAMES.
+   * A trailing state symbol ("sodium chloride(aq)") is kept.
+   * @param {string} name
+   * @returns {Object} {name, formula, type, charge, hydrate}; type is 'element', 'ionic',
+   *   'molecular', 'acid', 'ion' or 'common', and hydrate the number of waters (or null)
+   * @throws {NomenclatureError} When the name is not recognised or needs a charge
+   */
+  static toFormula(name) {
+    const original = String(name ?? '').trim();
+    let text = this.normalizeName(original);
+    if (!text) throw new NomenclatureError('Enter a name', 'EMPTY_NAME');
+
+    const phaseMatch = text.match(/\s*\((s|l|g|aq)\)$/);
+    const phase = phaseMatch ? `(${phaseMatch[1]})` : '';
+    if (phaseMatch) text = text.slice(0, phaseMatch.index).trim();
+
+    let hydrate = null;
+    const hydrateMatch = text.match(/^(.+?)\s+(\w*?)hydrate$/);
+    if (hydrateMatch) {
+      hydrate = hydrateMatch[2] ? PREFIXES.indexOf(hydrateMatch[2]) + 1 : 1;
+      if (hydrate === 0) {
+        throw new NomenclatureError(`Unknown hydrate prefix "${hydrateMatch[2]}"`, 'UNKNOWN_NAME');
+      }
+      text = hydrateMatch[1];
+    }
+    text = text.replace(/^anhydrous\s+|\s+anhydrous$/, '');
+
+    const result = this.resolveName(text, original);
+    const water = hydrate ? `.${hydrate === 1 ? '' : hydrate}H2O` : '';
+    return { name: original, ...result, formula: `${result.formula}${water}${phase}`, hydrate };
+  }
+
+  /**
+   * Name of a formula
+   * Salts are split into a cation and an anion whose charges balance; the metal's oxidation
+   * state comes from OxidationStateEngine.computeOxidationStates on that cation. Binary
+   * molecular compounds get Greek prefixes, acids (no state symbol, or aq) their acid names.
+   * @param {string|Object} formula - Formula text or a parsed species ({formula, composition, charge, phase})
+   * @returns {Object} {formula, name, type, classicalName, oxidationState, hydrate}
+   * @throws {NomenclatureError} When no name can be built
+   */
+  static toName(formula) {
+    const text = typeof formula === 'string' ? formula.trim() : (formula.originalFormula || formula.formula || '');
+
+    // Hydrates are named from the anhydrous part: CuSO4·5H2O
+    const hydrateMatch = text.match(/^(.+?)\s*[.·*•]\s*(\d*)\s*H2O(?:\((?:s|l|g|aq)\))?$/);
+    if (hydrateMatch) {
+      const count = hydrateMatch[2] ? parseInt(hydrateMatch[2], 10) : 1;
+      if (count > PREFIXES.length) {
+        throw new NomenclatureError(`No hydrate prefix for ${count} waters`, 'UNKNOWN_FORMULA');
+      }
+      const anhydrous = this.toName(hydrateMatch[1]);
+      const prefix = PREFIXES[count - 1];
+      return {
+        ...anhydrous,
+        formula: text,
+        name: `${anhydrous.name} ${prefix}hydrate`,
+        classicalName: anhydrous.classicalName ? `${anhydrous.classicalName} ${prefix}hydrate` : null,
+        hydrate: count
+      };
+    }
+
+    const species = typeof formula === 'string' ? this.describe(text) : {
+      formula: text,
+      composition: formula.composition || formula.elements,
+      charge: formula.charge || 0,
+      phase: formula.phase || null
+    };
+    const named = this.nameSpecies(species);
+    return {
+      formula: text,
+      name: named.name,
+      type: named.type,
+      classicalName: named.classicalName || null,
+      oxidationState: named.oxidationState ?? null,
+      hydrate: null
+    };
+  }
+
+  /**
+   * Whether equation input looks like a name rather than a formula
+   * Formulas never hold three lowercase letters in a row; names always do ("tin" is the shortest).
+   * @param {string} text
+   * @returns {boolean}
+   */
+  static isName(text) {
+    return /[a-z]{3,}/.test(String(text ?? '').replace(/\((?:s|l|g|aq)\)\s*$/i, ''));
+  }
+
+  // Lowercased name with whitespace collapsed, British spellings and "iron (III)" spacing normalized
+  static normalizeName(name) {
+    let text = name.toLowerCase().replace(/\s+/g, ' ').trim().replace(/\s+\(/g, '(').replace(/\(\s*(\w+)\s*\)/g, '($1)');
+    for (const [pattern, replacement] of SPELLINGS) text = text.replace(pattern, replacement);
+    // Keep a space before a state symbol so "chloride(aq)" still ends in a word
+    return text.replace(/\((s|l|g|aq)\)$/, ' ($1)');
+  }
+
+  // Formula and type for a name without state symbol or hydrate
+  static resolveName(text, original) {
+    if (COMMON_NAMES[text]) {
+      return { formula: COMMON_NAMES[text], type: 'common', charge: 0 };
+    }
+
+    const element = this.elementSymbol(text);
+    if (element) {
+      return { formula: DIATOMIC.includes(element) ? `${element}2` : element, type: 'element', charge: 0 };
+    }
+
+    const acid = this.acids().get(text);
+    if (acid) return { formula: acid, type: 'acid', charge: 0 };
+
+    const ion = text.match(/^(.+) ion$/);
+    if (ion) {
+      if (ion[1] === 'hydrogen') return { formula: 'H^+', type: 'ion', charge: 1 };
+      const parsed = this.cationFromName(ion[1], false) || this.anionFromName(ion[1]);
+      if (!parsed) throw new NomenclatureError(`Unknown ion "${original}"`, 'UNKNOWN_NAME');
+      return { formula: `${parsed.formula}${chargeSuffix(parsed.charge)}`, type: 'ion', charge: parsed.charge };
+    }
+
+    // "<cation> <anion>": the anion is the longest matching ending
+    for (const anion of this.anionNames()) {
+      if (!text.endsWith(` ${anion.name}`)) continue;
+      const cationName = text.slice(0, -anion.name.length - 1);
+
+      const cation = this.cationFromName(cationName, true);
+      if (cation) return { formula: this.saltFormula(cation, anion), type: 'ionic', charge: 0 };
+    }
+
+    const molecular = this.molecularFormula(text);
+    if (molecular) return { formula: molecular, type: 'molecular', charge: 0 };
+
+    throw new NomenclatureError(`Unknown compound name "${original}"`, 'UNKNOWN_NAME');
+  }
+
+  // Symbol for an element name ("iron" → Fe)
+  static elementSymbol(name) {
+    return Object.keys(ATOMIC_WEIGHTS).find(symbol => MolarMassCalculator.getElementName(symbol).toLowerCase() === name) || null;
+  }
+
+  /**
+   * Cation for "iron(III)", "ferric", "sodium" or "ammonium"
+   * @param {string} name - Normalized name
+   * @param {boolean} requireCharge - Throw for metals with several charges and no numeral
+   * @returns {Object|null} {formula, charge}; mercury(I) is the Hg2 dimer
+   */
+  static cationFromName(name, requireCharge) {
+    const polyatomic = POLYATOMIC_IONS.find(ion => ion.charge > 0 && ion.name === name);
+    if (polyatomic) return { formula: polyatomic.formula, charge: polyatomic.charge };
+
+    let symbol;
+    let charge;
+    const classical = CLASSICAL_NAMES[name];
+    const stock = name.match(/^([a-z]+)\(([ivx]+)\)$/);
+    if (classical) {
+      ({ symbol, charge } = classical);
+    } else if (stock) {
+      symbol = this.elementSymbol(stock[1]);
+      charge = ROMAN.indexOf(stock[2].toUpperCase()) + 1;
+      if (!symbol || charge === 0) return null;
+    } else {
+      symbol = this.elementSymbol(name);
+      if (!symbol || NONMETALS.includes(symbol)) return null;
+      charge = FIXED_CHARGES[symbol];
+      if (!charge) {
+        if (!requireCharge) return null;
+        throw new NomenclatureError(
+          `Give the charge of ${name}, e.g. ${name}(II) or ${name}(III)`,
+          'AMBIGUOUS_CHARGE'
+        );
+      }
+    }
+
+    if (NONMETALS.includes(symbol)) return null;
+    return symbol === 'Hg' && charge === 1 ? { formula: 'Hg2', charge: 2 } : { formula: symbol, charge };
+  }
+
+  // Anion record for a name ("sulfate", "chloride", "bicarbonate")
+  static anionFromName(name) {
+    return this.anionNames().find(anion => anion.name === name) || null;
+  }
+
+  // Every anion under each accepted name, longest first so "hydrogen sulfate" beats "sulfate"
+  static anionNames() {
+    const anions = [...POLYATOMIC_IONS.filter(ion => ion.charge < 0), ...MONATOMIC_ANIONS];
+    return anions
+      .flatMap(anion => [anion.name, ...(anion.aliases || [])].map(name => ({ ...anion, name })))
+      .sort((a, b) => b.name.length - a.name.length);
+  }
+
+  // Neutral formula from the smallest whole numbers of cations and anions
+  static saltFormula(cation, anion) {
+    if (anion.cations && !anion.cations.includes(cation.formula)) {
+      throw new NomenclatureError(`${anion.name} is only named with Group 1 and 2 metals`, 'UNKNOWN_NAME');
+    }
+    const total = lcm(cation.charge, -anion.charge);
+    return `${group(cation.formula, total / cation.charge)}${group(anion.formula, total / -anion.charge)}`;
+  }
+
+  // Binary molecular compound: "dinitrogen tetroxide", "carbon monoxide", "hydrogen sulfide"
+  static molecularFormula(text) {
+    const words = text.split(' ');
+    if (words.length !== 2) return null;
+
+    const ides = new Map(MONATOMIC_ANIONS.map(anion => [anion.name, anion]));
+    const elements = new Map(Object.keys(ATOMIC_WEIGHTS).map(symbol => [MolarMassCalculator.getElementName(symbol).toLowerCase(), symbol]));
+
+    const first = splitPrefix(words[0], elements);
+    const second = splitPrefix(words[1], ides);
+    if (!first || !second) return null;
+
+    const symbol = elements.get(first.rest);
+    const anion = ides.get(second.rest);
+
+    // Hydrogen compounds are named without prefixes: the anion charge sets the count (H2S)
+    const firstCount = symbol === 'H' && !first.prefixed && !second.prefixed ? -anion.charge : first.count;
+    return `${symbol}${firstCount === 1 ? '' : firstCount}${anion.formula}${second.count === 1 ? '' : second.count}`;
+  }
+
+  // Acid names generated from the anions: -ate → -ic acid, -ite → -ous acid, -ide → hydro-ic acid
+  static acids() {
+    if (this.acidTable) return this.acidTable;
+
+    const table = new Map();
+    const eligible = [
+      ...POLYATOMIC_IONS.filter(ion => ion.charge < 0 && !/hydrogen/.test(ion.name) && !['hydroxide', 'peroxide', 'superoxide'].includes(ion.name)),
+      ...MONATOMIC_ANIONS.filter(anion => ['F', 'Cl', 'Br', 'I', 'S', 'Se'].includes(anion.formula))
+    ];
+    for (const anion of eligible) {
+      const count = -anion.charge;
+      table.set(acidName(anion.name), anion.acid || `H${count === 1 ? '' : count}${anion.formula}`);
+    }
+    this.acidTable = table;
+    return table;
+  }
+
+  // Formula text, composition, charge and phase of a formula
+  static describe(text) {
+    const parsed = parseFormula(text);
+    return { formula: text, composition: parsed.elements, charge: parsed.charge, phase: parsed.phase };
+  }
+
+  // Name a parsed species; see toName
+  static nameSpecies({ formula, composition, charge, phase }) {
+    const common = Object.entries(COMMON_NAMES).find(([, commonFormula]) =>
+      charge === 0 && sameComposition(parseFormula(commonFormula).elements, composition));
+    if (common) return { name: common[0], type: 'common' };
+
+    const symbols = Object.keys(composition);
+
+    // Elements and monatomic ions
+    if (symbols.length === 1) {
+      const [symbol] = symbols;
+      const elementName = MolarMassCalculator.getElementName(symbol).toLowerCase();
+      if (charge === 0) return { name: elementName, type: 'element' };
+
+      if (charge < 0 || (symbol === 'Hg' && composition.Hg === 2)) {
+        const anion = MONATOMIC_ANIONS.find(a => a.formula === symbol && a.charge === charge && composition[symbol] === 1);
+        if (anion) return { name: `${anion.name} ion`, type: 'ion' };
+      }
+      if (symbol === 'H' && charge === 1 && composition.H === 1) return { name: 'hydrogen ion', type: 'ion' };
+      if (charge > 0 && !NONMETALS.includes(symbol)) {
+        const cation = this.cationName(symbol, composition, charge);
+        return { name: `${cation.name} ion`, type: 'ion', classicalName: cation.classicalName && `${cation.classicalName} ion`, oxidationState: cation.oxidationState };
+      }
+    }
+
+    if (charge !== 0) {
+      const ion = POLYATOMIC_IONS.find(p => p.charge === charge && sameComposition(parseFormula(p.formula).elements, composition));
+      if (ion) return { name: `${ion.name} ion`, type: 'ion' };
+      throw new NomenclatureError(`No name for the ion ${formula}`, 'UNKNOWN_FORMULA');
+    }
+
+    // Acids: written with hydrogen first (or as a carboxylic acid), dissolved or without a state symbol
+    if ((/^H/.test(formula) || /COOH$/.test(formula)) && composition.H && phase !== 'g' && phase !== 's') {
+      for (const [name, acidFormula] of this.acids()) {
+        if (sameComposition(parseFormula(acidFormula).elements, composition)) return { name, type: 'acid' };
+      }
+    }
+
+    const salt = this.nameSalt(composition);
+    if (salt) return salt;
+
+    if (symbols.length === 2) {
+      const molecular = this.nameMolecular(symbols, composition);
+      if (molecular) return molecular;
+    }
+
+    throw new NomenclatureError(`No name for ${formula}`, 'UNKNOWN_FORMULA');
+  }
+
+  // Metal cation name with its Stock numeral and classical name
+  static cationName(symbol, composition, charge) {
+    const { [symbol]: oxidationState } = oxidationEngine.computeOxidationStates(composition, charge);
+    const elementName = MolarMassCalculator.getElementName(symbol).toLowerCase();
+    if (!Number.isInteger(oxidationState) || oxidationState < 1 || oxidationState > ROMAN.length) {
+      throw new NomenclatureError(`${elementName} cannot have an oxidation state of ${oxidationState}`, 'UNKNOWN_FORMULA');
+    }
+
+    // Group 1 and 2 metals, Al, Zn, Ag and the like never take a Stock numeral
+    if (FIXED_CHARGES[symbol] !== undefined && FIXED_CHARGES[symbol] !== oxidationState) {
+      throw new NomenclatureError(`${elementName} is always +${FIXED_CHARGES[symbol]}, not ${oxidationState}`, 'UNKNOWN_FORMULA');
+    }
+
+    const classical = Object.keys(CLASSICAL_NAMES)
+      .find(key => CLASSICAL_NAMES[key].symbol === symbol && CLASSICAL_NAMES[key].charge === oxidationState) || null;
+    const name = FIXED_CHARGES[symbol] === oxidationState ? elementName : `${elementName}(${ROMAN[oxidationState - 1]})`;
+    return { name, classicalName: classical, oxidationState };
+  }
+
+  // Split a neutral composition into whole numbers of one cation and one anion
+  static nameSalt(composition) {
+    const cations = [
+      ...Object.keys(composition).filter(symbol => !NONMETALS.includes(symbol)).map(symbol => ({ formula: symbol, charge: null })),
+      ...POLYATOMIC_IONS.filter(ion => ion.charge > 0)
+    ];
+    const anions = [...POLYATOMIC_IONS.filter(ion => ion.charge < 0), ...MONATOMIC_ANIONS];
+
+    const candidates = [];
+    for (const cation of cations) {
+      const cationElements = parseFormula(cation.formula).elements;
+      for (const anion of anions) {
+        if (anion.cations && !anion.cations.includes(cation.formula)) continue;
+        const counts = splitCounts(composition, cationElements, parseFormula(anion.formula).elements);
+        if (!counts) continue;
+
+        const cationCharge = -anion.charge * counts.anion;
+        if (cation.charge !== null) {
+          if (cation.charge * counts.cation === cationCharge) {
+            candidates.push({ cation, anion, counts, known: true });
+          }
+          continue;
+        }
+
+        // Metal: the anions fix the charge the metal atoms share
+        const charge = cationCharge / counts.cation;
+        if (Number.isInteger(charge) || (cation.formula === 'Hg' && counts.cation % 2 === 0)) {
+          const states = [FIXED_CHARGES[cation.formula], ...(oxidationEngine.commonOxidationStates[cation.formula] || [])];
+          candidates.push({ cation, anion, counts, known: states.includes(charge) });
+        } else {
+          // Mixed valence (Fe3O4 is iron(II,III) oxide): the charge is shared between two oxidation states
+          const mixed = mixedValence(cation.formula, counts.cation, cationCharge);
+          if (mixed) candidates.push({ cation, anion, counts, known: true, mixed });
+        }
+      }
+    }
+    if (candidates.length === 0) return null;
+
+    // Prefer charges the metal is known to take, then polyatomic anions (KMnO4 is not a manganese salt)
+    candidates.sort((a, b) => Number(b.known) - Number(a.known));
+    const { cation, anion, counts, mixed } = candidates[0];
+
+    if (cation.charge !== null) {
+      return { name: `${cation.name} ${anion.name}`, type: 'ionic' };
+    }
+    if (mixed) {
+      const elementName = MolarMassCalculator.getElementName(cation.formula).toLowerCase();
+      return {
+        name: `${elementName}(${mixed.map(state => ROMAN[state - 1]).join(',')}) ${anion.name}`,
+        type: 'ionic',
+        classicalName: null,
+        oxidationState: null,
+        oxidationStates: mixed
+      };
+    }
+    const metal = this.cationName(cation.formula, { [cation.formula]: counts.cation }, -anion.charge * counts.anion);
+    return {
+      name: `${metal.name} ${anion.name}`,
+      type: 'ionic',
+      classicalName: metal.classicalName ? `${metal.classicalName} ${anion.name}` : null,
+      oxidationState: metal.oxidationState
+    };
+  }
+
+  // Binary molecular compound with Greek prefixes (no prefixes for hydrogen compounds); nonmetals only
+  static nameMolecular([firstSymbol, secondSymbol], composition) {
+    const anion = MONATOMIC_ANIONS.find(a => a.formula === secondSymbol);
+    if (!anion || !NONMETALS.includes(firstSymbol)) return null;
+
+    const firstName = MolarMassCalculator.getElementName(firstSymbol).toLowerCase();
+    if (firstSymbol === 'H') return { name: `hydrogen ${anion.name}`, type: 'molecular' };
+
+    const firstCount = composition[firstSymbol];
+    const secondCount = composition[secondSymbol];
+    if (firstCount > PREFIXES.length || secondCount > PREFIXES.length) return null;
+
+    const first = firstCount === 1 ? firstName : `${PREFIXES[firstCount - 1]}${firstName}`;
+    return { name: `${first} ${withPrefix(PREFIXES[secondCount - 1], anion.name)}`, type: 'molecular' };
+  }
+}
+
+// Two oxidation states that share a total charge over the metal atoms, closest pair first:
+// Fe3O4 (8 over 3 Fe) is one Fe(II) and two Fe(III), Pb3O4 two Pb(II) and one Pb(IV)
+function mixedValence(symbol, atoms, totalCharge) {
+  const states = [...new Set([
+    ...(oxidationEngine.commonOxidationStates[symbol] || []),
+    ...(PeriodicTable.get(symbol)?.oxidationStates || [])
+  ])].filter(state => state > 0 && state <= ROMAN.length).sort((a, b) => a - b);
+
+  let best = null;
+  for (const low of states) {
+    for (const high of states.filter(state => state > low)) {
+      for (let lowAtoms = 1; lowAtoms < atoms; lowAtoms++) {
+        if (lowAtoms * low + (atoms - lowAtoms) * high === totalCharge && (!best || high - low < best[1] - best[0])) {
+          best = [low, high];
+        }
+      }
+    }
+  }
+  return best;
+}
+
+// "sulfate" → "sulfuric acid", "nitrite" → "nitrous acid", "chloride" → "hydrochloric acid"
+function acidName(anionName) {
+  const stem = anionName.replace(/(ate|ite|ide)$/, '').replace(/^(sulf|phosph)$/, '$1ur').replace(/^phosphur$/, 'phosphor');
+  if (anionName.endsWith('ate')) return `${stem}ic acid`;
+  if (anionName.endsWith('ite')) return `${stem}ous acid`;
+  return `hydro${stem}ic acid`;
+}
+
+// Greek prefix before an anion name; "mono" and a/o before "oxide" lose their vowel
+function withPrefix(prefix, name) {
+  if (/^[ao]/.test(name) && /[ao]$/.test(prefix)) return `${prefix.slice(0, -1)}${name}`;
+  return `${prefix}${name}`;
+}
+
+// Greek prefix and the known word after it ("tetroxide" → 4, "oxide")
+function splitPrefix(word, known) {
+  if (known.has(word)) return { count: 1, rest: word, prefixed: false };
+  for (let i = PREFIXES.length - 1; i >= 0; i--) {
+    const prefix = PREFIXES[i];
+    for (const form of [prefix, prefix.replace(/[ao]$/, '')]) {
+      if (word.startsWith(form) && known.has(word.slice(form.length))) {
+        return { count: i + 1, rest: word.slice(form.length), prefixed: true };
+      }
+    }
+  }
+  return null;
+}
+
+// Whole numbers of cation and anion units making up a composition, or null
+function splitCounts(composition, cationElements, anionElements) {
+  const symbols = new Set([...Object.keys(cationElements), ...Object.keys(anionElements)]);
+  if (Object.keys(composition).some(symbol => !symbols.has(symbol))) return null;
+
+  // An element only in the cation (or only in the anion) fixes that count
+  const onlyIn = (own, other) => Object.keys(own).find(symbol => !other[symbol]);
+  const cationKey = onlyIn(cationElements, anionElements);
+  const anionKey = onlyIn(anionElements, cationElements);
+  if (!cationKey || !anionKey) return null;
+
+  const counts = {
+    cation: (composition[cationKey] || 0) / cationElements[cationKey],
+    anion: (composition[anionKey] || 0) / anionElements[anionKey]
+  };
+  if (!Number.isInteger(counts.cation) || !Number.isInteger(counts.anion) || counts.cation < 1 || counts.anion < 1) return null;
+
+  for (const symbol of symbols) {
+    const expected = (cationElements[symbol] || 0) * counts.cation + (anionElements[symbol] || 0) * counts.anion;
+    if (expected !== (composition[symbol] || 0)) return null;
+  }
+  return counts;
+}
+
+function sameComposition(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+// Formula unit repeated count times, in parentheses when it has more than one atom
+function group(formula, count) {
+  if (count === 1) return formula;
+  return /^[A-Z][a-z]?$/.test(formula) ? `${formula}${count}` : `(${formula})${count}`;
+}
+
+function chargeSuffix(charge) {
+  const magnitude = Math.abs(charge) === 1 ? '' : Math.abs(charge);
+  return `^${magnitude}${charge > 0 ? '+' : '-'}`;
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+function lcm(a, b) {
+  return (a * b) / gcd(a, b);
+}
+
+// Convenience functions
+export function nameToFormula(name) {
+  return NomenclatureEngine.toFormula(name);
+}
+
+export function formulaToName(formula) {
+  return NomenclatureEngine.toName(formula);
+}
+
+export default NomenclatureEngine;
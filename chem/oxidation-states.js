@@ -3,7 +3,9 @@
  * Computes oxidation states for elements in compounds and detects redox reactions
  */
 
-class OxidationStateEngine {
+import { PeriodicTable } from './elements.js';
+
+export class OxidationStateEngine {
     constructor() {
         // Oxidation state rules in priority order
         this.rules = [
@@ -18,17 +20,13 @@ class OxidationStateEngine {
             { name: 'neutralCompound', priority: 10 }
         ];
         
-        // Element group data
+        // Element group data, from the periodic table dataset
         this.elementGroups = {
-            alkaliMetals: ['Li', 'Na', 'K', 'Rb', 'Cs', 'Fr'],
-            alkalineEarths: ['Be', 'Mg', 'Ca', 'Sr', 'Ba', 'Ra'],
-            halogens: ['F', 'Cl', 'Br', 'I', 'At'],
-            chalcogens: ['O', 'S', 'Se', 'Te', 'Po'],
-            transitionMetals: [
-                'Sc', 'Ti', 'V', 'Cr', 'Mn', 'Fe', 'Co', 'Ni', 'Cu', 'Zn',
-                'Y', 'Zr', 'Nb', 'Mo', 'Tc', 'Ru', 'Rh', 'Pd', 'Ag', 'Cd',
-                'La', 'Hf', 'Ta', 'W', 'Re', 'Os', 'Ir', 'Pt', 'Au', 'Hg'
-            ]
+            alkaliMetals: PeriodicTable.categorySymbols('alkali metal'),
+            alkalineEarths: PeriodicTable.categorySymbols('alkaline earth metal'),
+            halogens: PeriodicTable.groupSymbols(17),
+            chalcogens: PeriodicTable.groupSymbols(16),
+            transitionMetals: PeriodicTable.categorySymbols('transition metal')
         };
         
         // Common oxidation states for elements
@@ -123,13 +121,14 @@ class OxidationStateEngine {
                 break;
                 
             case 'hydrogen':
-                // H is +1 in acids and most compounds, -1 in hydrides with metals
+                // H is +1 in acids and most compounds, -1 in hydrides with metals (NaH, CaH2 but not NaOH)
                 if (composition['H'] && !assigned.has('H')) {
-                    const hasMetals = Object.keys(composition).some(el => 
-                        this.elementGroups.alkaliMetals.includes(el) || 
-                        this.elementGroups.alkalineEarths.includes(el)
-                    );
-                    oxidationStates['H'] = hasMetals ? -1 : +1;
+                    const isMetal = el =>
+                        this.elementGroups.alkaliMetals.includes(el) ||
+                        this.elementGroups.alkalineEarths.includes(el);
+                    const elements = Object.keys(composition);
+                    const isHydride = elements.some(isMetal) && elements.every(el => el === 'H' || isMetal(el));
+                    oxidationStates['H'] = isHydride ? -1 : +1;
                     assigned.add('H');
                 }
                 break;
@@ -137,9 +136,14 @@ class OxidationStateEngine {
             case 'oxygen':
                 // O is usually -2, except in peroxides (-1) and compounds with F
                 if (composition['O'] && !assigned.has('O') && !composition['F']) {
-                    // Detect peroxides (H2O2, Na2O2, etc.)
-                    const isPeroxide = (composition['H'] === 2 && composition['O'] === 2) ||
-                                     (Object.keys(composition).length === 2 && composition['O'] > 1);
+                    // Detect peroxides (H2O2, Na2O2, BaO2): the partner's fixed +1/+2 charge
+                    // must be matched by O at -1. Oxides such as CO2 or Cr2O7^2- stay at -2.
+                    const partners = Object.keys(composition).filter(el => el !== 'O');
+                    const partner = partners.length === 1 ? partners[0] : null;
+                    const partnerOS = partner === 'H' || this.elementGroups.alkaliMetals.includes(partner) ? 1 :
+                                      this.elementGroups.alkalineEarths.includes(partner) ? 2 : null;
+                    const isPeroxide = charge === 0 && partnerOS !== null && composition['O'] > 1 &&
+                                     composition[partner] * partnerOS === composition['O'];
                     oxidationStates['O'] = isPeroxide ? -1 : -2;
                     assigned.add('O');
                 }
@@ -319,20 +323,22 @@ class OxidationStateEngine {
 
     /**
      * Find species that were oxidized or reduced
+     * A reactant element counts as changed when any product holds it at a higher
+     * (oxidation) or lower (reduction) state
      */
     findSpeciesWithChangedOS(species, targetOS, lookForOxidation) {
         const changedSpecies = [];
-        
+
         species.forEach((compound, index) => {
-            const hasChange = Object.entries(compound.composition).some(([element, count]) => {
-                const currentOS = this.computeOxidationStates(compound.composition, compound.charge || 0);
-                const targetOSForSpecies = targetOS[index];
-                
-                if (currentOS[element] !== undefined && targetOSForSpecies[element] !== undefined) {
-                    const change = targetOSForSpecies[element] - currentOS[element];
+            const currentOS = this.computeOxidationStates(compound.composition, compound.charge || 0);
+            const hasChange = Object.keys(compound.composition).some(element => {
+                if (currentOS[element] === undefined) return false;
+
+                return targetOS.some(os => {
+                    if (os[element] === undefined) return false;
+                    const change = os[element] - currentOS[element];
                     return lookForOxidation ? change > 0 : change < 0;
-                }
-                return false;
+                });
             });
             
             if (hasChange) {
@@ -349,8 +355,16 @@ class OxidationStateEngine {
 
     /**
      * Calculate total electron transfer
+     * Without a balanced equation this is the per-atom change; with one it is n for the
+     * equation as written (electrons lost = Σ coeff × atoms × rise above the lowest reactant OS)
+     * @param {Object} osChanges - From analyzeRedoxReaction
+     * @param {Object} balanced - Optional {products, productOS, productCoefficients}
      */
-    calculateElectronTransfer(osChanges) {
+    calculateElectronTransfer(osChanges, balanced = null) {
+        if (balanced) {
+            return this.calculateBalancedElectronTransfer(osChanges, balanced);
+        }
+
         let totalElectrons = 0;
         
         for (const [element, change] of Object.entries(osChanges)) {
@@ -363,14 +377,32 @@ class OxidationStateEngine {
     }
 
     /**
-     * Get atomic number for element (simplified lookup)
+     * Electrons transferred in a balanced equation (handles disproportionation)
+     */
+    calculateBalancedElectronTransfer(osChanges, { products, productOS, productCoefficients }) {
+        let totalElectrons = 0;
+
+        for (const [element, change] of Object.entries(osChanges)) {
+            const baseline = change.reactantRange[0];
+            if (!(change.productRange[1] > baseline)) continue;
+
+            products.forEach((species, j) => {
+                const os = productOS[j]?.[element];
+                const count = species.composition[element] || 0;
+                if (os === undefined || os <= baseline) return;
+                totalElectrons += productCoefficients[j] * count * (os - baseline);
+            });
+        }
+
+        return Math.round(totalElectrons);
+    }
+
+    /**
+     * Get atomic number for element
      */
     getAtomicNumber(element) {
-        const elements = {
-            'H': 1, 'He': 2, 'Li': 3, 'Be': 4, 'B': 5, 'C': 6, 'N': 7, 'O': 8, 'F': 9, 'Ne': 10,
-            'Na': 11, 'Mg': 12, 'Al': 13, 'Si': 14, 'P': 15, 'S': 16, 'Cl': 17, 'Ar': 18,
-            'K': 19, 'Ca': 20, 'Fe': 26, 'Cu': 29, 'Zn': 30, 'Ag': 47, 'Au': 79, 'Ba': 56
-        };
-        return elements[element] || 50; // Default for unknown
+        return PeriodicTable.atomicNumber(element) ?? 50; // Default for unknown
     }
-}
\ No newline at end of file
+}
+
+export default OxidationStateEngine;
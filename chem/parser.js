@@ -78,11 +78,22 @@ export class ChemicalParser {
     return { mass, element };
   }
   
-  // Parse an atom: element or isotope with optional count
+  // Parse an atom: element, isotope or macro with optional count
   parseAtom() {
     const composition = {};
     let elementKey;
     
+    // Macros carry their expansion: Ph3 -> C18H15
+    if (this.match(TokenType.MACRO)) {
+      const macro = this.current();
+      this.advance();
+      const count = this.parseNumber();
+      for (const [element, number] of Object.entries(macro.elements)) {
+        composition[element] = number * count;
+      }
+      return composition;
+    }
+    
     // Check for isotope
     if (this.match(TokenType.LBRACKET)) {
       const isotope = this.parseIsotope();
@@ -103,13 +114,22 @@ export class ChemicalParser {
     return composition;
   }
   
-  // Parse a group: (formula) with optional count
+  // Is the current [ an isotope label ([13C]) rather than a bracketed group ([Cu(NH3)4])?
+  isIsotope() {
+    return this.match(TokenType.LBRACKET) &&
+           this.peek(1)?.type === TokenType.NUMBER &&
+           this.peek(2)?.type === TokenType.ELEMENT &&
+           this.peek(3)?.type === TokenType.RBRACKET;
+  }
+  
+  // Parse a group: (formula) or [formula] with optional count
   parseGroup() {
-    this.consume(TokenType.LPAREN, 'Expected (');
+    const bracket = this.match(TokenType.LBRACKET);
+    this.consume(bracket ? TokenType.LBRACKET : TokenType.LPAREN, bracket ? 'Expected [' : 'Expected (');
     
     const groupComposition = this.parseFormula();
     
-    this.consume(TokenType.RPAREN, 'Expected )');
+    this.consume(bracket ? TokenType.RBRACKET : TokenType.RPAREN, bracket ? 'Expected ]' : 'Expected )');
     
     const multiplier = this.parseNumber();
     
@@ -125,41 +145,27 @@ export class ChemicalParser {
     };
   }
   
-  // Parse hydrate: formula·nH2O
+  // Parse hydrate/adduct parts: formula·nH2O, formula·xNH3 (any number of dot-separated parts)
   parseHydrate(baseComposition) {
-    if (!this.match(TokenType.DOT)) return baseComposition;
-    
-    this.advance(); // consume dot
+    const result = { ...baseComposition, elements: { ...baseComposition.elements } };
     
-    const waterCount = this.parseNumber();
-    
-    // Expect H2O
-    if (!this.match(TokenType.ELEMENT) || this.current().value !== 'H') {
-      throw new ParseError('Expected H2O after hydrate dot', this.current()?.position);
-    }
-    this.advance();
-    
-    const hydrogenCount = this.parseNumber();
-    if (hydrogenCount !== 2) {
-      throw new ParseError('Expected H2 in hydrate formula', this.current()?.position);
-    }
-    
-    if (!this.match(TokenType.ELEMENT) || this.current().value !== 'O') {
-      throw new ParseError('Expected O after H2 in hydrate', this.current()?.position);
-    }
-    this.advance();
-    
-    const oxygenCount = this.parseNumber();
-    if (oxygenCount !== 1) {
-      throw new ParseError('Expected single O in hydrate formula', this.current()?.position);
+    while (this.match(TokenType.DOT)) {
+      const dot = this.current();
+      this.advance(); // consume dot
+      
+      const multiplier = this.parseNumber();
+      const part = this.parseFormula();
+      
+      if (Object.keys(part.elements).length === 0) {
+        throw new ParseError('Expected formula after hydrate dot', this.current()?.position ?? dot.position);
+      }
+      
+      for (const [element, count] of Object.entries(part.elements)) {
+        result.elements[element] = (result.elements[element] || 0) + count * multiplier;
+      }
+      result.charge += part.charge * multiplier;
     }
     
-    // Add water molecules to composition
-    const result = { ...baseComposition };
-    result.elements = { ...baseComposition.elements };
-    result.elements.H = (result.elements.H || 0) + (2 * waterCount);
-    result.elements.O = (result.elements.O || 0) + waterCount;
-    
     return result;
   }
   
@@ -171,19 +177,25 @@ export class ChemicalParser {
     while (this.current() && 
            this.current().type !== TokenType.EOF && 
            this.current().type !== TokenType.RPAREN &&
+           this.current().type !== TokenType.RBRACKET &&
+           this.current().type !== TokenType.DOT &&
            this.current().type !== TokenType.PHASE) {
       
       let partialComposition;
       
-      if (this.match(TokenType.LPAREN)) {
+      if (this.match(TokenType.LPAREN) || (this.match(TokenType.LBRACKET) && !this.isIsotope())) {
         partialComposition = this.parseGroup();
-      } else if (this.match(TokenType.ELEMENT) || this.match(TokenType.LBRACKET)) {
+      } else if (this.match(TokenType.ELEMENT) || this.match(TokenType.MACRO) || this.match(TokenType.LBRACKET)) {
         const atomComposition = this.parseAtom();
         partialComposition = { elements: atomComposition, charge: 0 };
       } else if (this.match(TokenType.CHARGE)) {
         charge += this.current().value;
         this.advance();
         continue;
+      } else if (this.match(TokenType.BOND)) {
+        // Bonds separate groups (CH3-CH2-OH) but add no atoms
+        this.advance();
+        continue;
       } else {
         throw new ParseError(`Unexpected token ${this.current().type}`, 
                            this.current().position);
@@ -243,7 +255,20 @@ export class ChemicalParser {
     try {
       const tokens = ChemicalLexer.tokenize(formula);
       const parser = new ChemicalParser(tokens);
-      return parser.parse();
+      const result = parser.parse();
+      
+      // Keep the abbreviated spelling (Ph3P, Cu(en)2) for display
+      if (tokens.some(token => token.type === TokenType.MACRO)) {
+        result.abbreviated = formulaCore(formula);
+      }
+      
+      // Condensed structural formulas keep their grouping: CH3(CH2)4COOH -> CH3, (CH2)4, COOH
+      const structure = condensedStructure(formula, tokens);
+      if (structure && hasCarbon(result.elements) && result.elements.H) {
+        result.structure = structure;
+      }
+      
+      return result;
     } catch (error) {
       if (error instanceof ParseError) {
         throw new ParseError(`Parse error in "${formula}": ${error.message}`, error.position);
@@ -253,6 +278,111 @@ export class ChemicalParser {
   }
 }
 
+// Top-level units of a condensed structural formula. A unit starts at a carbon, a macro, a bracketed
+// group, after a bond mark and at any other atom that follows a hydrogen (CH3CH2OH -> CH3, CH2, OH;
+// CH3COOH -> CH3, COOH; C6H5NO2 -> C6H5, NO2); leading hydrogens join the next atom (HC≡CH -> HC, CH).
+// Returns null for a single unit, a first unit without carbon (NaHCO3) or a hydrate.
+function condensedStructure(formula, tokens) {
+  const text = formula.trim();
+  const units = [];
+  const unitElements = unitFormula => new ChemicalParser(ChemicalLexer.tokenize(unitFormula)).parseFormula().elements;
+  let run = null;
+  let bond = null;
+  
+  // Close the current run of atoms as one unit
+  const closeRun = endPosition => {
+    if (!run) return;
+    const unitFormula = text.slice(run.start, endPosition).trim();
+    units.push({ formula: unitFormula, count: 1, elements: unitElements(unitFormula), bracket: null, bond: run.bond });
+    run = null;
+  };
+  
+  let i = 0;
+  while (i < tokens.length) {
+    const token = tokens[i];
+    
+    if (token.type === TokenType.DOT) return null;
+    if (token.type === TokenType.CHARGE || token.type === TokenType.PHASE || token.type === TokenType.EOF) {
+      closeRun(token.position);
+      break;
+    }
+    
+    if (token.type === TokenType.BOND) {
+      closeRun(token.position);
+      bond = token.value;
+      i++;
+      continue;
+    }
+    
+    const isotope = token.type === TokenType.LBRACKET && tokens[i + 1]?.type === TokenType.NUMBER &&
+                    tokens[i + 2]?.type === TokenType.ELEMENT && tokens[i + 3]?.type === TokenType.RBRACKET;
+    
+    // Bracketed group with its multiplier: (CH2)4
+    if (!isotope && (token.type === TokenType.LPAREN || token.type === TokenType.LBRACKET)) {
+      closeRun(token.position);
+      let depth = 0;
+      let closing = i;
+      for (; closing < tokens.length; closing++) {
+        const type = tokens[closing].type;
+        if (type === TokenType.LPAREN || type === TokenType.LBRACKET) depth++;
+        if (type === TokenType.RPAREN || type === TokenType.RBRACKET) depth--;
+        if (depth === 0) break;
+      }
+      if (closing >= tokens.length) return null;
+      
+      const unitFormula = text.slice(tokens[i + 1].position, tokens[closing].position).trim();
+      const counted = tokens[closing + 1]?.type === TokenType.NUMBER;
+      units.push({
+        formula: unitFormula,
+        count: counted ? tokens[closing + 1].value : 1,
+        elements: unitElements(unitFormula),
+        bracket: token.value,
+        bond
+      });
+      bond = null;
+      i = closing + (counted ? 2 : 1);
+      continue;
+    }
+    
+    if (token.type !== TokenType.ELEMENT && token.type !== TokenType.MACRO && !isotope) return null;
+    
+    // One atom (element, macro or isotope label) with its subscript
+    const symbol = isotope ? tokens[i + 2].value : token.value;
+    const last = isotope ? i + 3 : i;
+    const next = tokens[last + 1]?.type === TokenType.NUMBER ? last + 2 : last + 1;
+    const macro = token.type === TokenType.MACRO;
+    const hydrogen = !macro && symbol === 'H';
+    
+    const startsUnit = !run || bond !== null || macro || run.macro ||
+                       (!hydrogen && !run.onlyHydrogen && (symbol === 'C' || run.afterHydrogen));
+    if (startsUnit) {
+      closeRun(token.position);
+      run = { start: token.position, bond, macro, onlyHydrogen: hydrogen, afterHydrogen: hydrogen };
+      bond = null;
+    } else {
+      run.onlyHydrogen = run.onlyHydrogen && hydrogen;
+      run.afterHydrogen = hydrogen;
+    }
+    i = next;
+  }
+  
+  if (units.length < 2 || !hasCarbon(units[0].elements)) return null;
+  return units;
+}
+
+// Carbon, labelled or not ({C-13: 1} counts)
+function hasCarbon(elements) {
+  return Object.keys(elements).some(element => element === 'C' || element.startsWith('C-'));
+}
+
+// Condensed formula text of a structure, bonds and brackets as written
+function structureText(structure) {
+  return structure.map(unit => {
+    const body = unit.bracket ? `${unit.bracket}${unit.formula}${unit.bracket === '[' ? ']' : ')'}` : unit.formula;
+    return `${unit.bond || ''}${body}${unit.count === 1 ? '' : unit.count}`;
+  }).join('');
+}
+
 // Helper function to parse formula string
 export function parseFormula(formula) {
   return ChemicalParser.parse(formula);
@@ -282,7 +412,50 @@ export function getElements(formula) {
   }
 }
 
-// Helper function to format parsed composition for display
+// Helper function to strip charge and phase from a formula string (MnO4^-(aq) -> MnO4)
+export function formulaCore(formula) {
+  const text = formula.trim();
+  const tokens = ChemicalLexer.tokenize(text);
+  let core = '';
+  let cursor = 0;
+  
+  // Each token ends where the next one starts (EOF is always last)
+  tokens.forEach((token, i) => {
+    if (token.type === TokenType.CHARGE || token.type === TokenType.PHASE) {
+      core += text.slice(cursor, token.position);
+      cursor = tokens[i + 1].position;
+    }
+  });
+  
+  return (core + text.slice(cursor)).trim();
+}
+
+// Helper function to key a composition by its sorted element counts, e.g. "C1|O2"; with a charge,
+// "Mn1|O4|-1". Species match on it however the formula was written (CO2(g), OCO, C O2)
+export function compositionKey(elements, charge = null) {
+  const key = Object.keys(elements).sort().map(element => `${element}${elements[element]}`).join('|');
+  return charge === null ? key : `${key}|${charge || 0}`;
+}
+
+// Helper function to find species given with more than one phase, e.g. NaCl(aq) and NaCl(s)
+// on the same side of an equation. Species are {formula, charge, phase}; unlabelled ones never conflict.
+export function findPhaseConflicts(species) {
+  const seen = new Map();
+  
+  for (const { formula, charge = 0, phase } of species) {
+    if (!phase) continue;
+    const key = `${formula}_${charge || 0}`;
+    const entry = seen.get(key) || { formula, charge: charge || 0, phases: [] };
+    if (!entry.phases.includes(phase)) {
+      entry.phases.push(phase);
+    }
+    seen.set(key, entry);
+  }
+  
+  return [...seen.values()].filter(entry => entry.phases.length > 1);
+}
+
+// Helper function to format parsed composition for display (abbreviated spelling and condensed grouping are kept)
 export function formatComposition(composition) {
   const parts = [];
   
@@ -294,7 +467,7 @@ export function formatComposition(composition) {
     }
   }
   
-  let result = parts.join('');
+  let result = composition.abbreviated || (composition.structure ? structureText(composition.structure) : parts.join(''));
   
   if (composition.charge !== 0) {
     if (composition.charge === 1) {
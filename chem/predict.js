@@ -0,0 +1,336 @@
+/**
+ * Product prediction
+ * Proposes products for reactant-only equations ("C3H8 + O2 ->") from the common
+ * reaction classes, ranked by confidence. Candidates are unbalanced; the caller
+ * balances each one and drops those that do not balance.
+ */
+
+import { parseFormula } from './parser.js';
+import { NetIonicEngine } from './ionic.js';
+
+// Common charges of metals, most common first
+export const METAL_CHARGES = {
+  Li: [1], Na: [1], K: [1], Rb: [1], Cs: [1],
+  Be: [2], Mg: [2], Ca: [2], Sr: [2], Ba: [2],
+  Al: [3], Zn: [2], Cd: [2], Ag: [1], Ni: [2],
+  Fe: [2, 3], Cu: [2, 1], Co: [2, 3], Cr: [3, 2], Mn: [2, 4],
+  Sn: [2, 4], Pb: [2], Hg: [2, 1], Au: [3], Pt: [2]
+};
+
+// Activity series: metals before H displace hydrogen from acids
+export const ACTIVITY_SERIES = [
+  'Li', 'K', 'Ba', 'Sr', 'Ca', 'Na', 'Mg', 'Al', 'Mn', 'Zn', 'Cr', 'Fe', 'Cd', 'Co', 'Ni', 'Sn', 'Pb',
+  'H',
+  'Cu', 'Hg', 'Ag', 'Pt', 'Au'
+];
+
+// Elements that exist as diatomic molecules
+const DIATOMIC = ['H', 'N', 'O', 'F', 'Cl', 'Br', 'I'];
+const FUEL_ELEMENTS = ['C', 'H', 'O', 'N', 'S'];
+const GROUP_1 = ['Li', 'Na', 'K', 'Rb', 'Cs'];
+
+const OXIDE = { formula: 'O', charge: -2 };
+
+export class ProductPredictor {
+
+  /**
+   * Candidate products for a list of reactants
+   * @param {Array<string|Object>} reactants - Formulas or parsed species ({formula, composition, charge})
+   * @returns {Object} {candidates: [{products, type, confidence, reason}], notes: string[]};
+   *   candidates are sorted by confidence (0-1) and product formulas carry predicted phases
+   */
+  static predict(reactants) {
+    const species = reactants.map(reactant => this.describe(reactant));
+    const notes = [];
+    const candidates = [
+      ...this.combustion(species),
+      ...this.metalOxygen(species),
+      ...this.metalAcid(species, notes),
+      ...this.neutralization(species),
+      ...this.doubleDisplacement(species, notes),
+      ...this.decomposition(species)
+    ];
+
+    // Keep the most confident candidate for each product set
+    const unique = new Map();
+    for (const candidate of candidates) {
+      const key = [...candidate.products].sort().join(' + ');
+      if (!unique.has(key) || unique.get(key).confidence < candidate.confidence) {
+        unique.set(key, candidate);
+      }
+    }
+
+    return {
+      candidates: [...unique.values()].sort((a, b) => b.confidence - a.confidence),
+      notes
+    };
+  }
+
+  static describe(reactant) {
+    const parsed = typeof reactant === 'string' ? parseFormula(reactant) : null;
+    const composition = parsed ? parsed.elements : (reactant.composition || reactant.elements);
+    const charge = parsed ? parsed.charge : (reactant.charge || 0);
+    const formula = typeof reactant === 'string' ? reactant : reactant.formula;
+    const elements = Object.keys(composition);
+    const ionic = NetIonicEngine.classify({ formula, composition, charge });
+
+    return {
+      formula,
+      composition,
+      charge,
+      ionic,
+      element: elements.length === 1 && charge === 0 ? elements[0] : null,
+      isOxygen: elements.length === 1 && composition.O === 2 && charge === 0
+    };
+  }
+
+  // Fuel + O2 → CO2 + H2O (+ SO2, N2)
+  static combustion(species) {
+    const oxygen = species.find(s => s.isOxygen);
+    const fuels = species.filter(s => s !== oxygen);
+    if (!oxygen || fuels.length !== 1) return [];
+
+    const [fuel] = fuels;
+    const elements = Object.keys(fuel.composition);
+    if (!elements.every(element => FUEL_ELEMENTS.includes(element)) || !(fuel.composition.C || fuel.composition.H)) {
+      return [];
+    }
+
+    const products = [];
+    if (fuel.composition.C) products.push('CO2');
+    if (fuel.composition.H) products.push('H2O');
+    if (fuel.composition.S) products.push('SO2');
+    if (fuel.composition.N) products.push('N2');
+
+    const candidates = [{
+      products,
+      type: 'combustion',
+      confidence: 0.95,
+      reason: `${fuel.formula} burns completely in O2`
+    }];
+    if (fuel.composition.C && fuel.composition.H) {
+      candidates.push({
+        products: ['CO', ...products.slice(1)],
+        type: 'combustion',
+        confidence: 0.3,
+        reason: `Incomplete combustion of ${fuel.formula} in limited O2`
+      });
+    }
+    return candidates;
+  }
+
+  // Metal + O2 → metal oxide, one candidate per common charge
+  static metalOxygen(species) {
+    const oxygen = species.find(s => s.isOxygen);
+    const metal = species.find(s => s.element && METAL_CHARGES[s.element]);
+    if (!oxygen || !metal || species.length !== 2) return [];
+
+    // O2 is a strong oxidant, so the highest common charge ranks first
+    const charges = [...METAL_CHARGES[metal.element]].sort((a, b) => b - a);
+    return charges.map((charge, i) => ({
+      products: [this.saltFormula({ formula: metal.element, charge }, OXIDE)],
+      type: 'metal-oxygen',
+      confidence: i === 0 ? 0.85 : 0.5,
+      reason: `${metal.element} forms the oxide of ${metal.element}${superscript(charge)}`
+    }));
+  }
+
+  // Active metal + acid → salt + H2
+  static metalAcid(species, notes) {
+    const metal = species.find(s => s.element && METAL_CHARGES[s.element]);
+    const acid = species.find(s => ['strong-acid', 'weak-acid'].includes(s.ionic.kind));
+    if (!metal || !acid || species.length !== 2) return [];
+
+    const anion = acid.ionic.ions.find(ion => ion.charge < 0);
+    if (ACTIVITY_SERIES.indexOf(metal.element) > ACTIVITY_SERIES.indexOf('H')) {
+      notes.push(`${metal.element} is below hydrogen in the activity series and does not displace H2 from ${acid.formula}`);
+      return [];
+    }
+
+    // H+ is a mild oxidant, so the lowest common charge ranks first
+    const charges = [...METAL_CHARGES[metal.element]].sort((a, b) => a - b);
+    const oxidizing = anion.formula === 'NO3';
+    return charges.map((charge, i) => ({
+      products: [this.saltFormula({ formula: metal.element, charge }, anion), 'H2'],
+      type: 'single-displacement',
+      confidence: (i === 0 ? 0.85 : 0.45) * (oxidizing ? 0.5 : 1),
+      reason: `${metal.element} is above hydrogen in the activity series and displaces H2 from ${acid.formula}` +
+        (oxidizing ? '; nitric acid usually gives nitrogen oxides instead' : '')
+    }));
+  }
+
+  // Acid + base → salt + water; acid + carbonate → salt + CO2 + water
+  static neutralization(species) {
+    const acid = species.find(s => ['strong-acid', 'weak-acid'].includes(s.ionic.kind));
+    const other = species.find(s => s !== acid);
+    if (!acid || !other || species.length !== 2) return [];
+
+    const anion = acid.ionic.ions.find(ion => ion.charge < 0);
+    const { kind, ions } = other.ionic;
+
+    if (kind === 'weak-base' && other.composition.N === 1 && other.composition.H === 3) {
+      return [{
+        products: [this.saltFormula({ formula: 'NH4', charge: 1 }, anion)],
+        type: 'neutralization',
+        confidence: 0.9,
+        reason: `NH3 accepts a proton from ${acid.formula} to form an ammonium salt`
+      }];
+    }
+
+    const cation = ions.find(ion => ion.charge > 0);
+    const base = ions.find(ion => ion.charge < 0);
+    if (!cation || !base) return [];
+
+    const salt = this.saltFormula(cation, anion);
+    if (base.formula === 'OH') {
+      return [{
+        products: [salt, 'H2O'],
+        type: 'neutralization',
+        confidence: 0.95,
+        reason: `${acid.formula} neutralizes the hydroxide ${other.formula} to a salt and water`
+      }];
+    }
+    if (base.formula === 'CO3' || base.formula === 'HCO3') {
+      return [{
+        products: [salt, 'H2O', 'CO2'],
+        type: 'neutralization',
+        confidence: 0.9,
+        reason: `${acid.formula} reacts with the ${base.formula === 'CO3' ? 'carbonate' : 'hydrogen carbonate'} to give a salt, water and CO2 (from H2CO3)`
+      }];
+    }
+    return [];
+  }
+
+  // AB + CD → AD + CB when one product is insoluble
+  static doubleDisplacement(species, notes) {
+    if (species.length !== 2) return [];
+
+    const pairs = species.map(s => {
+      if (!['soluble-salt', 'insoluble-salt', 'strong-base'].includes(s.ionic.kind)) return null;
+      const cation = s.ionic.ions.find(ion => ion.charge > 0);
+      const anion = s.ionic.ions.find(ion => ion.charge < 0);
+      return cation && anion ? { cation, anion } : null;
+    });
+    if (pairs.some(pair => !pair)) return [];
+
+    const [ab, cd] = pairs;
+    if (ab.cation.formula === cd.cation.formula || ab.anion.formula === cd.anion.formula) return [];
+
+    const products = [[ab.cation, cd.anion], [cd.cation, ab.anion]].map(([cation, anion]) => ({
+      formula: this.saltFormula(cation, anion),
+      ...NetIonicEngine.solubility(cation, anion)
+    }));
+    const precipitates = products.filter(product => !product.soluble);
+
+    if (precipitates.length === 0) {
+      notes.push(`Exchanging ions between ${species[0].formula} and ${species[1].formula} gives only soluble salts, so no precipitate forms`);
+      return [];
+    }
+
+    return [{
+      products: products.map(product => `${product.formula}(${product.soluble ? 'aq' : 's'})`),
+      type: 'precipitation',
+      confidence: 0.9,
+      reason: precipitates.map(product => `${product.formula} is insoluble (${product.rule})`).join('; ')
+    }];
+  }
+
+  // Single reactant: carbonates, hydrogen carbonates, hydroxides, chlorates, peroxide, water, binary compounds
+  static decomposition(species) {
+    if (species.length !== 1) return [];
+
+    const [reactant] = species;
+    const { composition, ionic } = reactant;
+    const key = Object.keys(composition).sort().map(element => `${element}${composition[element]}`).join('|');
+
+    if (key === 'H2|O2') {
+      return [{ products: ['H2O', 'O2'], type: 'decomposition', confidence: 0.95, reason: 'Hydrogen peroxide decomposes to water and oxygen' }];
+    }
+    if (ionic.kind === 'water') {
+      return [{ products: ['H2', 'O2'], type: 'decomposition', confidence: 0.8, reason: 'Electrolysis splits water into its elements' }];
+    }
+
+    const cation = ionic.ions.find(ion => ion.charge > 0);
+    const anion = ionic.ions.find(ion => ion.charge < 0);
+    if (cation && anion) {
+      const oxide = this.saltFormula(cation, OXIDE);
+      const stable = GROUP_1.includes(cation.formula);
+
+      switch (anion.formula) {
+        case 'CO3':
+          return [{
+            products: [oxide, 'CO2'],
+            type: 'decomposition',
+            confidence: stable ? 0.3 : 0.9,
+            reason: `Heating the carbonate releases CO2${stable ? ' (Group 1 carbonates resist this)' : ''}`
+          }];
+        case 'HCO3':
+          return [{
+            products: [this.saltFormula(cation, { formula: 'CO3', charge: -2 }), 'CO2', 'H2O'],
+            type: 'decomposition',
+            confidence: 0.85,
+            reason: 'Heating the hydrogen carbonate gives the carbonate, CO2 and water'
+          }];
+        case 'OH':
+          return [{
+            products: [oxide, 'H2O'],
+            type: 'decomposition',
+            confidence: stable ? 0.3 : 0.85,
+            reason: 'Heating the hydroxide drives off water, leaving the oxide'
+          }];
+        case 'ClO3':
+          return [{
+            products: [this.saltFormula(cation, { formula: 'Cl', charge: -1 }), 'O2'],
+            type: 'decomposition',
+            confidence: 0.9,
+            reason: 'Heating the chlorate releases O2, leaving the chloride'
+          }];
+        default:
+          break;
+      }
+    }
+
+    // Binary compound → its elements
+    const elements = Object.keys(composition);
+    if (elements.length === 2 && reactant.charge === 0) {
+      return [{
+        products: elements.map(element => DIATOMIC.includes(element) ? `${element}2` : element),
+        type: 'decomposition',
+        confidence: 0.5,
+        reason: `${reactant.formula} breaks down into its elements`
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Neutral formula of a cation and an anion, e.g. Al³⁺ + SO₄²⁻ → Al2(SO4)3
+   * @param {Object} cation - {formula, charge}
+   * @param {Object} anion - {formula, charge}
+   * @returns {string}
+   */
+  static saltFormula(cation, anion) {
+    const divisor = gcd(cation.charge, -anion.charge);
+    const part = (ion, count) => {
+      if (count === 1) return ion.formula;
+      return isPolyatomic(ion.formula) ? `(${ion.formula})${count}` : `${ion.formula}${count}`;
+    };
+    return part(cation, -anion.charge / divisor) + part(anion, cation.charge / divisor);
+  }
+}
+
+// More than one atom: NH4, SO4, OH, Hg2
+function isPolyatomic(formula) {
+  return /\d/.test(formula) || (formula.match(/[A-Z]/g) || []).length > 1;
+}
+
+function superscript(charge) {
+  return `${charge > 1 ? charge : ''}+`;
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+export default ProductPredictor;
@@ -4,6 +4,7 @@
  */
 
 import { parseFormula } from './parser.js';
+import { STANDARD_REDUCTION_POTENTIALS } from './electrochemistry.js';
 
 export class RedoxHelper {
   
@@ -223,19 +224,33 @@ export class RedoxHelper {
    * @returns {Array} List of common redox couples
    */
   static getCommonRedoxCouples() {
-    return [
-      { oxidized: 'MnO4-', reduced: 'Mn2+', medium: 'acidic', eº: 1.51 },
-      { oxidized: 'MnO4-', reduced: 'MnO2', medium: 'basic', eº: 0.59 },
-      { oxidized: 'Cr2O7^2-', reduced: 'Cr3+', medium: 'acidic', eº: 1.33 },
-      { oxidized: 'Fe3+', reduced: 'Fe2+', medium: 'any', eº: 0.77 },
-      { oxidized: 'Cu2+', reduced: 'Cu', medium: 'any', eº: 0.34 },
-      { oxidized: 'H+', reduced: 'H2', medium: 'acidic', eº: 0.00 },
-      { oxidized: 'O2', reduced: 'H2O', medium: 'acidic', eº: 1.23 },
-      { oxidized: 'O2', reduced: 'OH-', medium: 'basic', eº: 0.40 },
-      { oxidized: 'Cl2', reduced: 'Cl-', medium: 'any', eº: 1.36 },
-      { oxidized: 'Br2', reduced: 'Br-', medium: 'any', eº: 1.07 },
-      { oxidized: 'I2', reduced: 'I-', medium: 'any', eº: 0.54 }
+    const common = [
+      ['MnO4-', 'Mn^2+', 'acidic'],
+      ['MnO4-', 'MnO2', 'basic'],
+      ['Cr2O7^2-', 'Cr^3+', 'acidic'],
+      ['Fe^3+', 'Fe^2+', 'any'],
+      ['Cu^2+', 'Cu', 'any'],
+      ['H+', 'H2', 'acidic'],
+      ['O2', 'H2O', 'acidic'],
+      ['O2', 'OH-', 'basic'],
+      ['Cl2', 'Cl-', 'any'],
+      ['Br2', 'Br-', 'any'],
+      ['I2', 'I-', 'any']
     ];
+
+    return common.map(([oxidized, reduced, medium]) => STANDARD_REDUCTION_POTENTIALS.find(
+      c => c.oxidized === oxidized && c.reduced === reduced && c.medium === medium
+    ));
+  }
+
+  /**
+   * Full standard reduction potential table (E° vs. SHE, 298.15 K)
+   * @param {string} medium - Optional filter: 'acidic', 'basic' or 'any'
+   * @returns {Array} Redox couples
+   */
+  static getStandardReductionPotentials(medium = null) {
+    if (!medium) return STANDARD_REDUCTION_POTENTIALS.slice();
+    return STANDARD_REDUCTION_POTENTIALS.filter(c => c.medium === medium || c.medium === 'any');
   }
   
   /**
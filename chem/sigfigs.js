@@ -0,0 +1,181 @@
+/**
+ * Significant figures
+ * Counts the significant figures of entered quantities and carries them through
+ * calculations: products and quotients keep the fewest significant figures, sums and
+ * differences keep the fewest decimal places. Every precision remembers which input
+ * limited it so results can explain their rounding.
+ */
+
+import { ATOMIC_WEIGHTS, ISOTOPE_MASSES } from './mass.js';
+
+// Counts, coefficients and defined constants never limit precision
+export const EXACT = Object.freeze({ sigFigs: Infinity, rule: 'exact', limitedBy: null });
+
+const NUMBER_PATTERN = /^[-+]?(\d*)(?:\.(\d*))?(?:e([-+]?\d+))?$/i;
+
+export class SigFigs {
+
+  /**
+   * Significant figures of an entered number
+   * Leading zeros never count; trailing zeros count after a decimal point ("2.50", "1200.")
+   * and not in a bare integer ("1200" has 2). Numbers are read from their shortest string.
+   * @param {string|number} input
+   * @returns {number}
+   * @throws {Error} When the input is not a number
+   */
+  static count(input) {
+    const { integer, fraction } = this.digits(input);
+
+    if (fraction !== null) {
+      const significant = (integer + fraction).replace(/^0+/, '');
+      return Math.max(significant.length, 1);
+    }
+    const significant = integer.replace(/^0+/, '').replace(/0+$/, '');
+    return Math.max(significant.length, 1);
+  }
+
+  /**
+   * Precision of a measured input
+   * @param {string|number} input - Value as entered
+   * @param {string} label - What was measured, e.g. "Fe" or "C₁"
+   * @param {string} unit - Unit shown with the value in explanations
+   * @param {number|null} sigFigs - Stated significant figures, overriding the count
+   * @returns {Object} {sigFigs, rule: 'measured', limitedBy: {label, value, sigFigs}}
+   */
+  static measured(input, label, unit = '', sigFigs = null) {
+    sigFigs = sigFigs ?? this.count(input);
+    const value = `${String(input).trim()}${unit ? ` ${unit}` : ''}`;
+    return { sigFigs, rule: 'measured', limitedBy: { label, value, sigFigs } };
+  }
+
+  /**
+   * Precision of a product or quotient: the fewest significant figures
+   * A factor that was itself a sum keeps its rule, so the explanation still names decimal places.
+   * @param {...Object} precisions - Precisions of every factor (EXACT for exact ones)
+   * @returns {Object} The limiting precision
+   */
+  static product(...precisions) {
+    const limiting = precisions.reduce((best, precision) => (precision.sigFigs < best.sigFigs ? precision : best), EXACT);
+    if (limiting.sigFigs === Infinity) return EXACT;
+    return { ...limiting, rule: limiting.rule === 'sum' ? 'sum' : 'product' };
+  }
+
+  /**
+   * Precision of a sum or difference: the fewest decimal places
+   * @param {Array<Object>} terms - [{value, precision}] for every term (signs do not matter)
+   * @param {number} result - Value of the sum
+   * @returns {Object} {sigFigs, rule: 'sum', limitedBy} with at least one significant figure
+   */
+  static sum(terms, result) {
+    let limiting = null;
+    let place = -Infinity;
+    for (const term of terms) {
+      const termPlace = this.lastPlace(term.value, term.precision.sigFigs);
+      if (termPlace > place) {
+        place = termPlace;
+        limiting = term.precision;
+      }
+    }
+    if (!limiting) return EXACT;
+
+    const sigFigs = result === 0 ? 1 : Math.max(magnitude(result) - place + 1, 1);
+    return { sigFigs, rule: 'sum', limitedBy: limiting.limitedBy };
+  }
+
+  /**
+   * Precision of a molar mass summed from the tabulated atomic weights
+   * @param {Object} elements - Element counts (isotope keys like 'C-13' allowed)
+   * @param {string} formula - Label for explanations
+   * @returns {Object}
+   */
+  static molarMass(elements, formula) {
+    const terms = Object.entries(elements).map(([elementKey, count]) => {
+      const weight = ISOTOPE_MASSES[elementKey] ?? ATOMIC_WEIGHTS[elementKey.split('-')[0]];
+      if (!weight) return { value: 0, precision: EXACT };
+      return { value: weight * count, precision: { sigFigs: this.count(weight), rule: 'measured', limitedBy: null } };
+    });
+    const total = terms.reduce((sum, term) => sum + term.value, 0);
+    if (total === 0) return EXACT;
+
+    const { sigFigs } = this.sum(terms, total);
+    return {
+      sigFigs,
+      rule: 'measured',
+      limitedBy: { label: `molar mass of ${formula}`, value: `${this.format(total, sigFigs)} g/mol`, sigFigs }
+    };
+  }
+
+  /**
+   * Round to a number of significant figures
+   * @param {number} value
+   * @param {number} sigFigs - Infinity leaves the value unchanged
+   * @returns {number}
+   */
+  static round(value, sigFigs) {
+    if (!Number.isFinite(value) || !Number.isFinite(sigFigs) || value === 0) return value;
+    return Number(value.toPrecision(Math.min(Math.max(sigFigs, 1), 100)));
+  }
+
+  /**
+   * Format with exactly the significant figures given, keeping trailing zeros
+   * Integers whose last zero is significant get a decimal point ("10." for 2 figures);
+   * values too large or small for that become "1.20e3".
+   * @param {number} value
+   * @param {number} sigFigs - Infinity prints the full value
+   * @returns {string}
+   */
+  static format(value, sigFigs) {
+    if (!Number.isFinite(value)) return String(value);
+    if (!Number.isFinite(sigFigs) || value === 0) return String(value);
+
+    const text = value.toPrecision(Math.min(Math.max(sigFigs, 1), 100)).replace(/e\+?/, 'e');
+    if (!text.includes('.') && !text.includes('e') && /0$/.test(text)) {
+      return `${text}.`;
+    }
+    return text;
+  }
+
+  /**
+   * Sentence naming the input that limited a precision
+   * @param {Object} precision
+   * @returns {string}
+   */
+  static explain(precision) {
+    if (!precision || precision.sigFigs === Infinity || !precision.limitedBy) {
+      return 'Exact: no measured input limits this value';
+    }
+    const { label, value, sigFigs } = precision.limitedBy;
+    const figures = `${precision.sigFigs} significant figure${precision.sigFigs === 1 ? '' : 's'}`;
+    return precision.rule === 'sum'
+      ? `${figures}: decimal places limited by ${label} (${value})`
+      : `${figures}: limited by ${label} (${value}, ${sigFigs} significant figure${sigFigs === 1 ? '' : 's'})`;
+  }
+
+  // Exponent of the last significant digit of a value with the given significant figures
+  static lastPlace(value, sigFigs) {
+    if (sigFigs === Infinity) return -Infinity;
+    return value === 0 ? 0 : magnitude(value) - sigFigs + 1;
+  }
+
+  // Integer and fraction digit strings of a number's mantissa
+  static digits(input) {
+    const text = typeof input === 'number' ? String(input) : String(input ?? '').trim();
+    const match = text.match(NUMBER_PATTERN);
+    if (!match || (!match[1] && !match[2])) {
+      throw new Error(`Not a number: ${input}`);
+    }
+    return { integer: match[1] || '', fraction: match[2] !== undefined ? match[2] : null };
+  }
+}
+
+// Exponent of the leading digit
+function magnitude(value) {
+  return Math.floor(Math.log10(Math.abs(value)));
+}
+
+// Convenience function
+export function countSigFigs(input) {
+  return SigFigs.count(input);
+}
+
+export default SigFigs;
@@ -0,0 +1,507 @@
+/**
+ * Solution stoichiometry
+ * Concentration units, dilution (C1V1 = C2V2) and titration endpoints.
+ * Solution amounts are converted to moles and passed to the stoichiometry engine,
+ * so volumes of solution can be mixed freely with gram inputs.
+ */
+
+import { StoichiometryEngine, StoichiometryError } from './stoichiometry.js';
+import { SigFigs, EXACT } from './sigfigs.js';
+
+// Volume units, in litres
+export const VOLUME_UNITS = {
+  L: { factor: 1, label: 'L' },
+  mL: { factor: 1e-3, label: 'mL' },
+  'µL': { factor: 1e-6, label: 'µL' }
+};
+
+// Concentration units understood by toMolarity/fromMolarity
+export const CONCENTRATION_UNITS = {
+  M: { kind: 'molarity', factor: 1, label: 'M (mol/L)' },
+  mM: { kind: 'molarity', factor: 1e-3, label: 'mM (mmol/L)' },
+  m: { kind: 'molality', factor: 1, label: 'm (mol/kg solvent)' },
+  N: { kind: 'normality', factor: 1, label: 'N (eq/L)' },
+  '%w/v': { kind: 'mass-volume', factor: 10, label: '% w/v (g/100 mL)' },   // g/L per %
+  ppm: { kind: 'mass-volume', factor: 1e-3, label: 'ppm (mg/L)' }         // g/L per ppm
+};
+
+export class SolutionCalculator {
+
+  /**
+   * Convert a concentration to molarity
+   * @param {number} value - Concentration in the given unit
+   * @param {string} unit - Key of CONCENTRATION_UNITS
+   * @param {Object} options
+   * @param {number} options.molarMass - Solute molar mass in g/mol (% w/v, ppm and molality)
+   * @param {number} options.equivalents - Equivalents per mole of solute (normality, default 1)
+   * @param {number} options.density - Solution density in g/mL (molality)
+   * @returns {number} Concentration in mol/L
+   */
+  static toMolarity(value, unit = 'M', options = {}) {
+    const concentration = this.positive(value, 'concentration', 'INVALID_CONCENTRATION');
+    const unitInfo = this.concentrationUnit(unit);
+
+    switch (unitInfo.kind) {
+      case 'molarity':
+        return concentration * unitInfo.factor;
+
+      case 'normality':
+        return concentration / this.equivalentsOption(options);
+
+      case 'mass-volume':
+        return (concentration * unitInfo.factor) / this.molarMassOption(options);
+
+      case 'molality': {
+        // 1 kg solvent holds m mol solute; the solution weighs 1000 + m·M g
+        const molarMass = this.molarMassOption(options);
+        const density = this.densityOption(options);
+        return (concentration * density * 1000) / (1000 + concentration * molarMass);
+      }
+    }
+  }
+
+  /**
+   * Convert a molarity to another concentration unit
+   * @param {number} molarity - mol/L
+   * @param {string} unit - Key of CONCENTRATION_UNITS
+   * @param {Object} options - As for toMolarity
+   * @returns {number} Concentration in the target unit
+   */
+  static fromMolarity(molarity, unit = 'M', options = {}) {
+    const unitInfo = this.concentrationUnit(unit);
+
+    switch (unitInfo.kind) {
+      case 'molarity':
+        return molarity / unitInfo.factor;
+
+      case 'normality':
+        return molarity * this.equivalentsOption(options);
+
+      case 'mass-volume':
+        return (molarity * this.molarMassOption(options)) / unitInfo.factor;
+
+      case 'molality': {
+        // 1 L solution weighs 1000·ρ g, of which M·molarMass g is solute
+        const molarMass = this.molarMassOption(options);
+        const solventGrams = this.densityOption(options) * 1000 - molarity * molarMass;
+        if (!(solventGrams > 0)) {
+          throw new StoichiometryError('Solute mass exceeds the solution mass; check the density', 'INVALID_DENSITY');
+        }
+        return (molarity * 1000) / solventGrams;
+      }
+    }
+  }
+
+  /**
+   * Convert between two concentration units
+   * @param {number} value
+   * @param {string} from - Key of CONCENTRATION_UNITS
+   * @param {string} to - Key of CONCENTRATION_UNITS
+   * @param {Object} options - As for toMolarity
+   * @returns {number}
+   */
+  static convert(value, from, to, options = {}) {
+    return this.fromMolarity(this.toMolarity(value, from, options), to, options);
+  }
+
+  /**
+   * Moles of solute in a volume of solution
+   * @param {Object} solution
+   * @param {number} solution.volume - Volume of solution
+   * @param {string} solution.volumeUnit - Key of VOLUME_UNITS (default 'mL')
+   * @param {number} solution.concentration - Concentration value
+   * @param {string} solution.concentrationUnit - Key of CONCENTRATION_UNITS (default 'M')
+   * @param {Object} options - molarMass, equivalents, density (see toMolarity)
+   * @returns {number} Moles of solute
+   */
+  static moles({ volume, volumeUnit = 'mL', concentration, concentrationUnit = 'M' }, options = {}) {
+    const litres = this.toLitres(volume, volumeUnit);
+    return litres * this.toMolarity(concentration, concentrationUnit, options);
+  }
+
+  /**
+   * Volume of solution holding a number of moles
+   * @param {number} moles
+   * @param {number} concentration
+   * @param {string} concentrationUnit - Key of CONCENTRATION_UNITS
+   * @param {string} volumeUnit - Key of VOLUME_UNITS for the result
+   * @param {Object} options - molarMass, equivalents, density (see toMolarity)
+   * @returns {number} Volume in volumeUnit
+   */
+  static volumeFor(moles, concentration, concentrationUnit = 'M', volumeUnit = 'mL', options = {}) {
+    const molarity = this.toMolarity(concentration, concentrationUnit, options);
+    return moles / molarity / this.volumeUnit(volumeUnit).factor;
+  }
+
+  /**
+   * Dilution: solve C1V1 = C2V2 for whichever of the four values is missing
+   * Concentrations share one unit and volumes share one unit, so any linear unit works.
+   * @param {Object} values - {c1, v1, c2, v2} with exactly one left null/undefined; strings keep
+   *   their trailing zeros for significant figures
+   * @returns {Object} All four values, the one solved for, the solvent volume to add and the
+   *   significant figures of each (`precision`)
+   */
+  static dilution({ c1 = null, v1 = null, c2 = null, v2 = null }) {
+    const values = { c1, v1, c2, v2 };
+    const missing = Object.keys(values).filter(key => values[key] === null || values[key] === undefined || values[key] === '');
+    if (missing.length !== 1) {
+      throw new StoichiometryError('Leave exactly one of C1, V1, C2 and V2 blank', 'DILUTION_UNKNOWNS');
+    }
+
+    const known = {};
+    for (const [key, value] of Object.entries(values)) {
+      if (key !== missing[0]) {
+        known[key] = this.positive(value, key.startsWith('c') ? 'concentration' : 'volume',
+          key.startsWith('c') ? 'INVALID_CONCENTRATION' : 'INVALID_VOLUME');
+      }
+    }
+
+    const solved = missing[0];
+    const result = { ...known };
+    switch (solved) {
+      case 'c1': result.c1 = (known.c2 * known.v2) / known.v1; break;
+      case 'v1': result.v1 = (known.c2 * known.v2) / known.c1; break;
+      case 'c2': result.c2 = (known.c1 * known.v1) / known.v2; break;
+      case 'v2': result.v2 = (known.c1 * known.v1) / known.c2; break;
+    }
+
+    if (result.c2 > result.c1 * (1 + 1e-12)) {
+      throw new StoichiometryError('A dilution cannot raise the concentration (C2 > C1)', 'NOT_A_DILUTION');
+    }
+
+    const labels = { c1: 'C₁', v1: 'V₁', c2: 'C₂', v2: 'V₂' };
+    const precision = {};
+    for (const key of Object.keys(known)) {
+      precision[key] = SigFigs.measured(values[key], labels[key]);
+    }
+    precision[solved] = SigFigs.product(...Object.values(precision));
+    precision.solventAdded = SigFigs.sum([
+      { value: result.v2, precision: precision.v2 },
+      { value: result.v1, precision: precision.v1 }
+    ], result.v2 - result.v1);
+    precision.dilutionFactor = SigFigs.product(precision.c1, precision.c2);
+
+    return {
+      c1: result.c1,
+      v1: result.v1,
+      c2: result.c2,
+      v2: result.v2,
+      solved,
+      solventAdded: result.v2 - result.v1,
+      dilutionFactor: result.c1 / result.c2,
+      precision
+    };
+  }
+
+  /**
+   * Titration endpoint from a balanced equation
+   * The side with both volume and concentration (or a weighed amount) fixes the moles at the
+   * equivalence point; the other side's missing volume or concentration is solved from the mole ratio.
+   * @param {Object} balanced - Successful balance result
+   * @param {Object} setup
+   * @param {Object} setup.titrant - {index, volume, volumeUnit, concentration, concentrationUnit}
+   * @param {Object} setup.analyte - Same fields, or {index, amount: {value, unit}} for a weighed sample
+   * @returns {Object} Both species with moles, volume (in their volumeUnit), concentration and
+   *   the significant figures of each (`precision`)
+   */
+  static titration(balanced, { titrant, analyte }) {
+    const species = StoichiometryEngine.describeSpecies(balanced);
+    const compounds = [...(balanced.reactants || []), ...(balanced.products || [])];
+    const sides = [
+      this.titrationSide(species, compounds, titrant, 'titrant'),
+      this.titrationSide(species, compounds, analyte, 'analyte')
+    ];
+    if (sides[0].entry.index === sides[1].entry.index) {
+      throw new StoichiometryError('Titrant and analyte must be different species', 'SAME_SPECIES');
+    }
+
+    const known = sides.find(side => side.moles !== null);
+    const unknown = sides.find(side => side !== known);
+    if (!known || unknown.moles !== null) {
+      throw new StoichiometryError(
+        'Give both volume and concentration for one species and only one of them for the other',
+        'TITRATION_UNKNOWNS'
+      );
+    }
+
+    const extent = known.moles / known.entry.coefficient;
+    unknown.moles = extent * unknown.entry.coefficient;
+    unknown.precision.moles = known.precision.moles;
+
+    let solved;
+    if (unknown.volume !== null) {
+      const molarity = unknown.moles / this.toLitres(unknown.volume, unknown.volumeUnit);
+      unknown.concentration = this.fromMolarity(molarity, unknown.concentrationUnit, unknown.options);
+      unknown.precision.concentration = SigFigs.product(unknown.precision.moles, unknown.precision.volume);
+      solved = `${unknown.role}.concentration`;
+    } else if (unknown.concentration !== null) {
+      unknown.volume = this.volumeFor(
+        unknown.moles, unknown.concentration, unknown.concentrationUnit, unknown.volumeUnit, unknown.options
+      );
+      unknown.precision.volume = SigFigs.product(unknown.precision.moles, unknown.precision.concentration);
+      solved = `${unknown.role}.volume`;
+    } else {
+      throw new StoichiometryError(`Give a volume or a concentration for the ${unknown.role}`, 'TITRATION_UNKNOWNS');
+    }
+
+    const report = side => ({
+      index: side.entry.index,
+      formula: side.entry.formula,
+      coefficient: side.entry.coefficient,
+      moles: side.moles,
+      grams: side.entry.molarMass > 0 ? side.moles * side.entry.molarMass : null,
+      volume: side.volume,
+      volumeUnit: side.volumeUnit,
+      concentration: side.concentration,
+      concentrationUnit: side.concentrationUnit,
+      precision: {
+        ...side.precision,
+        grams: SigFigs.product(side.precision.moles, side.entry.molarMassPrecision)
+      }
+    });
+
+    return {
+      extent,
+      solved,
+      moleRatio: `${sides[0].entry.coefficient}:${sides[1].entry.coefficient}`,
+      titrant: report(sides[0]),
+      analyte: report(sides[1])
+    };
+  }
+
+  /**
+   * Stoichiometry with solution inputs
+   * Entries of amounts may be gram/mole inputs as for StoichiometryEngine.calculate, or solutions
+   * {volume, volumeUnit, concentration, concentrationUnit, equivalents, density}. A solution with
+   * a volume counts as a given amount; one with only a concentration reports the volume consumed
+   * or formed (the titration endpoint).
+   * @param {Object} balanced - Successful balance result
+   * @param {Array<Object|null>} amounts - Aligned with [...reactants, ...products]
+   * @returns {Object} StoichiometryEngine.calculate result; solution species gain a `solution` record
+   */
+  static calculate(balanced, amounts = []) {
+    const { converted, solutions } = this.convertAmounts(balanced, amounts);
+    const result = StoichiometryEngine.calculate(balanced, converted);
+
+    result.species.forEach(entry => {
+      const solution = solutions[entry.index];
+      if (!solution) return;
+
+      // Report the solution volume instead of the mol-unit stand-in
+      if (solution.givenVolume !== null) {
+        entry.given = { ...entry.given, value: solution.givenVolume, unit: solution.volumeUnit };
+      }
+      entry.solution = {
+        ...solution,
+        volume: entry.moles / solution.molarity / this.volumeUnit(solution.volumeUnit).factor
+      };
+      entry.precision.volume = SigFigs.product(entry.precision.moles, solution.precision);
+    });
+
+    return result;
+  }
+
+  /**
+   * Replace solution entries by their moles so other StoichiometryEngine calls
+   * (percentYield, requiredForYield) accept the same amounts as calculate
+   * @param {Object} balanced - Successful balance result
+   * @param {Array<Object|null>} amounts - As for calculate
+   * @returns {Array<Object|null>} Amounts without solution entries
+   */
+  static toAmounts(balanced, amounts = []) {
+    return this.convertAmounts(balanced, amounts).converted;
+  }
+
+  // Solution entries → {value, unit: 'mol'} (null without a volume), plus per-index solution records
+  static convertAmounts(balanced, amounts) {
+    const species = StoichiometryEngine.describeSpecies(balanced);
+    const compounds = [...(balanced.reactants || []), ...(balanced.products || [])];
+    const solutions = [];
+
+    const converted = species.map(entry => {
+      const given = amounts[entry.index];
+      if (!this.isSolution(given)) return given || null;
+
+      const options = this.solutionOptions(given, entry, compounds[entry.index]);
+      const concentrationUnit = given.concentrationUnit || 'M';
+      const hasVolume = !this.isBlank(given.volume);
+
+      const precision = this.concentrationPrecision(given, entry);
+      solutions[entry.index] = {
+        concentration: Number(given.concentration),
+        concentrationUnit,
+        molarity: this.toMolarity(given.concentration, concentrationUnit, options),
+        volumeUnit: given.volumeUnit || 'mL',
+        givenVolume: hasVolume ? Number(given.volume) : null,
+        precision
+      };
+
+      return hasVolume
+        ? {
+          value: this.moles(given, options),
+          unit: 'mol',
+          precision: SigFigs.product(SigFigs.measured(given.volume, `${entry.formula} volume`, given.volumeUnit || 'mL'), precision)
+        }
+        : null;
+    });
+
+    return { converted, solutions };
+  }
+
+  /**
+   * Equivalents per mole for normality: |charge| for ions, ionizable H for acids,
+   * OH groups for hydroxides, otherwise 1
+   * @param {Object} compound - {formula, composition, charge}
+   * @returns {number}
+   */
+  static inferEquivalents(compound) {
+    const charge = compound.charge || 0;
+    if (charge !== 0) return Math.abs(charge);
+
+    const formula = compound.formula || '';
+    const hydroxide = formula.match(/\(OH\)(\d+)$/);
+    if (hydroxide) return Number(hydroxide[1]);
+
+    // Leading H marks an acid (H2SO4, H3PO4, HCl); water and peroxide are not
+    const acid = formula.match(/^H(\d*)(?=[A-Z])/);
+    if (acid && formula !== 'H2O' && formula !== 'H2O2') return acid[1] ? Number(acid[1]) : 1;
+
+    return 1;
+  }
+
+  // Parse one side of a titration setup into moles (when determined) and its unknowns
+  static titrationSide(species, compounds, input, role) {
+    if (!input) {
+      throw new StoichiometryError(`Missing ${role}`, 'TITRATION_UNKNOWNS');
+    }
+    const entry = species[input.index];
+    if (!entry) {
+      throw new StoichiometryError(`Species ${input.index} is not in the equation`, 'UNKNOWN_SPECIES');
+    }
+
+    const side = {
+      role,
+      entry,
+      options: this.solutionOptions(input, entry, compounds[input.index]),
+      volume: this.isBlank(input.volume) ? null : this.positive(input.volume, 'volume', 'INVALID_VOLUME'),
+      volumeUnit: input.volumeUnit || 'mL',
+      concentration: this.isBlank(input.concentration)
+        ? null
+        : this.positive(input.concentration, 'concentration', 'INVALID_CONCENTRATION'),
+      concentrationUnit: input.concentrationUnit || 'M',
+      moles: null,
+      precision: {}
+    };
+    this.volumeUnit(side.volumeUnit);
+    this.concentrationUnit(side.concentrationUnit);
+
+    if (side.volume !== null) {
+      side.precision.volume = SigFigs.measured(input.volume, `${entry.formula} volume`, side.volumeUnit);
+    }
+    if (side.concentration !== null) {
+      side.precision.concentration = this.concentrationPrecision(input, entry);
+    }
+
+    if (input.amount && !this.isBlank(input.amount.value)) {
+      const unit = input.amount.unit || 'g';
+      side.moles = StoichiometryEngine.convertToMoles(input.amount.value, unit, entry.molarMass);
+      side.precision.moles = StoichiometryEngine.givenPrecision(entry, input.amount, unit);
+    } else if (side.volume !== null && side.concentration !== null) {
+      side.moles = this.moles(side, side.options);
+      side.precision.moles = SigFigs.product(side.precision.volume, side.precision.concentration);
+    }
+    return side;
+  }
+
+  /**
+   * Significant figures of a concentration once converted to molarity
+   * Mass-based units bring in the molar mass, molality also the density.
+   * @param {Object} given - {concentration, concentrationUnit, density}
+   * @param {Object} entry - Species record (formula, molarMassPrecision)
+   * @returns {Object} SigFigs precision
+   */
+  static concentrationPrecision(given, entry) {
+    const unit = given.concentrationUnit || 'M';
+    const { kind } = this.concentrationUnit(unit);
+    return SigFigs.product(
+      SigFigs.measured(given.concentration, `${entry.formula} concentration`, unit),
+      kind === 'mass-volume' || kind === 'molality' ? entry.molarMassPrecision : EXACT,
+      kind === 'molality' ? SigFigs.measured(given.density, 'density', 'g/mL') : EXACT
+    );
+  }
+
+  // Conversion options for a species: its molar mass and (inferred) equivalents
+  static solutionOptions(given, entry, compound) {
+    return {
+      molarMass: entry.molarMass,
+      equivalents: this.isBlank(given.equivalents) ? this.inferEquivalents(compound) : Number(given.equivalents),
+      density: given.density
+    };
+  }
+
+  static isSolution(given) {
+    return Boolean(given) && !this.isBlank(given.concentration) && given.value === undefined;
+  }
+
+  static isBlank(value) {
+    return value === null || value === undefined || value === '';
+  }
+
+  static toLitres(volume, unit = 'mL') {
+    return this.positive(volume, 'volume', 'INVALID_VOLUME') * this.volumeUnit(unit).factor;
+  }
+
+  static positive(value, name, code) {
+    const number = Number(value);
+    if (this.isBlank(value) || !Number.isFinite(number) || number <= 0) {
+      throw new StoichiometryError(`Invalid ${name}: ${value}`, code);
+    }
+    return number;
+  }
+
+  static volumeUnit(unit) {
+    const info = VOLUME_UNITS[unit];
+    if (!info) throw new StoichiometryError(`Unknown volume unit: ${unit}`, 'UNKNOWN_UNIT');
+    return info;
+  }
+
+  static concentrationUnit(unit) {
+    const info = CONCENTRATION_UNITS[unit];
+    if (!info) throw new StoichiometryError(`Unknown concentration unit: ${unit}`, 'UNKNOWN_UNIT');
+    return info;
+  }
+
+  static molarMassOption(options) {
+    if (!(options.molarMass > 0)) {
+      throw new StoichiometryError('This concentration unit needs a species with a molar mass', 'NO_MOLAR_MASS');
+    }
+    return options.molarMass;
+  }
+
+  static equivalentsOption(options) {
+    const equivalents = options.equivalents === undefined || options.equivalents === null ? 1 : Number(options.equivalents);
+    if (!Number.isFinite(equivalents) || equivalents <= 0) {
+      throw new StoichiometryError(`Invalid equivalents: ${options.equivalents}`, 'INVALID_EQUIVALENTS');
+    }
+    return equivalents;
+  }
+
+  static densityOption(options) {
+    const density = Number(options.density);
+    if (this.isBlank(options.density) || !Number.isFinite(density) || density <= 0) {
+      throw new StoichiometryError('Molality needs the solution density (g/mL)', 'NO_DENSITY');
+    }
+    return density;
+  }
+}
+
+// Convenience functions
+export function dilution(values) {
+  return SolutionCalculator.dilution(values);
+}
+
+export function titration(balanced, setup) {
+  return SolutionCalculator.titration(balanced, setup);
+}
+
+export default SolutionCalculator;
@@ -0,0 +1,425 @@
+/**
+ * Stoichiometry engine
+ * Limiting reagent, theoretical yield and excess calculations on balanced equations
+ */
+
+import { Fraction } from './fractions.js';
+import { MolarMassCalculator } from './mass.js';
+import { SigFigs, EXACT } from './sigfigs.js';
+
+export class StoichiometryError extends Error {
+  constructor(message, code = 'STOICHIOMETRY_ERROR') {
+    super(message);
+    this.name = 'StoichiometryError';
+    this.code = code;
+  }
+}
+
+// Physical constants used by unit conversions
+export const AVOGADRO = 6.02214076e23;          // mol^-1 (exact, SI 2019)
+export const MOLAR_VOLUME_STP = 22.711;         // L/mol at 273.15 K, 1 bar (IUPAC STP)
+export const MOLAR_VOLUME_SATP = 24.789;        // L/mol at 298.15 K, 1 bar
+
+// Units understood by convertToMoles
+export const AMOUNT_UNITS = {
+  g: { kind: 'mass', factor: 1, label: 'g' },
+  mg: { kind: 'mass', factor: 1e-3, label: 'mg' },
+  kg: { kind: 'mass', factor: 1e3, label: 'kg' },
+  mol: { kind: 'amount', factor: 1, label: 'mol' },
+  mmol: { kind: 'amount', factor: 1e-3, label: 'mmol' },
+  'L-STP': { kind: 'gas', molarVolume: MOLAR_VOLUME_STP, label: 'L gas (STP)' },
+  'L-SATP': { kind: 'gas', molarVolume: MOLAR_VOLUME_SATP, label: 'L gas (SATP)' },
+  'mL-solution': { kind: 'solution', factor: 1e-3, label: 'mL solution' },
+  particles: { kind: 'particles', label: 'particles' }
+};
+
+export class StoichiometryEngine {
+
+  /**
+   * Run limiting-reagent and yield calculations for a balanced equation
+   * @param {Object} balanced - Successful result from balanceChemicalEquation
+   * @param {Array<Object|null>} amounts - Given amounts aligned with [...reactants, ...products],
+   *   each {value, unit} or null when not given. Significant figures are counted from the value
+   *   as entered (pass strings to keep trailing zeros) unless `sigFigs` states them; converted
+   *   amounts may carry a ready `precision`.
+   * @returns {Object} Per-species moles, masses, limiting reagent and yields; `precision` records
+   *   on the result, species and yields give the significant figures of each value
+   */
+  static calculate(balanced, amounts = []) {
+    const species = this.describeSpecies(balanced);
+
+    // Convert every given amount to moles
+    for (const entry of species) {
+      const given = amounts[entry.index];
+      if (!given || given.value === '' || given.value === null || given.value === undefined) continue;
+
+      const unit = given.unit || 'g';
+      const moles = this.convertToMoles(given.value, unit, entry.molarMass, { molarity: given.molarity });
+      entry.given = { value: Number(given.value), unit, moles };
+      entry.precision = { given: given.precision || this.givenPrecision(entry, given, unit) };
+      if (AMOUNT_UNITS[unit]?.kind === 'solution') {
+        entry.given.molarity = Number(given.molarity);
+      }
+    }
+
+    const givenReactants = species.filter(s => s.side === 'reactant' && s.given);
+    const givenProducts = species.filter(s => s.side === 'product' && s.given);
+
+    if (givenReactants.length === 0 && givenProducts.length === 0) {
+      throw new StoichiometryError('Enter an amount for at least one species', 'NO_AMOUNTS');
+    }
+
+    // Reaction extent: moles of "reaction events" allowed by the scarcest reactant.
+    // With no reactants given, size the reaction to the first requested product.
+    let limiting = null;
+    let extent;
+    let basis;
+
+    if (givenReactants.length > 0) {
+      extent = Infinity;
+      for (const entry of givenReactants) {
+        const available = entry.given.moles / entry.coefficient;
+        if (available < extent) {
+          extent = available;
+          limiting = entry;
+        }
+      }
+      basis = limiting;
+    } else {
+      basis = givenProducts[0];
+      extent = basis.given.moles / basis.coefficient;
+    }
+
+    // Everything scales from the basis amount; coefficients are exact
+    const extentPrecision = basis.precision.given;
+
+    for (const entry of species) {
+      entry.moles = extent * entry.coefficient;
+      entry.grams = entry.molarMass > 0 ? entry.moles * entry.molarMass : null;
+      entry.isLimiting = entry === limiting;
+      entry.precision = {
+        ...entry.precision,
+        moles: extentPrecision,
+        grams: SigFigs.product(extentPrecision, entry.molarMassPrecision)
+      };
+
+      if (entry.side === 'reactant' && entry.given) {
+        entry.excessMoles = Math.max(entry.given.moles - entry.moles, 0);
+        entry.excessGrams = entry.molarMass > 0 ? entry.excessMoles * entry.molarMass : null;
+        entry.precision.excessMoles = SigFigs.sum([
+          { value: entry.given.moles, precision: entry.precision.given },
+          { value: entry.moles, precision: extentPrecision }
+        ], entry.excessMoles);
+        entry.precision.excessGrams = SigFigs.product(entry.precision.excessMoles, entry.molarMassPrecision);
+      } else {
+        entry.excessMoles = null;
+        entry.excessGrams = null;
+      }
+
+      if (limiting) {
+        entry.moleRatio = new Fraction(entry.coefficient, limiting.coefficient).toString();
+      }
+    }
+
+    return {
+      success: true,
+      extent,
+      limitingReagent: limiting ? { index: limiting.index, formula: limiting.formula } : null,
+      basis: limiting ? 'limiting-reagent' : 'target-product',
+      species,
+      theoreticalYield: species
+        .filter(s => s.side === 'product')
+        .map(s => ({
+          index: s.index,
+          formula: s.formula,
+          moles: s.moles,
+          grams: s.grams,
+          precision: { moles: s.precision.moles, grams: s.precision.grams }
+        })),
+      excess: species
+        .filter(s => s.side === 'reactant' && s.given && !s.isLimiting)
+        .map(s => ({
+          index: s.index,
+          formula: s.formula,
+          moles: s.excessMoles,
+          grams: s.excessGrams,
+          precision: { moles: s.precision.excessMoles, grams: s.precision.excessGrams }
+        })),
+      precision: { extent: extentPrecision }
+    };
+  }
+
+  /**
+   * Significant figures of a given amount once converted to moles
+   * @param {Object} entry - Species record (formula, molarMassPrecision)
+   * @param {Object} given - {value, unit, molarity, sigFigs}
+   * @param {string} unit - Key of AMOUNT_UNITS
+   * @returns {Object} SigFigs precision
+   */
+  static givenPrecision(entry, given, unit) {
+    const unitInfo = AMOUNT_UNITS[unit];
+    const value = SigFigs.measured(given.value, entry.formula, unitInfo.label, given.sigFigs);
+
+    switch (unitInfo.kind) {
+      case 'mass':
+        return SigFigs.product(value, entry.molarMassPrecision);
+      case 'gas':
+        return SigFigs.product(value, SigFigs.measured(unitInfo.molarVolume, `molar volume (${unit.slice(2)})`, 'L/mol'));
+      case 'solution':
+        return SigFigs.product(value, SigFigs.measured(given.molarity, `${entry.formula} concentration`, 'M'));
+      default:
+        return SigFigs.product(value);
+    }
+  }
+
+  /**
+   * Forward yield: percent yield from the actual mass of a product obtained
+   * @param {Object} balanced - Successful result from balanceChemicalEquation
+   * @param {Array<Object|null>} amounts - Given reactant amounts (see calculate)
+   * @param {number} productIndex - Species index of the product that was isolated
+   * @param {number} actualGrams - Mass of product actually obtained
+   * @returns {Object} Theoretical and actual yield with percent yield
+   */
+  static percentYield(balanced, amounts, productIndex, actualGrams) {
+    const actual = Number(actualGrams);
+    if (!Number.isFinite(actual) || actual < 0) {
+      throw new StoichiometryError(`Invalid actual yield: ${actualGrams}`, 'INVALID_AMOUNT');
+    }
+
+    const result = this.calculate(balanced, amounts);
+    if (!result.limitingReagent) {
+      throw new StoichiometryError('Enter reactant amounts to determine the theoretical yield', 'NO_REACTANTS');
+    }
+
+    const product = this.findProduct(result.species, productIndex);
+    if (!(product.grams > 0)) {
+      throw new StoichiometryError(`Theoretical yield of ${product.formula} is zero`, 'ZERO_YIELD');
+    }
+
+    const actualPrecision = SigFigs.measured(actualGrams, `actual yield of ${product.formula}`, 'g');
+    return {
+      product: { index: product.index, formula: product.formula },
+      limitingReagent: result.limitingReagent,
+      theoreticalGrams: product.grams,
+      theoreticalMoles: product.moles,
+      actualGrams: actual,
+      actualMoles: actual / product.molarMass,
+      percentYield: (actual / product.grams) * 100,
+      precision: {
+        theoreticalGrams: product.precision.grams,
+        theoreticalMoles: product.precision.moles,
+        actualGrams: actualPrecision,
+        percentYield: SigFigs.product(actualPrecision, product.precision.grams)
+      }
+    };
+  }
+
+  /**
+   * Backward yield: reactant amounts needed for a target product mass at an expected yield
+   * @param {Object} balanced - Successful result from balanceChemicalEquation
+   * @param {number} productIndex - Species index of the target product
+   * @param {number} targetGrams - Mass of product wanted
+   * @param {number} expectedYield - Expected percent yield (0-100]
+   * @returns {Object} Required moles and grams for every reactant
+   */
+  static requiredForYield(balanced, productIndex, targetGrams, expectedYield = 100) {
+    const target = Number(targetGrams);
+    const percent = Number(expectedYield);
+    if (!Number.isFinite(target) || target <= 0) {
+      throw new StoichiometryError(`Invalid target mass: ${targetGrams}`, 'INVALID_AMOUNT');
+    }
+    if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+      throw new StoichiometryError('Expected yield must be between 0 and 100%', 'INVALID_YIELD');
+    }
+
+    const species = this.describeSpecies(balanced);
+    const product = this.findProduct(species, productIndex);
+    if (!(product.molarMass > 0)) {
+      throw new StoichiometryError(`${product.formula} has no molar mass`, 'NO_MOLAR_MASS');
+    }
+
+    // Scale the theoretical amount up so that the expected fraction equals the target;
+    // a 100% yield is a definition, not a measurement
+    const theoreticalGrams = target / (percent / 100);
+    const extent = theoreticalGrams / product.molarMass / product.coefficient;
+    const theoreticalPrecision = SigFigs.product(
+      SigFigs.measured(targetGrams, `target mass of ${product.formula}`, 'g'),
+      percent === 100 ? EXACT : SigFigs.measured(expectedYield, 'expected yield', '%')
+    );
+    const extentPrecision = SigFigs.product(theoreticalPrecision, product.molarMassPrecision);
+
+    return {
+      product: { index: product.index, formula: product.formula },
+      targetGrams: target,
+      expectedYield: percent,
+      theoreticalGrams,
+      extent,
+      reactants: species
+        .filter(s => s.side === 'reactant')
+        .map(s => ({
+          index: s.index,
+          formula: s.formula,
+          moles: extent * s.coefficient,
+          grams: s.molarMass > 0 ? extent * s.coefficient * s.molarMass : null,
+          precision: { moles: extentPrecision, grams: SigFigs.product(extentPrecision, s.molarMassPrecision) }
+        })),
+      precision: { theoreticalGrams: theoreticalPrecision, extent: extentPrecision }
+    };
+  }
+
+  // Look up a product record by species index
+  static findProduct(species, productIndex) {
+    const product = species[productIndex];
+    if (!product || product.side !== 'product') {
+      throw new StoichiometryError(`Species ${productIndex} is not a product`, 'NOT_A_PRODUCT');
+    }
+    return product;
+  }
+
+  /**
+   * Build per-species records (formula, side, coefficient, molar mass)
+   * @param {Object} balanced - Successful result from balanceChemicalEquation
+   * @returns {Array<Object>} Species records in equation order
+   */
+  static describeSpecies(balanced) {
+    if (!balanced || !balanced.success) {
+      throw new StoichiometryError('Balance the equation before running stoichiometry', 'NOT_BALANCED');
+    }
+
+    const reactants = balanced.reactants || [];
+    const products = balanced.products || [];
+    const compounds = [...reactants, ...products];
+
+    return compounds.map((compound, index) => {
+      const coefficient = this.coefficientValue(balanced.coefficients[index]);
+      const composition = { elements: compound.composition, charge: compound.charge || 0 };
+
+      let molarMass;
+      try {
+        molarMass = MolarMassCalculator.calculate(composition).decimalMass;
+      } catch (error) {
+        throw new StoichiometryError(
+          `Cannot compute molar mass of ${compound.formula}: ${error.message}`,
+          'MOLAR_MASS'
+        );
+      }
+
+      const formula = this.displayFormula(compound);
+      return {
+        index,
+        formula,
+        side: index < reactants.length ? 'reactant' : 'product',
+        coefficient,
+        molarMass,
+        molarMassPrecision: SigFigs.molarMass(compound.composition, formula),
+        given: null
+      };
+    });
+  }
+
+  /**
+   * Convert a given amount into moles
+   * @param {number|string} value - Numeric amount
+   * @param {string} unit - Key of AMOUNT_UNITS
+   * @param {number} molarMass - Molar mass in g/mol
+   * @param {Object} options - Extra unit parameters
+   * @param {number} options.molarity - Solution concentration in mol/L (for 'mL-solution')
+   * @returns {number} Amount in moles
+   */
+  static convertToMoles(value, unit, molarMass, options = {}) {
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new StoichiometryError(`Invalid amount: ${value}`, 'INVALID_AMOUNT');
+    }
+
+    const unitInfo = AMOUNT_UNITS[unit];
+    if (!unitInfo) {
+      throw new StoichiometryError(`Unknown unit: ${unit}`, 'UNKNOWN_UNIT');
+    }
+
+    switch (unitInfo.kind) {
+      case 'amount':
+        return amount * unitInfo.factor;
+
+      case 'particles':
+        return amount / AVOGADRO;
+
+      case 'gas':
+        return amount / unitInfo.molarVolume;
+
+      case 'solution': {
+        const molarity = Number(options.molarity);
+        if (!Number.isFinite(molarity) || molarity <= 0) {
+          throw new StoichiometryError('Solution volumes need a positive molarity', 'NO_MOLARITY');
+        }
+        return amount * unitInfo.factor * molarity;
+      }
+
+      default:
+        if (!(molarMass > 0)) {
+          throw new StoichiometryError('Mass units need a species with a molar mass', 'NO_MOLAR_MASS');
+        }
+        return (amount * unitInfo.factor) / molarMass;
+    }
+  }
+
+  /**
+   * Convert moles back into a unit of AMOUNT_UNITS
+   * @param {number} moles - Amount in moles
+   * @param {string} unit - Target unit
+   * @param {number} molarMass - Molar mass in g/mol
+   * @param {Object} options - Extra unit parameters (molarity for 'mL-solution')
+   * @returns {number} Amount in the target unit
+   */
+  static convertFromMoles(moles, unit, molarMass, options = {}) {
+    const unitInfo = AMOUNT_UNITS[unit];
+    if (!unitInfo) {
+      throw new StoichiometryError(`Unknown unit: ${unit}`, 'UNKNOWN_UNIT');
+    }
+
+    switch (unitInfo.kind) {
+      case 'amount':
+        return moles / unitInfo.factor;
+
+      case 'particles':
+        return moles * AVOGADRO;
+
+      case 'gas':
+        return moles * unitInfo.molarVolume;
+
+      case 'solution': {
+        const molarity = Number(options.molarity);
+        if (!Number.isFinite(molarity) || molarity <= 0) {
+          throw new StoichiometryError('Solution volumes need a positive molarity', 'NO_MOLARITY');
+        }
+        return moles / molarity / unitInfo.factor;
+      }
+
+      default:
+        return (moles * molarMass) / unitInfo.factor;
+    }
+  }
+
+  // Coefficients arrive as plain integers, Fractions or {toNumber} wrappers
+  static coefficientValue(coefficient) {
+    if (typeof coefficient === 'number') return coefficient;
+    if (coefficient && typeof coefficient.toNumber === 'function') return coefficient.toNumber();
+    if (coefficient && typeof coefficient.coeff === 'number') return coefficient.coeff;
+    throw new StoichiometryError(`Invalid coefficient: ${coefficient}`, 'INVALID_COEFFICIENT');
+  }
+
+  // Formula with its charge re-attached (app.js strips the charge from .formula)
+  static displayFormula(compound) {
+    const charge = compound.charge || 0;
+    if (charge === 0) return compound.formula;
+    const magnitude = Math.abs(charge) === 1 ? '' : Math.abs(charge);
+    return `${compound.formula}^${magnitude}${charge > 0 ? '+' : '-'}`;
+  }
+}
+
+// Convenience function
+export function stoichiometry(balanced, amounts) {
+  return StoichiometryEngine.calculate(balanced, amounts);
+}
+
+export default StoichiometryEngine;
@@ -0,0 +1,375 @@
+/**
+ * Command-line interface for the chemistry modules
+ *
+ *   stoich balance "Fe + O2 -> Fe2O3" [--mode acidic|basic]
+ *   stoich mass CuSO4.5H2O
+ *   stoich oxstates K2Cr2O7
+ *   stoich element Fe                          (or an atomic number: stoich element 26)
+ *   stoich isotopes C6H13O6 [--charge 1]      (negative: --charge=-2)
+ *   stoich name Fe2(SO4)3                      (or a name: stoich name "iron(III) sulfate")
+ *   stoich empirical "C=40.0 H=6.71 O=53.29" [--molar-mass 180.16] [--grams]
+ *   stoich empirical "sample=1.000 CO2=1.499 H2O=0.409" [--molar-mass 176.12]
+ *   stoich batch equations.txt [--format json|csv]
+ *
+ * Results are printed as JSON. Without an argument, input is read from stdin
+ * (one equation or formula per line).
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { parseFormula, ParseError } from '../chem/parser.js';
+import { BalanceError } from '../chem/balancer.js';
+import { MolarMassCalculator } from '../chem/mass.js';
+import {
+  splitEquation,
+  oxidationStates,
+  empiricalFormula,
+  isotopePattern,
+  elementInfo,
+  nameToFormula,
+  formulaToName,
+  NomenclatureEngine,
+  NomenclatureError,
+  balance as balanceEquation
+} from '../chem/index.js';
+
+export { splitEquation, oxidationStates };
+
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  PARSE_ERROR: 3,
+  BALANCE_ERROR: 4
+};
+
+export const USAGE = `Usage: stoich <command> [input] [options]
+
+Commands:
+  balance <equation>   Balance a chemical equation
+  mass <formula>       Molar mass and element breakdown
+  oxstates <formula>   Oxidation state of each element
+  element <symbol|Z>   Periodic-table data: atomic weight, group, period, configuration
+  isotopes <formula>   Monoisotopic mass and isotope pattern (m/z, relative abundance)
+  name <formula|name>  Name of a formula, or the formula of a name ("iron(III) sulfate")
+  empirical <data>     Empirical (and molecular) formula from "C=40.0 H=6.71 O=53.29"
+                       (mass %, or grams with --grams) or combustion data
+                       "sample=1.000 CO2=1.499 H2O=0.409 [SO2=...] [N=...]" (grams)
+  batch [file]         Balance one equation per line (blank lines and # comments skipped)
+
+Input is read from stdin when omitted (use "-" for batch).
+
+Options:
+  -m, --mode <mode>      Balancing mode: standard, acidic or basic (default: standard)
+  -f, --format <format>  batch output: json or csv (default: json)
+      --molar-mass <M>   empirical: molar mass (g/mol) for the molecular formula
+      --grams            empirical: element amounts are grams, not mass %
+      --charge <z>       isotopes: charge state for m/z (default: the formula's charge)
+      --compact          Print JSON on a single line
+  -h, --help             Show this help
+  -v, --version          Show version
+
+Exit codes: 0 success, 1 unexpected error, 2 usage error, 3 ParseError, 4 BalanceError`;
+
+const MODES = ['standard', 'acidic', 'basic'];
+const FORMATS = ['json', 'csv'];
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Balance an equation with ChemicalBalancer
+ * @param {string} equation
+ * @param {string} mode - 'standard', 'acidic' or 'basic'
+ * @returns {Object} Balanced equation and coefficients
+ */
+export function balance(equation, mode = 'standard') {
+  const result = balanceEquation(equation, { mode });
+  const terms = list => list.map(s => ({ formula: s.originalFormula, coefficient: s.coefficient }));
+
+  return {
+    equation,
+    mode,
+    balanced: result.balanced,
+    reactants: terms(result.reactants),
+    products: terms(result.products),
+    addedSpecies: result.diagnostics.addedSpecies
+  };
+}
+
+/**
+ * Molar mass of a formula
+ * @param {string} formula
+ * @returns {Object} Molar mass, composition and per-element contributions
+ */
+export function mass(formula) {
+  const composition = parseKnownFormula(formula);
+  const result = MolarMassCalculator.calculate(composition);
+
+  return {
+    formula,
+    molarMass: result.decimalMass,
+    unit: result.unit,
+    composition: composition.elements,
+    charge: composition.charge,
+    breakdown: result.breakdown
+  };
+}
+
+// Parse a formula whose symbols all have an atomic mass; "Xx" is a parse error, not a failure of the mass
+function parseKnownFormula(formula) {
+  const composition = parseFormula(formula);
+  for (const key of Object.keys(composition.elements)) {
+    try {
+      MolarMassCalculator.getAtomicMass(key);
+    } catch (error) {
+      const symbol = key.replace(/-\d+$/, '');
+      throw new ParseError(`Unknown element "${symbol}" in "${formula}"`, Math.max(formula.indexOf(symbol), 0));
+    }
+  }
+  return composition;
+}
+
+/**
+ * Periodic-table data for an element
+ * @param {string} input - Symbol ("Fe") or atomic number ("26")
+ * @returns {Object} Element data from the periodic-table dataset
+ * @throws {UsageError} When no element matches
+ */
+export function element(input) {
+  const info = elementInfo(/^\d+$/.test(input) ? Number(input) : input);
+  if (!info) throw new UsageError(`Unknown element "${input}"`);
+
+  const { available, ...data } = info;
+  return data;
+}
+
+/**
+ * Empirical formula from "Element=value" pairs or combustion data
+ * @param {string} input - e.g. "C=40.0 H=6.71 O=53.29" or "sample=1.000 CO2=1.499 H2O=0.409 N=0.1"
+ * @param {Object} options - {grams, molarMass}
+ * @returns {Object} Empirical formula, mole ratios and the molecular formula when a molar mass is given
+ */
+export function empirical(input, { grams = false, molarMass = null } = {}) {
+  const values = {};
+  for (const pair of input.split(/[\s,]+/).filter(Boolean)) {
+    const match = pair.match(/^([A-Za-z][A-Za-z0-9]*)[=:]([\d.]+(?:e[-+]?\d+)?)$/i);
+    if (!match) throw new UsageError(`Expected Element=value pairs, got "${pair}"`);
+    values[match[1]] = parseFloat(match[2]);
+  }
+
+  const { sample, CO2, H2O, SO2, ...elements } = values;
+  const combustion = sample !== undefined || CO2 !== undefined || H2O !== undefined;
+  const data = combustion
+    ? { combustion: { sampleMass: sample, co2Mass: CO2, h2oMass: H2O, so2Mass: SO2, elements } }
+    : { [grams ? 'masses' : 'percentages']: values };
+
+  const result = empiricalFormula(data, { molarMass });
+  return {
+    input,
+    empirical: result.formula,
+    empiricalMass: result.empiricalMass,
+    ratios: result.ratios,
+    multiplier: result.multiplier,
+    withinTolerance: result.withinTolerance,
+    ...(result.masses ? { masses: result.masses, oxygenByDifference: result.oxygenByDifference } : {}),
+    molecular: result.molecular ? result.molecular.formula : null,
+    molecularMass: result.molecular ? result.molecular.molecularMass : null
+  };
+}
+
+/**
+ * Balance one equation per line, collecting failures instead of stopping
+ * @param {string} text - File contents
+ * @param {string} mode
+ * @returns {Array} [{line, equation, success, balanced, error}]
+ */
+export function batch(text, mode = 'standard') {
+  return text.split(/\r?\n/)
+    .map((raw, index) => ({ line: index + 1, equation: raw.trim() }))
+    .filter(entry => entry.equation && !entry.equation.startsWith('#'))
+    .map(entry => {
+      try {
+        return { ...entry, success: true, balanced: balance(entry.equation, mode).balanced, error: null };
+      } catch (error) {
+        return { ...entry, success: false, balanced: null, error: describeError(error) };
+      }
+    });
+}
+
+/**
+ * CSV rendering of batch results
+ * @param {Array} results - From batch()
+ * @returns {string}
+ */
+export function toCsv(results) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = results.map(r => [
+    r.line,
+    r.equation,
+    r.success,
+    r.balanced,
+    r.error ? `${r.error.type}: ${r.error.message}` : ''
+  ].map(escape).join(','));
+
+  return ['line,equation,success,balanced,error', ...rows].join('\n');
+}
+
+// JSON-friendly description of an error
+function describeError(error) {
+  const described = { type: error.name || 'Error', message: error.message };
+  if (error instanceof ParseError) described.position = error.position;
+  if ((error instanceof BalanceError || error instanceof NomenclatureError) && error.code) described.code = error.code;
+  return described;
+}
+
+// Exit code for an error thrown by a command
+function exitCodeFor(error) {
+  if (error instanceof ParseError) return EXIT_CODES.PARSE_ERROR;
+  if (error instanceof BalanceError) return EXIT_CODES.BALANCE_ERROR;
+  if (error instanceof UsageError) return EXIT_CODES.USAGE;
+  return EXIT_CODES.ERROR;
+}
+
+// Exit code for a batch error description
+function exitCodeForType(type) {
+  if (type === 'ParseError') return EXIT_CODES.PARSE_ERROR;
+  if (type === 'BalanceError') return EXIT_CODES.BALANCE_ERROR;
+  return EXIT_CODES.ERROR;
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === 'string' ? chunk : chunk.toString('utf8'));
+  }
+  return chunks.join('');
+}
+
+const COMMANDS = {
+  balance: (input, options) => balance(input, options.mode),
+  mass: input => mass(input),
+  oxstates: input => oxidationStates(input),
+  element: input => element(input),
+  isotopes: (input, options) => {
+    parseKnownFormula(input);
+    return isotopePattern(input, { charge: options.charge !== undefined ? parseCharge(options.charge) : null });
+  },
+  name: input => (NomenclatureEngine.isName(input) ? nameToFormula(input) : formulaToName(input)),
+  empirical: (input, options) => empirical(input, {
+    grams: options.grams,
+    molarMass: options['molar-mass'] ? parseMolarMass(options['molar-mass']) : null
+  })
+};
+
+function parseCharge(text) {
+  const value = Number(text);
+  if (!Number.isInteger(value)) throw new UsageError(`Invalid charge state "${text}"`);
+  return value;
+}
+
+function parseMolarMass(text) {
+  const value = parseFloat(text);
+  if (!(value > 0)) throw new UsageError(`Invalid molar mass "${text}"`);
+  return value;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the executable
+ * @param {Object} io - {stdin, stdout, stderr} streams
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(argv, io = process) {
+  const write = (stream, value, compact) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value, null, compact ? 0 : 2);
+    stream.write(`${text}\n`);
+  };
+
+  let options;
+  let positionals;
+  try {
+    ({ values: options, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        mode: { type: 'string', short: 'm', default: 'standard' },
+        format: { type: 'string', short: 'f', default: 'json' },
+        compact: { type: 'boolean', default: false },
+        'molar-mass': { type: 'string' },
+        grams: { type: 'boolean', default: false },
+        charge: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false },
+        version: { type: 'boolean', short: 'v', default: false }
+      }
+    }));
+
+    if (options.help) {
+      write(io.stdout, USAGE);
+      return EXIT_CODES.OK;
+    }
+    if (options.version) {
+      const pkg = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+      write(io.stdout, pkg.version);
+      return EXIT_CODES.OK;
+    }
+
+    const [command, ...rest] = positionals;
+    if (!command) throw new UsageError('Missing command');
+    if (command !== 'batch' && !COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+    if (!MODES.includes(options.mode)) throw new UsageError(`Unknown mode "${options.mode}"`);
+    if (!FORMATS.includes(options.format)) throw new UsageError(`Unknown format "${options.format}"`);
+
+    if (command === 'batch') {
+      const source = rest[0];
+      const text = !source || source === '-'
+        ? await readStream(io.stdin)
+        : await readFile(source, 'utf8');
+
+      const results = batch(text, options.mode);
+      write(io.stdout, options.format === 'csv' ? toCsv(results) : results, options.compact);
+
+      const failure = results.find(r => !r.success);
+      return failure ? exitCodeForType(failure.error.type) : EXIT_CODES.OK;
+    }
+
+    // Arguments form a single input; otherwise each stdin line is one input
+    if (rest.length > 0) {
+      write(io.stdout, COMMANDS[command](rest.join(' '), options), options.compact);
+      return EXIT_CODES.OK;
+    }
+
+    const lines = (await readStream(io.stdin)).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+    if (lines.length === 0) throw new UsageError(`No input for "${command}"`);
+
+    let exitCode = EXIT_CODES.OK;
+    const results = lines.map(line => {
+      try {
+        return COMMANDS[command](line, options);
+      } catch (error) {
+        if (exitCode === EXIT_CODES.OK) exitCode = exitCodeFor(error);
+        return { input: line, error: describeError(error) };
+      }
+    });
+
+    write(io.stdout, results.length === 1 ? results[0] : results, options.compact);
+    return exitCode;
+  } catch (error) {
+    if (error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS')) {
+      write(io.stderr, `stoich: ${error.message}\n\n${USAGE}`);
+      return EXIT_CODES.USAGE;
+    }
+    write(io.stderr, { error: describeError(error) }, options?.compact);
+    return exitCodeFor(error);
+  }
+}
+
+export default run;
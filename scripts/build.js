@@ -0,0 +1,29 @@
+/**
+ * Library build: bundles chem/index.js into ESM and CommonJS files under dist/
+ * and copies the type declarations next to each.
+ *
+ *   npm run build
+ */
+
+import { build } from 'esbuild';
+import { copyFile, mkdir } from 'node:fs/promises';
+
+const entry = new URL('../chem/index.js', import.meta.url).pathname;
+const dist = new URL('../dist/', import.meta.url).pathname;
+const declarations = new URL('../chem/index.d.ts', import.meta.url).pathname;
+
+const common = {
+  entryPoints: [entry],
+  bundle: true,
+  platform: 'neutral',
+  target: 'es2020',
+  logLevel: 'info'
+};
+
+await mkdir(dist, { recursive: true });
+
+await build({ ...common, format: 'esm', outfile: `${dist}index.js` });
+await build({ ...common, format: 'cjs', outfile: `${dist}index.cjs` });
+
+await copyFile(declarations, `${dist}index.d.ts`);
+await copyFile(declarations, `${dist}index.d.cts`);
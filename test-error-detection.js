@@ -1,59 +0,0 @@
-// Test enhanced error messages for incomplete equations
-console.log("=== Testing Enhanced Error Detection ===\n");
-
-const incompleteEquations = [
-    "ClO- + Fe+2 -> Cl- + Fe+3",
-    "ClO- + S2- -> Cl- + S", 
-    "HNO3 + S -> NO + H2SO4 + H2O"
-];
-
-// Simulate the enhanced error detection
-function testErrorDetection(equation) {
-    console.log(`Testing: ${equation}`);
-    
-    // Parse the equation parts
-    const parts = equation.split('->');
-    const leftSide = parts[0].trim().split('+').map(s => s.trim());
-    const rightSide = parts[1].trim().split('+').map(s => s.trim());
-    const allFormulas = [...leftSide, ...rightSide];
-    
-    console.log(`  All formulas: ${allFormulas.join(', ')}`);
-    
-    // Check for specific patterns
-    let hints = [];
-    
-    // ClO- + Fe2+ missing H+/H2O
-    if (allFormulas.includes('ClO-') && allFormulas.includes('Fe+2') && 
-        allFormulas.includes('Cl-') && allFormulas.includes('Fe+3') &&
-        !allFormulas.includes('H2O') && !allFormulas.includes('H+')) {
-        hints.push('ClO^- + Fe^2+ reaction needs H^+ and produces H2O: ClO^- + 2Fe^2+ + 2H^+ → Cl^- + 2Fe^3+ + H2O');
-    }
-    
-    // ClO- + S2- missing H2O/OH-
-    if (allFormulas.includes('ClO-') && allFormulas.includes('S2-') &&
-        allFormulas.includes('Cl-') && allFormulas.includes('S') &&
-        !allFormulas.includes('H2O') && !allFormulas.includes('OH-')) {
-        hints.push('ClO^- + S^2- reaction occurs in basic conditions: ClO^- + S^2- + H2O → Cl^- + S + 2OH^-');
-    }
-    
-    // HNO3 + S incomplete stoichiometry
-    if (allFormulas.includes('HNO3') && allFormulas.includes('S') &&
-        allFormulas.includes('NO') && allFormulas.includes('H2SO4')) {
-        hints.push('HNO3 + S needs proper stoichiometry: 2HNO3 + S → 2NO + H2SO4 (electron balance: 2×3e^- = 1×6e^-)');
-    }
-    
-    if (hints.length > 0) {
-        console.log('  ✓ Enhanced hints detected:');
-        hints.forEach((hint, i) => console.log(`    ${i + 1}. ${hint}`));
-    } else {
-        console.log('  ✗ No specific hints detected');
-    }
-    
-    console.log('');
-}
-
-incompleteEquations.forEach(testErrorDetection);
-
-console.log("These enhanced hints should now appear in the error messages!");
-console.log("The balancer correctly identifies these as incomplete equations,");
-console.log("and the enhanced error detection provides specific guidance.");
\ No newline at end of file
@@ -1,49 +0,0 @@
-// Test specific failing equations from the user's results
-const failingEquations = [
-    "MnO4- + Fe+2 + H+ -> Mn+2 + Fe+3 + H2O",
-    "Cr2O7-2 + Fe+2 + H+ -> Cr+3 + Fe+3 + H2O",
-    "MnO4- + C2O4-2 + H+ -> Mn+2 + CO2 + H2O",
-    "Cr2O7-2 + H2S + H+ -> Cr+3 + S + H2O",
-    "NO3- + Cu + H+ -> NO + Cu+2 + H2O",
-    "H2O2 + Fe+2 + H+ -> Fe+3 + H2O",
-    "Cr2O7-2 + H2O2 + H+ -> Cr+3 + O2 + H2O",
-    "NO3- + Fe+2 + H+ -> Fe+3 + NO + H2O",
-    "Cl2 + Fe+2 -> Cl- + Fe+3",
-    "Br2 + Fe+2 -> Br- + Fe+3"
-];
-
-console.log("=== Testing Previously Failing Equations ===");
-console.log("These equations should now balance correctly with the fixes applied.\n");
-
-failingEquations.forEach((equation, index) => {
-    console.log(`${index + 1}. ${equation}`);
-    
-    // Check if it has charges (should auto-upgrade to redox mode)
-    const hasCharges = /[+-]\d|\^[+-]/.test(equation);
-    console.log(`   Has charges: ${hasCharges} ${hasCharges ? '(auto-upgrade to redox)' : '(standard mode)'}`);
-    
-    // Test the charge normalization
-    let normalized = equation
-        .replace(/([A-Za-z0-9)\]]+)([+-])([0-9]*)/g, (match, species, sign, charge) => {
-            const chargeNum = charge || '1';
-            return species + '^' + sign + chargeNum;
-        })
-        .replace(/\^\^/g, '^');
-    
-    console.log(`   Normalized: ${normalized}`);
-    
-    // Expected results for common ones:
-    if (equation.includes("MnO4- + Fe+2")) {
-        console.log(`   Expected: MnO4^- + 5Fe^+2 + 8H^+ → Mn^+2 + 5Fe^+3 + 4H2O`);
-    } else if (equation.includes("Cr2O7-2 + Fe+2")) {
-        console.log(`   Expected: Cr2O7^-2 + 6Fe^+2 + 14H^+ → 2Cr^+3 + 6Fe^+3 + 7H2O`);
-    }
-    
-    console.log('');
-});
-
-console.log("All these equations should now balance successfully with:");
-console.log("✓ Improved charge notation parsing (+2, -2 → ^+2, ^-2)");
-console.log("✓ Auto-mode detection (standard → redox when charges detected)");
-console.log("✓ Proper charge balance matrix construction");
-console.log("✓ Enhanced error messages with suggestions");
\ No newline at end of file
@@ -0,0 +1,686 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, existsSync } from 'node:fs';
+import { loadApp } from './helpers/load-app.js';
+import { CellPotentialCalculator, GAS_CONSTANT, FARADAY, STANDARD_TEMPERATURE } from '../chem/electrochemistry.js';
+
+const app = loadApp();
+
+// Values created inside the app context have that context's prototypes
+const plain = value => JSON.parse(JSON.stringify(value));
+
+describe('balanceChemicalEquation', () => {
+  const cases = [
+    ['H2 + O2 -> H2O', '2H2 + O2 → 2H2O', [2, 1, 2]],
+    ['Fe + O2 = Fe2O3', '4Fe + 3O2 → 2Fe2O3', [4, 3, 2]],
+    ['C3H8 + O2 → CO2 + H2O', 'C3H8 + 5O2 → 3CO2 + 4H2O', [1, 5, 3, 4]],
+    ['CuSO4·5H2O -> CuSO4 + H2O', 'CuSO4.5H2O → CuSO4 + 5H2O', [1, 1, 5]],
+    ['1/2O2 + H2 -> H2O', 'O2 + 2H2 → 2H2O', [1, 2, 2]],
+    ['NaCl(aq) + AgNO3(aq) -> AgCl(s) + NaNO3(aq)', 'NaCl(aq) + AgNO3(aq) → AgCl(s) + NaNO3(aq)', [1, 1, 1, 1]],
+    ['MnO4- + Fe+2 + H+ -> Mn+2 + Fe+3 + H2O', 'MnO4^- + 5Fe^2+ + 8H^+ → Mn^2+ + 5Fe^3+ + 4H2O', [1, 5, 8, 1, 5, 4]],
+    ['Cr2O7-2 + Fe+2 + H+ -> Cr+3 + Fe+3 + H2O', 'Cr2O7^2- + 6Fe^2+ + 14H^+ → 2Cr^3+ + 6Fe^3+ + 7H2O', [1, 6, 14, 2, 6, 7]],
+    ['MnO4- + I- + H+ -> Mn+2 + I2 + H2O', '2MnO4^- + 10I^- + 16H^+ → 2Mn^2+ + 5I2 + 8H2O', [2, 10, 16, 2, 5, 8]],
+    ['MnO4- + C2O4-2 + H+ -> Mn+2 + CO2 + H2O', '2MnO4^- + 5C2O4^2- + 16H^+ → 2Mn^2+ + 10CO2 + 8H2O', [2, 5, 16, 2, 10, 8]],
+    ['Cr2O7-2 + H2S + H+ -> Cr+3 + S + H2O', 'Cr2O7^2- + 3H2S + 8H^+ → 2Cr^3+ + 3S + 7H2O', [1, 3, 8, 2, 3, 7]],
+    ['NO3- + Cu + H+ -> NO + Cu+2 + H2O', '2NO3^- + 3Cu + 8H^+ → 2NO + 3Cu^2+ + 4H2O', [2, 3, 8, 2, 3, 4]],
+    ['H2O2 + Fe+2 + H+ -> Fe+3 + H2O', 'H2O2 + 2Fe^2+ + 2H^+ → 2Fe^3+ + 2H2O', [1, 2, 2, 2, 2]],
+    ['Cl2 + Fe+2 -> Cl- + Fe+3', 'Cl2 + 2Fe^2+ → 2Cl^- + 2Fe^3+', [1, 2, 2, 2]],
+    ['Br2 + Fe+2 -> Br- + Fe+3', 'Br2 + 2Fe^2+ → 2Br^- + 2Fe^3+', [1, 2, 2, 2]],
+    ['Ce+4 + Fe+2 -> Ce+3 + Fe+3', 'Ce^4+ + Fe^2+ → Ce^3+ + Fe^3+', [1, 1, 1, 1]]
+  ];
+
+  for (const [equation, balanced, coefficients] of cases) {
+    test(equation, () => {
+      const result = app.balanceChemicalEquation(equation);
+      assert.equal(result.success, true, result.error);
+      assert.equal(result.balanced, balanced);
+      assert.deepEqual(plain(result.coefficients), coefficients);
+    });
+  }
+
+  test('redox equations are detected from oxidation-state changes', () => {
+    assert.equal(app.balanceChemicalEquation('MnO4- + Fe+2 + H+ -> Mn+2 + Fe+3 + H2O').isRedox, true);
+    assert.equal(app.balanceChemicalEquation('H2O2 + Fe+2 + H+ -> Fe+3 + H2O').isRedox, true);
+    assert.equal(app.balanceChemicalEquation('HCl + NaOH -> NaCl + H2O').isRedox, false);
+  });
+
+  test('charges are rejected in standard mode only when given explicitly', () => {
+    const result = app.balanceChemicalEquation('Fe+2 -> Fe+3', 'standard');
+    assert.equal(result.success, false);
+  });
+
+  test('parse errors report a position', () => {
+    const result = app.balanceChemicalEquation('Ca(OH2 + HCl -> CaCl2 + H2O');
+    assert.equal(result.success, false);
+    assert.equal(result.position, 6);
+    assert.match(result.error, /Expected \)/);
+  });
+
+  test('impossible equations fail', () => {
+    const result = app.balanceChemicalEquation('Invalid equation -> Nothing');
+    assert.equal(result.success, false);
+    assert.match(result.error, /No solution exists/);
+  });
+
+  test('no reaction', () => {
+    assert.deepEqual(plain(app.balanceChemicalEquation('no reaction')), {
+      success: false,
+      error: 'No reaction occurs under standard conditions.'
+    });
+  });
+
+  test('equations that need a zero coefficient have no valid solution', () => {
+    const result = app.balanceChemicalEquation('HNO3 + S -> NO + H2SO4 + H2O');
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'Could not find integer solution.');
+  });
+});
+
+describe('redox hints and diagnostics', () => {
+  test('missing H+ and H2O in acidic solution', () => {
+    const { error } = app.balanceChemicalEquation('ClO- + Fe+2 -> Cl- + Fe+3');
+    assert.match(error, /needs H\^\+ and produces H2O/);
+    assert.ok(error.includes('ClO^- + 2Fe^2+ + 2H^+ → Cl^- + 2Fe^3+ + H2O'));
+  });
+
+  test('missing H2O and OH- in basic solution', () => {
+    const { error } = app.balanceChemicalEquation('ClO- + S2- -> Cl- + S');
+    assert.match(error, /basic conditions/);
+    assert.ok(error.includes('ClO^- + S^2- + H2O → Cl^- + S + 2OH^-'));
+  });
+
+  test('charge imbalance suggests counter-ions', () => {
+    const result = app.balanceChemicalEquation('MnO4- + SO3^2- -> Mn2+ + SO4^2-');
+    assert.equal(result.success, false);
+    assert.equal(result.diagnostic.reactantCharge, -9);
+    assert.equal(result.diagnostic.productCharge, -6);
+    assert.match(result.error, /Charge imbalance detected/);
+    assert.match(result.error, /3 Cl-/);
+  });
+});
+
+describe('extractCharge', () => {
+  const cases = [
+    ['Fe3+', 'Fe', 3],
+    ['Fe+3', 'Fe', 3],
+    ['Fe^3+', 'Fe', 3],
+    ['Fe^+3', 'Fe', 3],
+    ['SO4^2-', 'SO4', -2],
+    ['SO4--', 'SO4', -2],
+    ['NH4+', 'NH4', 1],
+    ['[Fe(CN)6]4-', '[Fe(CN)6]', -4],
+    ['Cl-', 'Cl', -1],
+    ['Hg2^2+', 'Hg2', 2],
+    ['e-', 'e', -1],
+    ['H2O', 'H2O', 0],
+    ['Fe3+(aq)', 'Fe(aq)', 3]
+  ];
+
+  for (const [input, core, charge] of cases) {
+    test(input, () => {
+      assert.deepEqual(plain(app.extractCharge(input)), { core, charge });
+    });
+  }
+});
+
+describe('normalizeChemInput', () => {
+  test('unicode subscripts, superscripts and dots', () => {
+    assert.equal(app.normalizeChemInput('H₂SO₄'), 'H2SO4');
+    assert.equal(app.normalizeChemInput('CuSO₄·5H₂O'), 'CuSO4.5H2O');
+  });
+
+  test('Latin-1 superscripts ¹ ² ³ are converted too', () => {
+    assert.equal(app.normalizeChemInput('Fe³⁺'), 'Fe3+');
+    assert.equal(app.normalizeChemInput('SO₄²⁻'), 'SO42-');
+    assert.equal(app.normalizeChemInput('Cu¹⁺'), 'Cu1+');
+  });
+});
+
+describe('cancelSpectatorsAndMergeDuplicates', () => {
+  const species = (formula, coefficient, charge = 0, phase = null) => ({ formula, coefficient, charge, phase });
+
+  test('merges duplicates and cancels species on both sides', () => {
+    const result = app.cancelSpectatorsAndMergeDuplicates(
+      [species('Na', 1, 1), species('Cl', 1, -1), species('Na', 1, 1)],
+      [species('Na', 1, 1), species('NaCl', 1)]
+    );
+    assert.deepEqual(plain(result.reactants).map(s => [s.formula, s.coefficient]), [['Na', 1], ['Cl', 1]]);
+    assert.deepEqual(plain(result.products).map(s => [s.formula, s.coefficient]), [['NaCl', 1]]);
+    assert.deepEqual(plain(result.canceledSpectators), [{ formula: 'Na', coefficient: 1, phase: null }]);
+  });
+
+  test('different phases are not cancelled', () => {
+    const result = app.cancelSpectatorsAndMergeDuplicates([species('H2O', 1, 0, 'l')], [species('H2O', 1, 0, 'g')]);
+    assert.equal(result.canceledSpectators.length, 0);
+  });
+
+  test('unlabelled species merge and cancel with labelled ones', () => {
+    const merged = app.cancelSpectatorsAndMergeDuplicates([species('H2O', 1), species('H2O', 1, 0, 'l')], []);
+    assert.deepEqual(plain(merged.reactants).map(s => [s.formula, s.coefficient, s.phase]), [['H2O', 2, 'l']]);
+
+    const cancelled = app.cancelSpectatorsAndMergeDuplicates([species('Na', 2, 1, 'aq')], [species('Na', 1, 1)]);
+    assert.deepEqual(plain(cancelled.canceledSpectators), [{ formula: 'Na', coefficient: 1, phase: 'aq' }]);
+  });
+
+  test('conflicting phases stay separate', () => {
+    const result = app.cancelSpectatorsAndMergeDuplicates([species('NaCl', 1, 0, 'aq'), species('NaCl', 1, 0, 's')], []);
+    assert.equal(result.reactants.length, 2);
+  });
+});
+
+describe('phase labels', () => {
+  test('state symbols survive balancing', () => {
+    const result = app.balanceChemicalEquation('Zn(s) + HCl(aq) -> ZnCl2(aq) + H2(g)');
+    assert.equal(result.balanced, 'Zn(s) + 2HCl(aq) → ZnCl2(aq) + H2(g)');
+    assert.deepEqual([...result.reactants, ...result.products].map(c => c.phase), ['s', 'aq', 'aq', 'g']);
+    assert.deepEqual(plain(result.warnings), []);
+  });
+
+  test('an unlabelled duplicate takes the labelled phase', () => {
+    assert.equal(app.balanceChemicalEquation('H2O + H2O(l) -> H2(g) + O2(g)').balanced, '2H2O(l) → 2H2(g) + O2(g)');
+  });
+
+  test('conflicting phases on one side are reported', () => {
+    const result = app.balanceChemicalEquation('NaCl(aq) + NaCl(s) -> Na(s) + Cl2(g)');
+    assert.equal(result.success, true);
+    assert.deepEqual(plain(result.warnings), ['NaCl appears as (aq) and (s) among the reactants']);
+  });
+
+  test('half-reactions carry phases and label the added medium species', () => {
+    const { halfReactions } = app.balanceChemicalEquation('MnO4^-(aq) + Fe^2+(aq) + H^+(aq) -> Mn^2+(aq) + Fe^3+(aq) + H2O(l)');
+    assert.equal(halfReactions.oxidation.equation, 'Fe^2+(aq) → Fe^3+(aq) + e^-');
+    assert.equal(halfReactions.reduction.equation, 'MnO4^-(aq) + 8H^+(aq) + 5e^- → Mn^2+(aq) + 4H2O(l)');
+  });
+
+  test('formatChemicalFormula renders charges before state symbols', () => {
+    const calculator = new app.StoichiometryCalculator();
+    assert.equal(
+      calculator.formatChemicalFormula('Cu(s) + 2Ag^+(aq) → Cu^2+(aq) + 2Ag(s)'),
+      'Cu<span class="phase">(s)</span> + 2Ag<sup>+</sup><span class="phase">(aq)</span> → ' +
+        'Cu<sup>2+</sup><span class="phase">(aq)</span> + 2Ag<span class="phase">(s)</span>'
+    );
+    assert.equal(calculator.formatChemicalFormula('(NH4)2SO4'), '(NH<sub>4</sub>)<sub>2</sub>SO<sub>4</sub>');
+  });
+});
+
+describe('half-reaction method', () => {
+  test('permanganate and iron(II) in acid', () => {
+    const { halfReactions } = app.balanceChemicalEquation('MnO4- + Fe+2 + H+ -> Mn+2 + Fe+3 + H2O');
+    assert.equal(halfReactions.medium, 'acidic');
+    assert.equal(halfReactions.oxidation.equation, 'Fe^2+ → Fe^3+ + e^-');
+    assert.equal(halfReactions.oxidation.electrons, 1);
+    assert.equal(halfReactions.reduction.electrons, 5);
+    assert.ok(halfReactions.reduction.equation.startsWith('MnO4^- + 8H^+ + 5e^-'));
+  });
+
+  test('molecular equations drop their spectator ions before the split', () => {
+    const { halfReactions } = app.balanceChemicalEquation('KMnO4 + FeSO4 + H2SO4 -> K2SO4 + MnSO4 + Fe2(SO4)3 + H2O', 'redox');
+    assert.equal(halfReactions.oxidation.equation, 'Fe^2+(aq) → Fe^3+(aq) + e^-');
+    assert.equal(halfReactions.reduction.equation, 'MnO4^-(aq) + 8H^+(aq) + 5e^- → Mn^2+(aq) + 4H2O(l)');
+
+    const copper = app.balanceChemicalEquation('Cu + HNO3 -> Cu(NO3)2 + NO + H2O', 'redox').halfReactions;
+    assert.equal(copper.combined.equation, '3Cu + 2NO3^-(aq) + 8H^+(aq) → 3Cu^2+(aq) + 2NO + 4H2O(l)');
+  });
+
+  test('hydrogen peroxide disproportionates with water as the reduced species', () => {
+    const { halfReactions } = app.balanceChemicalEquation('H2O2 -> H2O + O2', 'redox');
+    assert.equal(halfReactions.oxidation.equation, 'H2O2 → O2 + 2H^+ + 2e^-');
+    assert.equal(halfReactions.reduction.equation, 'H2O2 + 2H^+ + 2e^- → 2H2O');
+    assert.equal(halfReactions.combined.equation, '2H2O2 → O2 + 2H2O');
+  });
+
+  test('half-reactions are built in standard mode too', () => {
+    const result = app.balanceChemicalEquation('KMnO4 + HCl -> KCl + MnCl2 + Cl2 + H2O', 'standard');
+    assert.equal(result.halfReactions.oxidation.equation, '2Cl^-(aq) → Cl2 + 2e^-');
+    assert.equal(result.halfReactions.reduction.electrons, 5);
+    assert.match(app.balanceChemicalEquation('CH4 + O2 -> CO2 + H2O', 'standard').halfReactionsNote, /could not be separated/);
+  });
+
+  test('redox equations that do not split say why', () => {
+    const result = app.balanceChemicalEquation('CH4 + O2 -> CO2 + H2O', 'redox');
+    assert.equal(result.halfReactions, null);
+    assert.match(result.halfReactionsNote, /could not be separated into half-reactions/);
+  });
+
+  test('no half-reactions for non-redox equations', () => {
+    assert.equal(app.balanceChemicalEquation('HCl + NaOH -> NaCl + H2O').halfReactions, null);
+    assert.equal(app.balanceChemicalEquation('HCl + NaOH -> NaCl + H2O').halfReactionsNote, null);
+  });
+});
+
+describe('reaction classification', () => {
+  test('balanced results carry the reaction type', () => {
+    const { classification } = app.balanceChemicalEquation('Zn + CuSO4 -> ZnSO4 + Cu');
+    assert.deepEqual(plain(classification.types), ['single-displacement', 'redox']);
+    assert.match(classification.rationale[1].reason, /Zn oxidized \(0 → \+2\)/);
+  });
+
+  test('ammonium nitrate decomposition is a comproportionation', () => {
+    const { classification } = app.balanceChemicalEquation('NH4NO3 -> N2O + H2O');
+    assert.equal(classification.primary, 'comproportionation');
+  });
+});
+
+describe('predictProducts', () => {
+  test('reactant-only input', () => {
+    assert.equal(app.reactantsOnly('C3H8 + O2 ->'), 'C3H8 + O2');
+    assert.equal(app.reactantsOnly('C3H8 + O2 → CO2'), null);
+  });
+
+  test('candidates are balanced and ranked', () => {
+    const prediction = app.predictProducts('NaOH + HCl ->');
+    assert.equal(prediction.success, true);
+    assert.equal(prediction.predictions[0].result.balanced, 'NaOH + HCl → NaCl + H2O');
+    assert.equal(prediction.predictions[0].equation, 'NaOH + HCl → NaCl + H2O');
+    assert.deepEqual(plain(app.predictProducts('Fe + O2 ->').predictions.map(p => p.result.balanced)),
+      ['4Fe + 3O2 → 2Fe2O3', '2Fe + O2 → 2FeO']);
+  });
+
+  test('no prediction explains why', () => {
+    const prediction = app.predictProducts('Ag + HCl ->');
+    assert.equal(prediction.success, false);
+    assert.match(prediction.error, /Ag is below hydrogen/);
+  });
+});
+
+describe('compound names', () => {
+  test('names balance as their formulas', () => {
+    const result = app.balanceChemicalEquation('iron + oxygen -> iron(III) oxide');
+    assert.equal(result.balanced, '4Fe + 3O2 → 2Fe2O3');
+    assert.equal(result.products[0].name, 'iron(III) oxide');
+    assert.equal(app.balanceChemicalEquation('silver nitrate(aq) + NaCl(aq) -> silver chloride(s) + NaNO3(aq)').balanced,
+      'AgNO3(aq) + NaCl(aq) → AgCl(s) + NaNO3(aq)');
+  });
+
+  test('ambiguous names are reported and unknown words are parsed as formulas', () => {
+    assert.deepEqual(plain(app.balanceChemicalEquation('iron + chlorine -> iron chloride')), {
+      success: false,
+      error: 'Give the charge of iron, e.g. iron(II) or iron(III)'
+    });
+    assert.match(app.balanceChemicalEquation('Invalid equation -> Nothing').error, /No solution exists/);
+  });
+
+  test('speciesNames names typed formulas and keeps typed names', () => {
+    assert.equal(app.speciesNames(app.balanceChemicalEquation('C3H8 + O2 -> CO2 + H2O')),
+      'propane + oxygen → carbon dioxide + water');
+    assert.equal(app.speciesNames(app.balanceChemicalEquation('ferric oxide + CO -> Fe + CO2')),
+      'ferric oxide + carbon monoxide → iron + carbon dioxide');
+    assert.equal(app.speciesNames({ success: false }), null);
+  });
+});
+
+describe('periodic-table picker', () => {
+  test('hover details use the oxidation-state database, then the element dataset', () => {
+    const iron = app.pickerElementDetails('Fe');
+    assert.deepEqual(plain(iron.oxidationStates), ['+2', '+3']);
+    assert.equal(iron.atomicMass, '55.845');
+    assert.match(app.pickerElementTooltip('Fe'), /\+3: Iron\(III\) or ferric compounds/);
+
+    assert.deepEqual(plain(app.pickerElementDetails('Nd').oxidationStates), ['+3']);
+    assert.equal(app.pickerElementDetails('Tc').atomicMass, '[98]');
+    assert.equal(app.pickerElementDetails('Xx'), null);
+  });
+
+  test('elements are placed by group and period, the f-block below the table', () => {
+    const position = symbol => plain(app.periodicGridPosition(app.PeriodicTable.get(symbol)));
+    assert.deepEqual(position('Fe'), { row: 4, column: 8 });
+    assert.deepEqual(position('Lu'), { row: 6, column: 3 });
+    assert.deepEqual(position('La'), { row: 9, column: 3 });
+    assert.deepEqual(position('No'), { row: 10, column: 16 });
+  });
+
+  test('renders element and quick-insert buttons', () => {
+    const containers = {};
+    const picker = { querySelector: selector => (containers[selector] ??= { innerHTML: '' }) };
+    new app.StoichiometryCalculator().renderPeriodicPicker(picker);
+
+    const grid = containers['.periodic-grid'].innerHTML;
+    assert.equal(grid.match(/data-element=/g).length, 118);
+    assert.match(grid, /data-insert="Fe"[^>]*style="grid-row: 4; grid-column: 8"/);
+    assert.match(containers['[data-picker-group="ions"]'].innerHTML, /data-insert="SO4"/);
+    assert.match(containers['[data-picker-group="states"]'].innerHTML, /data-insert="\(aq\)"/);
+    assert.match(containers['[data-picker-group="charges"]'].innerHTML, /data-insert="\^2-"/);
+  });
+});
+
+describe('condensed structural formulas', () => {
+  test('balance with element counts and display as typed', () => {
+    const result = app.balanceChemicalEquation('CH3(CH2)4COOH + O2 -> CO2 + H2O');
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.balanced, 'CH3(CH2)4COOH + 8O2 → 6CO2 + 6H2O');
+    assert.equal(app.balanceChemicalEquation('CH3-CH2-OH + O2 -> CO2 + H2O').balanced, 'CH3-CH2-OH + 3O2 → 2CO2 + 3H2O');
+  });
+
+  test('a double bond is not taken for the arrow', () => {
+    assert.equal(app.balanceChemicalEquation('CH2=CH2 + H2O -> CH3CH2OH').balanced, 'CH2=CH2 + H2O → CH3CH2OH');
+    assert.equal(app.balanceChemicalEquation('H2 + O2 = H2O').balanced, '2H2 + O2 → 2H2O');
+    assert.equal(app.balanceChemicalEquation('CH2=CH2 + H2 = C2H6').balanced, 'CH2=CH2 + H2 → C2H6');
+  });
+
+  test('an empty side or a loose "+" is named', () => {
+    assert.deepEqual(plain(app.balanceChemicalEquation('Fe + -> Fe2O3')),
+      { success: false, error: 'Missing a species next to "+" in the reactants', position: 3 });
+    assert.equal(app.balanceChemicalEquation('Fe + O2 -> + Fe2O3').error, 'Missing a species next to "+" in the products');
+    assert.equal(app.balanceChemicalEquation('Fe + + O2 -> Fe2O3').position, 5);
+    assert.match(app.balanceChemicalEquation('Fe + O2 -> ').error, /^No products after the arrow/);
+    assert.match(app.balanceChemicalEquation('-> Fe2O3').error, /^No reactants before the arrow/);
+    assert.equal(app.balanceChemicalEquation('Na+ + Cl- -> NaCl').success, true);
+  });
+
+  test('an = that could be either the arrow or a bond is reported', () => {
+    for (const equation of ['CH2=CH2+H2=C2H6', 'H2+O2=H2O', 'A = B = C']) {
+      const result = app.balanceChemicalEquation(equation);
+      assert.equal(result.success, false);
+      assert.match(result.error, /^Cannot tell the arrow from a double bond/);
+    }
+  });
+});
+
+describe('abbreviation macros', () => {
+  test('balanced equations keep the abbreviations as typed', () => {
+    const result = app.balanceChemicalEquation('Cu^2+ + en -> Cu(en)2^2+');
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.balanced, 'Cu^2+ + 2en → Cu(en)2^2+');
+    assert.equal(app.balanceChemicalEquation('PhCOOH + O2 -> CO2 + H2O').balanced, '2PhCOOH + 15O2 → 14CO2 + 6H2O');
+  });
+
+  test('actinium inserted from the picker balances as the element', () => {
+    assert.equal(app.balanceChemicalEquation('Ac + O2 -> Ac2O3').balanced, '4Ac + 3O2 → 2Ac2O3');
+    assert.equal(app.balanceChemicalEquation('Ac2O + H2O -> AcOH').balanced, 'Ac2O + H2O → 2AcOH');
+  });
+
+  test('acetates written AcONa and AcOEt balance', () => {
+    assert.equal(app.balanceChemicalEquation('AcOH + NaOH -> AcONa + H2O').balanced, 'AcOH + NaOH → AcONa + H2O');
+    assert.equal(app.balanceChemicalEquation('AcOH + EtOH -> AcOEt + H2O').balanced, 'AcOH + EtOH → AcOEt + H2O');
+  });
+
+  test('user macros are validated', () => {
+    assert.equal(app.defineFormulaMacro('', 'C7H7').success, false);
+    assert.match(app.defineFormulaMacro('Qz', 'Xx2').error, /Unknown element "Xx"/);
+    assert.match(app.defineFormulaMacro('Qz', 'SO4^2-').error, /neutral/);
+    assert.match(app.defineFormulaMacro('Na', 'C7H7').error, /element symbol/);
+  });
+
+  test('user macros are saved with and restored from the preferences', () => {
+    let saved = null;
+    app.localStorage = { getItem: () => null, setItem: (key, value) => { saved = JSON.parse(value); } };
+    try {
+      const calculator = new app.StoichiometryCalculator();
+      calculator.preferences = { macros: { Tol: 'C7H7', Qz: 'Xx2' } };
+      calculator.applyPreferences();
+      assert.deepEqual(plain(calculator.macros), { Tol: 'C7H7' });
+      assert.equal(app.balanceChemicalEquation('TolOH + O2 -> CO2 + H2O').balanced, '2TolOH + 17O2 → 14CO2 + 8H2O');
+
+      calculator.savePreferences();
+      assert.deepEqual(saved.macros, { Tol: 'C7H7' });
+    } finally {
+      app.localStorage = { getItem: () => null, setItem: () => {} };
+      app.ChemicalLexer.clearMacros();
+    }
+  });
+});
+
+describe('inspectFormula', () => {
+  test('typed formulas and balanced species', () => {
+    const typed = app.inspectFormula('CuSO4·5H2O');
+    assert.equal(typed.success, true);
+    assert.equal(typed.hydrate.waterCount, 5);
+
+    const { reactants } = app.balanceChemicalEquation('CuSO4·5H2O -> CuSO4 + H2O');
+    const species = app.inspectFormula(reactants[0]);
+    assert.equal(species.hydrate.waterCount, 5);
+    assert.ok(Math.abs(species.molarMass - typed.molarMass) < 1e-9);
+
+    assert.equal(app.inspectFormula('').success, false);
+    assert.match(app.inspectFormula('Xx2').error, /Xx/);
+  });
+});
+
+describe('isotopePattern', () => {
+  test('charge state override and missing data', () => {
+    const pattern = app.isotopePattern('C6H12O6', 1);
+    assert.equal(pattern.success, true);
+    assert.equal(pattern.charge, 1);
+    assert.ok(pattern.monoisotopicMz < pattern.monoisotopicMass);
+    assert.equal(app.isotopePattern('C6H12O6').charge, 0);
+    assert.match(app.isotopePattern('PtCl2').error, /No isotope abundances for Pt/);
+  });
+});
+
+describe('formatMeasured', () => {
+  const precision = sigFigs => ({ sigFigs, rule: 'product', limitedBy: null });
+
+  test('rounds to significant figures unless full precision is on', () => {
+    assert.equal(app.formatMeasured(14.2978, precision(3)), '14.3');
+    assert.equal(app.formatMeasured(2.5, precision(3)), '2.50');
+    assert.equal(app.formatMeasured(14.2978, precision(3), true), '14.2978');
+    assert.equal(app.formatMeasured(null, precision(3)), '—');
+  });
+
+  test('large and small values use powers of ten; exact values keep four figures', () => {
+    assert.equal(app.formatMeasured(1234.5, precision(3)), '1.23 × 10³');
+    assert.equal(app.formatMeasured(1.5e-7, precision(2)), '1.5 × 10⁻⁷');
+    assert.equal(app.formatMeasured(1 / 3, { sigFigs: Infinity, rule: 'exact', limitedBy: null }), '0.3333');
+  });
+});
+
+describe('findEmpiricalFormula', () => {
+  test('element amounts are read from free text', () => {
+    assert.deepEqual(plain(app.parseElementAmounts('C 40.0, H 6.71, O=53.29')), { C: 40, H: 6.71, O: 53.29 });
+    assert.deepEqual(plain(app.parseElementAmounts('')), {});
+  });
+
+  test('percentages with a molar mass give the molecular formula', () => {
+    const result = app.findEmpiricalFormula({ amounts: { C: 40.0, H: 6.71, O: 53.29 }, molarMass: 180.16 });
+    assert.equal(result.success, true);
+    assert.equal(result.formula, 'CH2O');
+    assert.equal(result.molecular.formula, 'C6H12O6');
+  });
+
+  test('combustion data and errors', () => {
+    const result = app.findEmpiricalFormula({
+      method: 'combustion',
+      combustion: { sampleMass: 1.000, co2Mass: 1.499, h2oMass: 0.4092 }
+    });
+    assert.equal(result.formula, 'C3H4O3');
+    assert.match(app.findEmpiricalFormula({ method: 'combustion', combustion: { sampleMass: 1.000 } }).error,
+      /at least one combustion product mass/);
+    assert.equal(app.findEmpiricalFormula({ method: 'masses', amounts: {} }).success, false);
+    assert.match(app.findEmpiricalFormula({ amounts: { Xx: 100 } }).error, /Unknown element: Xx/);
+    assert.match(app.findEmpiricalFormula({ amounts: { C: 40, H: 6.71, O: 60 } }).error, /add up to 106.71%/);
+  });
+});
+
+describe('buildNetIonicEquation', () => {
+  test('net ionic equation of a balanced result', () => {
+    const ionic = app.buildNetIonicEquation(app.balanceChemicalEquation('AgNO3(aq) + NaCl(aq) -> AgCl(s) + NaNO3(aq)'));
+    assert.equal(ionic.net, 'Ag^+(aq) + Cl^-(aq) → AgCl(s)');
+    assert.deepEqual(plain(ionic.spectators.map(ion => ion.formula)), ['NO3', 'Na']);
+  });
+
+  test('null when nothing dissociates', () => {
+    assert.equal(app.buildNetIonicEquation(app.balanceChemicalEquation('H2 + O2 -> H2O')), null);
+    assert.equal(app.buildNetIonicEquation({ success: false }), null);
+  });
+});
+
+describe('cell potential', () => {
+  const near = (actual, expected, tolerance = 1e-3) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+  test('permanganate / iron(II)', () => {
+    const { cellPotential } = app.balanceChemicalEquation('MnO4- + Fe+2 + H+ -> Mn+2 + Fe+3 + H2O');
+    near(cellPotential.standardPotential, 0.736);
+    assert.equal(cellPotential.electrons, 5);
+    assert.equal(cellPotential.spontaneous, true);
+    near(cellPotential.deltaG, -355.07, 0.01);
+  });
+
+  test('dichromate / iron(II) and cerium(IV) / iron(II)', () => {
+    near(app.balanceChemicalEquation('Cr2O7-2 + Fe+2 + H+ -> Cr+3 + Fe+3 + H2O').cellPotential.standardPotential, 0.461);
+    near(app.balanceChemicalEquation('Ce+4 + Fe+2 -> Ce+3 + Fe+3').cellPotential.standardPotential, 0.949);
+  });
+
+  // RT/F ln 10 at 298.15 K, the Nernst slope per electron in log10 units
+  const slope = GAS_CONSTANT * STANDARD_TEMPERATURE * Math.LN10 / FARADAY;
+
+  // Nernst on an app cell, activities given per displayed formula
+  const nernst = (cell, activities = {}, pH = null) => {
+    const side = species => species.map(s => ({ ...s, activity: activities[s.formula] }));
+    return CellPotentialCalculator.nernst(cell, { reactants: side(cell.reactants), products: side(cell.products), pH });
+  };
+
+  test('Nernst with concentrations other than 1 M', () => {
+    const { cellPotential } = app.balanceChemicalEquation('MnO4- + Fe+2 + H+ -> Mn+2 + Fe+3 + H2O');
+    near(nernst(cellPotential).potential, 0.736);
+
+    // Q = [Fe3+]^5 / [Fe2+]^5 = 10^5
+    const result = nernst(cellPotential, { 'Fe^2+': 0.01, 'Fe^3+': 0.1 });
+    near(result.reactionQuotient, 1e5, 1e-6);
+    near(result.potential, 0.736 - slope * 5 / 5);
+    // Water stays at unit activity even when a value is typed for it
+    near(nernst(cellPotential, { 'H2O': 0.5 }).potential, 0.736);
+  });
+
+  test('Nernst at a given pH sets the H+ activity', () => {
+    const { cellPotential } = app.balanceChemicalEquation('MnO4- + Fe+2 + H+ -> Mn+2 + Fe+3 + H2O');
+    // 8 H+ consumed: E = E° - (slope/5) · 8 · pH
+    near(nernst(cellPotential, {}, 3).potential, 0.736 - slope * 8 * 3 / 5);
+    near(nernst(cellPotential, { 'H^+': 1 }, 3).potential, nernst(cellPotential, {}, 3).potential);
+    assert.equal(nernst(cellPotential, {}, 14).spontaneous, false);
+  });
+
+  test('Nernst in basic medium takes the OH- activity from the pH', () => {
+    const { cellPotential } = app.balanceChemicalEquation('MnO4- + Fe(OH)2 + H2O -> MnO2 + Fe(OH)3 + OH-');
+    assert.equal(cellPotential.medium, 'basic');
+    near(cellPotential.standardPotential, 1.155);
+    assert.equal(cellPotential.electrons, 3);
+
+    // One OH- produced: E = E° - (slope/3) · log10[OH-], [OH-] = 10^(pH - 14)
+    near(nernst(cellPotential, {}, 12).potential, 1.155 + slope * 2 / 3);
+    near(nernst(cellPotential, {}, 7).potential, 1.155 + slope * 7 / 3);
+    near(nernst(cellPotential, { 'OH^-': 0.1 }).potential, 1.155 + slope / 3);
+  });
+
+  test('Nernst rejects non-positive concentrations', () => {
+    const { cellPotential } = app.balanceChemicalEquation('MnO4- + Fe+2 + H+ -> Mn+2 + Fe+3 + H2O');
+    assert.throws(() => nernst(cellPotential, { 'Fe^2+': 0 }), /must be positive/);
+  });
+});
+
+describe('balanceReactionSequence', () => {
+  test('links steps through intermediates and multiplies yields', () => {
+    const result = app.balanceReactionSequence([
+      { equation: 'N2 + H2 -> NH3', yield: 90 },
+      { equation: 'NH3 + O2 -> NO + H2O', yield: 80 }
+    ]);
+    assert.equal(result.success, true, result.error);
+    assert.ok(Math.abs(result.overallYield - 72) < 1e-9);
+    assert.equal(result.steps[1].link.formula, 'NH3');
+    assert.deepEqual(plain(result.steps).map(s => s.multiplier), [2, 1]);
+    assert.equal(result.netEquation, '2N2 + 6H2 + 5O2 → 4NO + 6H2O');
+  });
+
+  test('intermediates cancel across phases and other species keep theirs', () => {
+    const result = app.balanceReactionSequence([
+      { equation: 'C(s) + O2(g) -> CO2(g)' },
+      { equation: 'CO2(aq) + H2O(l) -> H2CO3(aq)' }
+    ]);
+    assert.equal(result.netEquation, 'C(s) + O2(g) + H2O(l) → H2CO3(aq)');
+  });
+
+  test('unlinked steps are rejected', () => {
+    const result = app.balanceReactionSequence([
+      { equation: 'H2 + O2 -> H2O' },
+      { equation: 'Na + Cl2 -> NaCl' }
+    ]);
+    assert.equal(result.success, false);
+    assert.equal(result.step, 1);
+  });
+
+  test('the ends of the sequence skip recurring reagents and by-products', () => {
+    // O2 is listed first but is consumed again in step 2; NO is listed first but comes from step 1 too
+    const steps = [
+      { equation: 'O2 + NH3 -> NO + H2O' },
+      { equation: 'NO + O2 -> NO2' },
+      { equation: 'NO2 + H2O -> NO + HNO3' }
+    ];
+    const result = app.balanceReactionSequence(steps, { targetGrams: 63.01 });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.startingMaterial.formula, 'NH3');
+    assert.equal(result.finalProduct.formula, 'HNO3');
+    // 1 mol HNO3 needs 1.5 mol NO2 (3NO2 → 2HNO3 + NO), so 1.5 mol NO and 1.5 mol NH3
+    assert.ok(Math.abs(result.startingMaterial.moles - 1.5) < 1e-3);
+  });
+
+  test('ambiguous ends must be chosen before a target mass is worked back', () => {
+    const steps = [
+      { equation: 'N2 + H2 -> NH3' },
+      { equation: 'NH3 + O2 -> NO + H2O' }
+    ];
+    const report = app.balanceReactionSequence(steps);
+    assert.equal(report.startingMaterial, null);
+    assert.equal(report.finalProduct, null);
+    assert.match(app.balanceReactionSequence(steps, { targetGrams: 30 }).error, /Choose the starting material: N2, H2/);
+
+    const chosen = app.balanceReactionSequence(steps, { targetGrams: 30.01, startingMaterial: 'H2', finalProduct: 'NO' });
+    assert.equal(chosen.success, true, chosen.error);
+    assert.equal(chosen.startingMaterial.formula, 'H2');
+    // 1 mol NO needs 1 mol NH3, which takes 1.5 mol H2
+    assert.ok(Math.abs(chosen.startingMaterial.moles - 1.5) < 1e-3);
+    assert.match(app.balanceReactionSequence(steps, { finalProduct: 'NO2' }).error, /NO2 is not a product of the last step/);
+  });
+
+  test('invalid yields are rejected', () => {
+    const result = app.balanceReactionSequence([{ equation: 'H2 + O2 -> H2O', yield: 150 }]);
+    assert.equal(result.success, false);
+    assert.match(result.error, /yield must be between 0 and 100%/);
+  });
+});
+
+describe('runBatchBalance', () => {
+  test('balances every line and reports completion', async () => {
+    const { results } = await new Promise(resolve => {
+      app.runBatchBalance(['H2 + O2 -> H2O', '', 'H2 -> O2'], { chunkSize: 2, onComplete: resolve });
+    });
+    assert.equal(results.length, 3);
+    assert.equal(results[0].balanced, '2H2 + O2 → 2H2O');
+    assert.equal(results[1].skipped, true);
+    assert.equal(results[2].success, false);
+  });
+
+  test('phase warnings are included', async () => {
+    const { results } = await new Promise(resolve => {
+      app.runBatchBalance(['NaCl(aq) + NaCl(s) -> Na(s) + Cl2(g)'], { onComplete: resolve });
+    });
+    assert.deepEqual(plain(results[0].warnings), ['NaCl appears as (aq) and (s) among the reactants']);
+  });
+
+  test('reaction types are included', async () => {
+    const { results } = await new Promise(resolve => {
+      app.runBatchBalance(['AgNO3 + NaCl -> AgCl + NaNO3', 'CH4 + O2 -> CO2 + H2O'], { onComplete: resolve });
+    });
+    assert.equal(results[0].reactionType, 'precipitation');
+    assert.deepEqual(plain(results[0].classification.map(entry => entry.type)), ['precipitation', 'double-displacement']);
+    assert.match(results[0].classification[0].reason, /AgCl precipitates/);
+    assert.equal(results[1].reactionType, 'combustion');
+  });
+});
+
+describe('pages', () => {
+  // app.js reads the chem/ classes as globals, which only chem/browser.js provides
+  for (const page of ['index.html', 'bulk.html']) {
+    test(`${page} loads the chemistry modules through the browser bridge`, () => {
+      const html = readFileSync(new URL(`../${page}`, import.meta.url), 'utf8');
+      const scripts = [...html.matchAll(/<script([^>]*)\ssrc="([^"]+)"/g)].map(([, attributes, src]) => ({ attributes, src }));
+      const local = scripts.filter(script => !/^https?:/.test(script.src));
+
+      for (const { src } of local) assert.ok(existsSync(new URL(`../${src}`, import.meta.url)), `${page} loads missing ${src}`);
+      const bridge = local.findIndex(script => script.src === 'chem/browser.js');
+      assert.notEqual(bridge, -1);
+      assert.match(local[bridge].attributes, /type="module"/);
+      assert.ok(bridge < local.findIndex(script => script.src === 'app.js'));
+      assert.deepEqual(local.filter(script => script.src.startsWith('chem/')).map(script => script.src), ['chem/browser.js']);
+    });
+  }
+});
@@ -0,0 +1,256 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChemicalBalancer, BalanceError, balanceEquation } from '../chem/balancer.js';
+import { Fraction, FractionUtils } from '../chem/fractions.js';
+import { parseFormula } from '../chem/parser.js';
+
+// Coefficients in [...reactants, ...products] order
+function coefficientsOf(result, reactants, products) {
+  const lookup = (species, side) => {
+    const item = result.coefficients.find(c => c.species === species && c.side === side);
+    return item ? item.coeff : 0;
+  };
+  return [
+    ...reactants.map(r => lookup(r, 'reactant')),
+    ...products.map(p => lookup(p, 'product'))
+  ];
+}
+
+function split(equation) {
+  const [left, right] = equation.split('->').map(side => side.split(' + ').map(s => s.trim()));
+  return { reactants: left, products: right };
+}
+
+// Every element and the net charge must match on both sides
+function assertConserved(result) {
+  const totals = {};
+  let charge = 0;
+  for (const item of result.coefficients) {
+    const sign = item.side === 'reactant' ? 1 : -1;
+    const parsed = parseFormula(item.species);
+    for (const [element, count] of Object.entries(parsed.elements)) {
+      totals[element] = (totals[element] || 0) + sign * count * item.coeff;
+    }
+    charge += sign * parsed.charge * item.coeff;
+  }
+  for (const [element, total] of Object.entries(totals)) {
+    assert.equal(total, 0, `${element} is not conserved`);
+  }
+  assert.equal(charge, 0, 'charge is not conserved');
+}
+
+const STANDARD = [
+  ['H2 + O2 -> H2O', [2, 1, 2]],
+  ['Fe + O2 -> Fe2O3', [4, 3, 2]],
+  ['N2 + H2 -> NH3', [1, 3, 2]],
+  ['CH4 + O2 -> CO2 + H2O', [1, 2, 1, 2]],
+  ['C2H6 + O2 -> CO2 + H2O', [2, 7, 4, 6]],
+  ['C3H8 + O2 -> CO2 + H2O', [1, 5, 3, 4]],
+  ['C4H10 + O2 -> CO2 + H2O', [2, 13, 8, 10]],
+  ['C8H18 + O2 -> CO2 + H2O', [2, 25, 16, 18]],
+  ['C2H5OH + O2 -> CO2 + H2O', [1, 3, 2, 3]],
+  ['C6H12O6 + O2 -> CO2 + H2O', [1, 6, 6, 6]],
+  ['CO2 + H2O -> C6H12O6 + O2', [6, 6, 1, 6]],
+  ['Al + O2 -> Al2O3', [4, 3, 2]],
+  ['Mg + O2 -> MgO', [2, 1, 2]],
+  ['Na + Cl2 -> NaCl', [2, 1, 2]],
+  ['Al + Cl2 -> AlCl3', [2, 3, 2]],
+  ['P4 + O2 -> P4O10', [1, 5, 1]],
+  ['S8 + O2 -> SO3', [1, 12, 8]],
+  ['KClO3 -> KCl + O2', [2, 2, 3]],
+  ['H2O2 -> H2O + O2', [2, 2, 1]],
+  ['CaCO3 -> CaO + CO2', [1, 1, 1]],
+  ['NaHCO3 -> Na2CO3 + H2O + CO2', [2, 1, 1, 1]],
+  ['NH4NO3 -> N2O + H2O', [1, 1, 2]],
+  ['Zn + HCl -> ZnCl2 + H2', [1, 2, 1, 1]],
+  ['Al + HCl -> AlCl3 + H2', [2, 6, 2, 3]],
+  ['Na + H2O -> NaOH + H2', [2, 2, 2, 1]],
+  ['Fe + CuSO4 -> FeSO4 + Cu', [1, 1, 1, 1]],
+  ['Cu + AgNO3 -> Cu(NO3)2 + Ag', [1, 2, 1, 2]],
+  ['Fe2O3 + CO -> Fe + CO2', [1, 3, 2, 3]],
+  ['Fe2O3 + C -> Fe + CO2', [2, 3, 4, 3]],
+  ['Al + Fe2O3 -> Al2O3 + Fe', [2, 1, 1, 2]],
+  ['HCl + NaOH -> NaCl + H2O', [1, 1, 1, 1]],
+  ['H2SO4 + NaOH -> Na2SO4 + H2O', [1, 2, 1, 2]],
+  ['H3PO4 + Ca(OH)2 -> Ca3(PO4)2 + H2O', [2, 3, 1, 6]],
+  ['AgNO3 + NaCl -> AgCl + NaNO3', [1, 1, 1, 1]],
+  ['BaCl2 + Na2SO4 -> BaSO4 + NaCl', [1, 1, 1, 2]],
+  ['Pb(NO3)2 + KI -> PbI2 + KNO3', [1, 2, 1, 2]],
+  ['AlCl3 + NaOH -> Al(OH)3 + NaCl', [1, 3, 1, 3]],
+  ['Ca(OH)2 + CO2 -> CaCO3 + H2O', [1, 1, 1, 1]],
+  ['CaCO3 + HCl -> CaCl2 + H2O + CO2', [1, 2, 1, 1, 1]],
+  ['Na2CO3 + HCl -> NaCl + H2O + CO2', [1, 2, 2, 1, 1]],
+  ['NH3 + O2 -> NO + H2O', [4, 5, 4, 6]],
+  ['NO2 + H2O -> HNO3 + NO', [3, 1, 2, 1]],
+  ['FeS2 + O2 -> Fe2O3 + SO2', [4, 11, 2, 8]],
+  ['Cu + HNO3 -> Cu(NO3)2 + NO + H2O', [3, 8, 3, 2, 4]],
+  ['Cu + HNO3 -> Cu(NO3)2 + NO2 + H2O', [1, 4, 1, 2, 2]],
+  ['KMnO4 + HCl -> KCl + MnCl2 + H2O + Cl2', [2, 16, 2, 2, 8, 5]],
+  ['K2Cr2O7 + HCl -> KCl + CrCl3 + H2O + Cl2', [1, 14, 2, 2, 7, 3]],
+  ['MnO2 + HCl -> MnCl2 + H2O + Cl2', [1, 4, 1, 2, 1]],
+  ['Cl2 + NaOH -> NaCl + NaClO3 + H2O', [3, 6, 5, 1, 3]],
+  ['Ca3(PO4)2 + SiO2 + C -> CaSiO3 + P4 + CO', [2, 6, 10, 6, 1, 10]],
+  ['K4[Fe(CN)6] + H2SO4 + H2O -> K2SO4 + FeSO4 + (NH4)2SO4 + CO', [1, 6, 6, 2, 1, 3, 6]],
+  ['CuSO4·5H2O -> CuSO4 + H2O', [1, 1, 5]],
+  ['Na2CO3.10H2O -> Na2CO3 + H2O', [1, 1, 10]],
+  ['C3H5(NO3)3 -> CO2 + H2O + N2 + O2', [4, 12, 10, 6, 1]],
+  ['Fe3O4 + H2 -> Fe + H2O', [1, 4, 3, 4]],
+  ['SiCl4 + H2O -> SiO2 + HCl', [1, 2, 1, 4]],
+  ['PCl5 + H2O -> H3PO4 + HCl', [1, 4, 1, 5]],
+  ['Ca + H2O -> Ca(OH)2 + H2', [1, 2, 1, 1]],
+  ['Fe + Cl2 -> FeCl3', [2, 3, 2]],
+  ['CS2 + O2 -> CO2 + SO2', [1, 3, 1, 2]],
+  ['Fe3+ + Cu -> Fe2+ + Cu2+', [2, 1, 2, 1]],
+  ['Ag+ + Cu -> Ag + Cu2+', [2, 1, 2, 1]],
+  ['MnO4- + Fe2+ + H+ -> Mn2+ + Fe3+ + H2O', [1, 5, 8, 1, 5, 4]],
+  ['Cr2O7^2- + Fe2+ + H+ -> Cr3+ + Fe3+ + H2O', [1, 6, 14, 2, 6, 7]],
+  ['[13C]O2 + H2O -> [13C]6H12O6 + O2', [6, 6, 1, 6]]
+];
+
+describe('ChemicalBalancer standard mode', () => {
+  for (const [equation, expected] of STANDARD) {
+    test(equation, () => {
+      const { reactants, products } = split(equation);
+      const result = ChemicalBalancer.balance({ reactants, products });
+      assert.deepEqual(coefficientsOf(result, reactants, products), expected);
+      assertConserved(result);
+    });
+  }
+
+  test('the smallest integer solution is returned for reactions with two independent paths', () => {
+    const reactants = ['H2', 'O2'];
+    const products = ['H2O', 'H2O2'];
+    const result = ChemicalBalancer.balance({ reactants, products });
+    assert.deepEqual(coefficientsOf(result, reactants, products), [3, 2, 2, 1]);
+    assert.equal(result.details.nullity, 2);
+  });
+
+  test('pre-parsed species are accepted', () => {
+    const result = ChemicalBalancer.balance({
+      reactants: [{ elements: { H: 2 }, charge: 0 }, { elements: { O: 2 }, charge: 0 }],
+      products: [{ elements: { H: 2, O: 1 }, charge: 0 }]
+    });
+    assert.deepEqual([...result.details.integerCoefficients], [2, 1, 2]);
+  });
+
+  test('balanceEquation convenience export', () => {
+    const result = balanceEquation(['H2', 'Cl2'], ['HCl']);
+    assert.equal(ChemicalBalancer.formatEquation(result.coefficients), 'H2 + Cl2 → 2 HCl');
+  });
+});
+
+describe('ChemicalBalancer redox modes', () => {
+  const added = (result, species) => {
+    const item = result.coefficients.find(c => c.species === species);
+    return item ? [item.side, item.coeff] : null;
+  };
+
+  test('acidic: permanganate and iron(II)', () => {
+    const reactants = ['MnO4-', 'Fe+2'];
+    const products = ['Mn+2', 'Fe+3'];
+    const result = ChemicalBalancer.balance({ reactants, products, mode: 'acidic' });
+    assert.deepEqual(coefficientsOf(result, reactants, products), [1, 5, 1, 5]);
+    assert.deepEqual(added(result, 'H+'), ['reactant', 8]);
+    assert.deepEqual(added(result, 'H2O'), ['product', 4]);
+    assertConserved(result);
+  });
+
+  test('acidic: dichromate and iron(II)', () => {
+    const reactants = ['Cr2O7^2-', 'Fe2+'];
+    const products = ['Cr3+', 'Fe3+'];
+    const result = ChemicalBalancer.balance({ reactants, products, mode: 'acidic' });
+    assert.deepEqual(coefficientsOf(result, reactants, products), [1, 6, 2, 6]);
+    assert.deepEqual(added(result, 'H+'), ['reactant', 14]);
+    assert.deepEqual(added(result, 'H2O'), ['product', 7]);
+  });
+
+  test('acidic: permanganate and oxalate', () => {
+    const reactants = ['MnO4-', 'C2O4^2-'];
+    const products = ['Mn2+', 'CO2'];
+    const result = ChemicalBalancer.balance({ reactants, products, mode: 'acidic' });
+    assert.deepEqual(coefficientsOf(result, reactants, products), [2, 5, 2, 10]);
+    assert.deepEqual(added(result, 'H+'), ['reactant', 16]);
+    assert.deepEqual(added(result, 'H2O'), ['product', 8]);
+  });
+
+  test('basic: chlorine disproportionation', () => {
+    const reactants = ['Cl2'];
+    const products = ['Cl-', 'ClO3-'];
+    const result = ChemicalBalancer.balance({ reactants, products, mode: 'basic' });
+    assert.deepEqual(coefficientsOf(result, reactants, products), [3, 5, 1]);
+    assert.deepEqual(added(result, 'OH-'), ['reactant', 6]);
+    assert.deepEqual(added(result, 'H2O'), ['product', 3]);
+    assertConserved(result);
+  });
+
+  test('basic: permanganate and sulfite', () => {
+    const reactants = ['MnO4-', 'SO3^2-'];
+    const products = ['MnO2', 'SO4^2-'];
+    const result = ChemicalBalancer.balance({ reactants, products, mode: 'basic' });
+    assert.deepEqual(coefficientsOf(result, reactants, products), [2, 3, 2, 3]);
+    assert.deepEqual(added(result, 'H2O'), ['reactant', 1]);
+    assert.deepEqual(added(result, 'OH-'), ['product', 2]);
+    assertConserved(result);
+  });
+
+  test('added species are reported', () => {
+    const result = ChemicalBalancer.balance({ reactants: ['MnO4-', 'Fe2+'], products: ['Mn2+', 'Fe3+'], mode: 'acidic' });
+    assert.ok(result.addedSpecies.includes('H+'));
+    assert.ok(result.addedSpecies.includes('H2O'));
+  });
+});
+
+describe('BalanceError', () => {
+  const code = (options) => {
+    try {
+      ChemicalBalancer.balance(options);
+    } catch (error) {
+      assert.ok(error instanceof BalanceError);
+      return error.code;
+    }
+    assert.fail('expected a BalanceError');
+  };
+
+  test('impossible equations', () => {
+    assert.equal(code({ reactants: ['H2'], products: ['O2'] }), 'NO_SOLUTION');
+    assert.equal(code({ reactants: ['NaCl'], products: ['Na2SO4'] }), 'NO_SOLUTION');
+  });
+
+  test('no species', () => {
+    assert.equal(code({ reactants: [], products: [] }), 'NO_SPECIES');
+  });
+
+  test('invalid formulas are wrapped', () => {
+    assert.throws(
+      () => ChemicalBalancer.balance({ reactants: ['Ca(OH2'], products: ['CaO'] }),
+      error => error instanceof BalanceError && /Invalid formula "Ca\(OH2"/.test(error.message)
+    );
+  });
+});
+
+describe('Fraction', () => {
+  test('arithmetic reduces to lowest terms', () => {
+    assert.equal(new Fraction(1, 2).add(new Fraction(1, 3)).toString(), '5/6');
+    assert.equal(new Fraction(3, 4).sub(new Fraction(1, 4)).toString(), '1/2');
+    assert.equal(new Fraction(2, 3).mul(new Fraction(3, 4)).toString(), '1/2');
+    assert.equal(new Fraction(1, 2).div(new Fraction(1, 4)).toString(), '2');
+    assert.equal(new Fraction(4, -8).toString(), '-1/2');
+  });
+
+  test('fromDecimal', () => {
+    assert.equal(Fraction.fromDecimal(0.75).toString(), '3/4');
+    assert.equal(Fraction.fromDecimal(0.5).toString(), '1/2');
+  });
+
+  test('zero denominators and division by zero throw', () => {
+    assert.throws(() => new Fraction(1, 0), /Denominator cannot be zero/);
+    assert.throws(() => new Fraction(1, 2).div(new Fraction(0, 1)), /Division by zero/);
+  });
+
+  test('toIntegers clears denominators and common factors', () => {
+    const ints = FractionUtils.toIntegers([new Fraction(1, 2), new Fraction(3, 4), new Fraction(1, 4)]);
+    assert.deepEqual(ints, [2, 3, 1]);
+    assert.equal(Fraction.gcd(12, 18), 6);
+    assert.equal(Fraction.lcm(4, 6), 12);
+  });
+});
@@ -0,0 +1,89 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReactionClassifier } from '../chem/classify.js';
+import { StoichiometryError } from '../chem/stoichiometry.js';
+import { balance, classifyReaction } from '../chem/index.js';
+
+const types = equation => classifyReaction(equation).types;
+
+describe('composition patterns', () => {
+  test('combustion of C/H/O fuels', () => {
+    assert.deepEqual(types('CH4 + O2 -> CO2 + H2O'), ['combustion', 'redox']);
+    assert.deepEqual(types('C6H12O6 + O2 -> CO2 + H2O'), ['combustion', 'redox']);
+    assert.deepEqual(types('H2 + O2 -> H2O'), ['combustion', 'synthesis', 'redox']);
+  });
+
+  test('metals burning in oxygen are synthesis, not combustion', () => {
+    assert.deepEqual(types('Fe + O2 -> Fe2O3'), ['synthesis', 'redox']);
+  });
+
+  test('synthesis and decomposition', () => {
+    assert.equal(classifyReaction('Na + Cl2 -> NaCl').primary, 'synthesis');
+    assert.deepEqual(types('CaCO3 -> CaO + CO2'), ['decomposition']);
+    assert.deepEqual(types('KClO3 -> KCl + O2'), ['decomposition', 'redox']);
+  });
+
+  test('single displacement', () => {
+    const result = classifyReaction('Zn + CuSO4 -> ZnSO4 + Cu');
+    assert.deepEqual(result.types, ['single-displacement', 'redox']);
+    assert.equal(result.rationale[0].reason, 'Zn replaces Cu in CuSO4, forming ZnSO4');
+  });
+});
+
+describe('solubility, acid and base rules', () => {
+  test('precipitation is also a double displacement', () => {
+    const result = classifyReaction('AgNO3 + NaCl -> AgCl + NaNO3');
+    assert.equal(result.primary, 'precipitation');
+    assert.deepEqual(result.types, ['precipitation', 'double-displacement']);
+    assert.match(result.rationale[0].reason, /^AgCl precipitates: Chlorides/);
+    assert.equal(result.rationale[1].reason, 'AgNO3 and NaCl exchange partners: Ag^+ pairs with Cl^- and Na^+ with NO3^-');
+  });
+
+  test('soluble products do not precipitate', () => {
+    assert.deepEqual(types('NaCl + KNO3 -> KCl + NaNO3'), ['double-displacement']);
+  });
+
+  test('neutralization with strong and weak acids and bases', () => {
+    const strong = classifyReaction('HCl + NaOH -> NaCl + H2O');
+    assert.deepEqual(strong.types, ['neutralization', 'double-displacement']);
+    assert.equal(strong.rationale[0].reason, 'HCl (strong acid) neutralizes NaOH (strong base) to form water');
+    assert.match(classifyReaction('CH3COOH + NaOH -> NaCH3COO + H2O').rationale[0].reason, /weak acid/);
+    assert.deepEqual(types('NH3 + HCl -> NH4Cl'), ['neutralization', 'synthesis']);
+  });
+});
+
+describe('oxidation-state patterns', () => {
+  test('disproportionation', () => {
+    const result = classifyReaction('Cl2 + NaOH -> NaCl + NaClO + H2O');
+    assert.deepEqual(result.types, ['disproportionation', 'redox']);
+    assert.equal(result.rationale[0].reason, 'Cl starts at 0 and ends at both -1 and +1');
+    assert.deepEqual(types('H2O2 -> H2O + O2'), ['disproportionation', 'decomposition', 'redox']);
+  });
+
+  test('comproportionation', () => {
+    const result = classifyReaction('H2S + SO2 -> S + H2O');
+    assert.deepEqual(result.types, ['comproportionation', 'redox']);
+    assert.equal(result.rationale[0].reason, 'S at -2 and +4 both end at 0');
+  });
+
+  test('salts are split into ions before comparing states', () => {
+    const result = classifyReaction('NH4NO3 -> N2O + H2O');
+    assert.deepEqual(result.types, ['comproportionation', 'decomposition', 'redox']);
+    assert.equal(result.rationale[0].reason, 'N at -3 and +5 both end at +1');
+    const averaged = { isRedox: false, osChanges: {} };
+    assert.deepEqual(ReactionClassifier.classify(balance('NH4NO3 -> N2O + H2O'), { redoxAnalysis: averaged }).types,
+      ['comproportionation', 'decomposition', 'redox']);
+  });
+
+  test('accepts an existing redox analysis', () => {
+    const balanced = balance('Fe + Fe2(SO4)3 -> FeSO4');
+    const redoxAnalysis = { isRedox: false, osChanges: {} };
+    assert.deepEqual(ReactionClassifier.classify(balanced, { redoxAnalysis }).types, ['synthesis']);
+    assert.deepEqual(ReactionClassifier.classify(balanced).types, ['comproportionation', 'synthesis', 'redox']);
+  });
+});
+
+test('requires a balanced equation', () => {
+  assert.throws(() => ReactionClassifier.classify({ success: false }),
+    error => error instanceof StoichiometryError && error.code === 'NOT_BALANCED');
+});
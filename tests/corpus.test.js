@@ -0,0 +1,96 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { loadApp } from './helpers/load-app.js';
+
+const app = loadApp();
+
+// bulk-results.csv quotes every field and doubles embedded quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows;
+  return body
+    .filter(cells => cells.length === header.length)
+    .map(cells => Object.fromEntries(header.map((name, i) => [name, cells[i]])));
+}
+
+// Leading integer of each term in "2H2 + O2 → 2H2O"
+function coefficientsOf(balanced) {
+  return balanced
+    .split('→')
+    .flatMap(side => side.split(' + '))
+    .map(term => {
+      const match = term.trim().match(/^(\d+)(?=[A-Z([])/);
+      return match ? Number(match[1]) : 1;
+    });
+}
+
+const corpus = parseCsv(readFileSync(new URL('./bulk-results.csv', import.meta.url), 'utf8'));
+
+describe('bulk equation corpus', () => {
+  test('corpus is loaded', () => {
+    assert.equal(corpus.length, 500);
+  });
+
+  for (const row of corpus) {
+    test(`#${row.index} ${row.input}`, () => {
+      const result = app.balanceChemicalEquation(row.input);
+      assert.equal(result.success, row.success === 'true', result.error);
+      if (!result.success) return;
+
+      assert.deepEqual([...result.coefficients], coefficientsOf(row.balanced));
+
+      // Atoms and charge are conserved
+      const totals = {};
+      let charge = 0;
+      const add = (compound, coefficient, sign) => {
+        for (const [element, count] of Object.entries(compound.composition)) {
+          totals[element] = (totals[element] || 0) + sign * count * coefficient;
+        }
+        charge += sign * (compound.charge || 0) * coefficient;
+      };
+      result.reactants.forEach((compound, i) => add(compound, result.coefficients[i], 1));
+      result.products.forEach((compound, i) => add(compound, result.coefficients[result.reactants.length + i], -1));
+
+      for (const [element, total] of Object.entries(totals)) {
+        assert.equal(total, 0, `${element} is not conserved`);
+      }
+      assert.equal(charge, 0, 'charge is not conserved');
+    });
+  }
+});
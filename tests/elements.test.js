@@ -0,0 +1,98 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ELEMENTS, PeriodicTable, elementInfo, MolarMassCalculator, OxidationStateEngine, percentComposition, molarMass, nameToFormula, parseFormula } from '../chem/index.js';
+
+describe('element dataset', () => {
+  test('covers hydrogen to oganesson in order of atomic number', () => {
+    assert.equal(ELEMENTS.length, 118);
+    ELEMENTS.forEach((element, index) => assert.equal(element.atomicNumber, index + 1));
+    assert.equal(new Set(ELEMENTS.map(element => element.symbol)).size, 118);
+    assert.equal(PeriodicTable.byAtomicNumber(118).name, 'Oganesson');
+    assert.equal(PeriodicTable.byAtomicNumber(119), null);
+  });
+
+  test('groups, periods and blocks', () => {
+    const position = symbol => {
+      const { group, period, block } = PeriodicTable.get(symbol);
+      return [group, period, block];
+    };
+    assert.deepEqual(position('H'), [1, 1, 's']);
+    assert.deepEqual(position('He'), [18, 1, 's']);
+    assert.deepEqual(position('Al'), [13, 3, 'p']);
+    assert.deepEqual(position('Fe'), [8, 4, 'd']);
+    assert.deepEqual(position('Ce'), [null, 6, 'f']);
+    assert.deepEqual(position('Lu'), [3, 6, 'd']);
+    assert.deepEqual(position('Hf'), [4, 6, 'd']);
+    assert.deepEqual(position('Pb'), [14, 6, 'p']);
+    assert.deepEqual(position('U'), [null, 7, 'f']);
+    assert.deepEqual(position('Og'), [18, 7, 'p']);
+  });
+
+  test('electron configurations, including the aufbau exceptions', () => {
+    const configuration = symbol => PeriodicTable.get(symbol).electronConfiguration;
+    assert.equal(configuration('H'), '1s1');
+    assert.equal(configuration('Ne'), '[He] 2s2 2p6');
+    assert.equal(configuration('Fe'), '[Ar] 3d6 4s2');
+    assert.equal(configuration('Cr'), '[Ar] 3d5 4s1');
+    assert.equal(configuration('Cu'), '[Ar] 3d10 4s1');
+    assert.equal(configuration('Pd'), '[Kr] 4d10');
+    assert.equal(configuration('Pb'), '[Xe] 4f14 5d10 6s2 6p2');
+    assert.equal(configuration('Gd'), '[Xe] 4f7 5d1 6s2');
+  });
+
+  test('electron counts match the atomic number', () => {
+    const cores = { He: 2, Ne: 10, Ar: 18, Kr: 36, Xe: 54, Rn: 86 };
+    for (const { atomicNumber, electronConfiguration } of ELEMENTS) {
+      const [, core] = electronConfiguration.match(/^(?:\[(\w+)\] ?)?/);
+      const valence = [...electronConfiguration.matchAll(/\d[spdf](\d+)/g)].reduce((sum, match) => sum + Number(match[1]), 0);
+      assert.equal((cores[core] || 0) + valence, atomicNumber, electronConfiguration);
+    }
+  });
+
+  test('atomic weight intervals and standard weights', () => {
+    assert.deepEqual(PeriodicTable.get('C').atomicWeightInterval, [12.0096, 12.0116]);
+    assert.equal(PeriodicTable.get('Na').atomicWeightInterval, null);
+    assert.equal(ELEMENTS.filter(element => element.atomicWeightInterval).length, 14);
+    assert.equal(PeriodicTable.get('U').standardWeight, true);
+    assert.equal(PeriodicTable.get('Tc').standardWeight, false);
+    assert.equal(PeriodicTable.get('Ra').standardWeight, false);
+  });
+
+  test('electronegativity and oxidation states', () => {
+    assert.equal(PeriodicTable.get('F').electronegativity, 3.98);
+    assert.equal(PeriodicTable.get('Ne').electronegativity, null);
+    assert.deepEqual(PeriodicTable.get('Mn').oxidationStates, [2, 3, 4, 6, 7]);
+  });
+});
+
+describe('lookups through the dataset', () => {
+  test('getElementInfo and elementInfo', () => {
+    const gold = MolarMassCalculator.getElementInfo('Au');
+    assert.equal(gold.name, 'Gold');
+    assert.equal(gold.atomicNumber, 79);
+    assert.equal(gold.available, true);
+    assert.deepEqual(elementInfo(79), gold);
+    assert.equal(elementInfo('Xx'), null);
+  });
+
+  test('heavy elements are named', () => {
+    assert.equal(MolarMassCalculator.getElementName('Nd'), 'Neodymium');
+    assert.equal(MolarMassCalculator.getElementName('Xx'), 'Xx');
+    assert.equal(percentComposition('NdFeB').elements.find(entry => entry.symbol === 'Nd').name, 'Neodymium');
+  });
+
+  test('actinium is written with its symbol, not the acetyl abbreviation', () => {
+    assert.equal(molarMass('Ac').decimalMass, 227);
+    assert.equal(nameToFormula('actinium(III) chloride').formula, 'AcCl3');
+    assert.deepEqual(parseFormula(nameToFormula('actinium(III) chloride').formula).elements, { Ac: 1, Cl: 3 });
+  });
+
+  test('oxidation engine groups and atomic numbers', () => {
+    const engine = new OxidationStateEngine();
+    assert.deepEqual(engine.elementGroups.alkaliMetals, ['Li', 'Na', 'K', 'Rb', 'Cs', 'Fr']);
+    assert.equal(engine.elementGroups.halogens[0], 'F');
+    assert.ok(engine.elementGroups.transitionMetals.includes('Hg'));
+    assert.equal(engine.getAtomicNumber('W'), 74);
+    assert.equal(engine.getAtomicNumber('Xx'), 50);
+  });
+});
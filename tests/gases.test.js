@@ -0,0 +1,176 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { GasCalculator } from '../chem/gases.js';
+import { StoichiometryError, MOLAR_VOLUME_STP, MOLAR_VOLUME_SATP } from '../chem/stoichiometry.js';
+import { balance, stoichiometry, gasMoles, gasVolume } from '../chem/index.js';
+
+const near = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const code = expected => error => error instanceof StoichiometryError && error.code === expected;
+
+describe('conditions and units', () => {
+  test('temperatures convert to kelvin', () => {
+    near(GasCalculator.toKelvin(25, 'C'), 298.15);
+    near(GasCalculator.toKelvin(32, 'F'), 273.15);
+    assert.throws(() => GasCalculator.toKelvin(-300, 'C'), code('INVALID_TEMPERATURE'));
+    assert.throws(() => GasCalculator.toKelvin(300, 'R'), code('UNKNOWN_UNIT'));
+  });
+
+  test('pressures convert to bar', () => {
+    near(GasCalculator.toBar(760, 'mmHg'), 1.01325);
+    near(GasCalculator.toBar(101.325, 'kPa'), 1.01325);
+    near(GasCalculator.fromBar(1.01325, 'torr'), 760);
+    assert.throws(() => GasCalculator.toBar(0, 'atm'), code('INVALID_PRESSURE'));
+  });
+
+  test('presets match the molar volumes of the amount units', () => {
+    near(GasCalculator.molarVolume(GasCalculator.conditions({ preset: 'STP' })), MOLAR_VOLUME_STP, 1e-3);
+    near(GasCalculator.molarVolume(GasCalculator.conditions({ preset: 'SATP' })), MOLAR_VOLUME_SATP, 1e-3);
+    near(GasCalculator.molarVolume(GasCalculator.conditions({ preset: 'STP-atm' })), 22.414, 1e-3);
+  });
+
+  test('explicit values override the preset', () => {
+    const conditions = GasCalculator.conditions({ preset: 'STP', temperature: 25, temperatureUnit: 'C' });
+    near(conditions.temperature, 298.15);
+    near(conditions.pressure, 1);
+    assert.throws(() => GasCalculator.conditions({ temperature: 300 }), code('NO_CONDITIONS'));
+    assert.throws(() => GasCalculator.conditions({ preset: 'NTP' }), code('UNKNOWN_UNIT'));
+  });
+});
+
+describe('ideal gas law', () => {
+  test('moles from volume, temperature and pressure', () => {
+    // 2.50 L at 25 °C and 1.00 atm
+    near(gasMoles({ volume: 2.5, temperature: 25, temperatureUnit: 'C', pressure: 1, pressureUnit: 'atm' }), 0.10218, 1e-5);
+    near(gasMoles({ volume: 500, volumeUnit: 'mL', preset: 'STP' }), 0.5 / MOLAR_VOLUME_STP, 1e-5);
+  });
+
+  test('volume from moles', () => {
+    near(gasVolume(1, { temperature: 273.15, pressure: 1, pressureUnit: 'atm' }), 22.414, 1e-3);
+    near(gasVolume(0.1, { preset: 'SATP', volumeUnit: 'mL' }), 2478.9, 0.1);
+  });
+});
+
+describe('van der Waals', () => {
+  test('constants are matched on composition', () => {
+    assert.equal(GasCalculator.vanDerWaalsConstants('CO2(g)').formula, 'CO2');
+    assert.equal(GasCalculator.vanDerWaalsConstants({ composition: { H: 4, C: 1 } }).formula, 'CH4');
+    assert.equal(GasCalculator.vanDerWaalsConstants('C6H12O6'), null);
+  });
+
+  test('1.00 mol CO2 in 0.500 L at 300 K', () => {
+    // p = RT/(Vm - b) - a/Vm² ≈ 40.0 bar (49.9 bar ideal); solving back for Vm recovers 0.500 L
+    const constants = GasCalculator.vanDerWaalsConstants('CO2');
+    const pressure = (0.0831446261815324 * 300) / (0.5 - constants.b) - constants.a / 0.25;
+    near(pressure, 39.98, 0.01);
+    near(GasCalculator.molarVolume({ temperature: 300, pressure }, { model: 'vdw', constants }), 0.5, 1e-9);
+  });
+
+  test('real gases approach ideal behaviour at low pressure', () => {
+    // N2 at STP deviates from ideal by about 0.1%
+    const vdw = gasMoles({ volume: 10, preset: 'STP', model: 'vdw', formula: 'N2' });
+    near(vdw / (10 / MOLAR_VOLUME_STP), 1, 2e-3);
+  });
+
+  test('errors', () => {
+    assert.throws(() => gasMoles({ volume: 1, preset: 'STP', model: 'vdw', formula: 'C6H12O6' }), code('NO_VDW_CONSTANTS'));
+    assert.throws(() => gasMoles({ volume: 1, preset: 'STP', model: 'redlich-kwong' }), code('UNKNOWN_MODEL'));
+  });
+});
+
+describe('partial pressures', () => {
+  test('mole fractions of the total pressure', () => {
+    const [n2, o2] = GasCalculator.partialPressures(
+      [{ formula: 'N2', moles: 0.78 }, { formula: 'O2', moles: 0.22 }],
+      { pressure: 1.01325 }
+    );
+    near(n2.moleFraction, 0.78);
+    near(o2.partialPressure, 0.22 * 1.01325);
+  });
+
+  test('moles in a fixed vessel', () => {
+    const [h2] = GasCalculator.partialPressures([{ formula: 'H2', moles: 1 }], { temperature: 273.15, volume: 22.711 });
+    near(h2.partialPressure, 1, 1e-4);
+  });
+});
+
+describe('collection over water', () => {
+  test('water vapor pressure', () => {
+    near(GasCalculator.fromBar(GasCalculator.waterVaporPressure(298.15), 'mmHg'), 23.8, 0.2);
+    near(GasCalculator.fromBar(GasCalculator.waterVaporPressure(373.15), 'mmHg'), 760, 1);
+    assert.throws(() => GasCalculator.waterVaporPressure(400), code('INVALID_TEMPERATURE'));
+  });
+
+  test('the dry gas pressure is the barometric pressure minus water vapor', () => {
+    const result = GasCalculator.collectedOverWater({
+      volume: 250, volumeUnit: 'mL', temperature: 25, temperatureUnit: 'C', pressure: 755, pressureUnit: 'mmHg'
+    });
+    near(GasCalculator.fromBar(result.dryPressure, 'mmHg'), 755 - 23.7, 0.2);
+    near(result.moles, 0.00983, 1e-5);
+  });
+
+  test('the barometric pressure must exceed the vapor pressure', () => {
+    assert.throws(() => GasCalculator.collectedOverWater({
+      volume: 1, temperature: 90, temperatureUnit: 'C', pressure: 0.5, pressureUnit: 'atm'
+    }), code('VAPOR_PRESSURE_EXCEEDS'));
+  });
+});
+
+describe('stoichiometry with gases', () => {
+  test('gaseous products report volume and partial pressure', () => {
+    const result = stoichiometry('Zn + HCl -> ZnCl2 + H2(g)', [{ value: 1.0, unit: 'g' }, null, null, null], {
+      conditions: { temperature: 25, temperatureUnit: 'C', pressure: 1, pressureUnit: 'atm' }
+    });
+    const h2 = result.species[3];
+    near(h2.gas.volume, (1.0 / 65.38) * 0.0831446261815324 * 298.15 / 1.01325, 1e-4);
+    assert.equal(h2.gas.model, 'ideal');
+    assert.equal(result.species[0].gas, undefined);
+    assert.equal(result.gasProducts.length, 1);
+    near(result.gasProducts[0].partialPressure, 1.01325);
+  });
+
+  test('a gas volume is a given amount', () => {
+    const result = stoichiometry('C3H8(g) + O2(g) -> CO2(g) + H2O(l)', [{ volume: 1.0, preset: 'STP' }, null, null, null]);
+    assert.equal(result.limitingReagent.formula, 'C3H8');
+    assert.deepEqual(result.species[0].given, {
+      value: 1, unit: 'L', moles: result.species[0].given.moles, overWater: false
+    });
+    near(result.species[1].gas.volume, 5, 1e-9);
+    near(result.species[2].gas.volume, 3, 1e-9);
+    assert.equal(result.species[3].gas, undefined);
+    assert.deepEqual(result.gasProducts.map(gas => gas.formula), ['CO2']);
+  });
+
+  test('gaseous products share the total pressure', () => {
+    const result = stoichiometry('NH4NO3 -> N2(g) + O2(g) + H2O(g)', [{ value: 8.0, unit: 'g' }, null, null, null]);
+    assert.deepEqual(result.gasProducts.map(gas => gas.moleFraction.toFixed(4)), ['0.2857', '0.1429', '0.5714']);
+  });
+
+  test('van der Waals reporting falls back to ideal for untabulated species', () => {
+    const result = stoichiometry('C2H5OH(g) + O2(g) -> CO2(g) + H2O(g)', [{ value: 1, unit: 'mol' }, null, null, null], {
+      conditions: { preset: 'SATP', model: 'vdw' }
+    });
+    assert.equal(result.species[0].gas.model, 'ideal');
+    assert.equal(result.species[1].gas.model, 'vdw');
+    assert.ok(result.species[2].gas.volume < 2 * 24.789);
+  });
+
+  test('gas collected over water', () => {
+    const balanced = balance('KClO3 -> KCl + O2(g)');
+    const gas = { volume: 250, volumeUnit: 'mL', temperature: 25, temperatureUnit: 'C', pressure: 755, pressureUnit: 'mmHg' };
+    const wet = GasCalculator.calculate(balanced, [null, null, { ...gas, overWater: true }]);
+    const dry = GasCalculator.calculate(balanced, [null, null, gas]);
+    assert.ok(wet.species[0].moles < dry.species[0].moles);
+    near(wet.species[0].moles, (0.00983 * 2) / 3, 1e-5);
+    assert.equal(wet.species[2].given.overWater, true);
+  });
+
+  test('toAmounts converts gases and solutions to moles', () => {
+    const balanced = balance('Mg + HCl -> MgCl2 + H2(g)');
+    const amounts = GasCalculator.toAmounts(balanced, [null, { volume: 50, concentration: 1 }, null, { volume: 1, preset: 'STP' }]);
+    assert.equal(amounts[1].unit, 'mol');
+    near(amounts[1].value, 0.05);
+    near(amounts[3].value, 1 / MOLAR_VOLUME_STP, 1e-5);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Load app.js headlessly for tests
+ * app.js is a classic browser script: it is run in a vm context holding the same
+ * globals chem/browser.js provides, with window/document reduced to no-op stubs.
+ */
+
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { ChemicalLexer, TokenType } from '../../chem/lexer.js';
+import { ChemicalParser, ParseError, parseFormula, findPhaseConflicts } from '../../chem/parser.js';
+import { ChemicalBalancer, BalanceError } from '../../chem/balancer.js';
+import { MolarMassCalculator } from '../../chem/mass.js';
+import { PeriodicTable, ELEMENTS } from '../../chem/elements.js';
+import { StoichiometryEngine, StoichiometryError, AMOUNT_UNITS } from '../../chem/stoichiometry.js';
+import { CellPotentialCalculator } from '../../chem/electrochemistry.js';
+import { OxidationStateEngine } from '../../chem/oxidation-states.js';
+import { SolutionCalculator, CONCENTRATION_UNITS } from '../../chem/solutions.js';
+import { GasCalculator, PRESSURE_UNITS, TEMPERATURE_UNITS } from '../../chem/gases.js';
+import { NetIonicEngine } from '../../chem/ionic.js';
+import { ReactionClassifier } from '../../chem/classify.js';
+import { ProductPredictor } from '../../chem/predict.js';
+import { SigFigs } from '../../chem/sigfigs.js';
+import { NomenclatureEngine, NomenclatureError, POLYATOMIC_IONS } from '../../chem/nomenclature.js';
+import { COMPLETE_OXIDATION_DB } from '../../oxidation-states-db.js';
+
+const APP_SOURCE = readFileSync(new URL('../../app.js', import.meta.url), 'utf8');
+
+// Top-level class declarations are not properties of the vm global, so hand them out explicitly
+const EXPORTS = '\n;globalThis.StoichiometryCalculator = StoichiometryCalculator;';
+
+/**
+ * Run app.js in a fresh context
+ * @returns {Object} The context: every top-level app.js function is a property
+ */
+export function loadApp() {
+  const noop = () => {};
+  const element = () => ({
+    addEventListener: noop,
+    setAttribute: noop,
+    appendChild: noop,
+    style: {},
+    classList: { add: noop, remove: noop, toggle: noop, contains: () => false }
+  });
+
+  const context = {
+    console,
+    performance,
+    setTimeout,
+    clearTimeout,
+    window: { addEventListener: noop },
+    document: {
+      addEventListener: noop,
+      getElementById: () => null,
+      querySelector: () => null,
+      querySelectorAll: () => [],
+      createElement: element,
+      body: element()
+    },
+    localStorage: { getItem: () => null, setItem: noop },
+    ChemicalLexer,
+    TokenType,
+    ChemicalParser,
+    ParseError,
+    parseFormula,
+    findPhaseConflicts,
+    ChemicalBalancer,
+    BalanceError,
+    MolarMassCalculator,
+    PeriodicTable,
+    ELEMENTS,
+    StoichiometryEngine,
+    StoichiometryError,
+    AMOUNT_UNITS,
+    CellPotentialCalculator,
+    OxidationStateEngine,
+    SolutionCalculator,
+    CONCENTRATION_UNITS,
+    GasCalculator,
+    PRESSURE_UNITS,
+    TEMPERATURE_UNITS,
+    NetIonicEngine,
+    ReactionClassifier,
+    ProductPredictor,
+    SigFigs,
+    NomenclatureEngine,
+    NomenclatureError,
+    POLYATOMIC_IONS,
+    COMPLETE_OXIDATION_DB
+  };
+
+  vm.createContext(context);
+  vm.runInContext(APP_SOURCE + EXPORTS, context, { filename: 'app.js' });
+  return context;
+}
+
+export default loadApp;
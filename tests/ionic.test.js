@@ -0,0 +1,104 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { NetIonicEngine } from '../chem/ionic.js';
+import { StoichiometryError } from '../chem/stoichiometry.js';
+import { balance, netIonic } from '../chem/index.js';
+
+const net = equation => netIonic(equation).net;
+
+describe('classification', () => {
+  const kind = formula => NetIonicEngine.classify({ formula }).kind;
+
+  test('acids and bases', () => {
+    assert.equal(kind('HCl'), 'strong-acid');
+    assert.equal(kind('H2SO4'), 'strong-acid');
+    assert.equal(kind('HF'), 'weak-acid');
+    assert.equal(kind('CH3COOH'), 'weak-acid');
+    assert.equal(kind('H3PO4'), 'weak-acid');
+    assert.equal(kind('NaOH'), 'strong-base');
+    assert.equal(kind('Ba(OH)2'), 'strong-base');
+    assert.equal(kind('NH3'), 'weak-base');
+    assert.equal(kind('H2O'), 'water');
+  });
+
+  test('salts follow the solubility rules', () => {
+    assert.equal(kind('NaCl'), 'soluble-salt');
+    assert.equal(kind('(NH4)2CO3'), 'soluble-salt');
+    assert.equal(kind('AgCl'), 'insoluble-salt');
+    assert.equal(kind('Hg2Cl2'), 'insoluble-salt');
+    assert.equal(kind('BaSO4'), 'insoluble-salt');
+    assert.equal(kind('CuSO4'), 'soluble-salt');
+    assert.equal(kind('Fe(OH)3'), 'insoluble-salt');
+    assert.equal(kind('CaCO3'), 'insoluble-salt');
+    assert.equal(kind('C6H12O6'), 'molecular');
+  });
+
+  test('ions and counts of a dissociating salt', () => {
+    const { ions, phase, rule } = NetIonicEngine.classify({ formula: 'Al2(SO4)3' });
+    assert.deepEqual(ions, [
+      { formula: 'Al', charge: 3, count: 2 },
+      { formula: 'SO4', charge: -2, count: 3 }
+    ]);
+    assert.equal(phase, 'aq');
+    assert.match(rule, /Sulfates are soluble/);
+  });
+
+  test('state symbols override the rules', () => {
+    const solid = NetIonicEngine.classify({ formula: 'NaCl', phase: 's' });
+    assert.equal(solid.dissociated, false);
+    assert.match(solid.rule, /written as \(s\)/);
+
+    const labelled = NetIonicEngine.classify({ formula: 'CaSO4', phase: 'aq' });
+    assert.equal(labelled.kind, 'insoluble-salt');
+    assert.equal(labelled.dissociated, true);
+  });
+});
+
+describe('net ionic equations', () => {
+  test('precipitation', () => {
+    const result = netIonic('AgNO3 + NaCl -> AgCl + NaNO3');
+    assert.equal(result.molecular, 'AgNO3(aq) + NaCl(aq) → AgCl(s) + NaNO3(aq)');
+    assert.equal(result.complete, 'Ag^+(aq) + NO3^-(aq) + Na^+(aq) + Cl^-(aq) → AgCl(s) + Na^+(aq) + NO3^-(aq)');
+    assert.deepEqual(result.spectators, [
+      { formula: 'NO3', charge: -1, coefficient: 1 },
+      { formula: 'Na', charge: 1, coefficient: 1 }
+    ]);
+    assert.equal(result.net, 'Ag^+(aq) + Cl^-(aq) → AgCl(s)');
+  });
+
+  test('coefficients carry through and polyatomic ions stay together', () => {
+    assert.equal(net('CaCl2 + Na3PO4 -> Ca3(PO4)2 + NaCl'), '3Ca^2+(aq) + 2PO4^3-(aq) → Ca3(PO4)2(s)');
+    assert.equal(net('Pb(NO3)2 + KI -> PbI2 + KNO3'), 'Pb^2+(aq) + 2I^-(aq) → PbI2(s)');
+  });
+
+  test('neutralization reduces to the smallest coefficients', () => {
+    assert.equal(net('HCl + NaOH -> NaCl + H2O'), 'H^+(aq) + OH^-(aq) → H2O(l)');
+    assert.equal(net('H2SO4 + NaOH -> Na2SO4 + H2O'), 'H^+(aq) + OH^-(aq) → H2O(l)');
+  });
+
+  test('weak acids stay molecular', () => {
+    assert.equal(net('CH3COOH + NaOH -> NaCH3COO + H2O'), 'CH3COOH + OH^-(aq) → CH3COO^-(aq) + H2O(l)');
+  });
+
+  test('gas evolution and single displacement', () => {
+    assert.equal(net('Na2CO3 + HCl -> NaCl + CO2(g) + H2O(l)'), 'CO3^2-(aq) + 2H^+(aq) → CO2(g) + H2O(l)');
+    assert.equal(net('Zn(s) + CuSO4(aq) -> ZnSO4(aq) + Cu(s)'), 'Zn(s) + Cu^2+(aq) → Zn^2+(aq) + Cu(s)');
+  });
+
+  test('no reaction when every ion is a spectator', () => {
+    const result = netIonic('NaCl + KNO3 -> KCl + NaNO3');
+    assert.equal(result.noReaction, true);
+    assert.equal(result.net, null);
+    assert.equal(result.spectators.length, 4);
+  });
+
+  test('accepts a balance() result', () => {
+    const balanced = balance('BaCl2 + Na2SO4 -> BaSO4 + NaCl');
+    assert.equal(NetIonicEngine.build(balanced).net, 'Ba^2+(aq) + SO4^2-(aq) → BaSO4(s)');
+  });
+
+  test('requires a balanced equation', () => {
+    assert.throws(() => NetIonicEngine.build({ success: false }),
+      error => error instanceof StoichiometryError && error.code === 'NOT_BALANCED');
+  });
+});
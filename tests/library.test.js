@@ -0,0 +1,405 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  balance,
+  molarMass,
+  percentComposition,
+  isotopePattern,
+  oxidationStates,
+  analyzeRedox,
+  stoichiometry,
+  empiricalFormula,
+  splitEquation,
+  defineMacro,
+  ChemicalLexer,
+  MolarMassCalculator,
+  RedoxHelper,
+  BalanceError,
+  ParseError,
+  StoichiometryError
+} from '../chem/index.js';
+import { run, EXIT_CODES } from '../cli/stoich.js';
+
+const near = (actual, expected, tolerance = 1e-3) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+describe('balance', () => {
+  test('species, coefficients and diagnostics', () => {
+    const result = balance('Fe + O2 -> Fe2O3');
+    assert.equal(result.balanced, '4Fe + 3O2 → 2Fe2O3');
+    assert.deepEqual(result.coefficients, [4, 3, 2]);
+    assert.deepEqual(result.products[0].composition, { Fe: 2, O: 3 });
+    assert.deepEqual(result.diagnostics, { elements: ['Fe', 'O'], addedSpecies: [], chargeBalanced: false, nullity: 1 });
+  });
+
+  test('acidic mode adds H+ and H2O', () => {
+    const result = balance('MnO4- + Fe2+ -> Mn2+ + Fe3+', { mode: 'acidic' });
+    assert.equal(result.balanced, 'MnO4- + 5Fe2+ + 8H+ → Mn2+ + 5Fe3+ + 4H2O');
+    assert.equal(result.reactants[0].formula, 'MnO4');
+    assert.equal(result.reactants[0].charge, -1);
+    assert.equal(result.diagnostics.chargeBalanced, true);
+  });
+
+  test('phases are kept and conflicts reported', () => {
+    const result = balance('NaCl(aq) + NaCl(s) -> Na(s) + Cl2(g)');
+    assert.equal(result.balanced, 'NaCl(aq) + NaCl(s) → 2Na(s) + Cl2(g)');
+    assert.deepEqual(result.warnings, ['NaCl appears as (aq) and (s) among the reactants']);
+    assert.deepEqual(balance('Fe + O2 -> Fe2O3').warnings, []);
+  });
+
+  test('object input', () => {
+    assert.deepEqual(balance({ reactants: ['H2', 'Cl2'], products: ['HCl'] }).coefficients, [1, 1, 2]);
+  });
+
+  test('errors', () => {
+    assert.throws(() => balance('H2 -> O2'), error => error instanceof BalanceError && error.code === 'NO_SOLUTION');
+    assert.throws(() => balance('H2 + O2'), ParseError);
+    assert.throws(() => balance('H2 -> H2', { mode: 'neutral' }), error => error.code === 'INVALID_MODE');
+    assert.throws(() => balance('Ca(OH2 -> CaO + H2O'), error => error instanceof ParseError && error.position === 6);
+  });
+
+  test('splitEquation drops leading coefficients', () => {
+    assert.deepEqual(splitEquation('2H2 + O2 => 2H2O'), { reactants: ['H2', 'O2'], products: ['H2O'] });
+    assert.deepEqual(splitEquation('Fe3+ + e- → Fe2+'), { reactants: ['Fe3+', 'e-'], products: ['Fe2+'] });
+  });
+});
+
+describe('condensed structural formulas', () => {
+  test('balance keeps the grouping of each species', () => {
+    const result = balance('(CH3)3COH + O2 -> CO2 + H2O');
+    assert.equal(result.balanced, '(CH3)3COH + 6O2 → 4CO2 + 5H2O');
+    assert.deepEqual(result.reactants[0].composition, { C: 4, H: 10, O: 1 });
+    assert.deepEqual(result.reactants[0].structure.map(unit => [unit.formula, unit.count]), [['CH3', 3], ['COH', 1]]);
+    assert.equal(result.reactants[1].structure, null);
+  });
+
+  test('splitEquation reads = as a bond when there is another arrow', () => {
+    assert.deepEqual(splitEquation('CH2=CH2 + H2 -> C2H6'), { reactants: ['CH2=CH2', 'H2'], products: ['C2H6'] });
+    assert.deepEqual(splitEquation('H2 + Cl2 = HCl'), { reactants: ['H2', 'Cl2'], products: ['HCl'] });
+  });
+
+  test('splitEquation keeps charges written against the formula', () => {
+    assert.deepEqual(splitEquation('Na+ + Cl- -> NaCl'), { reactants: ['Na+', 'Cl-'], products: ['NaCl'] });
+    assert.throws(() => splitEquation('Na + Cl2 ->'), error => error instanceof ParseError && /No products/.test(error.message));
+    assert.throws(() => splitEquation('+ Na -> NaCl'), error => error.position === 0);
+  });
+});
+
+describe('molarMass', () => {
+  const cases = [
+    ['H2O', 18.015],
+    ['CO2', 44.009],
+    ['C6H12O6', 180.156],
+    ['NaCl', 58.440],
+    ['CuSO4·5H2O', 249.677],
+    ['[13C]O2', 45.001]
+  ];
+
+  for (const [formula, expected] of cases) {
+    test(formula, () => near(molarMass(formula).decimalMass, expected));
+  }
+
+  test('unknown elements', () => {
+    assert.throws(() => MolarMassCalculator.getAtomicMass('Xx'), /Unknown element or isotope/);
+  });
+
+  test('abbreviation macros', () => {
+    near(molarMass('Ph3P').decimalMass, 262.292);
+    try {
+      assert.equal(defineMacro('Tol', 'PhCH2').name, 'PhCH2');
+      near(molarMass('TolCl').decimalMass, 126.583);
+      assert.throws(() => defineMacro('Qz', 'Xx'), /Unknown element "Xx"/);
+      assert.throws(() => defineMacro('Qz', 'NH4+'), /neutral/);
+    } finally {
+      ChemicalLexer.clearMacros();
+    }
+  });
+
+  test('empirical formula from mass percentages', () => {
+    const { empirical } = MolarMassCalculator.empiricalFromPercentages({ C: 40.0, H: 6.71, O: 53.29 });
+    assert.deepEqual(empirical, { C: 1, H: 2, O: 1 });
+  });
+});
+
+describe('percentComposition', () => {
+  test('mass and atom percentages', () => {
+    const result = percentComposition('C6H12O6');
+    assert.deepEqual(result.elements.map(entry => entry.element), ['C', 'H', 'O']);
+    near(result.elements[0].massPercent, 40.002);
+    near(result.elements[1].atomPercent, 50);
+    assert.equal(result.totalAtoms, 24);
+    near(result.elements.reduce((sum, entry) => sum + entry.massPercent, 0), 100, 1e-9);
+    assert.equal(result.hydrate, null);
+  });
+
+  test('hydrate water', () => {
+    const { hydrate } = percentComposition('CuSO4·5H2O');
+    assert.equal(hydrate.waterCount, 5);
+    near(hydrate.waterPercent, 36.077);
+    near(hydrate.anhydrousMass, 159.602);
+    assert.equal(percentComposition('CuSO4.5NH3').hydrate, null);
+  });
+
+  test('isotope labels', () => {
+    const result = percentComposition('[13C]O2');
+    assert.equal(result.elements[0].symbol, 'C');
+    assert.equal(result.elements[0].massNumber, 13);
+    assert.equal(result.isotopes[0].label, 'C-13');
+    near(result.isotopes[0].shift, 0.992);
+    near(result.unlabelledMass, 44.009);
+  });
+});
+
+describe('isotopePattern', () => {
+  const relative = result => result.peaks.map(peak => [peak.nominalMass, Math.round(peak.relativeAbundance)]);
+
+  test('monoisotopic, nominal and average mass', () => {
+    const result = isotopePattern('C6H12O6');
+    near(result.monoisotopicMass, 180.06339, 1e-5);
+    assert.equal(result.nominalMass, 180);
+    near(result.averageMass, 180.156);
+    assert.deepEqual(relative(result), [[180, 100], [181, 7], [182, 1]]);
+  });
+
+  test('halogen patterns', () => {
+    assert.deepEqual(relative(isotopePattern('Cl2')), [[70, 100], [72, 64], [74, 10]]);
+    assert.deepEqual(relative(isotopePattern('Br2')), [[158, 51], [160, 100], [162, 49]]);
+  });
+
+  test('labelled positions keep their isotope', () => {
+    const result = isotopePattern('[13C]O2');
+    near(result.monoisotopicMass, 44.99318, 1e-5);
+    assert.equal(result.nominalMass, 45);
+    assert.equal(result.peaks.some(peak => peak.nominalMass === 46), false);
+  });
+
+  test('charge states give m/z', () => {
+    near(isotopePattern('NH4+').monoisotopicMz, 18.03383, 1e-5);
+    near(isotopePattern('C2H6', { charge: 2 }).peaks[0].mz, 15.02293, 1e-5);
+    near(isotopePattern('Cl-').monoisotopicMz, 34.96940, 1e-5);
+  });
+
+  test('errors', () => {
+    assert.throws(() => isotopePattern('Pt'), /No isotope abundances for Pt/);
+    assert.throws(() => isotopePattern('[11C]O2'), /No exact mass for isotope C-11/);
+    assert.throws(() => isotopePattern('H2O', { charge: 0.5 }), /whole number/);
+  });
+});
+
+describe('empiricalFormula', () => {
+  test('mass percentages and grams', () => {
+    assert.equal(empiricalFormula({ percentages: { Fe: 69.94, O: 30.06 } }).formula, 'Fe2O3');
+    assert.equal(empiricalFormula({ masses: { O: 1.60, C: 0.60 } }).formula, 'CO2');
+  });
+
+  test('the smallest multiplier within tolerance clears fractional ratios', () => {
+    // C 1, H 1.333, O 1 needs ×3
+    const result = MolarMassCalculator.empiricalFromPercentages({ C: 40.92, H: 4.58, O: 54.50 });
+    assert.equal(result.formula, 'C3H4O3');
+    assert.equal(result.multiplier, 3);
+    assert.equal(result.withinTolerance, true);
+
+    assert.deepEqual(MolarMassCalculator.integerRatios({ A: 1, B: 1.5 }), {
+      counts: { A: 2, B: 3 }, multiplier: 2, maxDeviation: 0, withinTolerance: true
+    });
+    assert.equal(MolarMassCalculator.integerRatios({ A: 1, B: 1.37 }, { tolerance: 0.01 }).withinTolerance, false);
+  });
+
+  test('combustion analysis with oxygen by difference', () => {
+    // 1.000 g vitamin C → 1.499 g CO2 and 0.4092 g H2O
+    const result = empiricalFormula(
+      { combustion: { sampleMass: 1.000, co2Mass: 1.499, h2oMass: 0.4092 } },
+      { molarMass: 176.12 }
+    );
+    assert.equal(result.formula, 'C3H4O3');
+    assert.equal(result.oxygenByDifference, true);
+    near(result.masses.O, 0.5451, 1e-3);
+    assert.equal(result.molecular.formula, 'C6H8O6');
+    assert.equal(result.molecular.multiplier, 2);
+  });
+
+  test('combustion analysis with nitrogen determined separately', () => {
+    // Nicotine: 17.27% N, no oxygen
+    const result = empiricalFormula(
+      { combustion: { sampleMass: 0.5, co2Mass: 1.3563, h2oMass: 0.3890, elements: { N: 17.27 }, elementUnit: '%' } },
+      { molarMass: 162.23 }
+    );
+    assert.equal(result.formula, 'C5H7N');
+    assert.equal(result.oxygenByDifference, false);
+    assert.equal(result.molecular.formula, 'C10H14N2');
+  });
+
+  test('errors', () => {
+    assert.throws(() => MolarMassCalculator.molecularFormula('CH2O', 100), /not a whole multiple/);
+    assert.throws(() => empiricalFormula({ masses: { Xx: 1 } }), /Unknown element: Xx/);
+    assert.throws(() => MolarMassCalculator.combustionAnalysis({ sampleMass: 0.1, co2Mass: 1 }), /exceed the sample mass/);
+    assert.throws(() => MolarMassCalculator.combustionAnalysis({ sampleMass: 1 }), /at least one combustion product mass/);
+    assert.throws(() => empiricalFormula({ combustion: { sampleMass: 1, co2Mass: 0, h2oMass: 0, elements: { N: 0.2 } } }), /at least one combustion product mass/);
+    assert.throws(() => empiricalFormula({}), /Give percentages, masses or combustion data/);
+  });
+
+  test('percentages must add up to about 100', () => {
+    assert.throws(() => empiricalFormula({ percentages: { C: 40, H: 6.71, O: 60 } }), /add up to 106.71%, not 100%/);
+    assert.throws(() => empiricalFormula({ percentages: { C: 40, H: 6.71 } }), /add up to 46.71%/);
+    assert.equal(empiricalFormula({ percentages: { C: 40.0, H: 6.7, O: 53.1 } }).formula, 'CH2O');
+    assert.equal(empiricalFormula({ percentages: { C: 40, H: 6.71, O: 55 } }, { sumTolerance: 2 }).formula, 'CH2O');
+  });
+});
+
+describe('oxidationStates', () => {
+  const cases = [
+    ['K2Cr2O7', { K: 1, Cr: 6, O: -2 }],
+    ['MnO4-', { Mn: 7, O: -2 }],
+    ['H2O2', { H: 1, O: -1 }],
+    ['NaOH', { Na: 1, H: 1, O: -2 }],
+    ['NaH', { Na: 1, H: -1 }],
+    ['CaH2', { Ca: 2, H: -1 }],
+    ['SO4^2-', { S: 6, O: -2 }],
+    ['NH4+', { N: -3, H: 1 }]
+  ];
+
+  for (const [formula, expected] of cases) {
+    test(formula, () => assert.deepEqual(oxidationStates(formula).oxidationStates, expected));
+  }
+});
+
+describe('analyzeRedox', () => {
+  test('electrons transferred and cell potential', () => {
+    const result = analyzeRedox('MnO4- + Fe2+ -> Mn2+ + Fe3+', { mode: 'acidic' });
+    assert.equal(result.isRedox, true);
+    assert.equal(result.electronsTransferred, 5);
+    near(result.cellPotential.standardPotential, 0.736);
+    assert.deepEqual(result.oxidizedSpecies.map(s => s.formula), ['Fe']);
+    assert.deepEqual(result.reducedSpecies.map(s => s.formula), ['MnO4']);
+  });
+
+  test('species on either side may outnumber the other', () => {
+    const result = analyzeRedox('H2O2 + Fe2+ + H+ -> Fe3+ + H2O');
+    assert.equal(result.isRedox, true);
+    assert.equal(result.electronsTransferred, 2);
+  });
+
+  test('neutralization is not redox', () => {
+    const result = analyzeRedox('HCl + NaOH -> NaCl + H2O');
+    assert.equal(result.isRedox, false);
+    assert.equal(result.cellPotential, null);
+  });
+
+  test('RedoxHelper suggests a medium', () => {
+    assert.equal(RedoxHelper.suggestMedium(['MnO4-', 'Fe2+', 'H+']).suggestion, 'acidic');
+  });
+});
+
+describe('stoichiometry', () => {
+  test('limiting reagent, theoretical yield and excess', () => {
+    const result = stoichiometry('Fe + O2 -> Fe2O3', [{ value: 10, unit: 'g' }, { value: 10, unit: 'g' }]);
+    assert.equal(result.limitingReagent.formula, 'Fe');
+    near(result.theoreticalYield[0].grams, 14.297);
+    assert.equal(result.excess[0].formula, 'O2');
+    near(result.excess[0].grams, 5.703);
+    assert.equal(result.species[1].moleRatio, '3/4');
+  });
+
+  test('invalid amounts', () => {
+    assert.throws(
+      () => stoichiometry('Fe + O2 -> Fe2O3', [{ value: -1, unit: 'g' }]),
+      error => error instanceof StoichiometryError && error.code === 'INVALID_AMOUNT'
+    );
+    assert.throws(() => stoichiometry('Fe + O2 -> Fe2O3', []), error => error.code === 'NO_AMOUNTS');
+  });
+});
+
+describe('stoich CLI', () => {
+  const cli = async (argv, stdin = '') => {
+    let stdout = '';
+    let stderr = '';
+    const io = {
+      stdin: [stdin],
+      stdout: { write: text => { stdout += text; } },
+      stderr: { write: text => { stderr += text; } }
+    };
+    const code = await run(argv, io);
+    return { code, stdout, stderr };
+  };
+
+  test('balance', async () => {
+    const { code, stdout } = await cli(['balance', 'H2 + O2 -> H2O']);
+    assert.equal(code, EXIT_CODES.OK);
+    assert.equal(JSON.parse(stdout).balanced, '2H2 + O2 → 2H2O');
+  });
+
+  test('unknown elements are parse errors', async () => {
+    const { stderr } = await cli(['mass', 'NaXx']);
+    assert.deepEqual(JSON.parse(stderr).error, { type: 'ParseError', message: 'Unknown element "Xx" in "NaXx"', position: 2 });
+  });
+
+  test('mass and oxstates', async () => {
+    near(JSON.parse((await cli(['mass', 'H2O'])).stdout).molarMass, 18.015);
+    assert.deepEqual(JSON.parse((await cli(['oxstates', 'K2Cr2O7'])).stdout).oxidationStates, { K: 1, O: -2, Cr: 6 });
+  });
+
+  test('isotopes', async () => {
+    const result = JSON.parse((await cli(['isotopes', 'C6H13O6', '--charge', '1'])).stdout);
+    near(result.monoisotopicMz, 181.07066, 1e-5);
+    assert.equal(result.peaks.length, 3);
+    assert.equal((await cli(['isotopes', 'H2O', '--charge', 'x'])).code, EXIT_CODES.USAGE);
+  });
+
+  test('empirical', async () => {
+    const percent = JSON.parse((await cli(['empirical', 'C=40.0 H=6.71 O=53.29', '--molar-mass', '180.16'])).stdout);
+    assert.equal(percent.empirical, 'CH2O');
+    assert.equal(percent.molecular, 'C6H12O6');
+
+    const combustion = JSON.parse((await cli(['empirical', 'sample=1.000 CO2=1.499 H2O=0.4092'])).stdout);
+    assert.equal(combustion.empirical, 'C3H4O3');
+    assert.equal(combustion.oxygenByDifference, true);
+
+    assert.equal((await cli(['empirical', 'C 40'])).code, EXIT_CODES.USAGE);
+  });
+
+  test('element', async () => {
+    const iron = JSON.parse((await cli(['element', '26'])).stdout);
+    assert.equal(iron.symbol, 'Fe');
+    assert.equal(iron.electronConfiguration, '[Ar] 3d6 4s2');
+    assert.equal(JSON.parse((await cli(['element', 'Pt'])).stdout).name, 'Platinum');
+    assert.equal((await cli(['element', 'Xx'])).code, EXIT_CODES.USAGE);
+  });
+
+  test('name', async () => {
+    assert.equal(JSON.parse((await cli(['name', 'Fe2(SO4)3'])).stdout).name, 'iron(III) sulfate');
+    assert.equal(JSON.parse((await cli(['name', 'copper(II) sulfate pentahydrate'])).stdout).formula, 'CuSO4.5H2O');
+
+    const { code, stderr } = await cli(['name', 'iron chloride']);
+    assert.equal(code, EXIT_CODES.ERROR);
+    assert.equal(JSON.parse(stderr).error.code, 'AMBIGUOUS_CHARGE');
+  });
+
+  test('an empty side is reported as such, not as a missing arrow', async () => {
+    const products = JSON.parse((await cli(['balance', 'Fe + -> '])).stderr).error;
+    assert.equal(products.message, 'No products after the arrow in "Fe + -> "');
+    assert.equal(products.position, 7);
+    const reactants = JSON.parse((await cli(['balance', ' -> Fe2O3'])).stderr).error;
+    assert.equal(reactants.message, 'No reactants before the arrow in " -> Fe2O3"');
+    assert.match(JSON.parse((await cli(['balance', 'Fe + -> Fe2O3'])).stderr).error.message,
+      /^Missing a species next to "\+" in the reactants/);
+    assert.match(JSON.parse((await cli(['balance', 'Fe + O2 Fe2O3'])).stderr).error.message, /^Expected one arrow/);
+  });
+
+  test('batch reads stdin and reports the first failure', async () => {
+    const { code, stdout } = await cli(['batch', '--format', 'csv'], 'H2 + O2 -> H2O\n# comment\nH2 -> O2\n');
+    assert.equal(code, EXIT_CODES.BALANCE_ERROR);
+    const lines = stdout.trim().split('\n');
+    assert.equal(lines[0], 'line,equation,success,balanced,error');
+    assert.equal(lines.length, 3);
+  });
+
+  test('exit codes', async () => {
+    assert.equal((await cli(['balance', 'Ca(OH2 -> CaO'])).code, EXIT_CODES.PARSE_ERROR);
+    assert.equal((await cli(['balance', 'H2 -> O2'])).code, EXIT_CODES.BALANCE_ERROR);
+    assert.equal((await cli(['balance', 'Fe + -> '])).code, EXIT_CODES.PARSE_ERROR);
+    assert.equal((await cli(['mass', 'Xx'])).code, EXIT_CODES.PARSE_ERROR);
+    assert.equal((await cli(['isotopes', 'XxCl'])).code, EXIT_CODES.PARSE_ERROR);
+    assert.equal((await cli(['frobnicate'])).code, EXIT_CODES.USAGE);
+    assert.equal((await cli([])).code, EXIT_CODES.USAGE);
+  });
+});
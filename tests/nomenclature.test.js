@@ -0,0 +1,131 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { nameToFormula, formulaToName, NomenclatureEngine, NomenclatureError } from '../chem/index.js';
+
+describe('names to formulas', () => {
+  const cases = [
+    ['sodium chloride', 'NaCl', 'ionic'],
+    ['aluminum oxide', 'Al2O3', 'ionic'],
+    ['iron(III) sulfate', 'Fe2(SO4)3', 'ionic'],
+    ['ferrous sulfate', 'FeSO4', 'ionic'],
+    ['cupric nitrate', 'Cu(NO3)2', 'ionic'],
+    ['mercury(I) chloride', 'Hg2Cl2', 'ionic'],
+    ['ammonium phosphate', '(NH4)3PO4', 'ionic'],
+    ['calcium hydrogen carbonate', 'Ca(HCO3)2', 'ionic'],
+    ['sodium peroxide', 'Na2O2', 'ionic'],
+    ['potassium superoxide', 'KO2', 'ionic'],
+    ['dinitrogen tetroxide', 'N2O4', 'molecular'],
+    ['carbon monoxide', 'CO', 'molecular'],
+    ['sulfur hexafluoride', 'SF6', 'molecular'],
+    ['hydrochloric acid', 'HCl', 'acid'],
+    ['sulfuric acid', 'H2SO4', 'acid'],
+    ['chlorous acid', 'HClO2', 'acid'],
+    ['oxygen', 'O2', 'element'],
+    ['water', 'H2O', 'common']
+  ];
+
+  for (const [name, formula, type] of cases) {
+    test(name, () => {
+      const result = nameToFormula(name);
+      assert.equal(result.formula, formula);
+      assert.equal(result.type, type);
+    });
+  }
+
+  test('hydrates, ions and state symbols', () => {
+    assert.equal(nameToFormula('copper(II) sulfate pentahydrate').formula, 'CuSO4.5H2O');
+    assert.equal(nameToFormula('copper(II) sulfate pentahydrate').hydrate, 5);
+    assert.equal(nameToFormula('permanganate ion').formula, 'MnO4^-');
+    assert.equal(nameToFormula('iron(III) ion').charge, 3);
+    assert.equal(nameToFormula('silver chloride(s)').formula, 'AgCl(s)');
+  });
+
+  test('British spellings and capitals are accepted', () => {
+    assert.equal(nameToFormula('Aluminium Sulphate').formula, 'Al2(SO4)3');
+  });
+
+  test('variable-charge metals need a numeral', () => {
+    assert.throws(() => nameToFormula('iron chloride'), err =>
+      err instanceof NomenclatureError && err.code === 'AMBIGUOUS_CHARGE');
+  });
+
+  test('unknown names are rejected', () => {
+    assert.throws(() => nameToFormula('unobtainium chloride'), err => err.code === 'UNKNOWN_NAME');
+    assert.throws(() => nameToFormula(''), err => err.code === 'EMPTY_NAME');
+  });
+});
+
+describe('formulas to names', () => {
+  const cases = [
+    ['NaCl', 'sodium chloride'],
+    ['Fe2(SO4)3', 'iron(III) sulfate'],
+    ['FeCl2', 'iron(II) chloride'],
+    ['Hg2Cl2', 'mercury(I) chloride'],
+    ['TiO2', 'titanium(IV) oxide'],
+    ['(NH4)2SO4', 'ammonium sulfate'],
+    ['NaHCO3', 'sodium hydrogen carbonate'],
+    ['P4O10', 'tetraphosphorus decoxide'],
+    ['CO2', 'carbon dioxide'],
+    ['HNO3(aq)', 'nitric acid'],
+    ['HCl(g)', 'hydrogen chloride'],
+    ['CH3COOH', 'acetic acid'],
+    ['CuSO4.5H2O', 'copper(II) sulfate pentahydrate'],
+    ['MnO4^-', 'permanganate ion'],
+    ['H^+', 'hydrogen ion'],
+    ['Cl2', 'chlorine']
+  ];
+
+  for (const [formula, name] of cases) {
+    test(formula, () => assert.equal(formulaToName(formula).name, name));
+  }
+
+  test('oxidation states come from the oxidation-state engine', () => {
+    const result = formulaToName('Fe2(SO4)3');
+    assert.equal(result.oxidationState, 3);
+    assert.equal(result.classicalName, 'ferric sulfate');
+    assert.equal(formulaToName('NaCl').classicalName, null);
+  });
+
+  test('one O2 per alkali metal is superoxide, two metals per O2 peroxide', () => {
+    assert.equal(formulaToName('KO2').name, 'potassium superoxide');
+    assert.equal(formulaToName('NaO2').name, 'sodium superoxide');
+    assert.equal(formulaToName('CsO2').name, 'cesium superoxide');
+    assert.equal(formulaToName('KO2').oxidationState, 1);
+    assert.equal(formulaToName('Na2O2').name, 'sodium peroxide');
+    assert.equal(formulaToName('BaO2').name, 'barium peroxide');
+    assert.equal(formulaToName('O2^-').name, 'superoxide ion');
+  });
+
+  test('fixed-charge metals never take a numeral', () => {
+    assert.throws(() => formulaToName('K2O3'), err => err.code === 'UNKNOWN_FORMULA');
+  });
+
+  test('mixed-valence oxides name both oxidation states', () => {
+    assert.equal(formulaToName('Fe3O4').name, 'iron(II,III) oxide');
+    assert.equal(formulaToName('Pb3O4').name, 'lead(II,IV) oxide');
+    assert.equal(formulaToName('Co3O4').name, 'cobalt(II,III) oxide');
+    assert.equal(formulaToName('Fe3O4').type, 'ionic');
+    assert.equal(formulaToName('Fe3O4').oxidationState, null);
+    assert.equal(formulaToName('N2O4').name, 'dinitrogen tetroxide');
+  });
+
+  test('round trips', () => {
+    for (const name of ['lead(II) nitrate', 'potassium dichromate', 'cobalt(II) chloride hexahydrate', 'diphosphorus pentoxide']) {
+      assert.equal(formulaToName(nameToFormula(name).formula).name, name);
+    }
+  });
+
+  test('unnamed formulas are rejected', () => {
+    assert.throws(() => formulaToName('C7H16O'), err => err.code === 'UNKNOWN_FORMULA');
+  });
+});
+
+describe('isName', () => {
+  test('tells names from formulas', () => {
+    assert.equal(NomenclatureEngine.isName('iron(III) oxide'), true);
+    assert.equal(NomenclatureEngine.isName('oxygen'), true);
+    assert.equal(NomenclatureEngine.isName('Fe2(SO4)3'), false);
+    assert.equal(NomenclatureEngine.isName('CH3COOH'), false);
+    assert.equal(NomenclatureEngine.isName('MnO4^-(aq)'), false);
+  });
+});
@@ -0,0 +1,308 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChemicalLexer, TokenType } from '../chem/lexer.js';
+import { parseFormula, formulaCore, compositionKey, validateFormula, findPhaseConflicts, formatComposition, ParseError } from '../chem/parser.js';
+
+const tokens = formula => ChemicalLexer.tokenize(formula).map(t => [t.type, t.value]);
+
+describe('ChemicalLexer', () => {
+  test('elements and subscripts', () => {
+    assert.deepEqual(tokens('H2O'), [
+      [TokenType.ELEMENT, 'H'], [TokenType.NUMBER, 2], [TokenType.ELEMENT, 'O'], [TokenType.EOF, null]
+    ]);
+  });
+
+  test('parentheses and brackets', () => {
+    const types = ChemicalLexer.tokenize('K4[Fe(CN)6]').map(t => t.type);
+    assert.deepEqual(types, [
+      'ELEMENT', 'NUMBER', 'LBRACKET', 'ELEMENT', 'LPAREN', 'ELEMENT', 'ELEMENT',
+      'RPAREN', 'NUMBER', 'RBRACKET', 'EOF'
+    ]);
+  });
+
+  test('charge formats produce one signed CHARGE token', () => {
+    const charges = formula => ChemicalLexer.tokenize(formula)
+      .filter(t => t.type === TokenType.CHARGE)
+      .map(t => t.value);
+
+    assert.deepEqual(charges('SO4^2-'), [-2]);
+    assert.deepEqual(charges('Fe^3+'), [3]);
+    assert.deepEqual(charges('Fe^+3'), [3]);
+    assert.deepEqual(charges('Fe+3'), [3]);
+    assert.deepEqual(charges('Cl-'), [-1]);
+    assert.deepEqual(charges('NH4+'), [1]);
+  });
+
+  test('digits before a sign are a charge only after a single element or complex', () => {
+    assert.deepEqual(tokens('Fe2+'), [[TokenType.ELEMENT, 'Fe'], [TokenType.CHARGE, 2], [TokenType.EOF, null]]);
+    assert.deepEqual(tokens('S2-'), [[TokenType.ELEMENT, 'S'], [TokenType.CHARGE, -2], [TokenType.EOF, null]]);
+    assert.deepEqual(tokens('[Fe(CN)6]4-').slice(-2), [[TokenType.CHARGE, -4], [TokenType.EOF, null]]);
+
+    // NH4+ keeps 4 as a subscript, MnO4- likewise
+    assert.deepEqual(tokens('NH4+').slice(-3), [[TokenType.NUMBER, 4], [TokenType.CHARGE, 1], [TokenType.EOF, null]]);
+    assert.deepEqual(tokens('MnO4-').slice(-3), [[TokenType.NUMBER, 4], [TokenType.CHARGE, -1], [TokenType.EOF, null]]);
+  });
+
+  test('O2- is oxide; the caret writes superoxide and peroxide', () => {
+    assert.deepEqual(tokens('O2-'), [[TokenType.ELEMENT, 'O'], [TokenType.CHARGE, -2], [TokenType.EOF, null]]);
+    assert.deepEqual(parseFormula('O2-').elements, { O: 1 });
+    assert.equal(parseFormula('O2-').charge, -2);
+    assert.deepEqual(parseFormula('O2^-').elements, { O: 2 });
+    assert.equal(parseFormula('O2^-').charge, -1);
+    assert.deepEqual(parseFormula('O2^2-').elements, { O: 2 });
+    assert.equal(parseFormula('O2^2-').charge, -2);
+  });
+
+  test('phases and hydrate dots', () => {
+    assert.deepEqual(tokens('NaCl(s)').slice(-2), [[TokenType.PHASE, 's'], [TokenType.EOF, null]]);
+    assert.deepEqual(tokens('Fe2+(aq)'), [
+      [TokenType.ELEMENT, 'Fe'], [TokenType.CHARGE, 2], [TokenType.PHASE, 'aq'], [TokenType.EOF, null]
+    ]);
+    assert.ok(tokens('CuSO4·5H2O').some(([type]) => type === TokenType.DOT));
+    assert.ok(tokens('CuSO4.5H2O').some(([type]) => type === TokenType.DOT));
+  });
+
+  test('token positions', () => {
+    const positions = ChemicalLexer.tokenize('SO4^2-').map(t => t.position);
+    assert.deepEqual(positions, [0, 1, 2, 3, 6]);
+  });
+});
+
+describe('parseFormula', () => {
+  const cases = [
+    ['H2O', { H: 2, O: 1 }, 0],
+    ['Ca(OH)2', { Ca: 1, O: 2, H: 2 }, 0],
+    ['Al2(SO4)3', { Al: 2, S: 3, O: 12 }, 0],
+    ['Fe2(SO4)3', { Fe: 2, S: 3, O: 12 }, 0],
+    ['(NH4)3PO4', { N: 3, H: 12, P: 1, O: 4 }, 0],
+    ['Mg3(PO4)2', { Mg: 3, P: 2, O: 8 }, 0],
+    ['K4[Fe(CN)6]', { K: 4, Fe: 1, C: 6, N: 6 }, 0],
+    ['[Cu(NH3)4]SO4', { Cu: 1, N: 4, H: 12, S: 1, O: 4 }, 0],
+    ['[Cu(H2O)6]2+', { Cu: 1, H: 12, O: 6 }, 2],
+    ['[Fe(CN)6]4-', { Fe: 1, C: 6, N: 6 }, -4],
+    ['SO4^2-', { S: 1, O: 4 }, -2],
+    ['SO4--', { S: 1, O: 4 }, -2],
+    ['MnO4-', { Mn: 1, O: 4 }, -1],
+    ['NH4+', { N: 1, H: 4 }, 1],
+    ['Fe3+', { Fe: 1 }, 3],
+    ['Fe+3', { Fe: 1 }, 3],
+    ['Fe^+3', { Fe: 1 }, 3],
+    ['Hg2^2+', { Hg: 2 }, 2],
+    ['C6H12O6', { C: 6, H: 12, O: 6 }, 0]
+  ];
+
+  for (const [formula, elements, charge] of cases) {
+    test(formula, () => {
+      const parsed = parseFormula(formula);
+      assert.deepEqual(parsed.elements, elements);
+      assert.equal(parsed.charge, charge);
+    });
+  }
+
+  test('hydrates add every dot-separated part', () => {
+    assert.deepEqual(parseFormula('CuSO4·5H2O').elements, { Cu: 1, S: 1, O: 9, H: 10 });
+    assert.deepEqual(parseFormula('CuSO4.5H2O').elements, { Cu: 1, S: 1, O: 9, H: 10 });
+    assert.deepEqual(parseFormula('KAl(SO4)2·12H2O').elements, { K: 1, Al: 1, S: 2, O: 20, H: 24 });
+    assert.deepEqual(parseFormula('Na2CO3.10H2O').elements, { Na: 2, C: 1, O: 13, H: 20 });
+    assert.deepEqual(parseFormula('CaCl2·2H2O·NH3').elements, { Ca: 1, Cl: 2, H: 7, O: 2, N: 1 });
+  });
+
+  test('hydrate with phase', () => {
+    const parsed = parseFormula('CaCl2.2H2O(s)');
+    assert.deepEqual(parsed.elements, { Ca: 1, Cl: 2, H: 4, O: 2 });
+    assert.equal(parsed.phase, 's');
+  });
+
+  test('isotopes are kept as separate element keys', () => {
+    assert.deepEqual(parseFormula('[13C]O2').elements, { 'C-13': 1, O: 2 });
+    assert.deepEqual(parseFormula('C[2H]3').elements, { C: 1, 'H-2': 3 });
+    assert.deepEqual(parseFormula('[13C]6H12O6').elements, { 'C-13': 6, H: 12, O: 6 });
+  });
+
+  test('phases', () => {
+    assert.equal(parseFormula('NaCl(s)').phase, 's');
+    assert.equal(parseFormula('H2O(l)').phase, 'l');
+    assert.equal(parseFormula('CO2(g)').phase, 'g');
+    assert.equal(parseFormula('Fe^+3(aq)').phase, 'aq');
+    assert.equal(parseFormula('Fe^+3(aq)').charge, 3);
+    assert.equal(parseFormula('H2O').phase, null);
+  });
+});
+
+describe('ParseError', () => {
+  const errors = [
+    ['Fe((', 4, /Expected \)/],
+    ['Ca(OH2', 6, /Expected \)/],
+    ['H2O)', 3, /Unexpected token at end: RPAREN/],
+    ['[13]O2', 1, /Unexpected token NUMBER/],
+    ['[Cu(NH3)4', 9, /Expected ]/],
+    ['CuSO4.', 6, /Expected formula after hydrate dot/],
+    ['Na2CO3..H2O', 7, /Expected formula after hydrate dot/],
+    ['NaCl(s)(aq)', 7, /Unexpected token at end: PHASE/],
+    ['2H2O', 0, /Unexpected token NUMBER/]
+  ];
+
+  for (const [formula, position, message] of errors) {
+    test(`${formula} fails at ${position}`, () => {
+      assert.throws(() => parseFormula(formula), error => {
+        assert.ok(error instanceof ParseError);
+        assert.equal(error.position, position);
+        assert.match(error.message, message);
+        assert.ok(error.message.includes(`"${formula}"`));
+        return true;
+      });
+    });
+  }
+
+  test('validateFormula reports the position instead of throwing', () => {
+    assert.deepEqual(validateFormula('H2O'), { valid: true });
+    const result = validateFormula('Ca(OH2');
+    assert.equal(result.valid, false);
+    assert.equal(result.position, 6);
+  });
+});
+
+describe('formula macros', () => {
+  test('abbreviations lex as one MACRO token carrying their composition', () => {
+    assert.deepEqual(tokens('Ph3P'), [[TokenType.MACRO, 'Ph'], [TokenType.NUMBER, 3], [TokenType.ELEMENT, 'P'], [TokenType.EOF, null]]);
+    assert.deepEqual(ChemicalLexer.tokenize('bpy')[0].elements, { C: 10, H: 8, N: 2 });
+    assert.deepEqual(tokens('Cu(en)2').map(([type]) => type), ['ELEMENT', 'LPAREN', 'MACRO', 'RPAREN', 'NUMBER', 'EOF']);
+  });
+
+  test('organic abbreviations and ligands expand', () => {
+    assert.deepEqual(parseFormula('MeOH').elements, { C: 1, H: 4, O: 1 });
+    assert.deepEqual(parseFormula('Ph3P').elements, { C: 18, H: 15, P: 1 });
+    assert.deepEqual(parseFormula('EtOAc').elements, { C: 4, H: 8, O: 2 });
+    assert.deepEqual(parseFormula('[Ru(bpy)3]^2+').elements, { Ru: 1, C: 30, H: 24, N: 6 });
+    assert.deepEqual(parseFormula('[Co(en)3]Cl3').elements, { Co: 1, C: 6, H: 24, N: 6, Cl: 3 });
+    assert.deepEqual(parseFormula('Fe(acac)3').elements, { Fe: 1, C: 15, H: 21, O: 6 });
+    assert.deepEqual(parseFormula('tBuOH').elements, parseFormula('C4H9OH').elements);
+  });
+
+  test('Ac is acetyl before O, in Ac2O and in OAc; other element symbols are untouched', () => {
+    assert.deepEqual(parseFormula('AcOH').elements, parseFormula('CH3COOH').elements);
+    assert.deepEqual(parseFormula('Ac2O').elements, { C: 4, H: 6, O: 3 });
+    assert.deepEqual(parseFormula('AcO^-').elements, { C: 2, H: 3, O: 2 });
+    assert.deepEqual(parseFormula('Pb(OAc)2').elements, { Pb: 1, O: 4, C: 4, H: 6 });
+    assert.deepEqual(parseFormula('AcONa').elements, parseFormula('NaOAc').elements);
+    assert.deepEqual(parseFormula('AcOEt').elements, parseFormula('EtOAc').elements);
+    assert.deepEqual(parseFormula('AcOMe').elements, { C: 3, H: 6, O: 2 });
+    assert.deepEqual(parseFormula('Pr2O3').elements, { Pr: 2, O: 3 });
+    assert.deepEqual(parseFormula('PH3').elements, { P: 1, H: 3 });
+  });
+
+  test('Ac on its own is actinium', () => {
+    assert.deepEqual(parseFormula('Ac').elements, { Ac: 1 });
+    assert.deepEqual(parseFormula('Ac2O3').elements, { Ac: 2, O: 3 });
+    assert.deepEqual(parseFormula('AcCl3').elements, { Ac: 1, Cl: 3 });
+    assert.deepEqual(parseFormula('Ac(OH)3').elements, { Ac: 1, O: 3, H: 3 });
+    assert.deepEqual(parseFormula('[227Ac]').elements, { 'Ac-227': 1 });
+    assert.equal(parseFormula('Ac2O3').abbreviated, undefined);
+  });
+
+  test('formatComposition keeps the abbreviated form', () => {
+    assert.equal(parseFormula('Ph3P').abbreviated, 'Ph3P');
+    assert.equal(formatComposition(parseFormula('Ph3P')), 'Ph3P');
+    assert.equal(formatComposition(parseFormula('NaOAc(aq)')), 'NaOAc(aq)');
+    assert.equal(parseFormula('CH3COOH').abbreviated, undefined);
+  });
+
+  test('user macros', () => {
+    try {
+      ChemicalLexer.defineMacro('Tol', { C: 7, H: 7 }, 'tolyl');
+      assert.deepEqual(parseFormula('TolOH').elements, { C: 7, H: 8, O: 1 });
+      assert.equal(ChemicalLexer.getMacro('Tol').builtIn, false);
+      assert.equal(ChemicalLexer.getMacro('Ph').builtIn, true);
+      assert.throws(() => ChemicalLexer.defineMacro('Fe', { C: 1 }), /element symbol/);
+      assert.throws(() => ChemicalLexer.defineMacro('Ph', { C: 1 }), /built-in/);
+      assert.throws(() => ChemicalLexer.defineMacro('X1', { C: 1 }), /letters only/);
+      assert.throws(() => ChemicalLexer.defineMacro('Xy', {}), /positive whole-number/);
+      assert.equal(ChemicalLexer.removeMacro('Tol'), true);
+      assert.equal(ChemicalLexer.getMacro('Tol'), null);
+    } finally {
+      ChemicalLexer.clearMacros();
+    }
+  });
+});
+
+describe('condensed structural formulas', () => {
+  const units = formula => parseFormula(formula).structure
+    .map(unit => `${unit.bond || ''}${unit.bracket || ''}${unit.formula}${unit.count === 1 ? '' : unit.count}`);
+
+  test('bond marks lex as BOND tokens, charges are unchanged', () => {
+    assert.deepEqual(tokens('CH2=CH2').map(([type]) => type), ['ELEMENT', 'ELEMENT', 'NUMBER', 'BOND', 'ELEMENT', 'ELEMENT', 'NUMBER', 'EOF']);
+    assert.deepEqual(tokens('CH3-OH')[3], [TokenType.BOND, '-']);
+    assert.deepEqual(tokens('HC≡CH')[2], [TokenType.BOND, '≡']);
+    assert.deepEqual(tokens('Cl-'), [[TokenType.ELEMENT, 'Cl'], [TokenType.CHARGE, -1], [TokenType.EOF, null]]);
+    assert.deepEqual(tokens('NO3-(aq)').slice(-3), [[TokenType.CHARGE, -1], [TokenType.PHASE, 'aq'], [TokenType.EOF, null]]);
+  });
+
+  test('composition and grouping', () => {
+    assert.deepEqual(parseFormula('CH3CH2OH').elements, { C: 2, H: 6, O: 1 });
+    assert.deepEqual(units('CH3CH2OH'), ['CH3', 'CH2', 'OH']);
+    assert.deepEqual(parseFormula('CH3(CH2)4COOH').elements, { C: 6, H: 12, O: 2 });
+    assert.deepEqual(units('CH3(CH2)4COOH'), ['CH3', '(CH24', 'COOH']);
+    assert.deepEqual(units('(CH3)3COH'), ['(CH33', 'COH']);
+    assert.deepEqual(units('C6H5NO2'), ['C6H5', 'NO2']);
+    assert.deepEqual(units('CH3CH(OH)CH3'), ['CH3', 'CH', '(OH', 'CH3']);
+    assert.deepEqual(parseFormula('CH3(CH2)4COOH').structure[1].elements, { C: 1, H: 2 });
+  });
+
+  test('bonds add no atoms and are kept in the grouping', () => {
+    assert.deepEqual(parseFormula('CH3-CH2-OH').elements, parseFormula('CH3CH2OH').elements);
+    assert.deepEqual(units('CH2=CH2'), ['CH2', '=CH2']);
+    assert.deepEqual(units('HC≡CH'), ['HC', '≡CH']);
+  });
+
+  test('plain molecular and inorganic formulas have no structure', () => {
+    assert.equal(parseFormula('CH4').structure, undefined);
+    assert.equal(parseFormula('NaHCO3').structure, undefined);
+    assert.equal(parseFormula('Fe2(SO4)3').structure, undefined);
+    assert.equal(parseFormula('C2H5OH·H2O').structure, undefined);
+  });
+
+  test('formatComposition keeps the notation', () => {
+    assert.equal(formatComposition(parseFormula('CH3(CH2)4COOH')), 'CH3(CH2)4COOH');
+    assert.equal(formatComposition(parseFormula('CH2=CH2(g)')), 'CH2=CH2(g)');
+    assert.equal(formatComposition(parseFormula('CH3COO^-')), 'CH3COO-');
+  });
+});
+
+describe('compositionKey', () => {
+  test('matches a composition however the formula was written', () => {
+    assert.equal(compositionKey(parseFormula('CO2(g)').elements), 'C1|O2');
+    assert.equal(compositionKey(parseFormula('OCO').elements), 'C1|O2');
+    assert.equal(compositionKey(parseFormula('MnO4^-').elements, -1), 'Mn1|O4|-1');
+    assert.equal(compositionKey({ H: 2, O: 1 }, 0), 'H2|O1|0');
+  });
+});
+
+describe('formulaCore', () => {
+  test('strips charge and phase but keeps the notation', () => {
+    assert.equal(formulaCore('MnO4^-'), 'MnO4');
+    assert.equal(formulaCore('Fe2+(aq)'), 'Fe');
+    assert.equal(formulaCore('[Fe(CN)6]4-'), '[Fe(CN)6]');
+    assert.equal(formulaCore('CuSO4·5H2O(s)'), 'CuSO4·5H2O');
+    assert.equal(formulaCore('NH4+'), 'NH4');
+    assert.equal(formulaCore('H2O'), 'H2O');
+  });
+});
+
+describe('findPhaseConflicts', () => {
+  test('reports formulas listed in more than one phase', () => {
+    const species = [
+      { formula: 'NaCl', charge: 0, phase: 'aq' },
+      { formula: 'NaCl', charge: 0, phase: 's' },
+      { formula: 'H2O', charge: 0, phase: 'l' },
+      { formula: 'H2O', charge: 0, phase: null }
+    ];
+    assert.deepEqual(findPhaseConflicts(species), [{ formula: 'NaCl', charge: 0, phases: ['aq', 's'] }]);
+  });
+
+  test('ions with different charges are different species', () => {
+    assert.deepEqual(findPhaseConflicts([
+      { formula: 'Fe', charge: 2, phase: 'aq' },
+      { formula: 'Fe', charge: 0, phase: 's' }
+    ]), []);
+  });
+});
@@ -0,0 +1,73 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProductPredictor } from '../chem/predict.js';
+import { predictProducts } from '../chem/index.js';
+
+const top = reactants => predictProducts(reactants).predictions[0];
+const equations = reactants => predictProducts(reactants).predictions.map(prediction => prediction.equation);
+
+describe('saltFormula', () => {
+  test('charges balance and polyatomic ions are bracketed', () => {
+    const salt = (cation, anion) => ProductPredictor.saltFormula(cation, anion);
+    assert.equal(salt({ formula: 'Na', charge: 1 }, { formula: 'Cl', charge: -1 }), 'NaCl');
+    assert.equal(salt({ formula: 'Al', charge: 3 }, { formula: 'SO4', charge: -2 }), 'Al2(SO4)3');
+    assert.equal(salt({ formula: 'NH4', charge: 1 }, { formula: 'PO4', charge: -3 }), '(NH4)3PO4');
+    assert.equal(salt({ formula: 'Fe', charge: 3 }, { formula: 'O', charge: -2 }), 'Fe2O3');
+    assert.equal(salt({ formula: 'Ca', charge: 2 }, { formula: 'OH', charge: -1 }), 'Ca(OH)2');
+  });
+});
+
+describe('reaction classes', () => {
+  test('combustion, complete before incomplete', () => {
+    assert.deepEqual(equations('C3H8 + O2 ->'), ['C3H8 + 5O2 → 3CO2 + 4H2O', '2C3H8 + 7O2 → 6CO + 8H2O']);
+    assert.equal(top('C2H5OH + O2').type, 'combustion');
+    assert.equal(top(['H2', 'O2']).equation, '2H2 + O2 → 2H2O');
+  });
+
+  test('neutralization', () => {
+    assert.equal(top('NaOH + HCl ->').equation, 'NaOH + HCl → NaCl + H2O');
+    assert.equal(top('Ca(OH)2 + H3PO4').equation, '3Ca(OH)2 + 2H3PO4 → Ca3(PO4)2 + 6H2O');
+    assert.equal(top('NH3 + HCl').equation, 'NH3 + HCl → NH4Cl');
+    assert.equal(top('Na2CO3 + HCl').equation, 'Na2CO3 + 2HCl → 2NaCl + H2O + CO2');
+  });
+
+  test('metal + acid follows the activity series', () => {
+    assert.equal(top('Zn + HCl').equation, 'Zn + 2HCl → ZnCl2 + H2');
+    assert.equal(top('Al + H2SO4').equation, '2Al + 3H2SO4 → Al2(SO4)3 + 3H2');
+    assert.equal(top('Fe + HCl').equation, 'Fe + 2HCl → FeCl2 + H2');
+
+    const copper = predictProducts('Cu + HCl ->');
+    assert.deepEqual(copper.predictions, []);
+    assert.match(copper.notes[0], /Cu is below hydrogen/);
+  });
+
+  test('metal + oxygen ranks each common charge', () => {
+    assert.deepEqual(equations('Fe + O2'), ['4Fe + 3O2 → 2Fe2O3', '2Fe + O2 → 2FeO']);
+    assert.deepEqual(equations('Mg + O2'), ['2Mg + O2 → 2MgO']);
+  });
+
+  test('double displacement needs an insoluble product', () => {
+    const silver = top('AgNO3 + NaCl');
+    assert.equal(silver.equation, 'AgNO3 + NaCl → AgCl(s) + NaNO3(aq)');
+    assert.match(silver.reason, /AgCl is insoluble/);
+    assert.equal(top('Pb(NO3)2 + KI').equation, 'Pb(NO3)2 + 2KI → PbI2(s) + 2KNO3(aq)');
+
+    const none = predictProducts('NaCl + KNO3');
+    assert.deepEqual(none.predictions, []);
+    assert.match(none.notes[0], /only soluble salts/);
+  });
+
+  test('simple decompositions', () => {
+    assert.equal(top('CaCO3 ->').equation, 'CaCO3 → CaO + CO2');
+    assert.equal(top('NaHCO3').equation, '2NaHCO3 → Na2CO3 + CO2 + H2O');
+    assert.equal(top('KClO3').equation, '2KClO3 → 2KCl + 3O2');
+    assert.equal(top('H2O2').equation, '2H2O2 → 2H2O + O2');
+    assert.equal(top('HgO').equation, '2HgO → 2Hg + O2');
+  });
+
+  test('candidates are ranked by confidence', () => {
+    const { candidates } = ProductPredictor.predict(['Na2CO3']);
+    assert.equal(candidates[0].confidence, 0.3);
+    assert.match(candidates[0].reason, /Group 1 carbonates resist/);
+  });
+});
@@ -0,0 +1,132 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SigFigs, EXACT, countSigFigs, balance, stoichiometry, dilution } from '../chem/index.js';
+import { StoichiometryEngine } from '../chem/stoichiometry.js';
+import { GasCalculator } from '../chem/gases.js';
+
+const measured = (value, label = 'x') => SigFigs.measured(value, label);
+
+describe('counting significant figures', () => {
+  test('leading zeros never count and trailing zeros count after a decimal point', () => {
+    assert.equal(countSigFigs('2.50'), 3);
+    assert.equal(countSigFigs('0.00340'), 3);
+    assert.equal(countSigFigs('1200'), 2);
+    assert.equal(countSigFigs('1200.'), 4);
+    assert.equal(countSigFigs('1.20e3'), 3);
+    assert.equal(countSigFigs(0.5), 1);
+  });
+
+  test('non-numbers are rejected', () => {
+    assert.throws(() => SigFigs.count('abc'), /Not a number/);
+    assert.throws(() => SigFigs.count(''), /Not a number/);
+  });
+
+  test('a stated count overrides the digits', () => {
+    assert.equal(SigFigs.measured('100', 'V', 'mL', 3).sigFigs, 3);
+  });
+});
+
+describe('formatting', () => {
+  test('keeps trailing zeros and marks significant integer zeros', () => {
+    assert.equal(SigFigs.format(2.5, 3), '2.50');
+    assert.equal(SigFigs.format(10, 2), '10.');
+    assert.equal(SigFigs.format(99.96, 3), '100.');
+    assert.equal(SigFigs.format(1234.5, 3), '1.23e3');
+    assert.equal(SigFigs.format(0.000123456, 3), '0.000123');
+    assert.equal(SigFigs.format(1 / 3, Infinity), String(1 / 3));
+    assert.equal(SigFigs.format(0, 1), '0');
+  });
+
+  test('round leaves exact values alone', () => {
+    assert.equal(SigFigs.round(2.456, 2), 2.5);
+    assert.equal(SigFigs.round(2.456, Infinity), 2.456);
+  });
+});
+
+describe('propagation rules', () => {
+  test('products keep the fewest significant figures', () => {
+    const precision = SigFigs.product(measured('2.0', 'C₁'), measured('25.00', 'V₁'), EXACT);
+    assert.equal(precision.sigFigs, 2);
+    assert.equal(precision.rule, 'product');
+    assert.equal(precision.limitedBy.label, 'C₁');
+    assert.equal(SigFigs.product(EXACT, EXACT), EXACT);
+  });
+
+  test('sums keep the fewest decimal places', () => {
+    const precision = SigFigs.sum([
+      { value: 12.11, precision: measured('12.11', 'a') },
+      { value: 0.3, precision: measured('0.3', 'b') }
+    ], 12.41);
+    assert.equal(precision.sigFigs, 3);
+    assert.equal(precision.rule, 'sum');
+    assert.equal(precision.limitedBy.label, 'b');
+  });
+
+  test('a difference keeps at least one significant figure', () => {
+    const precision = SigFigs.sum([
+      { value: 100, precision: measured('1.0e2', 'V₂') },
+      { value: 98, precision: measured('98', 'V₁') }
+    ], 2);
+    assert.equal(precision.sigFigs, 1);
+  });
+
+  test('explanations name the limiting input', () => {
+    assert.equal(
+      SigFigs.explain(SigFigs.product(measured('10.0', 'Fe'))),
+      '3 significant figures: limited by Fe (10.0, 3 significant figures)'
+    );
+    assert.match(SigFigs.explain({ sigFigs: 3, rule: 'sum', limitedBy: { label: 'temperature', value: '25 °C', sigFigs: 2 } }),
+      /decimal places limited by temperature \(25 °C\)/);
+    assert.equal(SigFigs.explain(EXACT), 'Exact: no measured input limits this value');
+  });
+});
+
+describe('precision through the calculators', () => {
+  const rusting = balance('Fe + O2 -> Fe2O3');
+
+  test('stoichiometry results are limited by the limiting reagent amount', () => {
+    const result = stoichiometry(rusting, [{ value: '10.0', unit: 'g' }, { value: '10.000', unit: 'g' }, null]);
+    assert.equal(result.precision.extent.sigFigs, 3);
+    assert.equal(result.precision.extent.limitedBy.label, 'Fe');
+
+    const product = result.theoreticalYield[0];
+    assert.equal(product.precision.grams.sigFigs, 3);
+    assert.equal(SigFigs.format(product.grams, product.precision.grams.sigFigs), '14.3');
+  });
+
+  test('an imprecise excess reagent limits its own leftover amount', () => {
+    const result = stoichiometry(rusting, [{ value: '10.0', unit: 'g' }, { value: '12', unit: 'g' }, null]);
+    const oxygen = result.species.find(entry => entry.formula === 'O2');
+    assert.equal(oxygen.precision.given.sigFigs, 2);
+    assert.equal(oxygen.precision.excessGrams.rule, 'sum');
+    assert.equal(oxygen.precision.excessGrams.limitedBy.label, 'O2');
+  });
+
+  test('percent yield is limited by the actual or theoretical mass', () => {
+    const result = StoichiometryEngine.percentYield(rusting, [{ value: '10.00', unit: 'g' }, { value: '10.00', unit: 'g' }, null], 2, '12.1');
+    assert.equal(result.precision.percentYield.sigFigs, 3);
+    assert.equal(result.precision.percentYield.limitedBy.label, 'actual yield of Fe2O3');
+  });
+
+  test('a 100% expected yield is exact', () => {
+    const result = StoichiometryEngine.requiredForYield(rusting, 2, '5.000', '100');
+    assert.equal(result.precision.theoreticalGrams.sigFigs, 4);
+    assert.equal(StoichiometryEngine.requiredForYield(rusting, 2, '5.000', '95').precision.theoreticalGrams.sigFigs, 2);
+  });
+
+  test('dilution results carry the fewest significant figures of C₁V₁ = C₂V₂', () => {
+    const result = dilution({ c1: '2.0', v1: '25.00', c2: '0.50', v2: null });
+    assert.equal(result.v2, 100);
+    assert.equal(result.precision.v2.sigFigs, 2);
+    assert.equal(result.precision.solventAdded.rule, 'sum');
+    assert.equal(SigFigs.format(result.v2, result.precision.v2.sigFigs), '1.0e2');
+  });
+
+  test('Celsius temperatures keep their decimal places in kelvin', () => {
+    const precision = GasCalculator.conditionsPrecision({ temperature: '25', temperatureUnit: 'C', pressure: '1.00', pressureUnit: 'atm' });
+    assert.equal(precision.sigFigs, 3);
+    assert.equal(precision.rule, 'sum');
+    assert.equal(precision.limitedBy.label, 'temperature');
+    assert.equal(GasCalculator.conditionsPrecision({ preset: 'STP' }), EXACT);
+  });
+});
@@ -0,0 +1,183 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { SolutionCalculator } from '../chem/solutions.js';
+import { StoichiometryError } from '../chem/stoichiometry.js';
+import { balance, stoichiometry, titration, dilution } from '../chem/index.js';
+
+const near = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+const code = expected => error => error instanceof StoichiometryError && error.code === expected;
+
+describe('concentration units', () => {
+  test('molarity and millimolar', () => {
+    near(SolutionCalculator.toMolarity(0.25, 'M'), 0.25);
+    near(SolutionCalculator.toMolarity(250, 'mM'), 0.25);
+  });
+
+  test('normality divides by equivalents', () => {
+    near(SolutionCalculator.toMolarity(0.2, 'N', { equivalents: 2 }), 0.1);
+    near(SolutionCalculator.fromMolarity(0.1, 'N', { equivalents: 3 }), 0.3);
+  });
+
+  test('% w/v and ppm use the molar mass', () => {
+    // 0.9% saline: 9 g/L NaCl
+    near(SolutionCalculator.toMolarity(0.9, '%w/v', { molarMass: 58.44 }), 9 / 58.44);
+    // 100 ppm Ca2+: 0.1 g/L
+    near(SolutionCalculator.toMolarity(100, 'ppm', { molarMass: 40.078 }), 0.1 / 40.078);
+    assert.throws(() => SolutionCalculator.toMolarity(1, 'ppm'), code('NO_MOLAR_MASS'));
+  });
+
+  test('molality needs the density and round-trips', () => {
+    const options = { molarMass: 58.44, density: 1.04 };
+    const molarity = SolutionCalculator.toMolarity(1, 'm', options);
+    near(molarity, 1040 / 1058.44);
+    near(SolutionCalculator.convert(molarity, 'M', 'm', options), 1);
+    assert.throws(() => SolutionCalculator.toMolarity(1, 'm', { molarMass: 58.44 }), code('NO_DENSITY'));
+  });
+
+  test('invalid input', () => {
+    assert.throws(() => SolutionCalculator.toMolarity(-1, 'M'), code('INVALID_CONCENTRATION'));
+    assert.throws(() => SolutionCalculator.toMolarity(1, 'mol/m3'), code('UNKNOWN_UNIT'));
+    assert.throws(() => SolutionCalculator.moles({ volume: 10, volumeUnit: 'gal', concentration: 1 }), code('UNKNOWN_UNIT'));
+  });
+
+  test('moles and volumes', () => {
+    near(SolutionCalculator.moles({ volume: 25.0, concentration: 0.100 }), 0.0025);
+    near(SolutionCalculator.moles({ volume: 0.5, volumeUnit: 'L', concentration: 2 }), 1);
+    near(SolutionCalculator.volumeFor(0.0025, 0.1), 25);
+    near(SolutionCalculator.volumeFor(0.0025, 0.1, 'M', 'L'), 0.025);
+  });
+
+  test('equivalents are inferred from the formula', () => {
+    const eq = formula => SolutionCalculator.inferEquivalents({ formula, composition: {}, charge: 0 });
+    assert.equal(eq('H2SO4'), 2);
+    assert.equal(eq('H3PO4'), 3);
+    assert.equal(eq('HCl'), 1);
+    assert.equal(eq('Ca(OH)2'), 2);
+    assert.equal(eq('NaOH'), 1);
+    assert.equal(eq('H2O'), 1);
+    assert.equal(SolutionCalculator.inferEquivalents({ formula: 'SO4', composition: {}, charge: -2 }), 2);
+  });
+});
+
+describe('dilution', () => {
+  test('solves each of the four values', () => {
+    near(dilution({ c1: 12, c2: 0.5, v2: 250 }).v1, 10.416666666666666);
+    near(dilution({ v1: 10, c2: 0.5, v2: 250 }).c1, 12.5);
+    near(dilution({ c1: 6, v1: 50, v2: 300 }).c2, 1);
+    near(dilution({ c1: 6, v1: 50, c2: 1 }).v2, 300);
+  });
+
+  test('reports the solvent to add and the dilution factor', () => {
+    const result = dilution({ c1: 6, v1: 50, c2: 1 });
+    assert.equal(result.solved, 'v2');
+    near(result.solventAdded, 250);
+    near(result.dilutionFactor, 6);
+  });
+
+  test('errors', () => {
+    assert.throws(() => dilution({ c1: 1, v1: 2 }), code('DILUTION_UNKNOWNS'));
+    assert.throws(() => dilution({ c1: 1, v1: 2, c2: 3, v2: 4 }), code('DILUTION_UNKNOWNS'));
+    assert.throws(() => dilution({ c1: 1, v1: 10, c2: 2 }), code('NOT_A_DILUTION'));
+    assert.throws(() => dilution({ c1: 0, v1: 10, c2: 2 }), code('INVALID_CONCENTRATION'));
+  });
+});
+
+describe('titration', () => {
+  const neutralization = balance('H2SO4 + NaOH -> Na2SO4 + H2O');
+
+  test('25.0 mL of 0.100 M NaOH neutralizes 20.0 mL of H2SO4', () => {
+    const result = titration(neutralization, {
+      titrant: { index: 1, volume: 25.0, concentration: 0.100 },
+      analyte: { index: 0, volume: 20.0 }
+    });
+    assert.equal(result.solved, 'analyte.concentration');
+    assert.equal(result.moleRatio, '2:1');
+    near(result.analyte.moles, 0.00125);
+    near(result.analyte.concentration, 0.0625);
+  });
+
+  test('endpoint volume', () => {
+    const result = titration(neutralization, {
+      titrant: { index: 1, concentration: 0.100 },
+      analyte: { index: 0, volume: 20.0, concentration: 0.0625 }
+    });
+    assert.equal(result.solved, 'titrant.volume');
+    near(result.titrant.volume, 25);
+  });
+
+  test('normality reports equivalents', () => {
+    const result = titration(neutralization, {
+      titrant: { index: 1, volume: 25.0, concentration: 0.100 },
+      analyte: { index: 0, volume: 20.0, concentrationUnit: 'N' }
+    });
+    near(result.analyte.concentration, 0.125);
+  });
+
+  test('standardization against a weighed primary standard', () => {
+    const result = titration('KHC8H4O4 + NaOH -> KNaC8H4O4 + H2O', {
+      titrant: { index: 1, volume: 24.50 },
+      analyte: { index: 0, amount: { value: 0.5105, unit: 'g' } }
+    });
+    assert.equal(result.solved, 'titrant.concentration');
+    near(result.titrant.concentration, 0.5105 / 204.22 / 0.0245, 1e-4);
+  });
+
+  test('redox titration', () => {
+    const result = titration(balance('MnO4- + Fe2+ -> Mn2+ + Fe3+', { mode: 'acidic' }), {
+      titrant: { index: 0, concentration: 0.0200 },
+      analyte: { index: 1, volume: 25.0, concentration: 0.100 }
+    });
+    near(result.titrant.volume, 25);
+  });
+
+  test('under- and over-determined setups are rejected', () => {
+    assert.throws(() => titration(neutralization, {
+      titrant: { index: 1, concentration: 0.1 },
+      analyte: { index: 0, volume: 20 }
+    }), code('TITRATION_UNKNOWNS'));
+    assert.throws(() => titration(neutralization, {
+      titrant: { index: 1, volume: 25, concentration: 0.1 },
+      analyte: { index: 0, volume: 20, concentration: 0.1 }
+    }), code('TITRATION_UNKNOWNS'));
+    assert.throws(() => titration(neutralization, {
+      titrant: { index: 1, volume: 25, concentration: 0.1 },
+      analyte: { index: 1, volume: 20 }
+    }), code('SAME_SPECIES'));
+  });
+});
+
+describe('stoichiometry with solutions', () => {
+  test('solution volumes mix with gram inputs', () => {
+    const result = stoichiometry('H2SO4 + NaOH -> Na2SO4 + H2O', [
+      { value: 1.0, unit: 'g' },
+      { volume: 25.0, concentration: 0.100 },
+      null,
+      null
+    ]);
+    assert.equal(result.limitingReagent.formula, 'NaOH');
+    assert.deepEqual(result.species[1].given, { value: 25, unit: 'mL', moles: result.species[1].given.moles });
+    near(result.species[1].given.moles, 0.0025);
+    near(result.theoreticalYield[0].moles, 0.00125);
+  });
+
+  test('a concentration without a volume reports the endpoint volume', () => {
+    const result = stoichiometry('H2SO4 + NaOH -> Na2SO4 + H2O', [
+      { concentration: 0.0500 },
+      { volume: 25.0, concentration: 0.100 },
+      null,
+      null
+    ]);
+    assert.equal(result.species[0].solution.givenVolume, null);
+    near(result.species[0].solution.volume, 25);
+    near(result.species[1].solution.volume, 25);
+  });
+
+  test('toAmounts feeds percentYield and other engine calls', () => {
+    const balanced = balance('HCl + NaOH -> NaCl + H2O');
+    const amounts = SolutionCalculator.toAmounts(balanced, [{ volume: 500, concentration: 0.5 }, null, null, null]);
+    assert.equal(amounts[0].unit, 'mol');
+    near(amounts[0].value, 0.25);
+  });
+});